@@ -5,6 +5,12 @@
  * - FRED API data fetching with caching
  * - Treasury API integration for deficit data
  * - Rate limiting protection
+ * - Persistent cache with stale fallback when upstream APIs fail
+ * - Stale-while-revalidate responses and coalesced upstream requests
+ * - Record/replay of upstream responses for offline use
+ * - Probability snapshot history for the dashboard charts
+ * - Shared custom model settings
+ * - Scheduled alert checks delivered to webhooks
  * - Error handling and retry logic
  * - Data validation
  */
@@ -12,64 +18,157 @@
 const express = require('express');
 const cors = require('cors');
 const axios = require('axios');
+const path = require('path');
+const { MemoryCacheStore, createCacheStore } = require('./server/cacheStore');
+const { CachedLoader, cacheMeta } = require('./server/cachedLoader');
+const {
+    parseHistoryQuery,
+    buildFREDHistoryParams,
+    HistoryQueryError
+} = require('./server/historyQuery');
+const { loadServerConfig, ConfigError } = require('./server/serverConfig');
+const { FixtureStore } = require('./server/fixtureStore');
+const { createSnapshotStore, SnapshotError } = require('./server/snapshotStore');
+const { createModelSettingsStore, ModelSettingsError } = require('./server/modelSettingsStore');
+const { AlertDispatcher, createDeliveryLog } = require('./server/alertDelivery');
+const { AlertChecker } = require('./server/alertChecker');
+const { requireAdminToken } = require('./server/adminAuth');
+const { parseMTSMonths, rollingDeficitGDP, formatMonths } = require('./server/treasuryDeficit');
 
 const app = express();
 app.use(cors());
 app.use(express.json());
 
+// Secrets and mode come from the environment or fred-proxy.config.json only
+let serverConfig;
+try {
+    serverConfig = loadServerConfig();
+} catch (error) {
+    if (error instanceof ConfigError) {
+        console.error(`✗ ${error.message}`);
+        process.exit(1);
+    }
+    throw error;
+}
+
+const FRED_API_URL = process.env.FRED_API_URL || 'https://api.stlouisfed.org/fred';
+
 // Configuration
 const CONFIG = {
-    FRED_API_KEY: process.env.FRED_API_KEY || 'f31a77511e44f9da37c9ec6632333504',
-    FRED_BASE_URL: 'https://api.stlouisfed.org/fred/series/observations',
-    TREASURY_BASE_URL: 'https://api.fiscaldata.treasury.gov/services/api/fiscal_service',
+    FRED_API_KEY: serverConfig.fredApiKey,
+    PROXY_MODE: serverConfig.mode, // 'live', 'record' or 'offline'
+    FIXTURES_DIR: process.env.FIXTURES_DIR || path.join(__dirname, 'fixtures'),
+    // Upstream base URLs can be overridden to point at a local stand-in
+    FRED_BASE_URL: `${FRED_API_URL}/series/observations`,
+    FRED_SERIES_URL: `${FRED_API_URL}/series`,
+    TREASURY_BASE_URL: process.env.TREASURY_API_URL || 'https://api.fiscaldata.treasury.gov/services/api/fiscal_service',
     CACHE_DURATION_MS: 30 * 60 * 1000, // 30 minutes
+    // 'file' or 'memory'; offline runs default to memory so replayed data never lands in the live cache file
+    CACHE_BACKEND: process.env.CACHE_BACKEND || (serverConfig.mode === 'offline' ? 'memory' : 'file'),
+    CACHE_FILE: process.env.CACHE_FILE || path.join(__dirname, '.cache', 'fred-proxy-cache.json'),
+    CACHE_MAX_STALE_MS: 7 * 24 * 60 * 60 * 1000, // Keep expired entries 7 days as fallback
+    // History requests with an explicit start or end are cached in memory only, newest entries kept
+    HISTORY_RANGE_CACHE_ENTRIES: 200,
+    // Probability snapshots posted by the dashboard; offline runs default to memory like the cache
+    SNAPSHOT_BACKEND: process.env.SNAPSHOT_BACKEND || (serverConfig.mode === 'offline' ? 'memory' : 'file'),
+    SNAPSHOT_FILE: process.env.SNAPSHOT_FILE || path.join(__dirname, 'data', 'snapshots.json'),
+    MAX_SNAPSHOTS: parseInt(process.env.MAX_SNAPSHOTS, 10) || 5000, // ~3 months at one refresh per 30 minutes
+    // Custom model settings shared by dashboards using this proxy
+    MODEL_SETTINGS_BACKEND: process.env.MODEL_SETTINGS_BACKEND || (serverConfig.mode === 'offline' ? 'memory' : 'file'),
+    MODEL_SETTINGS_FILE: process.env.MODEL_SETTINGS_FILE || path.join(__dirname, 'data', 'model-settings.json'),
+    // Scheduled checks record snapshots and deliver alert changes to ALERT_WEBHOOKS
+    ALERT_WEBHOOKS: serverConfig.alertWebhooks,
+    ALERT_CHECK_INTERVAL_MS: (parseInt(process.env.ALERT_CHECK_INTERVAL_MINUTES, 10) || 30) * 60 * 1000,
+    ALERT_DEDUP_WINDOW_MS: (parseInt(process.env.ALERT_DEDUP_HOURS, 10) || 24) * 60 * 60 * 1000,
+    ALERT_MAX_ATTEMPTS: parseInt(process.env.ALERT_MAX_ATTEMPTS, 10) || 3,
+    ALERT_RETRY_DELAY_MS: parseInt(process.env.ALERT_RETRY_DELAY_MS, 10) || 1000,
+    ALERT_DELIVERY_BACKEND: process.env.ALERT_DELIVERY_BACKEND || (serverConfig.mode === 'offline' ? 'memory' : 'file'),
+    ALERT_DELIVERY_FILE: process.env.ALERT_DELIVERY_FILE || path.join(__dirname, 'data', 'alert-deliveries.json'),
+    // Bearer token for routes that change shared state (unset: those routes are disabled)
+    ADMIN_TOKEN: serverConfig.adminToken,
     REQUEST_TIMEOUT_MS: 10000, // 10 seconds
-    MAX_RETRIES: 3,
+    MAX_RETRIES: parseInt(process.env.MAX_RETRIES, 10) || 3,
     PORT: process.env.PORT || 3001
 };
 
-// In-memory cache
-const cache = {
-    data: {},
+// Response cache (in-memory or file-backed, see server/cacheStore.js)
+const cache = createCacheStore({
+    backend: CONFIG.CACHE_BACKEND,
+    ttlMs: CONFIG.CACHE_DURATION_MS,
+    maxStaleMs: CONFIG.CACHE_MAX_STALE_MS,
+    filePath: CONFIG.CACHE_FILE
+});
 
-    set(key, value) {
-        this.data[key] = {
-            value,
-            timestamp: Date.now()
-        };
-    },
+// Serves stale entries while refreshing and coalesces concurrent upstream fetches
+const loader = new CachedLoader(cache);
 
-    get(key) {
-        const cached = this.data[key];
-        if (!cached) return null;
+// History for explicit start/end ranges: every distinct range would otherwise add
+// a week-long entry to the persistent cache, so these stay in a small memory cache
+const rangeCache = new MemoryCacheStore({
+    ttlMs: CONFIG.CACHE_DURATION_MS,
+    maxStaleMs: CONFIG.CACHE_DURATION_MS,
+    maxEntries: CONFIG.HISTORY_RANGE_CACHE_ENTRIES
+});
+const rangeLoader = new CachedLoader(rangeCache);
 
-        const age = Date.now() - cached.timestamp;
-        if (age > CONFIG.CACHE_DURATION_MS) {
-            delete this.data[key];
-            return null;
-        }
+// Recorded upstream responses (written in record mode, served in offline mode)
+const fixtures = new FixtureStore(CONFIG.FIXTURES_DIR);
 
-        return cached.value;
-    },
+// Probability history recorded by the scheduled checks
+const snapshots = createSnapshotStore({
+    backend: CONFIG.SNAPSHOT_BACKEND,
+    maxSnapshots: CONFIG.MAX_SNAPSHOTS,
+    filePath: CONFIG.SNAPSHOT_FILE
+});
 
-    clear() {
-        this.data = {};
-    },
+// Custom model settings saved from the dashboard settings panel
+const modelSettings = createModelSettingsStore({
+    backend: CONFIG.MODEL_SETTINGS_BACKEND,
+    filePath: CONFIG.MODEL_SETTINGS_FILE
+});
 
-    getStats() {
-        const keys = Object.keys(this.data);
-        const now = Date.now();
-        const fresh = keys.filter(k => now - this.data[k].timestamp < CONFIG.CACHE_DURATION_MS);
-        return {
-            total: keys.length,
-            fresh: fresh.length,
-            stale: keys.length - fresh.length
-        };
+// Scheduled checks run the dashboard's computation here, record snapshots and POST alert changes to webhooks
+const alertChecker = new AlertChecker({
+    modelSettings,
+    snapshots,
+    dispatcher: new AlertDispatcher({
+        webhooks: CONFIG.ALERT_WEBHOOKS,
+        log: createDeliveryLog({
+            backend: CONFIG.ALERT_DELIVERY_BACKEND,
+            filePath: CONFIG.ALERT_DELIVERY_FILE
+        }),
+        maxAttempts: CONFIG.ALERT_MAX_ATTEMPTS,
+        retryDelayMs: CONFIG.ALERT_RETRY_DELAY_MS,
+        dedupWindowMs: CONFIG.ALERT_DEDUP_WINDOW_MS,
+        timeoutMs: CONFIG.REQUEST_TIMEOUT_MS
+    })
+});
+
+// Routes that change shared state or post to the webhooks need the admin token
+const adminOnly = requireAdminToken(CONFIG.ADMIN_TOKEN);
+
+// Utility: Fetch from upstream, or from recorded fixtures in offline mode
+async function fetchWithRetry(url, options = {}, retries = CONFIG.MAX_RETRIES) {
+    if (CONFIG.PROXY_MODE === 'offline') {
+        const data = fixtures.read(url, options.params);
+        if (!data) {
+            throw new Error(`No recorded fixture for ${fixtures.keyFor(url, options.params)} (offline mode)`);
+        }
+        return { data, status: 200 };
     }
-};
+
+    const response = await fetchFromUpstream(url, options, retries);
+
+    if (CONFIG.PROXY_MODE === 'record') {
+        const key = fixtures.write(url, options.params, response.data);
+        console.log(`  ● Recorded ${key}`);
+    }
+
+    return response;
+}
 
 // Utility: Fetch with retry logic
-async function fetchWithRetry(url, options = {}, retries = CONFIG.MAX_RETRIES) {
+async function fetchFromUpstream(url, options, retries) {
     for (let attempt = 1; attempt <= retries; attempt++) {
         try {
             const response = await axios({
@@ -117,6 +216,70 @@ function validateFREDResponse(data, seriesId) {
     return true;
 }
 
+// Utility: Reference "today" for relative history windows
+// Offline mode uses the recording date so replayed requests match recorded ones
+function historyReferenceDate() {
+    if (CONFIG.PROXY_MODE === 'offline') {
+        return fixtures.getReferenceDate() || new Date();
+    }
+    return new Date();
+}
+
+// Utility: Human-readable cache age for logs
+function formatAge(ms) {
+    const minutes = Math.round(ms / 60000);
+    if (minutes < 60) return `${minutes}m`;
+    const hours = Math.round(minutes / 60);
+    if (hours < 48) return `${hours}h`;
+    return `${Math.round(hours / 24)}d`;
+}
+
+// Utility: Log how a cached load was served
+function logCacheResult(label, result, indent = '') {
+    if (result.stale) {
+        const age = Date.now() - new Date(result.cachedAt).getTime();
+        console.log(`${indent}↺ Serving stale ${label} (${formatAge(age)} old), refreshing in background`);
+    } else if (result.cached) {
+        console.log(`${indent}✓ Cache hit: ${label}`);
+    }
+}
+
+// Fetch the latest observation of a FRED series
+async function fetchLatestObservation(seriesId) {
+    console.log(`⟳ Fetching from FRED: ${seriesId}`);
+
+    const response = await fetchWithRetry(CONFIG.FRED_BASE_URL, {
+        params: {
+            series_id: seriesId,
+            api_key: CONFIG.FRED_API_KEY,
+            file_type: 'json',
+            sort_order: 'desc',
+            limit: 1
+        }
+    });
+
+    validateFREDResponse(response.data, seriesId);
+    return response.data;
+}
+
+// Fetch series metadata (native frequency, units) from FRED
+async function fetchSeriesInfo(seriesId) {
+    const response = await fetchWithRetry(CONFIG.FRED_SERIES_URL, {
+        params: {
+            series_id: seriesId,
+            api_key: CONFIG.FRED_API_KEY,
+            file_type: 'json'
+        }
+    });
+
+    const info = response.data && response.data.seriess && response.data.seriess[0];
+    if (!info || !info.frequency_short) {
+        throw new Error(`Invalid FRED series info for ${seriesId}`);
+    }
+
+    return info;
+}
+
 // ========================================
 // ENDPOINTS
 // ========================================
@@ -128,8 +291,16 @@ app.get('/health', (req, res) => {
     const cacheStats = cache.getStats();
     res.json({
         status: 'ok',
+        mode: CONFIG.PROXY_MODE,
         timestamp: new Date().toISOString(),
         cache: cacheStats,
+        snapshots: snapshots.getStats(),
+        modelSettings: modelSettings.getStats(),
+        alerts: {
+            ...alertChecker.getStats(),
+            deliveries: alertChecker.dispatcher.log.getStats()
+        },
+        pendingRequests: loader.getPendingCount(),
         uptime: process.uptime()
     });
 });
@@ -142,37 +313,12 @@ app.get('/api/fred/:seriesId', async (req, res) => {
     const cacheKey = `fred:${seriesId}`;
 
     try {
-        // Check cache first
-        const cached = cache.get(cacheKey);
-        if (cached) {
-            console.log(`✓ Cache hit: ${seriesId}`);
-            return res.json({
-                ...cached,
-                cached: true
-            });
-        }
-
-        console.log(`⟳ Fetching from FRED: ${seriesId}`);
+        const result = await loader.load(cacheKey, () => fetchLatestObservation(seriesId));
+        logCacheResult(seriesId, result);
 
-        // Fetch from FRED API
-        const response = await fetchWithRetry(CONFIG.FRED_BASE_URL, {
-            params: {
-                series_id: seriesId,
-                api_key: CONFIG.FRED_API_KEY,
-                file_type: 'json',
-                sort_order: 'desc',
-                limit: 1
-            }
-        });
-
-        // Validate response
-        validateFREDResponse(response.data, seriesId);
-
-        // Cache and return
-        cache.set(cacheKey, response.data);
         res.json({
-            ...response.data,
-            cached: false
+            ...result.value,
+            ...cacheMeta(result)
         });
 
     } catch (error) {
@@ -210,37 +356,19 @@ app.post('/api/fred/batch', async (req, res) => {
                 const cacheKey = `fred:${seriesId}`;
 
                 try {
-                    // Check cache first
-                    const cached = cache.get(cacheKey);
-                    if (cached) {
-                        results[seriesId] = { ...cached, cached: true };
+                    const result = await loader.load(cacheKey, () => fetchLatestObservation(seriesId));
+                    logCacheResult(seriesId, result, '  ');
+
+                    if (result.cached) {
                         cacheHits++;
-                        console.log(`  ✓ Cache hit: ${seriesId}`);
-                        return;
+                    } else {
+                        cacheMisses++;
                     }
 
-                    cacheMisses++;
-                    console.log(`  ⟳ Fetching: ${seriesId}`);
-
-                    // Fetch from FRED
-                    const response = await fetchWithRetry(CONFIG.FRED_BASE_URL, {
-                        params: {
-                            series_id: seriesId,
-                            api_key: CONFIG.FRED_API_KEY,
-                            file_type: 'json',
-                            sort_order: 'desc',
-                            limit: 1
-                        }
-                    });
-
-                    // Validate
-                    validateFREDResponse(response.data, seriesId);
-
-                    // Cache and store
-                    cache.set(cacheKey, response.data);
-                    results[seriesId] = { ...response.data, cached: false };
+                    results[seriesId] = { ...result.value, ...cacheMeta(result) };
 
                 } catch (error) {
+                    cacheMisses++;
                     console.error(`  ✗ Error fetching ${seriesId}:`, error.message);
                     results[seriesId] = {
                         error: error.message,
@@ -258,6 +386,7 @@ app.post('/api/fred/batch', async (req, res) => {
                 total: series.length,
                 successful: Object.values(results).filter(r => !r.error).length,
                 failed: Object.values(results).filter(r => r.error).length,
+                stale: Object.values(results).filter(r => r.stale).length,
                 cacheHits,
                 cacheMisses
             }
@@ -273,86 +402,80 @@ app.post('/api/fred/batch', async (req, res) => {
 });
 
 /**
- * Get Budget Deficit to GDP ratio from Treasury API
+ * Fetch monthly Treasury receipts and outlays and GDP, and compute the
+ * rolling 12-month Deficit/GDP history (see server/treasuryDeficit.js)
  */
-app.get('/api/treasury/deficit', async (req, res) => {
-    const cacheKey = 'treasury:deficit_gdp';
-
-    try {
-        // Check cache first
-        const cached = cache.get(cacheKey);
-        if (cached) {
-            console.log('✓ Cache hit: deficit/GDP');
-            return res.json({
-                ...cached,
-                cached: true
-            });
-        }
-
-        console.log('⟳ Fetching Treasury deficit data...');
-
-        // Fetch recent monthly deficit data
-        // Using Monthly Treasury Statement (MTS)
-        const deficitResponse = await fetchWithRetry(
-            `${CONFIG.TREASURY_BASE_URL}/v1/accounting/mts/mts_table_5`,
-            {
-                params: {
-                    filter: 'line_code_nbr:eq:5694', // Total Deficit
-                    sort: '-record_date',
-                    page: { number: 1, size: 12 } // Last 12 months
-                }
-            }
-        );
-
-        // Fetch GDP data from FRED
-        const gdpResponse = await fetchWithRetry(CONFIG.FRED_BASE_URL, {
+async function fetchDeficitHistory() {
+    console.log('⟳ Fetching Treasury deficit data...');
+
+    // Monthly Treasury Statement, Table 1: receipts and outlays by month for the
+    // current and previous fiscal year, in each of the latest publications
+    const mtsResponse = await fetchWithRetry(
+        `${CONFIG.TREASURY_BASE_URL}/v1/accounting/mts/mts_table_1`,
+        {
             params: {
-                series_id: 'GDP',
-                api_key: CONFIG.FRED_API_KEY,
-                file_type: 'json',
-                sort_order: 'desc',
-                limit: 1
+                sort: '-record_date,src_line_nbr',
+                page: { number: 1, size: 500 }
             }
-        });
-
-        // Process deficit data
-        if (!deficitResponse.data || !deficitResponse.data.data || deficitResponse.data.data.length === 0) {
-            throw new Error('No deficit data available from Treasury');
         }
+    );
+
+    // Latest quarters of GDP (seasonally adjusted annual rate)
+    const gdpResponse = await fetchWithRetry(CONFIG.FRED_BASE_URL, {
+        params: {
+            series_id: 'GDP',
+            api_key: CONFIG.FRED_API_KEY,
+            file_type: 'json',
+            sort_order: 'desc',
+            limit: 8
+        }
+    });
 
-        // Sum up last 12 months of deficit (fiscal year)
-        const deficitData = deficitResponse.data.data;
-        let annualDeficit = 0;
+    if (!mtsResponse.data || !Array.isArray(mtsResponse.data.data) || mtsResponse.data.data.length === 0) {
+        throw new Error('No deficit data available from Treasury');
+    }
+    validateFREDResponse(gdpResponse.data, 'GDP');
 
-        for (let i = 0; i < Math.min(12, deficitData.length); i++) {
-            const monthlyDeficit = parseFloat(deficitData[i].current_fytd_net_outly_amt || 0);
-            annualDeficit = monthlyDeficit; // The FYTD (Fiscal Year to Date) already contains cumulative
-            if (i === 0) break; // We only need the most recent FYTD value
-        }
+    const months = parseMTSMonths(mtsResponse.data.data);
+    const history = rollingDeficitGDP(months, gdpResponse.data.observations);
+    if (history.length === 0) {
+        throw new Error(`Treasury data has no run of 12 consecutive months (${months.length} months)`);
+    }
 
-        // Process GDP data
-        validateFREDResponse(gdpResponse.data, 'GDP');
-        const gdp = parseFloat(gdpResponse.data.observations[0].value);
+    const latest = history[history.length - 1];
+    console.log(`✓ Deficit/GDP ratio: ${latest.deficit_gdp_ratio}% (12 months to ${latest.date})`);
 
-        // Calculate ratio (convert deficit from millions to match GDP billions)
-        const deficitGDPRatio = Math.abs((annualDeficit / 1000) / gdp * 100);
+    return {
+        source: 'US Treasury MTS & FRED GDP',
+        months: formatMonths(months),
+        history
+    };
+}
 
-        const result = {
-            deficit_gdp_ratio: parseFloat(deficitGDPRatio.toFixed(2)),
-            annual_deficit_billions: parseFloat((annualDeficit / 1000).toFixed(2)),
-            gdp_billions: gdp,
-            source: 'US Treasury MTS & FRED GDP',
-            date: deficitData[0].record_date,
-            gdp_date: gdpResponse.data.observations[0].date
-        };
+/**
+ * Get the trailing 12-month Budget Deficit to GDP ratio
+ *
+ * Includes the 12 monthly receipts/outlays/deficit values it is built from.
+ */
+app.get('/api/treasury/deficit', async (req, res) => {
+    try {
+        const result = await loader.load('treasury:deficit_history', fetchDeficitHistory);
+        logCacheResult('deficit/GDP', result);
 
-        // Cache and return
-        cache.set(cacheKey, result);
-        console.log(`✓ Deficit/GDP ratio: ${result.deficit_gdp_ratio}%`);
+        const { source, months, history } = result.value;
+        const latest = history[history.length - 1];
 
         res.json({
-            ...result,
-            cached: false
+            deficit_gdp_ratio: latest.deficit_gdp_ratio,
+            annual_deficit_billions: latest.deficit_12m_billions,
+            receipts_billions: latest.receipts_12m_billions,
+            outlays_billions: latest.outlays_12m_billions,
+            gdp_billions: latest.gdp_billions,
+            source,
+            date: latest.date,
+            gdp_date: latest.gdp_date,
+            months: months.filter(month => month.date <= latest.date).slice(-12),
+            ...cacheMeta(result)
         });
 
     } catch (error) {
@@ -361,43 +484,118 @@ app.get('/api/treasury/deficit', async (req, res) => {
         // Return estimate as fallback
         res.json({
             deficit_gdp_ratio: 7.2,
-            source: 'Estimate (Treasury API unavailable)',
-            note: error.message,
+            source: 'Estimate',
+            note: `Treasury API unavailable: ${error.message}`,
             timestamp: new Date().toISOString(),
             cached: false
         });
     }
 });
 
+/**
+ * Get the rolling 12-month Deficit/GDP history, newest first, for trend analysis
+ *
+ * Query parameters: start, end or months, as for /api/fred/:seriesId/history
+ * (frequency and aggregation are ignored; the history is monthly).
+ */
+app.get('/api/treasury/deficit/history', async (req, res) => {
+    let window;
+    try {
+        window = parseHistoryQuery(req.query, historyReferenceDate());
+    } catch (error) {
+        if (error instanceof HistoryQueryError) {
+            return res.status(400).json({
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+        throw error;
+    }
+
+    try {
+        const result = await loader.load('treasury:deficit_history', fetchDeficitHistory);
+        logCacheResult('deficit/GDP history', result);
+
+        const inWindow = (item) => item.date >= window.start && item.date <= window.end;
+        const observations = result.value.history
+            .filter(inWindow)
+            .reverse()
+            .map(({ deficit_gdp_ratio, ...rest }) => ({ value: deficit_gdp_ratio, ...rest }));
+
+        res.json({
+            seriesId: 'DeficitGDP',
+            source: result.value.source,
+            start: window.start,
+            end: window.end,
+            frequency: 'm',
+            observations,
+            months: result.value.months.filter(inWindow).reverse(),
+            count: observations.length,
+            ...cacheMeta(result)
+        });
+
+    } catch (error) {
+        console.error('✗ Error fetching deficit history:', error.message);
+        res.status(500).json({
+            error: error.message,
+            seriesId: 'DeficitGDP',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
 /**
  * Get historical data for trend analysis
+ *
+ * Query parameters:
+ * - start, end: YYYY-MM-DD calendar window (end defaults to today)
+ * - months: window length when start is omitted (default 12)
+ * - frequency: d, w, bw, m, q, sa, a (or daily, monthly, ...)
+ * - aggregation: avg, sum, eop (end-of-period); defaults to avg
  */
 app.get('/api/fred/:seriesId/history', async (req, res) => {
     const { seriesId } = req.params;
-    const { months = 12 } = req.query;
-    const cacheKey = `fred:${seriesId}:history:${months}`;
 
+    let request;
     try {
-        // Check cache
-        const cached = cache.get(cacheKey);
-        if (cached) {
-            console.log(`✓ Cache hit: ${seriesId} history`);
-            return res.json({
-                ...cached,
-                cached: true
+        request = parseHistoryQuery(req.query, historyReferenceDate());
+    } catch (error) {
+        if (error instanceof HistoryQueryError) {
+            return res.status(400).json({
+                error: error.message,
+                seriesId,
+                timestamp: new Date().toISOString()
             });
         }
+        throw error;
+    }
+
+    const { start, end, frequency, aggregation } = request;
+    const cacheKey = `fred:${seriesId}:history:${start}:${end}:${frequency || 'native'}:${aggregation || 'none'}`;
+    // Windows ending today (the months form) are few and shared; explicit ranges are not
+    const historyLoader = req.query.start || req.query.end ? rangeLoader : loader;
+
+    const fetchHistory = async () => {
+        // Only look up the native frequency when we may need to aggregate
+        let nativeFrequency = null;
+        if (frequency) {
+            try {
+                const info = await loader.load(`fred:${seriesId}:info`, () => fetchSeriesInfo(seriesId));
+                nativeFrequency = info.value.frequency_short;
+            } catch (error) {
+                console.warn(`⚠ Could not determine frequency of ${seriesId}, returning native data:`, error.message);
+            }
+        }
 
-        console.log(`⟳ Fetching history from FRED: ${seriesId} (${months} months)`);
+        const fredRequest = buildFREDHistoryParams(request, nativeFrequency);
+        console.log(`⟳ Fetching history from FRED: ${seriesId} (${start} to ${end}, ${fredRequest.frequency || 'native'})`);
 
-        // Fetch historical data
         const response = await fetchWithRetry(CONFIG.FRED_BASE_URL, {
             params: {
                 series_id: seriesId,
                 api_key: CONFIG.FRED_API_KEY,
                 file_type: 'json',
-                sort_order: 'desc',
-                limit: parseInt(months)
+                ...fredRequest.params
             }
         });
 
@@ -405,17 +603,24 @@ app.get('/api/fred/:seriesId/history', async (req, res) => {
             throw new Error(`Invalid FRED response for ${seriesId}`);
         }
 
-        const result = {
+        return {
             seriesId,
+            start,
+            end,
+            frequency: fredRequest.frequency || 'native',
+            aggregation: fredRequest.aggregation,
             observations: response.data.observations,
             count: response.data.observations.length
         };
+    };
+
+    try {
+        const result = await historyLoader.load(cacheKey, fetchHistory);
+        logCacheResult(`${seriesId} history`, result);
 
-        // Cache and return
-        cache.set(cacheKey, result);
         res.json({
-            ...result,
-            cached: false
+            ...result.value,
+            ...cacheMeta(result)
         });
 
     } catch (error) {
@@ -428,11 +633,139 @@ app.get('/api/fred/:seriesId/history', async (req, res) => {
     }
 });
 
+/**
+ * Store a probability snapshot (admin token required, e.g. for backfills;
+ * the scheduled checks record the shared history themselves)
+ *
+ * Body: { timestamp?, mode, probabilities, factors, indicators, sources }
+ */
+app.post('/api/snapshots', adminOnly, (req, res) => {
+    try {
+        const snapshot = snapshots.add(req.body);
+        console.log(`● Snapshot stored (${snapshot.timestamp})`);
+        res.status(201).json({ id: snapshot.id, timestamp: snapshot.timestamp });
+    } catch (error) {
+        if (error instanceof SnapshotError) {
+            return res.status(400).json({
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+        throw error;
+    }
+});
+
+/**
+ * List probability snapshots, oldest first
+ *
+ * Query parameters:
+ * - since, until: ISO timestamps (inclusive)
+ * - limit: return only the newest N matching snapshots
+ */
+app.get('/api/snapshots', (req, res) => {
+    try {
+        const results = snapshots.list(req.query);
+        res.json({
+            snapshots: results,
+            count: results.length
+        });
+    } catch (error) {
+        if (error instanceof SnapshotError) {
+            return res.status(400).json({
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+        throw error;
+    }
+});
+
+/**
+ * Get the shared model settings
+ */
+app.get('/api/model-settings', (req, res) => {
+    const record = modelSettings.get();
+    if (!record) {
+        return res.status(404).json({
+            error: 'No model settings stored',
+            timestamp: new Date().toISOString()
+        });
+    }
+    res.json(record);
+});
+
+/**
+ * Replace the shared model settings (admin token required)
+ */
+app.put('/api/model-settings', adminOnly, (req, res) => {
+    try {
+        const record = modelSettings.set(req.body);
+        console.log(`● Model settings saved (${record.updatedAt})`);
+        res.json(record);
+    } catch (error) {
+        if (error instanceof ModelSettingsError) {
+            return res.status(400).json({
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+        throw error;
+    }
+});
+
+/**
+ * Remove the shared model settings (admin token required; dashboards fall back to the defaults)
+ */
+app.delete('/api/model-settings', adminOnly, (req, res) => {
+    modelSettings.clear();
+    console.log('↺ Model settings reset to defaults');
+    res.status(204).end();
+});
+
+/**
+ * Run an alert check now and deliver any alert changes (admin token required)
+ */
+app.post('/api/alerts/check', adminOnly, async (req, res) => {
+    try {
+        // Always check through this proxy itself, never a host named by the request
+        const result = await alertChecker.check(`http://127.0.0.1:${req.socket.localPort}`);
+        res.json(result);
+    } catch (error) {
+        res.status(502).json({
+            error: 'Alert check failed',
+            message: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+/**
+ * Alert delivery log, newest first (?limit=&status=delivered|failed|duplicate)
+ */
+app.get('/api/alerts/deliveries', (req, res) => {
+    const limit = req.query.limit ? parseInt(req.query.limit, 10) : 100;
+    if (isNaN(limit) || limit < 1) {
+        return res.status(400).json({
+            error: `Invalid limit: ${req.query.limit} (expected a positive integer)`,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    const deliveries = alertChecker.dispatcher.log.list({ limit, status: req.query.status || null });
+    res.json({
+        deliveries,
+        count: deliveries.length,
+        checks: alertChecker.getStats(),
+        timestamp: new Date().toISOString()
+    });
+});
+
 /**
  * Clear cache (admin endpoint)
  */
 app.post('/api/cache/clear', (req, res) => {
     cache.clear();
+    rangeCache.clear();
     console.log('🗑️  Cache cleared');
     res.json({
         status: 'ok',
@@ -464,41 +797,64 @@ app.use((err, req, res, next) => {
 // START SERVER
 // ========================================
 
-const server = app.listen(CONFIG.PORT, () => {
-    console.log('\n' + '='.repeat(60));
-    console.log('🚀 FRED API Proxy Server');
-    console.log('='.repeat(60));
-    console.log(`Port:          ${CONFIG.PORT}`);
-    console.log(`Cache TTL:     ${CONFIG.CACHE_DURATION_MS / 1000 / 60} minutes`);
-    console.log(`Timeout:       ${CONFIG.REQUEST_TIMEOUT_MS / 1000} seconds`);
-    console.log(`Max Retries:   ${CONFIG.MAX_RETRIES}`);
-    console.log('='.repeat(60));
-    console.log('\nEndpoints:');
-    console.log(`  GET  /health`);
-    console.log(`  GET  /api/fred/:seriesId`);
-    console.log(`  POST /api/fred/batch`);
-    console.log(`  GET  /api/treasury/deficit`);
-    console.log(`  GET  /api/fred/:seriesId/history`);
-    console.log(`  GET  /api/cache/stats`);
-    console.log(`  POST /api/cache/clear`);
-    console.log('\n✓ Ready to accept connections\n');
-});
+// Only listen when run directly, so scripts and tests can require the app
+if (require.main === module) {
+    const server = app.listen(CONFIG.PORT, () => {
+        console.log('\n' + '='.repeat(60));
+        console.log('🚀 FRED API Proxy Server');
+        console.log('='.repeat(60));
+        console.log(`Port:          ${CONFIG.PORT}`);
+        console.log(`Mode:          ${CONFIG.PROXY_MODE}${CONFIG.PROXY_MODE !== 'live' ? ` (fixtures: ${CONFIG.FIXTURES_DIR})` : ''}`);
+        console.log(`Cache TTL:     ${CONFIG.CACHE_DURATION_MS / 1000 / 60} minutes`);
+        console.log(`Cache Backend: ${CONFIG.CACHE_BACKEND}${CONFIG.CACHE_BACKEND === 'file' ? ` (${CONFIG.CACHE_FILE})` : ''}`);
+        console.log(`Snapshots:     ${CONFIG.SNAPSHOT_BACKEND}${CONFIG.SNAPSHOT_BACKEND === 'file' ? ` (${CONFIG.SNAPSHOT_FILE})` : ''}`);
+        console.log(`Model Settings: ${CONFIG.MODEL_SETTINGS_BACKEND}${CONFIG.MODEL_SETTINGS_BACKEND === 'file' ? ` (${CONFIG.MODEL_SETTINGS_FILE})` : ''}`);
+        console.log(`Alert Webhooks: ${CONFIG.ALERT_WEBHOOKS.map(webhook => webhook.name).join(', ') || 'none'}`);
+        console.log(`Admin Routes:  ${CONFIG.ADMIN_TOKEN ? 'enabled (ADMIN_TOKEN set)' : 'disabled (set ADMIN_TOKEN)'}`);
+        console.log(`Checks:        every ${CONFIG.ALERT_CHECK_INTERVAL_MS / 60000} minutes (snapshots${CONFIG.ALERT_WEBHOOKS.length > 0 ? ' and alerts' : ''})`);
+        console.log(`Timeout:       ${CONFIG.REQUEST_TIMEOUT_MS / 1000} seconds`);
+        console.log(`Max Retries:   ${CONFIG.MAX_RETRIES}`);
+        console.log('='.repeat(60));
+        console.log('\nEndpoints:');
+        console.log(`  GET  /health`);
+        console.log(`  GET  /api/fred/:seriesId`);
+        console.log(`  POST /api/fred/batch`);
+        console.log(`  GET  /api/treasury/deficit`);
+        console.log(`  GET  /api/treasury/deficit/history`);
+        console.log(`  GET  /api/fred/:seriesId/history?start=&end=&frequency=&aggregation=`);
+        console.log(`  GET  /api/snapshots?since=&until=&limit=`);
+        console.log(`  POST /api/snapshots (admin)`);
+        console.log(`  GET  /api/model-settings`);
+        console.log(`  PUT  /api/model-settings (admin)`);
+        console.log(`  DELETE /api/model-settings (admin)`);
+        console.log(`  POST /api/alerts/check (admin)`);
+        console.log(`  GET  /api/alerts/deliveries?limit=&status=`);
+        console.log(`  GET  /api/cache/stats`);
+        console.log(`  POST /api/cache/clear`);
+        console.log('\n✓ Ready to accept connections\n');
+
+        // Runs without webhooks too: the checks also record the shared probability history
+        alertChecker.start(`http://127.0.0.1:${server.address().port}`, CONFIG.ALERT_CHECK_INTERVAL_MS);
+    });
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
-    console.log('\n🛑 SIGTERM received, shutting down gracefully...');
-    server.close(() => {
-        console.log('✓ Server closed');
-        process.exit(0);
+    // Graceful shutdown
+    process.on('SIGTERM', () => {
+        console.log('\n🛑 SIGTERM received, shutting down gracefully...');
+        alertChecker.stop();
+        server.close(() => {
+            console.log('✓ Server closed');
+            process.exit(0);
+        });
     });
-});
 
-process.on('SIGINT', () => {
-    console.log('\n🛑 SIGINT received, shutting down gracefully...');
-    server.close(() => {
-        console.log('✓ Server closed');
-        process.exit(0);
+    process.on('SIGINT', () => {
+        console.log('\n🛑 SIGINT received, shutting down gracefully...');
+        alertChecker.stop();
+        server.close(() => {
+            console.log('✓ Server closed');
+            process.exit(0);
+        });
     });
-});
+}
 
 module.exports = app;
@@ -0,0 +1,104 @@
+/**
+ * Backtest the recession probability against NBER recession dates
+ *
+ * Starts the proxy (offline by default, replaying recorded fixtures),
+ * replays monthly FRED history through the probability model and prints
+ * Brier score, log loss and hit/false-alarm rates next to a constant
+ * base-rate forecast.
+ *
+ * Usage: npm run backtest -- [--mode bayesian] [--step] [--horizon 6]
+ *                            [--start 2000-01-01] [--end 2020-12-31]
+ *                            [--threshold 0.3] [--json] [--verbose]
+ *
+ * Record the history first with `npm run record-fixtures`, or run against
+ * FRED directly with PROXY_MODE=live FRED_API_KEY=... npm run backtest.
+ */
+
+process.env.PROXY_MODE = process.env.PROXY_MODE || 'offline';
+process.env.CACHE_BACKEND = 'memory';
+
+const path = require('path');
+const { pathToFileURL } = require('url');
+const app = require('../fred-proxy-server');
+
+function importFrontend(file) {
+    return import(pathToFileURL(path.join(__dirname, '..', 'src', 'js', file)).href);
+}
+
+function parseArgs(argv) {
+    const options = { json: false, verbose: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => argv[++i];
+
+        switch (arg) {
+            case '--mode': options.mode = next(); break;
+            case '--step': options.useCurves = false; break;
+            case '--horizon': options.horizonMonths = parseInt(next(), 10); break;
+            case '--start': options.start = next(); break;
+            case '--end': options.end = next(); break;
+            case '--threshold': options.alertThreshold = parseFloat(next()); break;
+            case '--json': options.json = true; break;
+            case '--verbose': options.verbose = true; break;
+            default: throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+    return options;
+}
+
+function formatNumber(value, digits = 4) {
+    return value === null ? 'n/a' : value.toFixed(digits);
+}
+
+function formatRate(value) {
+    return value === null ? 'n/a' : `${(value * 100).toFixed(1)}%`;
+}
+
+function printReport({ settings, missingSeries, metrics, baseline }) {
+    console.log(`\n📈 Backtest: ${settings.event} vs USREC`);
+    console.log(`   ${settings.start} → ${settings.end}, ${settings.horizonMonths}-month horizon, ` +
+        `${settings.mode} model, ${settings.useCurves ? 'graded curves' : 'step thresholds'}`);
+
+    if (missingSeries.length > 0) {
+        console.log(`   ⚠ Missing history (rules skipped): ${missingSeries.join(', ')}`);
+    }
+
+    console.log(`\n   Months scored:     ${metrics.count} (${metrics.positives} with a recession within the horizon)`);
+    console.log('                      Model      Base rate');
+    console.log(`   Brier score:       ${formatNumber(metrics.brier)}     ${formatNumber(baseline.brier)}`);
+    console.log(`   Log loss:          ${formatNumber(metrics.logLoss)}     ${formatNumber(baseline.logLoss)}`);
+    console.log(`   Hit rate:          ${formatRate(metrics.hitRate)}      (alert at ≥ ${formatRate(settings.alertThreshold)})`);
+    console.log(`   False alarm rate:  ${formatRate(metrics.falseAlarmRate)}\n`);
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const { CONFIG } = await importFrontend('config.js');
+    const { Backtester } = await importFrontend('backtester.js');
+
+    const server = app.listen(0);
+    CONFIG.BACKEND_URL = `http://localhost:${server.address().port}`;
+
+    // The calculator logs every evaluation; keep the report readable
+    const log = console.log;
+    if (!options.verbose) console.log = () => {};
+
+    try {
+        const result = await new Backtester(options).run();
+        console.log = log;
+
+        if (options.json) {
+            console.log(JSON.stringify(result, null, 2));
+        } else {
+            printReport(result);
+        }
+    } finally {
+        console.log = log;
+        server.close();
+    }
+}
+
+main().catch(error => {
+    console.error('✗ Backtest failed:', error.message);
+    process.exitCode = 1;
+});
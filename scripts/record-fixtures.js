@@ -0,0 +1,81 @@
+/**
+ * Record FRED and Treasury fixtures for offline mode
+ *
+ * Starts the proxy in record mode and requests everything the dashboard
+ * loads: latest values for every indicator, trend history and the
+ * deficit/GDP ratio, plus the history `npm run backtest` replays.
+ * Responses are written to FIXTURES_DIR (default fixtures/), ready to be
+ * served with PROXY_MODE=offline.
+ *
+ * Usage: FRED_API_KEY=... npm run record-fixtures
+ */
+
+process.env.PROXY_MODE = 'record';
+process.env.CACHE_BACKEND = 'memory'; // Every request must reach upstream to be recorded
+
+const axios = require('axios');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const app = require('../fred-proxy-server');
+
+function importFrontend(file) {
+    return import(pathToFileURL(path.join(__dirname, '..', 'src', 'js', file)).href);
+}
+
+async function main() {
+    const { CONFIG, INDICATORS } = await importFrontend('config.js');
+    const { TREND_CONFIG } = await importFrontend('trendAnalyzer.js');
+    const { Backtester } = await importFrontend('backtester.js');
+    const seriesIds = Object.keys(INDICATORS).filter(id => INDICATORS[id].provider === 'fred');
+
+    const server = app.listen(0);
+    const baseUrl = `http://localhost:${server.address().port}`;
+    CONFIG.BACKEND_URL = baseUrl;
+    let failures = 0;
+
+    try {
+        console.log(`\n⟳ Recording latest values for ${seriesIds.length} series...`);
+        const batch = await axios.post(`${baseUrl}/api/fred/batch`, { series: seriesIds });
+        failures += batch.data._metadata.failed;
+
+        console.log('\n⟳ Recording trend history...');
+        for (const seriesId of seriesIds) {
+            try {
+                await axios.get(`${baseUrl}/api/fred/${seriesId}/history`, {
+                    params: {
+                        months: TREND_CONFIG.ANALYSIS_WINDOW_MONTHS,
+                        frequency: TREND_CONFIG.HISTORY_FREQUENCY,
+                        aggregation: TREND_CONFIG.HISTORY_AGGREGATION
+                    }
+                });
+            } catch (error) {
+                failures++;
+                console.error(`  ✗ History for ${seriesId} failed:`, error.message);
+            }
+        }
+
+        console.log('\n⟳ Recording backtest history...');
+        const { missing } = await new Backtester().loadHistories();
+        failures += missing.length;
+        missing.forEach(seriesId => console.error(`  ✗ Backtest history for ${seriesId} failed`));
+
+        console.log('\n⟳ Recording Treasury deficit...');
+        const deficit = await axios.get(`${baseUrl}/api/treasury/deficit`);
+        if (deficit.data.source && deficit.data.source.startsWith('Estimate')) {
+            failures++;
+            console.error('  ✗ Treasury deficit fell back to estimate:', deficit.data.note);
+        }
+    } finally {
+        server.close();
+    }
+
+    console.log(failures === 0
+        ? '\n✓ Fixtures recorded'
+        : `\n⚠ Fixtures recorded with ${failures} failure(s)`);
+    process.exitCode = failures === 0 ? 0 : 1;
+}
+
+main().catch(error => {
+    console.error('✗ Recording failed:', error.message);
+    process.exitCode = 1;
+});
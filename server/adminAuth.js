@@ -0,0 +1,47 @@
+/**
+ * Admin token check for the FRED proxy server's write routes
+ *
+ * Routes that change shared state (model settings) or act on the proxy's
+ * behalf (alert checks delivered to webhooks) require
+ *
+ *   Authorization: Bearer <ADMIN_TOKEN>
+ *
+ * Without a configured token those routes are disabled (403), so a proxy
+ * is read-only for the public until its operator opts in.
+ */
+
+const crypto = require('crypto');
+
+function tokensMatch(given, expected) {
+    const a = crypto.createHash('sha256').update(given).digest();
+    const b = crypto.createHash('sha256').update(expected).digest();
+    return crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Express middleware that lets a request through only with the admin token
+ */
+function requireAdminToken(adminToken) {
+    return (req, res, next) => {
+        if (!adminToken) {
+            return res.status(403).json({
+                error: 'This route is disabled: set ADMIN_TOKEN on the proxy to enable it',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const match = /^Bearer (.+)$/.exec(req.get('authorization') || '');
+        if (!match || !tokensMatch(match[1], adminToken)) {
+            return res.status(401).json({
+                error: 'Missing or invalid admin token',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        next();
+    };
+}
+
+module.exports = {
+    requireAdminToken
+};
@@ -0,0 +1,208 @@
+/**
+ * Scheduled alert checks for the FRED proxy server
+ *
+ * Runs the dashboard's own computation (DataService, ProbabilityCalculator
+ * and AlertMonitor from src/js, loaded as ES modules) against this proxy,
+ * with the shared model settings applied, and hands the alert changes to
+ * the AlertDispatcher. Alert hysteresis state lives for the life of the
+ * process; the delivery log's deduplication covers restarts. A check is
+ * skipped while any indicator comes from a fallback (mock data or an
+ * estimate), so an upstream outage never reaches the webhooks as an alert.
+ *
+ * Each completed check also adds a probability snapshot to the shared history
+ * when it used the default model, so the history only holds live data
+ * computed the same way for every dashboard.
+ */
+
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+function importFrontend(file) {
+    return import(pathToFileURL(path.join(__dirname, '..', 'src', 'js', file)).href);
+}
+
+class AlertChecker {
+    /**
+     * - modelSettings: the proxy's model settings store
+     * - dispatcher: AlertDispatcher
+     * - snapshots: the proxy's snapshot store (optional)
+     */
+    constructor({ modelSettings, dispatcher, snapshots = null }) {
+        this.modelSettings = modelSettings;
+        this.dispatcher = dispatcher;
+        this.snapshots = snapshots;
+        this.calculator = null;
+        this.monitor = null;
+        this.running = null;
+        this.lastRun = null;
+        this.lastError = null;
+        this.lastSkipped = null;
+        this.runs = 0;
+        this.timer = null;
+    }
+
+    /**
+     * Compute probabilities through the proxy at `baseUrl` and deliver alert changes
+     * Concurrent calls share one run. Resolves to { timestamp, probabilities, banner,
+     * criticalEvents, levels, changes, deliveries }, or to { timestamp, skipped: true,
+     * fallbackIndicators, changes: [], deliveries: [] } when the inputs were not all live.
+     */
+    check(baseUrl) {
+        if (!this.running) {
+            this.running = this.run(baseUrl).finally(() => {
+                this.running = null;
+            });
+        }
+        return this.running;
+    }
+
+    async run(baseUrl) {
+        const timestamp = new Date();
+
+        try {
+            const [
+                { CONFIG },
+                { DataService },
+                { ProbabilityCalculator },
+                { AlertMonitor },
+                { applyModelSettings, isCustomModel },
+                { createSnapshot, isShareableSnapshot }
+            ] = await Promise.all([
+                importFrontend('config.js'),
+                importFrontend('dataService.js'),
+                importFrontend('probabilityCalculator.js'),
+                importFrontend('alertMonitor.js'),
+                importFrontend('modelSettings.js'),
+                importFrontend('snapshotService.js')
+            ]);
+
+            CONFIG.BACKEND_URL = baseUrl;
+            const settings = this.applySettings(applyModelSettings);
+
+            const dataService = new DataService();
+            dataService.useBackend = true;
+            const indicators = await dataService.fetchAllData();
+
+            const fallbackIndicators = dataService.getFallbackIndicators();
+            if (fallbackIndicators.length > 0) {
+                return this.skip(timestamp, fallbackIndicators);
+            }
+
+            this.calculator = this.calculator || new ProbabilityCalculator();
+            this.monitor = this.monitor || new AlertMonitor(null);
+            await this.calculator.updateProbabilities(indicators);
+
+            const probabilities = this.calculator.getProbabilities();
+            const snapshot = createSnapshot({
+                probabilities,
+                factors: this.calculator.getAllFactors(),
+                indicators,
+                connectionStatus: dataService.getConnectionStatus(),
+                mode: this.calculator.mode,
+                timestamp
+            });
+            if (this.snapshots && isShareableSnapshot(snapshot, { customModel: isCustomModel(settings) })) {
+                this.snapshots.add(snapshot);
+            }
+
+            const alerts = this.monitor.update({
+                probabilities,
+                bands: this.calculator.getRiskBands(),
+                timestamp
+            });
+
+            const result = {
+                timestamp: timestamp.toISOString(),
+                probabilities,
+                banner: alerts.banner,
+                criticalEvents: alerts.criticalEvents,
+                levels: alerts.levels,
+                changes: alerts.changes
+            };
+            result.deliveries = await this.dispatcher.dispatch(alerts.changes, result, { now: timestamp });
+
+            this.lastRun = result.timestamp;
+            this.lastError = null;
+            this.lastSkipped = null;
+            this.runs++;
+            console.log(`✓ Alert check: banner ${alerts.banner}, ${alerts.changes.length} changes, ${result.deliveries.length} deliveries`);
+            return result;
+        } catch (error) {
+            this.lastError = error.message;
+            console.error('✗ Alert check failed:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Leave the alert state and webhooks alone for a check whose inputs were not all live
+     */
+    skip(timestamp, fallbackIndicators) {
+        const result = {
+            timestamp: timestamp.toISOString(),
+            skipped: true,
+            fallbackIndicators,
+            changes: [],
+            deliveries: []
+        };
+
+        this.lastRun = result.timestamp;
+        this.lastError = null;
+        this.lastSkipped = { timestamp: result.timestamp, fallbackIndicators };
+        this.runs++;
+        console.warn(`⚠️  Alert check skipped: no live data for ${fallbackIndicators.join(', ')}`);
+        return result;
+    }
+
+    /**
+     * Use the shared model settings, so alerts match what dashboards show
+     * Returns the settings applied ({} for the defaults).
+     */
+    applySettings(applyModelSettings) {
+        const record = this.modelSettings.get();
+        const settings = record ? record.settings : {};
+        try {
+            applyModelSettings(settings);
+            return settings;
+        } catch (error) {
+            console.error('✗ Shared model settings are invalid, checking with the defaults:', error.message);
+            applyModelSettings({});
+            return {};
+        }
+    }
+
+    /**
+     * Check every intervalMs (and once right away)
+     */
+    start(baseUrl, intervalMs) {
+        this.stop();
+        const tick = () => this.check(baseUrl).catch(() => {
+            // Already logged; the next tick tries again
+        });
+        tick();
+        this.timer = setInterval(tick, intervalMs);
+        this.timer.unref();
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    getStats() {
+        return {
+            scheduled: this.timer !== null,
+            runs: this.runs,
+            lastRun: this.lastRun,
+            lastError: this.lastError,
+            lastSkipped: this.lastSkipped,
+            webhooks: this.dispatcher.webhooks.map(webhook => ({ name: webhook.name, format: webhook.format }))
+        };
+    }
+}
+
+module.exports = {
+    AlertChecker
+};
@@ -0,0 +1,272 @@
+/**
+ * Alert delivery to webhooks for the FRED proxy server
+ *
+ * Alert changes found by the scheduled check (server/alertChecker.js) are
+ * POSTed to every configured webhook as Slack-compatible JSON, generic JSON
+ * or an email-relay message. Failed posts are retried with backoff, and an
+ * alert already delivered to a webhook within the dedup window is skipped,
+ * so a restart (which re-adopts the current levels) does not repeat alerts.
+ * Every attempt ends up in the delivery log.
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const { withJSONFile } = require('./jsonFile');
+
+const LEVEL_EMOJI = {
+    red: '🔴',
+    orange: '🟠',
+    yellow: '🟡',
+    critical: '🔴',
+    high: '🟠',
+    moderate: '🟡'
+};
+
+/**
+ * Key identifying an alert for deduplication (the same change on the same subject)
+ */
+function dedupKey(alert) {
+    return `${alert.scope}:${alert.type}:${alert.level}`;
+}
+
+/**
+ * One-line description of an alert
+ */
+function describeAlert(alert) {
+    const subject = alert.scope === 'banner' ? 'Alert banner' : `${alert.scope} risk`;
+    const verb = alert.type === 'entered' ? 'entered' : 'cleared';
+    const probability = typeof alert.probability === 'number'
+        ? ` (${(alert.probability * 100).toFixed(1)}%)`
+        : '';
+    return `${subject} ${verb} ${alert.level}${probability}`;
+}
+
+/**
+ * Build the request body for a webhook
+ * `context` is the check result: { timestamp, probabilities, banner, criticalEvents }
+ */
+function formatAlertPayload(alert, webhook, context = {}) {
+    const summary = describeAlert(alert);
+    const probabilities = Object.entries(context.probabilities || {})
+        .map(([event, probability]) => `${event}: ${(probability * 100).toFixed(1)}%`)
+        .join(', ');
+
+    switch (webhook.format) {
+        case 'slack': {
+            const emoji = alert.type === 'entered' ? LEVEL_EMOJI[alert.level] || '⚠️' : '✅';
+            return {
+                text: `${emoji} Dalio Dashboard: ${summary}`,
+                blocks: [
+                    { type: 'section', text: { type: 'mrkdwn', text: `${emoji} *${summary}*` } },
+                    { type: 'context', elements: [{ type: 'mrkdwn', text: probabilities || 'No probabilities' }] }
+                ]
+            };
+        }
+        case 'email':
+            return {
+                to: webhook.to,
+                subject: `Dalio Dashboard: ${summary}`,
+                text: `${summary}\n\nAlert banner: ${context.banner || 'none'}\nProbabilities: ${probabilities}\nChecked at: ${context.timestamp || alert.timestamp}`
+            };
+        default:
+            return {
+                type: 'dalio-dashboard.alert',
+                id: dedupKey(alert),
+                summary,
+                alert,
+                banner: context.banner || null,
+                criticalEvents: context.criticalEvents || [],
+                probabilities: context.probabilities || {},
+                checkedAt: context.timestamp || alert.timestamp
+            };
+    }
+}
+
+/**
+ * In-memory delivery log (lost on restart)
+ * Entries: { id, timestamp, webhook, format, key, summary, status, attempts, error }
+ * where status is 'delivered', 'failed' or 'duplicate'.
+ */
+class MemoryDeliveryLog {
+    constructor({ maxEntries = 1000 } = {}) {
+        this.name = 'memory';
+        this.maxEntries = maxEntries;
+        this.entries = [];
+    }
+
+    add(entry) {
+        const stored = { id: crypto.randomUUID(), ...entry };
+        this.entries.push(stored);
+        if (this.entries.length > this.maxEntries) {
+            this.entries.splice(0, this.entries.length - this.maxEntries);
+        }
+        this.persist();
+        return stored;
+    }
+
+    /**
+     * Entries, newest first
+     */
+    list({ limit = 100, status = null } = {}) {
+        return this.entries
+            .filter(entry => !status || entry.status === status)
+            .slice(-limit)
+            .reverse();
+    }
+
+    /**
+     * Whether an alert was delivered to a webhook at or after `since` (ms)
+     */
+    wasDelivered(webhook, key, since) {
+        return this.entries.some(entry =>
+            entry.webhook === webhook &&
+            entry.key === key &&
+            entry.status === 'delivered' &&
+            Date.parse(entry.timestamp) >= since
+        );
+    }
+
+    getStats() {
+        const count = (status) => this.entries.filter(entry => entry.status === status).length;
+        return {
+            backend: this.name,
+            entries: this.entries.length,
+            delivered: count('delivered'),
+            failed: count('failed'),
+            duplicates: count('duplicate')
+        };
+    }
+
+    persist() {
+        // Nothing to persist for the in-memory backend
+    }
+}
+
+/**
+ * JSON file delivery log (survives restarts, so deduplication does too)
+ */
+class FileDeliveryLog extends withJSONFile(MemoryDeliveryLog, {
+    label: 'alert delivery log',
+    serialize: (log) => ({ entries: log.entries }),
+    restore: (log, contents) => {
+        if (Array.isArray(contents.entries)) {
+            log.entries = contents.entries.slice(-log.maxEntries);
+            return `${log.entries.length} alert deliveries`;
+        }
+    }
+}) {}
+
+/**
+ * Create a delivery log from configuration
+ */
+function createDeliveryLog({ backend = 'memory', filePath, maxEntries }) {
+    switch (backend) {
+        case 'memory':
+            return new MemoryDeliveryLog({ maxEntries });
+        case 'file':
+            return new FileDeliveryLog({ filePath, maxEntries });
+        default:
+            throw new Error(`Unknown alert delivery backend: ${backend}`);
+    }
+}
+
+/**
+ * Default transport: POST JSON with axios
+ */
+function postJSON(url, body, { timeoutMs }) {
+    return axios.post(url, body, { timeout: timeoutMs, headers: { 'Content-Type': 'application/json' } });
+}
+
+/**
+ * Sends alerts to webhooks with retry and deduplication
+ */
+class AlertDispatcher {
+    constructor({
+        webhooks = [],
+        log,
+        post = postJSON,
+        maxAttempts = 3,
+        retryDelayMs = 1000,
+        dedupWindowMs = 24 * 60 * 60 * 1000,
+        timeoutMs = 10000
+    }) {
+        this.webhooks = webhooks;
+        this.log = log;
+        this.post = post;
+        this.maxAttempts = maxAttempts;
+        this.retryDelayMs = retryDelayMs;
+        this.dedupWindowMs = dedupWindowMs;
+        this.timeoutMs = timeoutMs;
+    }
+
+    /**
+     * Deliver every alert to every webhook; returns the log entries written
+     */
+    async dispatch(alerts, context = {}, { now = new Date() } = {}) {
+        const entries = [];
+
+        for (const alert of alerts) {
+            const key = dedupKey(alert);
+            const summary = describeAlert(alert);
+
+            for (const webhook of this.webhooks) {
+                const base = { webhook: webhook.name, format: webhook.format, key, summary };
+
+                if (this.log.wasDelivered(webhook.name, key, now.getTime() - this.dedupWindowMs)) {
+                    entries.push(this.log.add({ ...base, timestamp: now.toISOString(), status: 'duplicate', attempts: 0, error: null }));
+                    continue;
+                }
+
+                const { attempts, error } = await this.send(webhook, formatAlertPayload(alert, webhook, context));
+                entries.push(this.log.add({
+                    ...base,
+                    timestamp: new Date().toISOString(),
+                    status: error ? 'failed' : 'delivered',
+                    attempts,
+                    error
+                }));
+
+                if (error) {
+                    console.error(`✗ Alert delivery to ${webhook.name} failed after ${attempts} attempts: ${error}`);
+                } else {
+                    console.log(`✓ Alert delivered to ${webhook.name}: ${summary}`);
+                }
+            }
+        }
+
+        return entries;
+    }
+
+    /**
+     * POST with exponential backoff; resolves to { attempts, error }
+     */
+    async send(webhook, body) {
+        let lastError = null;
+
+        for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+            try {
+                await this.post(webhook.url, body, { timeoutMs: this.timeoutMs });
+                return { attempts: attempt, error: null };
+            } catch (error) {
+                lastError = error.response ? `HTTP ${error.response.status}` : error.message;
+
+                if (attempt < this.maxAttempts) {
+                    const delay = Math.pow(2, attempt - 1) * this.retryDelayMs;
+                    await new Promise(resolve => setTimeout(resolve, delay));
+                }
+            }
+        }
+
+        return { attempts: this.maxAttempts, error: lastError };
+    }
+}
+
+module.exports = {
+    AlertDispatcher,
+    MemoryDeliveryLog,
+    FileDeliveryLog,
+    createDeliveryLog,
+    formatAlertPayload,
+    describeAlert,
+    dedupKey
+};
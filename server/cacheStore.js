@@ -0,0 +1,154 @@
+/**
+ * Cache backends for the FRED proxy server
+ *
+ * All backends share the same interface:
+ * - get(key)       → fresh value or null
+ * - getStale(key)  → last stored value regardless of age, or null
+ * - set(key, value)
+ * - clear()
+ * - getStats()
+ *
+ * Expired entries are kept (up to maxStaleMs) so the proxy can fall back
+ * to the last good value when an upstream API is unreachable.
+ */
+
+const { withJSONFile } = require('./jsonFile');
+
+/**
+ * In-memory cache (lost on restart)
+ */
+class MemoryCacheStore {
+    /**
+     * - maxEntries: drop the oldest entries beyond this many (default: no limit)
+     */
+    constructor({ ttlMs, maxStaleMs = Infinity, maxEntries = Infinity } = {}) {
+        this.name = 'memory';
+        this.ttlMs = ttlMs;
+        this.maxStaleMs = maxStaleMs;
+        this.maxEntries = maxEntries;
+        this.data = {};
+    }
+
+    set(key, value) {
+        this.data[key] = {
+            value,
+            timestamp: Date.now()
+        };
+
+        const keys = Object.keys(this.data);
+        if (keys.length > this.maxEntries) {
+            keys.sort((a, b) => this.data[a].timestamp - this.data[b].timestamp)
+                .slice(0, keys.length - this.maxEntries)
+                .forEach(oldest => delete this.data[oldest]);
+        }
+
+        this.persist();
+    }
+
+    get(key) {
+        const cached = this.data[key];
+        if (!cached) return null;
+
+        const age = Date.now() - cached.timestamp;
+        if (age > this.ttlMs) {
+            return null;
+        }
+
+        return cached.value;
+    }
+
+    getStale(key) {
+        const cached = this.data[key];
+        if (!cached) return null;
+
+        const age = Date.now() - cached.timestamp;
+        if (age > this.maxStaleMs) {
+            delete this.data[key];
+            this.persist();
+            return null;
+        }
+
+        return {
+            value: cached.value,
+            timestamp: cached.timestamp,
+            age
+        };
+    }
+
+    clear() {
+        this.data = {};
+        this.persist();
+    }
+
+    getStats() {
+        const keys = Object.keys(this.data);
+        const now = Date.now();
+        const fresh = keys.filter(k => now - this.data[k].timestamp < this.ttlMs);
+        return {
+            backend: this.name,
+            total: keys.length,
+            fresh: fresh.length,
+            stale: keys.length - fresh.length
+        };
+    }
+
+    /**
+     * Remove entries older than maxStaleMs
+     */
+    prune() {
+        const now = Date.now();
+        let removed = 0;
+
+        for (const key of Object.keys(this.data)) {
+            if (now - this.data[key].timestamp > this.maxStaleMs) {
+                delete this.data[key];
+                removed++;
+            }
+        }
+
+        return removed;
+    }
+
+    persist() {
+        // Nothing to persist for the in-memory backend
+    }
+}
+
+/**
+ * JSON file cache (survives restarts)
+ *
+ * The whole cache is rewritten on every change. The proxy stores a few dozen
+ * entries at most, so a single file is simpler than a database.
+ */
+class FileCacheStore extends withJSONFile(MemoryCacheStore, {
+    label: 'cache file',
+    serialize: (store) => store.data,
+    restore: (store, contents) => {
+        if (contents && typeof contents === 'object') {
+            store.data = contents;
+        }
+
+        const removed = store.prune();
+        return `${Object.keys(store.data).length} cache entries` + (removed > 0 ? ` (pruned ${removed} expired)` : '');
+    }
+}) {}
+
+/**
+ * Create a cache backend from configuration
+ */
+function createCacheStore({ backend = 'memory', ttlMs, maxStaleMs, filePath }) {
+    switch (backend) {
+        case 'memory':
+            return new MemoryCacheStore({ ttlMs, maxStaleMs });
+        case 'file':
+            return new FileCacheStore({ ttlMs, maxStaleMs, filePath });
+        default:
+            throw new Error(`Unknown cache backend: ${backend}`);
+    }
+}
+
+module.exports = {
+    MemoryCacheStore,
+    FileCacheStore,
+    createCacheStore
+};
@@ -0,0 +1,88 @@
+/**
+ * Stale-while-revalidate loader with in-flight request coalescing
+ *
+ * - Fresh cache entry: returned as-is
+ * - Expired entry: returned immediately, refreshed in the background
+ * - Missing entry: fetched, with concurrent callers sharing one upstream promise
+ */
+
+class CachedLoader {
+    constructor(cache) {
+        this.cache = cache;
+        this.inFlight = new Map();
+    }
+
+    /**
+     * Load a value for key, calling fetcher only when needed
+     * Resolves to { value, cached, stale, cachedAt }
+     */
+    async load(key, fetcher) {
+        const fresh = this.cache.get(key);
+        if (fresh) {
+            return { value: fresh, cached: true, stale: false };
+        }
+
+        const stale = this.cache.getStale(key);
+        if (stale) {
+            this.refresh(key, fetcher).catch(error => {
+                console.error(`✗ Background refresh failed for ${key}:`, error.message);
+            });
+
+            return {
+                value: stale.value,
+                cached: true,
+                stale: true,
+                cachedAt: new Date(stale.timestamp).toISOString()
+            };
+        }
+
+        const value = await this.refresh(key, fetcher);
+        return { value, cached: false, stale: false };
+    }
+
+    /**
+     * Fetch and cache a value, sharing the promise with concurrent callers
+     */
+    refresh(key, fetcher) {
+        if (this.inFlight.has(key)) {
+            return this.inFlight.get(key);
+        }
+
+        const promise = Promise.resolve()
+            .then(fetcher)
+            .then(value => {
+                this.cache.set(key, value);
+                return value;
+            })
+            .finally(() => {
+                this.inFlight.delete(key);
+            });
+
+        this.inFlight.set(key, promise);
+        return promise;
+    }
+
+    /**
+     * Number of upstream requests currently in progress
+     */
+    getPendingCount() {
+        return this.inFlight.size;
+    }
+}
+
+/**
+ * Cache metadata fields added to every cached API response
+ */
+function cacheMeta(result) {
+    const meta = { cached: result.cached };
+    if (result.stale) {
+        meta.stale = true;
+        meta.cachedAt = result.cachedAt;
+    }
+    return meta;
+}
+
+module.exports = {
+    CachedLoader,
+    cacheMeta
+};
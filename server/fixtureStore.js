@@ -0,0 +1,120 @@
+/**
+ * Recorded upstream responses for offline (replay) mode
+ *
+ * In record mode every successful FRED/Treasury response is written to the
+ * fixtures directory; in offline mode the proxy answers from those files
+ * instead of calling upstream. Fixtures are keyed by URL and request
+ * parameters (minus the API key), so every route replays with the same
+ * response shape it had when recorded.
+ *
+ * Layout:
+ *   fixtures/manifest.json                       { recordedAt, files }
+ *   fixtures/fred-observations/DGS10-<hash>.json { request, recordedAt, data }
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Never written to disk
+const SECRET_PARAMS = ['api_key'];
+
+/**
+ * Stable JSON string with sorted object keys
+ */
+function canonicalize(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalize).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const keys = Object.keys(value).sort();
+        return `{${keys.map(k => `${JSON.stringify(k)}:${canonicalize(value[k])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+function stripSecrets(params = {}) {
+    const clean = { ...params };
+    SECRET_PARAMS.forEach(name => delete clean[name]);
+    return clean;
+}
+
+class FixtureStore {
+    constructor(dir) {
+        this.dir = dir;
+        this.manifestPath = path.join(dir, 'manifest.json');
+    }
+
+    /**
+     * Relative fixture path for a request
+     */
+    keyFor(url, params = {}) {
+        const clean = stripSecrets(params);
+        const { pathname } = new URL(url);
+        const provider = pathname.includes('fiscal_service') ? 'treasury' : 'fred';
+        const group = `${provider}-${path.basename(pathname)}`;
+        const label = (clean.series_id || 'request').replace(/[^a-zA-Z0-9_]+/g, '_');
+        const hash = crypto
+            .createHash('sha1')
+            .update(canonicalize({ url, params: clean }))
+            .digest('hex')
+            .slice(0, 10);
+
+        return path.join(group, `${label}-${hash}.json`);
+    }
+
+    /**
+     * Recorded response body, or null when nothing was recorded
+     */
+    read(url, params) {
+        const filePath = path.join(this.dir, this.keyFor(url, params));
+        if (!fs.existsSync(filePath)) {
+            return null;
+        }
+
+        return JSON.parse(fs.readFileSync(filePath, 'utf8')).data;
+    }
+
+    /**
+     * Record a response body
+     */
+    write(url, params, data) {
+        const key = this.keyFor(url, params);
+        const filePath = path.join(this.dir, key);
+        const recordedAt = new Date().toISOString();
+
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, JSON.stringify({
+            request: { url, params: stripSecrets(params) },
+            recordedAt,
+            data
+        }, null, 2));
+
+        const manifest = this.getManifest();
+        manifest.recordedAt = recordedAt;
+        manifest.files = Array.from(new Set([...(manifest.files || []), key])).sort();
+        fs.writeFileSync(this.manifestPath, JSON.stringify(manifest, null, 2));
+
+        return key;
+    }
+
+    getManifest() {
+        if (!fs.existsSync(this.manifestPath)) {
+            return {};
+        }
+        return JSON.parse(fs.readFileSync(this.manifestPath, 'utf8'));
+    }
+
+    /**
+     * Date the fixtures were recorded, used as "today" when replaying so
+     * relative windows (e.g. last 12 months) resolve to the recorded requests
+     */
+    getReferenceDate() {
+        const { recordedAt } = this.getManifest();
+        return recordedAt ? new Date(recordedAt) : null;
+    }
+}
+
+module.exports = {
+    FixtureStore
+};
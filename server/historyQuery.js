@@ -0,0 +1,177 @@
+/**
+ * Query parsing for the FRED history endpoint
+ *
+ * Translates `start`, `end`, `months`, `frequency` and `aggregation` query
+ * parameters into a calendar window and FRED observation parameters, so a
+ * "12 month" request covers 12 calendar months whether the series is daily,
+ * monthly or annual.
+ */
+
+// FRED frequency codes, ordered from highest to lowest frequency
+const FREQUENCY_ORDER = ['d', 'w', 'bw', 'm', 'q', 'sa', 'a'];
+
+const FREQUENCY_ALIASES = {
+    daily: 'd',
+    weekly: 'w',
+    biweekly: 'bw',
+    monthly: 'm',
+    quarterly: 'q',
+    semiannual: 'sa',
+    annual: 'a'
+};
+
+const AGGREGATION_ALIASES = {
+    avg: 'avg',
+    average: 'avg',
+    mean: 'avg',
+    sum: 'sum',
+    eop: 'eop',
+    'end-of-period': 'eop',
+    last: 'eop'
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_MONTHS = 600;
+
+class HistoryQueryError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'HistoryQueryError';
+    }
+}
+
+/**
+ * Format a Date as YYYY-MM-DD (UTC)
+ */
+function toISODate(date) {
+    return date.toISOString().split('T')[0];
+}
+
+/**
+ * Subtract whole calendar months from a YYYY-MM-DD date
+ * (day is clamped to the target month, so Mar 31 - 1 month = Feb 28)
+ */
+function subtractMonths(isoDate, months) {
+    const date = new Date(`${isoDate}T00:00:00Z`);
+    const day = date.getUTCDate();
+
+    date.setUTCDate(1);
+    date.setUTCMonth(date.getUTCMonth() - months);
+
+    const daysInMonth = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+    date.setUTCDate(Math.min(day, daysInMonth));
+
+    return toISODate(date);
+}
+
+function parseDate(value, name) {
+    if (!DATE_PATTERN.test(value) || isNaN(new Date(`${value}T00:00:00Z`).getTime())) {
+        throw new HistoryQueryError(`Invalid ${name} date: ${value} (expected YYYY-MM-DD)`);
+    }
+    return value;
+}
+
+function parseFrequency(value) {
+    const normalized = String(value).toLowerCase();
+    const code = FREQUENCY_ALIASES[normalized] || normalized;
+    if (!FREQUENCY_ORDER.includes(code)) {
+        throw new HistoryQueryError(`Invalid frequency: ${value}`);
+    }
+    return code;
+}
+
+function parseAggregation(value) {
+    const code = AGGREGATION_ALIASES[String(value).toLowerCase()];
+    if (!code) {
+        throw new HistoryQueryError(`Invalid aggregation: ${value} (use avg, sum or eop)`);
+    }
+    return code;
+}
+
+/**
+ * Parse history query parameters into a normalized request
+ *
+ * - end defaults to today, and is clamped to it
+ * - start defaults to `months` (default 12) calendar months before end
+ * - frequency is optional; aggregation defaults to avg when frequency is set
+ */
+function parseHistoryQuery(query = {}, today = new Date()) {
+    // No observations exist after today, so later ends are the same request
+    const todayDate = toISODate(today);
+    const end = query.end && parseDate(query.end, 'end') < todayDate ? query.end : todayDate;
+
+    let start;
+    if (query.start) {
+        start = parseDate(query.start, 'start');
+    } else {
+        const months = query.months === undefined ? 12 : parseInt(query.months, 10);
+        if (isNaN(months) || months < 1 || months > MAX_MONTHS) {
+            throw new HistoryQueryError(`Invalid months: ${query.months} (expected 1-${MAX_MONTHS})`);
+        }
+        start = subtractMonths(end, months);
+    }
+
+    if (start > end) {
+        throw new HistoryQueryError(`start (${start}) must be before end (${end})`);
+    }
+
+    const frequency = query.frequency ? parseFrequency(query.frequency) : null;
+    const aggregation = query.aggregation ? parseAggregation(query.aggregation) : (frequency ? 'avg' : null);
+
+    return { start, end, frequency, aggregation };
+}
+
+/**
+ * Whether FRED can aggregate a series from nativeFrequency to targetFrequency
+ * (only same or lower frequencies are allowed)
+ */
+function canAggregate(nativeFrequency, targetFrequency) {
+    if (!nativeFrequency) {
+        return false;
+    }
+
+    const nativeIndex = FREQUENCY_ORDER.indexOf(String(nativeFrequency).toLowerCase());
+    const targetIndex = FREQUENCY_ORDER.indexOf(targetFrequency);
+    if (nativeIndex === -1 || targetIndex === -1) {
+        return false;
+    }
+    return targetIndex >= nativeIndex;
+}
+
+/**
+ * Build FRED observation parameters for a parsed history request
+ * Frequency is only applied when the series can be aggregated to it
+ */
+function buildFREDHistoryParams(request, nativeFrequency) {
+    const params = {
+        observation_start: request.start,
+        observation_end: request.end,
+        sort_order: 'desc'
+    };
+
+    const native = nativeFrequency ? String(nativeFrequency).toLowerCase() : null;
+    const applyFrequency = Boolean(request.frequency) &&
+        request.frequency !== native &&
+        canAggregate(native, request.frequency);
+
+    if (applyFrequency) {
+        params.frequency = request.frequency;
+        params.aggregation_method = request.aggregation;
+    }
+
+    return {
+        params,
+        frequency: applyFrequency ? request.frequency : native,
+        aggregation: applyFrequency ? request.aggregation : null
+    };
+}
+
+module.exports = {
+    FREQUENCY_ORDER,
+    HistoryQueryError,
+    parseHistoryQuery,
+    buildFREDHistoryParams,
+    canAggregate,
+    subtractMonths,
+    toISODate
+};
@@ -0,0 +1,102 @@
+/**
+ * JSON file persistence for the FRED proxy server's stores
+ *
+ * The cache, snapshot, model settings and alert delivery stores each come as
+ * an in-memory class and a file-backed subclass that loads the file once and
+ * rewrites it on every change. withJSONFile() builds the file-backed subclass
+ * from the in-memory one, so only the (de)serialization differs per store.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Parsed contents of a JSON file, or null when it is missing or unreadable
+ */
+function readJSONFile(filePath, label) {
+    try {
+        if (!fs.existsSync(filePath)) {
+            return null;
+        }
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        console.error(`✗ Could not read ${label} ${filePath}:`, error.message);
+        return null;
+    }
+}
+
+/**
+ * Replace a JSON file (null removes it); errors are logged, not thrown
+ */
+function writeJSONFile(filePath, value, label) {
+    try {
+        if (value === null) {
+            fs.rmSync(filePath, { force: true });
+            return;
+        }
+
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+        // Write to a temp file first so a crash never leaves a truncated file
+        const tempPath = `${filePath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(value));
+        fs.renameSync(tempPath, filePath);
+    } catch (error) {
+        console.error(`✗ Could not write ${label} ${filePath}:`, error.message);
+    }
+}
+
+/**
+ * File-backed subclass of an in-memory store class
+ *
+ * - label: what the file holds, for log messages
+ * - serialize(store): the value to write after every change (null removes the file)
+ * - restore(store, contents): take over what serialize() wrote; returns a
+ *   description for the log (e.g. '12 snapshots'), or nothing to stay quiet.
+ *   If it throws, the store keeps its empty state.
+ *
+ * The in-memory class must call this.persist() after every change.
+ */
+function withJSONFile(MemoryStore, { label, serialize, restore }) {
+    return class extends MemoryStore {
+        constructor({ filePath, ...options } = {}) {
+            super(options);
+            this.name = 'file';
+            this.filePath = filePath;
+            this.load();
+        }
+
+        load() {
+            const contents = readJSONFile(this.filePath, label);
+            if (contents === null) {
+                return;
+            }
+
+            try {
+                const loaded = restore(this, contents);
+                if (loaded) {
+                    console.log(`✓ Loaded ${loaded} from ${this.filePath}`);
+                }
+            } catch (error) {
+                console.error(`✗ Could not read ${label} ${this.filePath}:`, error.message);
+            }
+        }
+
+        persist() {
+            writeJSONFile(this.filePath, serialize(this), label);
+        }
+
+        getStats() {
+            return {
+                ...super.getStats(),
+                file: this.filePath
+            };
+        }
+    };
+}
+
+module.exports = {
+    readJSONFile,
+    writeJSONFile,
+    withJSONFile
+};
@@ -0,0 +1,147 @@
+/**
+ * Shared model settings storage for the FRED proxy server
+ *
+ * The dashboard can save its custom priors, risk thresholds, rule thresholds,
+ * factors and correlation discounts here so every browser using the proxy
+ * starts from the same model. Only one settings document is kept; the
+ * dashboard validates the values, the store only checks their shape.
+ */
+
+const { withJSONFile } = require('./jsonFile');
+
+const SECTIONS = ['priors', 'riskThresholds', 'rules', 'correlationDiscount'];
+const MAX_DEPTH = 4;
+
+class ModelSettingsError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ModelSettingsError';
+    }
+}
+
+/**
+ * Check that a section is nested objects ending in finite numbers
+ */
+function checkNumbers(value, location, depth) {
+    if (typeof value === 'number') {
+        if (!Number.isFinite(value)) {
+            throw new ModelSettingsError(`Invalid number at ${location}`);
+        }
+        return;
+    }
+
+    if (!value || typeof value !== 'object' || Array.isArray(value) || depth > MAX_DEPTH) {
+        throw new ModelSettingsError(`Invalid value at ${location} (expected a number or an object of numbers)`);
+    }
+
+    for (const [key, child] of Object.entries(value)) {
+        checkNumbers(child, `${location}.${key}`, depth + 1);
+    }
+}
+
+/**
+ * Validate posted settings and keep only the known sections
+ */
+function normalizeModelSettings(body) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        throw new ModelSettingsError('Model settings must be a JSON object');
+    }
+
+    const unknown = Object.keys(body).filter(key => !SECTIONS.includes(key));
+    if (unknown.length > 0) {
+        throw new ModelSettingsError(`Unknown model settings: ${unknown.join(', ')} (expected ${SECTIONS.join(', ')})`);
+    }
+
+    const settings = {};
+    for (const section of SECTIONS) {
+        if (body[section] !== undefined) {
+            checkNumbers(body[section], section, 1);
+            settings[section] = body[section];
+        }
+    }
+    return settings;
+}
+
+/**
+ * In-memory model settings store (lost on restart)
+ */
+class MemoryModelSettingsStore {
+    constructor() {
+        this.name = 'memory';
+        this.record = null;
+    }
+
+    /**
+     * Stored { settings, updatedAt }, or null if nothing was saved
+     */
+    get() {
+        return this.record;
+    }
+
+    /**
+     * Validate and replace the stored settings
+     */
+    set(body) {
+        this.record = {
+            settings: normalizeModelSettings(body),
+            updatedAt: new Date().toISOString()
+        };
+        this.persist();
+        return this.record;
+    }
+
+    clear() {
+        this.record = null;
+        this.persist();
+    }
+
+    getStats() {
+        return {
+            backend: this.name,
+            stored: this.record !== null,
+            updatedAt: this.record ? this.record.updatedAt : null
+        };
+    }
+
+    persist() {
+        // Nothing to persist for the in-memory backend
+    }
+}
+
+/**
+ * JSON file model settings store (survives restarts)
+ */
+class FileModelSettingsStore extends withJSONFile(MemoryModelSettingsStore, {
+    label: 'model settings file',
+    serialize: (store) => store.record,
+    restore: (store, contents) => {
+        if (contents && contents.settings) {
+            store.record = {
+                settings: normalizeModelSettings(contents.settings),
+                updatedAt: contents.updatedAt || null
+            };
+            return 'model settings';
+        }
+    }
+}) {}
+
+/**
+ * Create a model settings store from configuration
+ */
+function createModelSettingsStore({ backend = 'memory', filePath }) {
+    switch (backend) {
+        case 'memory':
+            return new MemoryModelSettingsStore();
+        case 'file':
+            return new FileModelSettingsStore({ filePath });
+        default:
+            throw new Error(`Unknown model settings backend: ${backend}`);
+    }
+}
+
+module.exports = {
+    ModelSettingsError,
+    MemoryModelSettingsStore,
+    FileModelSettingsStore,
+    createModelSettingsStore
+};
@@ -0,0 +1,150 @@
+/**
+ * Server-side configuration for the FRED proxy
+ *
+ * Secrets are read from the environment or from a JSON config file that is
+ * never served to the browser:
+ *
+ *   FRED_API_KEY=...                    (environment, takes precedence)
+ *   fred-proxy.config.json              { "fredApiKey": "..." }
+ *
+ * Alert webhooks (their URLs usually embed a token) come from the same places:
+ *
+ *   ALERT_WEBHOOKS='[{"url": "https://hooks.slack.com/...", "format": "slack"}]'
+ *   fred-proxy.config.json              { "alertWebhooks": [...] }
+ *
+ * ALERT_WEBHOOKS also accepts a comma-separated list of URLs (generic JSON).
+ *
+ * Routes that change shared state require an admin token (see server/adminAuth.js):
+ *
+ *   ADMIN_TOKEN=...                     (environment, takes precedence)
+ *   fred-proxy.config.json              { "adminToken": "..." }
+ *
+ * The config file location can be changed with PROXY_CONFIG_FILE.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CONFIG_FILE = path.join(__dirname, '..', 'fred-proxy.config.json');
+
+// Proxy modes:
+// - live:    talks to FRED/Treasury
+// - record:  live, and saves every upstream response as a fixture
+// - offline: never calls upstream, replays recorded fixtures
+const PROXY_MODES = ['live', 'record', 'offline'];
+
+// Alert webhook payload formats (see server/alertDelivery.js)
+const WEBHOOK_FORMATS = ['slack', 'json', 'email'];
+
+class ConfigError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ConfigError';
+    }
+}
+
+/**
+ * Read the optional JSON config file
+ */
+function loadConfigFile(filePath = DEFAULT_CONFIG_FILE) {
+    if (!fs.existsSync(filePath)) {
+        return {};
+    }
+
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new ConfigError(`Could not parse ${filePath}: ${error.message}`);
+    }
+}
+
+/**
+ * Parse and check alert webhooks: [{ name, url, format, to }]
+ */
+function parseWebhooks(value) {
+    if (value === undefined || value === null || value === '') {
+        return [];
+    }
+
+    let list = value;
+    if (typeof value === 'string') {
+        const trimmed = value.trim();
+        try {
+            list = trimmed.startsWith('[')
+                ? JSON.parse(trimmed)
+                : trimmed.split(',').map(url => url.trim()).filter(Boolean).map(url => ({ url }));
+        } catch (error) {
+            throw new ConfigError(`Could not parse ALERT_WEBHOOKS: ${error.message}`);
+        }
+    }
+
+    if (!Array.isArray(list)) {
+        throw new ConfigError('Alert webhooks must be a list');
+    }
+
+    return list.map((webhook, i) => {
+        const entry = typeof webhook === 'string' ? { url: webhook } : webhook || {};
+        let url;
+        try {
+            url = new URL(entry.url);
+        } catch (error) {
+            throw new ConfigError(`Alert webhook ${i + 1} has an invalid url`);
+        }
+        if (!['http:', 'https:'].includes(url.protocol)) {
+            throw new ConfigError(`Alert webhook ${i + 1} must use http or https`);
+        }
+
+        const format = entry.format || 'json';
+        if (!WEBHOOK_FORMATS.includes(format)) {
+            throw new ConfigError(`Unknown format for alert webhook ${i + 1}: ${format} (expected one of ${WEBHOOK_FORMATS.join(', ')})`);
+        }
+        if (format === 'email' && !entry.to) {
+            throw new ConfigError(`Alert webhook ${i + 1} uses the email format and needs a "to" address`);
+        }
+
+        return {
+            // Logged instead of the url, which may contain a token
+            name: entry.name || `${format}-${i + 1} (${url.host})`,
+            url: url.toString(),
+            format,
+            to: entry.to || null
+        };
+    });
+}
+
+/**
+ * Resolve proxy mode, FRED API key, alert webhooks and admin token
+ * Throws ConfigError when running live without a key
+ */
+function loadServerConfig(env = process.env) {
+    const fileConfig = loadConfigFile(env.PROXY_CONFIG_FILE || DEFAULT_CONFIG_FILE);
+
+    const mode = (env.PROXY_MODE || fileConfig.proxyMode || 'live').toLowerCase();
+    if (!PROXY_MODES.includes(mode)) {
+        throw new ConfigError(`Unknown PROXY_MODE: ${mode} (expected one of ${PROXY_MODES.join(', ')})`);
+    }
+
+    const fredApiKey = env.FRED_API_KEY || fileConfig.fredApiKey || null;
+    if (!fredApiKey && mode !== 'offline') {
+        throw new ConfigError(
+            'FRED_API_KEY is not set. Set it in the environment or in fred-proxy.config.json ' +
+            '(.env files are not loaded automatically), ' +
+            'or start with PROXY_MODE=offline to run without upstream access.'
+        );
+    }
+
+    const alertWebhooks = parseWebhooks(env.ALERT_WEBHOOKS ?? fileConfig.alertWebhooks);
+
+    // Without one, shared model settings are read-only
+    const adminToken = env.ADMIN_TOKEN || fileConfig.adminToken || null;
+
+    return { mode, fredApiKey, alertWebhooks, adminToken };
+}
+
+module.exports = {
+    PROXY_MODES,
+    WEBHOOK_FORMATS,
+    ConfigError,
+    loadServerConfig,
+    parseWebhooks
+};
@@ -0,0 +1,162 @@
+/**
+ * Probability snapshot storage for the FRED proxy server
+ *
+ * The dashboard posts the result of every refresh (probabilities, active
+ * factors, indicator values and their sources) so risk can be charted over
+ * time. Snapshots are kept oldest first and capped at maxSnapshots.
+ */
+
+const crypto = require('crypto');
+const { withJSONFile } = require('./jsonFile');
+
+class SnapshotError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SnapshotError';
+    }
+}
+
+function parseTimestamp(value, name) {
+    const time = Date.parse(value);
+    if (isNaN(time)) {
+        throw new SnapshotError(`Invalid ${name}: ${value} (expected an ISO date)`);
+    }
+    return new Date(time).toISOString();
+}
+
+/**
+ * Validate a posted snapshot and keep only the known fields
+ */
+function normalizeSnapshot(body) {
+    if (!body || typeof body !== 'object') {
+        throw new SnapshotError('Snapshot must be a JSON object');
+    }
+
+    const { probabilities } = body;
+    if (!probabilities || typeof probabilities !== 'object' || Object.keys(probabilities).length === 0) {
+        throw new SnapshotError('Snapshot must include probabilities');
+    }
+
+    for (const [event, probability] of Object.entries(probabilities)) {
+        if (typeof probability !== 'number' || !(probability >= 0 && probability <= 1)) {
+            throw new SnapshotError(`Invalid probability for ${event}: ${probability} (expected 0-1)`);
+        }
+    }
+
+    return {
+        id: crypto.randomUUID(),
+        timestamp: body.timestamp ? parseTimestamp(body.timestamp, 'timestamp') : new Date().toISOString(),
+        mode: typeof body.mode === 'string' ? body.mode : null,
+        probabilities,
+        factors: body.factors && typeof body.factors === 'object' ? body.factors : {},
+        indicators: body.indicators && typeof body.indicators === 'object' ? body.indicators : {},
+        sources: body.sources && typeof body.sources === 'object' ? body.sources : {}
+    };
+}
+
+/**
+ * In-memory snapshot store (lost on restart)
+ */
+class MemorySnapshotStore {
+    constructor({ maxSnapshots = 5000 } = {}) {
+        this.name = 'memory';
+        this.maxSnapshots = maxSnapshots;
+        this.snapshots = [];
+    }
+
+    /**
+     * Validate and store a snapshot, returning the stored copy
+     */
+    add(body) {
+        const snapshot = normalizeSnapshot(body);
+
+        // Keep chronological order even if a client posts late
+        let index = this.snapshots.length;
+        while (index > 0 && this.snapshots[index - 1].timestamp > snapshot.timestamp) {
+            index--;
+        }
+        this.snapshots.splice(index, 0, snapshot);
+
+        if (this.snapshots.length > this.maxSnapshots) {
+            this.snapshots.splice(0, this.snapshots.length - this.maxSnapshots);
+        }
+
+        this.persist();
+        return snapshot;
+    }
+
+    /**
+     * Snapshots between since and until (inclusive), newest `limit` of them
+     */
+    list({ since, until, limit } = {}) {
+        const from = since ? parseTimestamp(since, 'since') : null;
+        const to = until ? parseTimestamp(until, 'until') : null;
+
+        let count = null;
+        if (limit !== undefined) {
+            count = parseInt(limit, 10);
+            if (isNaN(count) || count < 1) {
+                throw new SnapshotError(`Invalid limit: ${limit} (expected a positive integer)`);
+            }
+        }
+
+        const matching = this.snapshots.filter(s =>
+            (!from || s.timestamp >= from) && (!to || s.timestamp <= to)
+        );
+
+        return count ? matching.slice(-count) : matching;
+    }
+
+    clear() {
+        this.snapshots = [];
+        this.persist();
+    }
+
+    getStats() {
+        return {
+            backend: this.name,
+            total: this.snapshots.length,
+            oldest: this.snapshots.length > 0 ? this.snapshots[0].timestamp : null,
+            newest: this.snapshots.length > 0 ? this.snapshots[this.snapshots.length - 1].timestamp : null
+        };
+    }
+
+    persist() {
+        // Nothing to persist for the in-memory backend
+    }
+}
+
+/**
+ * JSON file snapshot store (survives restarts)
+ */
+class FileSnapshotStore extends withJSONFile(MemorySnapshotStore, {
+    label: 'snapshot file',
+    serialize: (store) => store.snapshots,
+    restore: (store, contents) => {
+        if (Array.isArray(contents)) {
+            store.snapshots = contents.slice(-store.maxSnapshots);
+        }
+        return `${store.snapshots.length} snapshots`;
+    }
+}) {}
+
+/**
+ * Create a snapshot store from configuration
+ */
+function createSnapshotStore({ backend = 'memory', maxSnapshots, filePath }) {
+    switch (backend) {
+        case 'memory':
+            return new MemorySnapshotStore({ maxSnapshots });
+        case 'file':
+            return new FileSnapshotStore({ maxSnapshots, filePath });
+        default:
+            throw new Error(`Unknown snapshot backend: ${backend}`);
+    }
+}
+
+module.exports = {
+    SnapshotError,
+    MemorySnapshotStore,
+    FileSnapshotStore,
+    createSnapshotStore
+};
@@ -0,0 +1,171 @@
+/**
+ * Trailing 12-month federal deficit from the Monthly Treasury Statement
+ *
+ * MTS Table 1 lists receipts and outlays for every month of the current and
+ * previous fiscal year. Each publication is read into calendar months (a
+ * later publication replaces revised months), the deficit (outlays minus
+ * receipts) is summed over every run of 12 consecutive months, and divided
+ * by annual GDP: the mean of the latest four quarterly FRED `GDP` values,
+ * which are already seasonally adjusted annual rates.
+ *
+ * MTS amounts are in millions of dollars; results are in billions.
+ */
+
+const MONTH_NAMES = [
+    'January', 'February', 'March', 'April', 'May', 'June',
+    'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+const FISCAL_YEAR_HEADER = /^FY\s*(\d{4})$/i;
+
+function round2(value) {
+    return parseFloat(value.toFixed(2));
+}
+
+/**
+ * Last day of a month as YYYY-MM-DD (monthIndex 0-11)
+ */
+function monthEnd(year, monthIndex) {
+    return new Date(Date.UTC(year, monthIndex + 1, 0)).toISOString().split('T')[0];
+}
+
+/**
+ * Months since year 0 for a YYYY-MM-DD date, for checking months are consecutive
+ */
+function monthNumber(isoDate) {
+    return parseInt(isoDate.slice(0, 4), 10) * 12 + parseInt(isoDate.slice(5, 7), 10) - 1;
+}
+
+/**
+ * Monthly receipts, outlays and deficit from MTS Table 1 rows, oldest first
+ *
+ * Rows are { record_date, src_line_nbr, classification_desc, record_fiscal_year,
+ * current_month_gross_rcpt_amt, current_month_gross_outly_amt }. Within a
+ * publication a "FY 2024" row starts that fiscal year's months; rows that are
+ * not a month (headers, year-to-date totals) are skipped.
+ * Returns [{ date, receipts_billions, outlays_billions, deficit_billions }].
+ */
+function parseMTSMonths(rows) {
+    const publications = new Map();
+    for (const row of rows || []) {
+        if (!publications.has(row.record_date)) {
+            publications.set(row.record_date, []);
+        }
+        publications.get(row.record_date).push(row);
+    }
+
+    const months = new Map();
+
+    // Oldest publication first, so revisions in newer ones win
+    for (const recordDate of [...publications.keys()].sort()) {
+        const publicationRows = publications.get(recordDate)
+            .sort((a, b) => Number(a.src_line_nbr || 0) - Number(b.src_line_nbr || 0));
+        let fiscalYear = null;
+
+        for (const row of publicationRows) {
+            const label = String(row.classification_desc || '').trim();
+            const header = FISCAL_YEAR_HEADER.exec(label);
+            if (header) {
+                fiscalYear = parseInt(header[1], 10);
+                continue;
+            }
+
+            const monthIndex = MONTH_NAMES.indexOf(label);
+            const year = fiscalYear || parseInt(row.record_fiscal_year, 10);
+            const receipts = parseFloat(row.current_month_gross_rcpt_amt);
+            const outlays = parseFloat(row.current_month_gross_outly_amt);
+            if (monthIndex === -1 || !year || isNaN(receipts) || isNaN(outlays)) {
+                continue;
+            }
+
+            // Fiscal years run October to September
+            const date = monthEnd(monthIndex >= 9 ? year - 1 : year, monthIndex);
+            months.set(date, {
+                date,
+                receipts_billions: receipts / 1000,
+                outlays_billions: outlays / 1000,
+                deficit_billions: (outlays - receipts) / 1000
+            });
+        }
+    }
+
+    return [...months.values()].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Annual GDP for a period ending on `isoDate`
+ * The mean of the latest four quarterly observations starting on or before it
+ * (fewer when the data is shorter). Returns { value, date } or null.
+ */
+function annualGDP(observations, isoDate) {
+    const quarters = (observations || [])
+        .map(obs => ({ date: obs.date, value: parseFloat(obs.value) }))
+        .filter(obs => obs.date <= isoDate && !isNaN(obs.value))
+        .sort((a, b) => b.date.localeCompare(a.date))
+        .slice(0, 4);
+
+    if (quarters.length === 0) {
+        return null;
+    }
+
+    return {
+        value: quarters.reduce((sum, obs) => sum + obs.value, 0) / quarters.length,
+        date: quarters[0].date
+    };
+}
+
+/**
+ * Rolling 12-month deficit/GDP for every month that ends 12 consecutive months
+ * `months` come from parseMTSMonths; `gdpObservations` are FRED GDP { date, value }.
+ * Returns, oldest first: [{ date, deficit_gdp_ratio, deficit_12m_billions,
+ * receipts_12m_billions, outlays_12m_billions, gdp_billions, gdp_date }]
+ */
+function rollingDeficitGDP(months, gdpObservations) {
+    const history = [];
+
+    for (let i = 11; i < months.length; i++) {
+        const window = months.slice(i - 11, i + 1);
+        if (monthNumber(window[11].date) - monthNumber(window[0].date) !== 11) {
+            continue;
+        }
+
+        const gdp = annualGDP(gdpObservations, window[11].date);
+        if (!gdp) {
+            continue;
+        }
+
+        const sum = (field) => window.reduce((total, month) => total + month[field], 0);
+        const deficit = sum('deficit_billions');
+
+        history.push({
+            date: window[11].date,
+            deficit_gdp_ratio: round2(deficit / gdp.value * 100),
+            deficit_12m_billions: round2(deficit),
+            receipts_12m_billions: round2(sum('receipts_billions')),
+            outlays_12m_billions: round2(sum('outlays_billions')),
+            gdp_billions: round2(gdp.value),
+            gdp_date: gdp.date
+        });
+    }
+
+    return history;
+}
+
+/**
+ * Monthly breakdown rounded for responses
+ */
+function formatMonths(months) {
+    return months.map(month => ({
+        date: month.date,
+        receipts_billions: round2(month.receipts_billions),
+        outlays_billions: round2(month.outlays_billions),
+        deficit_billions: round2(month.deficit_billions)
+    }));
+}
+
+module.exports = {
+    parseMTSMonths,
+    annualGDP,
+    rollingDeficitGDP,
+    formatMonths
+};
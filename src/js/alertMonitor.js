@@ -0,0 +1,218 @@
+/**
+ * Alert state for the Ray Dalio Economic Risk Dashboard
+ *
+ * Tracks each risk's alert level (moderate/high/critical) and the banner
+ * (yellow/orange/red) across refreshes with hysteresis: levels are entered
+ * at their threshold, cleared below a lower exit threshold, and escalations
+ * must be confirmed over several refreshes. Every change is written to an
+ * alert log. State and log are kept in localStorage.
+ */
+
+import { CONFIG, ALERTS, BASE_PROBABILITIES } from './config.js';
+import { readStoredJSON, writeStoredJSON } from './utils.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const RISK_ALERT_LEVELS = ['low', 'moderate', 'high', 'critical'];
+export const BANNER_LEVELS = ['none', 'yellow', 'orange', 'red'];
+
+/**
+ * Enter/exit thresholds for a risk's moderate/high/critical bands
+ */
+export function riskAlertThresholds(bands, config = ALERTS) {
+    return ['moderate', 'high', 'critical'].map(name => ({
+        name,
+        enter: bands[name],
+        exit: bands[name] * config.exitRatio
+    }));
+}
+
+/**
+ * Advance one alert level by one observation
+ *
+ * - state: { level, pending } from the previous call, or undefined for the first observation
+ * - levels: [{ name, enter, exit }] in ascending order, above the `baseline` level
+ *
+ * Levels already reached are held until the value drops below their exit threshold.
+ * Escalating needs `confirmRefreshes` consecutive observations (or `confirmDays` days)
+ * above the enter threshold, and goes to the lowest level seen during that window.
+ * The first observation is adopted directly, as there is nothing to flap against.
+ *
+ * Returns { state, transitions: [{ type: 'entered' | 'cleared', level, from, to }] }
+ */
+export function advanceLevel(state, value, levels, { timestamp, baseline, config = ALERTS }) {
+    const names = [baseline, ...levels.map(level => level.name)];
+    const current = state ? Math.max(0, names.indexOf(state.level)) : null;
+
+    let target = 0;
+    levels.forEach((level, i) => {
+        const threshold = current !== null && i + 1 <= current ? level.exit : level.enter;
+        if (value >= threshold) {
+            target = i + 1;
+        }
+    });
+
+    const settle = (to) => ({
+        state: { level: names[to], pending: null },
+        transitions: to === (current ?? 0) ? [] : [describeTransition(names, current ?? 0, to)]
+    });
+
+    if (current === null || target < current) {
+        return settle(target);
+    }
+    if (target === current) {
+        return { state: { level: names[current], pending: null }, transitions: [] };
+    }
+
+    const pending = state.pending
+        ? {
+            level: names[Math.min(target, names.indexOf(state.pending.level))],
+            count: state.pending.count + 1,
+            since: state.pending.since
+        }
+        : { level: names[target], count: 1, since: timestamp };
+
+    const heldDays = (Date.parse(timestamp) - Date.parse(pending.since)) / DAY_MS;
+    if (pending.count >= config.confirmRefreshes || (config.confirmDays > 0 && heldDays >= config.confirmDays)) {
+        return settle(names.indexOf(pending.level));
+    }
+
+    return { state: { level: names[current], pending }, transitions: [] };
+}
+
+function describeTransition(names, from, to) {
+    return {
+        type: to > from ? 'entered' : 'cleared',
+        level: to > from ? names[to] : names[from],
+        from: names[from],
+        to: names[to]
+    };
+}
+
+/**
+ * Alert monitor class
+ */
+export class AlertMonitor {
+    constructor(storage = globalThis.localStorage || null, config = ALERTS) {
+        this.storage = storage;
+        this.config = config;
+    }
+
+    /**
+     * Record one refresh and return the resulting alerts (see getAlerts), plus `changes`:
+     * the alert log entries this refresh added
+     * `bands` are the calculator's risk bands (ProbabilityCalculator.getRiskBands()).
+     */
+    update({ probabilities, bands, timestamp = new Date() }) {
+        const state = this.loadState();
+        const time = timestamp.toISOString();
+        const options = { timestamp: time, config: this.config };
+        const entries = [];
+
+        const events = {};
+        for (const [event, probability] of Object.entries(probabilities)) {
+            if (!bands[event]) continue;
+
+            const { state: next, transitions } = advanceLevel(
+                state.events[event],
+                probability,
+                riskAlertThresholds(bands[event], this.config),
+                { ...options, baseline: 'low' }
+            );
+            events[event] = next;
+            transitions.forEach(t => entries.push({ timestamp: time, scope: event, ...t, probability }));
+        }
+
+        // Yellow/orange: the highest probability against multiples of the highest base rate
+        const highest = Math.max(...Object.values(probabilities));
+        const maxBase = Math.max(...Object.values(BASE_PROBABILITIES));
+        const elevation = advanceLevel(
+            state.elevation,
+            highest,
+            ['yellow', 'orange'].map(name => ({
+                name,
+                enter: maxBase * this.config.bannerMultipliers[name],
+                exit: maxBase * this.config.bannerMultipliers[name] * this.config.exitRatio
+            })),
+            { ...options, baseline: 'none' }
+        ).state;
+
+        const criticalEvents = Object.keys(events).filter(event => events[event].level === 'critical');
+        const banner = criticalEvents.length > 0 ? 'red' : elevation.level;
+        const previousBanner = state.banner || 'none';
+        if (banner !== previousBanner) {
+            const from = BANNER_LEVELS.indexOf(previousBanner);
+            entries.push({
+                timestamp: time,
+                scope: 'banner',
+                ...describeTransition(BANNER_LEVELS, from, BANNER_LEVELS.indexOf(banner)),
+                probability: highest
+            });
+        }
+
+        this.saveState({
+            events,
+            elevation,
+            banner,
+            log: [...state.log, ...entries].slice(-this.config.maxLogEntries),
+            updatedAt: time
+        });
+
+        return { ...this.getAlerts(), changes: entries };
+    }
+
+    /**
+     * Current alerts: { banner, criticalEvents, levels: { [event]: level }, pending: { [event]: level } }
+     */
+    getAlerts() {
+        const state = this.loadState();
+        const levels = {};
+        const pending = {};
+        for (const [event, eventState] of Object.entries(state.events)) {
+            levels[event] = eventState.level;
+            if (eventState.pending) {
+                pending[event] = eventState.pending.level;
+            }
+        }
+
+        return {
+            banner: state.banner || 'none',
+            criticalEvents: Object.keys(levels).filter(event => levels[event] === 'critical'),
+            levels,
+            pending
+        };
+    }
+
+    /**
+     * Alert log, newest first:
+     * [{ timestamp, scope: event | 'banner', type: 'entered' | 'cleared', level, from, to, probability }]
+     */
+    getLog() {
+        return [...this.loadState().log].reverse();
+    }
+
+    /**
+     * Forget alert state and log
+     */
+    reset() {
+        this.saveState(null);
+    }
+
+    loadState() {
+        const empty = { events: {}, elevation: undefined, banner: null, log: [] };
+        if (!this.storage) return this.memoryState || empty;
+
+        const stored = readStoredJSON(this.storage, CONFIG.ALERT_STORAGE_KEY, { label: 'alert state' });
+        return stored && typeof stored === 'object' && stored.events ? { ...empty, ...stored } : empty;
+    }
+
+    saveState(state) {
+        if (!this.storage) {
+            // Without localStorage alerts still need to be tracked for this session
+            this.memoryState = state;
+            return;
+        }
+
+        writeStoredJSON(this.storage, CONFIG.ALERT_STORAGE_KEY, state, 'alert state');
+    }
+}
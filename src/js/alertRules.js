@@ -0,0 +1,338 @@
+/**
+ * User-defined alert rules and the alert inbox
+ *
+ * Rules are short text conditions ("recession > 40%", "VIX crosses 30",
+ * "any risk level increases") evaluated after every refresh against the
+ * previous refresh. Alerts that fire go to an inbox, where they can be
+ * acknowledged or snoozed, and to browser notifications when permitted.
+ * Rules, inbox and the last evaluated values are kept in localStorage.
+ */
+
+import { CONFIG, ALERT_RULES, BASE_PROBABILITIES, INDICATOR_DISPLAY_ORDER } from './config.js';
+import { RISK_ALERT_LEVELS } from './alertMonitor.js';
+import { formatIndicatorValue } from './scenarioService.js';
+import { ValidationError, logger, readStoredJSON, writeStoredJSON } from './utils.js';
+
+const NUMBER = '(-?\\d+(?:\\.\\d+)?)';
+const LEVEL_PATTERN = /^(\w+)\s+risk\s+level\s+(?:increases|rises)$/i;
+const CROSSES_PATTERN = new RegExp(`^(\\S+)\\s+crosses(?:\\s+(above|below))?\\s+${NUMBER}\\s*(%)?$`, 'i');
+const COMPARE_PATTERN = new RegExp(`^(\\S+?)\\s*(>=|<=|>|<)\\s*${NUMBER}\\s*(%)?$`);
+
+const COMPARATORS = {
+    '>': (a, b) => a > b,
+    '<': (a, b) => a < b,
+    '>=': (a, b) => a >= b,
+    '<=': (a, b) => a <= b
+};
+
+/**
+ * Parse a rule's text
+ *
+ * Returns { text, kind: 'probability' | 'indicator' | 'level', subject, operator, value } where
+ * operator is a comparison, 'crosses', 'crosses above', 'crosses below' or 'increases'.
+ * Probabilities are written in percent and stored as fractions. Throws ValidationError.
+ */
+export function parseAlertRule(text, {
+    events = Object.keys(BASE_PROBABILITIES),
+    indicators = INDICATOR_DISPLAY_ORDER,
+    aliases = ALERT_RULES.aliases
+} = {}) {
+    const trimmed = typeof text === 'string' ? text.trim().replace(/\s+/g, ' ') : '';
+    if (!trimmed) {
+        throw new ValidationError('Alert rule is required');
+    }
+
+    const findEvent = (name) => events.find(event => event.toLowerCase() === name.toLowerCase());
+    const findIndicator = (name) => indicators.find(id => id.toLowerCase() === name.toLowerCase()) ||
+        aliases[name.toUpperCase()];
+
+    const resolve = (name, number, percent) => {
+        const event = findEvent(name);
+        if (event) {
+            return { kind: 'probability', subject: event, value: number / 100 };
+        }
+        const indicator = findIndicator(name);
+        if (indicator) {
+            if (percent) {
+                logger.debug(`Ignoring % in alert rule for ${indicator}: values use the indicator's units`);
+            }
+            return { kind: 'indicator', subject: indicator, value: number };
+        }
+        throw new ValidationError(`Unknown risk or indicator in alert rule: ${name}`);
+    };
+
+    let match = trimmed.match(LEVEL_PATTERN);
+    if (match) {
+        const subject = match[1].toLowerCase() === 'any' ? 'any' : findEvent(match[1]);
+        if (!subject) {
+            throw new ValidationError(`Unknown risk in alert rule: ${match[1]}`);
+        }
+        return { text: trimmed, kind: 'level', subject, operator: 'increases', value: null };
+    }
+
+    match = trimmed.match(CROSSES_PATTERN);
+    if (match) {
+        const operator = match[2] ? `crosses ${match[2].toLowerCase()}` : 'crosses';
+        return { text: trimmed, operator, ...resolve(match[1], parseFloat(match[3]), Boolean(match[4])) };
+    }
+
+    match = trimmed.match(COMPARE_PATTERN);
+    if (match) {
+        return { text: trimmed, operator: match[2], ...resolve(match[1], parseFloat(match[3]), Boolean(match[4])) };
+    }
+
+    throw new ValidationError(
+        `Could not understand alert rule "${trimmed}". Try "recession > 40%", "VIX crosses 30" or "any risk level increases"`
+    );
+}
+
+/**
+ * Evaluate a parsed rule against the current and previous refresh
+ *
+ * `current` and `previous` are { probabilities, indicators: { [seriesId]: raw }, levels } (previous may be null).
+ * Returns an alert message when the rule fires, otherwise null.
+ */
+export function evaluateAlertRule(rule, current, previous) {
+    if (rule.kind === 'level') {
+        const rank = (level) => RISK_ALERT_LEVELS.indexOf(level);
+        const before = (previous && previous.levels) || {};
+        const raised = Object.entries(current.levels || {})
+            .filter(([event]) => rule.subject === 'any' || rule.subject === event)
+            .filter(([event, level]) => before[event] && rank(level) > rank(before[event]));
+
+        return raised.length > 0
+            ? raised.map(([event, level]) => `${event} risk level rose from ${before[event]} to ${level}`).join('; ')
+            : null;
+    }
+
+    const read = (values) => {
+        const source = values && (rule.kind === 'probability' ? values.probabilities : values.indicators);
+        const value = source ? source[rule.subject] : undefined;
+        return typeof value === 'number' && isFinite(value) ? value : null;
+    };
+    const now = read(current);
+    const before = read(previous);
+    if (now === null) {
+        return null;
+    }
+
+    let fired;
+    if (rule.operator.startsWith('crosses')) {
+        const up = before !== null && before < rule.value && now >= rule.value;
+        const down = before !== null && before > rule.value && now <= rule.value;
+        fired = rule.operator === 'crosses above' ? up : rule.operator === 'crosses below' ? down : up || down;
+    } else {
+        const compare = COMPARATORS[rule.operator];
+        fired = compare(now, rule.value) && !(before !== null && compare(before, rule.value));
+    }
+
+    if (!fired) {
+        return null;
+    }
+
+    const format = (value) => rule.kind === 'probability'
+        ? `${(value * 100).toFixed(1)}%`
+        : formatIndicatorValue(rule.subject, value);
+    const subject = rule.kind === 'probability' ? `${rule.subject} probability` : rule.subject;
+    return before !== null
+        ? `${subject} is ${format(now)} (was ${format(before)})`
+        : `${subject} is ${format(now)}`;
+}
+
+/**
+ * Show an alert as a browser notification if the user allowed it
+ */
+export function sendBrowserNotification(item, NotificationApi = globalThis.Notification) {
+    if (!NotificationApi || NotificationApi.permission !== 'granted') {
+        return false;
+    }
+
+    try {
+        new NotificationApi(`Dalio Dashboard: ${item.rule}`, { body: item.message, tag: item.id });
+        return true;
+    } catch (error) {
+        logger.warn('Failed to show notification:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Ask for notification permission; resolves to 'granted', 'denied', 'default' or 'unsupported'
+ */
+export async function requestNotificationPermission(NotificationApi = globalThis.Notification) {
+    if (!NotificationApi) {
+        return 'unsupported';
+    }
+    if (NotificationApi.permission !== 'default') {
+        return NotificationApi.permission;
+    }
+    return NotificationApi.requestPermission();
+}
+
+function createId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Alert rules and inbox
+ */
+export class AlertRulesService {
+    constructor(storage = globalThis.localStorage || null, config = ALERT_RULES) {
+        this.storage = storage;
+        this.config = config;
+        this.memory = {};
+    }
+
+    /**
+     * Rules: [{ id, text }] (the configured defaults until rules are saved)
+     */
+    listRules() {
+        const stored = this.read(CONFIG.ALERT_RULES_STORAGE_KEY);
+        return Array.isArray(stored)
+            ? stored
+            : this.config.defaults.map((text, i) => ({ id: `default-${i}`, text }));
+    }
+
+    /**
+     * Validate and add a rule; returns it
+     */
+    addRule(text, parseOptions = {}) {
+        const parsed = parseAlertRule(text, parseOptions);
+        const rule = { id: createId(), text: parsed.text };
+        this.write(CONFIG.ALERT_RULES_STORAGE_KEY, [...this.listRules(), rule]);
+        return rule;
+    }
+
+    removeRule(id) {
+        this.write(CONFIG.ALERT_RULES_STORAGE_KEY, this.listRules().filter(rule => rule.id !== id));
+    }
+
+    /**
+     * Evaluate every rule after a refresh
+     *
+     * `current` is { probabilities, indicators: { [seriesId]: raw }, levels }.
+     * New alerts are added to the inbox; snoozed alerts whose snooze has ended come back.
+     * Returns the alerts to deliver now (new and resurfaced).
+     */
+    evaluate(current, { now = new Date(), parseOptions = {} } = {}) {
+        const state = this.loadInbox();
+        const timestamp = now.toISOString();
+        const deliver = [];
+
+        for (const item of state.items) {
+            if (item.snoozedUntil && Date.parse(item.snoozedUntil) <= now.getTime() && !item.acknowledgedAt) {
+                item.snoozedUntil = null;
+                deliver.push(item);
+            }
+        }
+
+        for (const { id, text } of this.listRules()) {
+            let rule;
+            try {
+                rule = parseAlertRule(text, parseOptions);
+            } catch (error) {
+                // e.g. a rule on a custom indicator that no longer exists
+                logger.warn(`Skipping alert rule "${text}":`, error.message);
+                continue;
+            }
+
+            const message = evaluateAlertRule(rule, current, state.previous);
+            if (message) {
+                const item = {
+                    id: createId(),
+                    ruleId: id,
+                    rule: text,
+                    message,
+                    timestamp,
+                    acknowledgedAt: null,
+                    snoozedUntil: null
+                };
+                state.items.push(item);
+                deliver.push(item);
+            }
+        }
+
+        this.saveInbox({
+            items: state.items.slice(-this.config.maxInboxItems),
+            previous: {
+                probabilities: { ...current.probabilities },
+                indicators: { ...current.indicators },
+                levels: { ...current.levels }
+            }
+        });
+
+        return deliver;
+    }
+
+    /**
+     * Inbox items, newest first, with status 'new', 'snoozed' or 'acknowledged'
+     */
+    getInbox({ now = new Date() } = {}) {
+        return this.loadInbox().items
+            .map(item => ({
+                ...item,
+                status: item.acknowledgedAt
+                    ? 'acknowledged'
+                    : item.snoozedUntil && Date.parse(item.snoozedUntil) > now.getTime() ? 'snoozed' : 'new'
+            }))
+            .reverse();
+    }
+
+    /**
+     * Number of alerts that are neither acknowledged nor snoozed
+     */
+    getUnreadCount(options) {
+        return this.getInbox(options).filter(item => item.status === 'new').length;
+    }
+
+    acknowledge(itemId, { now = new Date() } = {}) {
+        this.updateItem(itemId, { acknowledgedAt: now.toISOString(), snoozedUntil: null });
+    }
+
+    /**
+     * Hide an alert until the snooze ends; it is delivered again at the next refresh after that
+     */
+    snooze(itemId, minutes, { now = new Date() } = {}) {
+        if (!(minutes > 0)) {
+            throw new ValidationError('Snooze duration must be a positive number of minutes');
+        }
+        this.updateItem(itemId, { snoozedUntil: new Date(now.getTime() + minutes * 60000).toISOString() });
+    }
+
+    updateItem(itemId, changes) {
+        const state = this.loadInbox();
+        const item = state.items.find(i => i.id === itemId);
+        if (!item) {
+            throw new ValidationError(`Unknown alert: ${itemId}`);
+        }
+        Object.assign(item, changes);
+        this.saveInbox(state);
+    }
+
+    loadInbox() {
+        const stored = this.read(CONFIG.ALERT_INBOX_STORAGE_KEY);
+        return stored && Array.isArray(stored.items)
+            ? { items: stored.items, previous: stored.previous || null }
+            : { items: [], previous: null };
+    }
+
+    saveInbox(state) {
+        this.write(CONFIG.ALERT_INBOX_STORAGE_KEY, state);
+    }
+
+    read(key) {
+        if (!this.storage) return this.memory[key] ?? null;
+
+        return readStoredJSON(this.storage, key, { label: 'alert rules data' });
+    }
+
+    write(key, value) {
+        if (!this.storage) {
+            // Without localStorage rules and inbox still work for this session
+            this.memory[key] = JSON.parse(JSON.stringify(value));
+            return;
+        }
+
+        writeStoredJSON(this.storage, key, value, 'alert rules data');
+    }
+}
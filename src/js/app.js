@@ -2,11 +2,24 @@
  * Main application entry point for Ray Dalio Economic Risk Dashboard
  */
 
-import { CONFIG } from './config.js';
+import { CONFIG, MONTE_CARLO, ALERT_RULES } from './config.js';
 import { DataService } from './dataService.js';
 import { ProbabilityCalculator } from './probabilityCalculator.js';
 import { UIManager } from './uiManager.js';
-import { setupGlobalErrorHandler, logger, throttle } from './utils.js';
+import { SnapshotService, createSnapshot } from './snapshotService.js';
+import { ScenarioService, applyScenario, compareScenario } from './scenarioService.js';
+import { MonteCarloSimulator } from './monteCarlo.js';
+import { AlertMonitor } from './alertMonitor.js';
+import { AlertRulesService, sendBrowserNotification, requestNotificationPermission } from './alertRules.js';
+import { CustomIndicatorService, applyCustomIndicators, normalizeCustomIndicator } from './customIndicators.js';
+import {
+    ModelSettingsService,
+    applyModelSettings,
+    isCustomModel,
+    mergeWithDefaults,
+    validateModelSettings
+} from './modelSettings.js';
+import { setupGlobalErrorHandler, logger, throttle, debounce } from './utils.js';
 
 /**
  * Dashboard Application class
@@ -16,7 +29,19 @@ class DashboardApp {
         this.dataService = new DataService();
         this.probabilityCalculator = new ProbabilityCalculator();
         this.uiManager = new UIManager();
+        this.snapshotService = new SnapshotService();
+        this.scenarioService = new ScenarioService();
+        this.monteCarlo = new MonteCarloSimulator(this.probabilityCalculator);
+        this.modelSettings = new ModelSettingsService();
+        this.alertMonitor = new AlertMonitor();
+        this.alertRules = new AlertRulesService();
+        this.customIndicators = new CustomIndicatorService();
+        this.showUncertainty = MONTE_CARLO.enabled;
+        this.scenarioAdjustments = {};
         this.refreshInterval = null;
+        this.latestIndicators = null;
+        this.sensitivity = {};
+        this.uncertainty = null;
     }
 
     /**
@@ -33,6 +58,12 @@ class DashboardApp {
             const isConnected = await this.dataService.checkBackendConnection();
             this.uiManager.updateBackendStatus(isConnected);
 
+            // Apply saved model settings before the first calculation
+            await this.loadModelSettings();
+
+            // Register saved custom indicators before the first fetch
+            this.loadCustomIndicators();
+
             // Initial data fetch and update
             await this.refreshData();
 
@@ -42,6 +73,21 @@ class DashboardApp {
             // Setup manual refresh button
             this.setupRefreshButton();
 
+            // Setup probability model selector
+            this.setupModelSelect();
+
+            // Setup what-if scenario panel
+            this.setupScenarioPanel();
+
+            // Setup model settings panel
+            this.setupSettingsPanel();
+
+            // Setup alert rules and inbox
+            this.setupAlertRulesPanel();
+
+            // Setup custom indicators panel
+            this.setupCustomIndicatorsPanel();
+
             logger.info('Dashboard initialized successfully');
         } catch (error) {
             logger.error('Failed to initialize dashboard:', error);
@@ -61,16 +107,21 @@ class DashboardApp {
             const indicators = await this.dataService.fetchAllData();
 
             // Update probabilities (with trend analysis)
-            const probabilities = await this.probabilityCalculator.updateProbabilities(indicators);
+            await this.probabilityCalculator.updateProbabilities(indicators);
+            this.latestIndicators = indicators;
+            this.updateAnalysis();
 
-            // Get update factors
-            const factors = this.probabilityCalculator.getAllFactors();
+            // Alerts advance once per refresh, so confirmation windows count refreshes
+            const alerts = this.alertMonitor.update({
+                probabilities: this.probabilityCalculator.getProbabilities(),
+                bands: this.probabilityCalculator.getRiskBands()
+            });
+            this.checkAlertRules(indicators, alerts);
 
-            // Get connection status
-            const connectionStatus = this.dataService.getConnectionStatus();
+            this.render();
 
-            // Update UI
-            this.uiManager.updateAll(probabilities, factors, indicators, connectionStatus);
+            // Keep this result for the probability history charts
+            await this.recordSnapshot();
 
             logger.info('Data refresh completed successfully');
         } catch (error) {
@@ -81,6 +132,131 @@ class DashboardApp {
         }
     }
 
+    /**
+     * Update UI from the latest calculator state
+     */
+    render() {
+        const probabilities = this.probabilityCalculator.getProbabilities();
+        const factors = this.probabilityCalculator.getAllFactors();
+        const connectionStatus = this.dataService.getConnectionStatus();
+        const modeComparison = {
+            mode: this.probabilityCalculator.mode,
+            probabilities: this.probabilityCalculator.getModeComparison()
+        };
+        const indicatorDetails = {};
+        for (const seriesId of Object.keys(this.latestIndicators)) {
+            indicatorDetails[seriesId] = {
+                ...this.probabilityCalculator.getIndicatorDetails(seriesId),
+                metadata: this.dataService.getMetadata(seriesId)
+            };
+        }
+
+        const attribution = {};
+        for (const event of Object.keys(probabilities)) {
+            attribution[event] = this.probabilityCalculator.getAttribution(event);
+        }
+
+        const risk = {
+            levels: this.probabilityCalculator.getAllRiskLevels(),
+            bands: this.probabilityCalculator.getRiskBands()
+        };
+        const alerts = { ...this.alertMonitor.getAlerts(), log: this.alertMonitor.getLog() };
+
+        this.uiManager.updateAll(probabilities, factors, this.latestIndicators, connectionStatus, {
+            risk,
+            alerts,
+            modeComparison,
+            indicatorDetails,
+            attribution,
+            sensitivity: this.sensitivity,
+            uncertainty: this.uncertainty
+        });
+
+        this.uiManager.renderScenarioInputs(this.latestIndicators, this.scenarioAdjustments);
+        this.uiManager.updateCustomIndicators(this.customIndicators.list(), this.latestIndicators);
+        this.runScenario();
+    }
+
+    /**
+     * Recompute the trigger sensitivity tables and uncertainty bands
+     * Both re-run the calculator many times, so this runs when the data or the
+     * model changes and render() reuses the results.
+     */
+    updateAnalysis() {
+        this.sensitivity = {};
+        for (const event of Object.keys(this.probabilityCalculator.getProbabilities())) {
+            this.sensitivity[event] = this.probabilityCalculator.getSensitivity(event);
+        }
+        this.uncertainty = this.showUncertainty ? this.monteCarlo.run(this.latestIndicators) : null;
+    }
+
+    /**
+     * Recompute the what-if scenario against the latest indicators
+     */
+    runScenario() {
+        if (!this.latestIndicators) return;
+
+        try {
+            const scenarioIndicators = applyScenario(this.latestIndicators, this.scenarioAdjustments);
+            const baseline = {
+                probabilities: this.probabilityCalculator.getProbabilities(),
+                factors: this.probabilityCalculator.getAllFactors()
+            };
+            const scenario = this.probabilityCalculator.simulate(scenarioIndicators);
+
+            this.uiManager.updateScenarioResults(compareScenario(baseline, scenario));
+            this.uiManager.showScenarioMessage('');
+        } catch (error) {
+            logger.warn('Invalid scenario:', error.message);
+            this.uiManager.showScenarioMessage(error.message, 'error');
+        }
+    }
+
+    /**
+     * Evaluate the user's alert rules after a refresh and deliver what fired
+     */
+    checkAlertRules(indicators, alerts) {
+        try {
+            const values = {};
+            for (const [seriesId, indicator] of Object.entries(indicators)) {
+                values[seriesId] = indicator.raw;
+            }
+
+            const delivered = this.alertRules.evaluate({
+                probabilities: this.probabilityCalculator.getProbabilities(),
+                indicators: values,
+                levels: alerts.levels
+            });
+            delivered.forEach(item => sendBrowserNotification(item));
+            this.uiManager.updateAlertInbox(this.alertRules.getInbox(), ALERT_RULES.snoozeMinutes);
+        } catch (error) {
+            logger.warn('Failed to evaluate alert rules:', error);
+        }
+    }
+
+    /**
+     * Store the latest result and redraw the probability history charts
+     * The result is kept in this browser; the proxy records the shared history itself.
+     */
+    async recordSnapshot() {
+        try {
+            const useBackend = this.dataService.useBackend;
+            const snapshot = createSnapshot({
+                probabilities: this.probabilityCalculator.getProbabilities(),
+                factors: this.probabilityCalculator.getAllFactors(),
+                indicators: this.latestIndicators,
+                connectionStatus: this.dataService.getConnectionStatus(),
+                mode: this.probabilityCalculator.mode
+            });
+
+            this.snapshotService.record(snapshot);
+            const history = await this.snapshotService.getHistory(useBackend);
+            this.uiManager.updateProbabilityCharts(history);
+        } catch (error) {
+            logger.warn('Failed to update probability history:', error);
+        }
+    }
+
     /**
      * Setup auto-refresh interval
      */
@@ -126,6 +302,325 @@ class DashboardApp {
         logger.info('Refresh button setup complete');
     }
 
+    /**
+     * Setup probability model selector and uncertainty toggle; switching recalculates without refetching
+     */
+    setupModelSelect() {
+        const modelSelect = document.getElementById('model-select');
+        if (!modelSelect) {
+            logger.warn('Model selector not found');
+            return;
+        }
+
+        modelSelect.value = this.probabilityCalculator.mode;
+        modelSelect.addEventListener('change', () => {
+            this.probabilityCalculator.setMode(modelSelect.value);
+            if (this.latestIndicators) {
+                this.updateAnalysis();
+                this.render();
+            }
+        });
+
+        const uncertaintyToggle = document.getElementById('uncertainty-toggle');
+        if (uncertaintyToggle) {
+            uncertaintyToggle.checked = this.showUncertainty;
+            uncertaintyToggle.addEventListener('change', () => {
+                this.showUncertainty = uncertaintyToggle.checked;
+                if (this.latestIndicators) {
+                    this.uncertainty = this.showUncertainty ? this.monteCarlo.run(this.latestIndicators) : null;
+                    this.render();
+                }
+            });
+        }
+    }
+
+    /**
+     * Setup the what-if scenario panel: live recalculation and saved scenarios
+     */
+    setupScenarioPanel() {
+        const inputs = document.getElementById('scenario-inputs');
+        if (!inputs) {
+            logger.warn('Scenario panel not found');
+            return;
+        }
+
+        const nameInput = document.getElementById('scenario-name');
+        const select = document.getElementById('scenario-select');
+
+        const update = debounce(() => {
+            this.scenarioAdjustments = this.uiManager.readScenarioInputs();
+            this.runScenario();
+        }, 300);
+        inputs.addEventListener('input', update);
+        inputs.addEventListener('change', update);
+
+        document.getElementById('scenario-save').addEventListener('click', () => {
+            try {
+                const name = this.scenarioService.save(nameInput.value, this.uiManager.readScenarioInputs());
+                this.uiManager.updateScenarioList(this.scenarioService.list(), name);
+                this.uiManager.showScenarioMessage(`Saved scenario "${name}"`);
+            } catch (error) {
+                this.uiManager.showScenarioMessage(error.message, 'error');
+            }
+        });
+
+        document.getElementById('scenario-load').addEventListener('click', () => {
+            const adjustments = select.value ? this.scenarioService.load(select.value) : null;
+            if (!adjustments) return;
+
+            this.scenarioAdjustments = adjustments;
+            nameInput.value = select.value;
+            if (this.latestIndicators) {
+                this.uiManager.renderScenarioInputs(this.latestIndicators, adjustments);
+                this.runScenario();
+            }
+        });
+
+        document.getElementById('scenario-delete').addEventListener('click', () => {
+            if (!select.value) return;
+
+            this.scenarioService.remove(select.value);
+            this.uiManager.updateScenarioList(this.scenarioService.list());
+        });
+
+        document.getElementById('scenario-reset').addEventListener('click', () => {
+            this.scenarioAdjustments = {};
+            nameInput.value = '';
+            if (this.latestIndicators) {
+                this.uiManager.renderScenarioInputs(this.latestIndicators, {});
+                this.runScenario();
+            }
+        });
+
+        this.uiManager.updateScenarioList(this.scenarioService.list());
+    }
+
+    /**
+     * Setup the alert rules panel: adding/removing rules, the inbox and notification permission
+     */
+    setupAlertRulesPanel() {
+        const form = document.getElementById('alert-rule-form');
+        if (!form) {
+            logger.warn('Alert rules panel not found');
+            return;
+        }
+
+        const input = document.getElementById('alert-rule-input');
+        const refreshInbox = () => this.uiManager.updateAlertInbox(this.alertRules.getInbox(), ALERT_RULES.snoozeMinutes);
+
+        form.addEventListener('submit', (event) => {
+            event.preventDefault();
+            try {
+                const rule = this.alertRules.addRule(input.value);
+                input.value = '';
+                this.uiManager.updateAlertRules(this.alertRules.listRules());
+                this.uiManager.showAlertRuleMessage(`Added rule "${rule.text}"`);
+            } catch (error) {
+                this.uiManager.showAlertRuleMessage(error.message, 'error');
+            }
+        });
+
+        document.getElementById('alert-rule-list').addEventListener('click', (event) => {
+            const button = event.target.closest('[data-rule-id]');
+            if (!button) return;
+
+            this.alertRules.removeRule(button.dataset.ruleId);
+            this.uiManager.updateAlertRules(this.alertRules.listRules());
+        });
+
+        document.getElementById('alert-inbox').addEventListener('click', (event) => {
+            const button = event.target.closest('[data-alert-id]');
+            if (!button) return;
+
+            try {
+                if (button.dataset.action === 'snooze') {
+                    this.alertRules.snooze(button.dataset.alertId, Number(button.dataset.minutes));
+                } else {
+                    this.alertRules.acknowledge(button.dataset.alertId);
+                }
+                refreshInbox();
+            } catch (error) {
+                logger.warn('Failed to update alert:', error.message);
+            }
+        });
+
+        document.getElementById('notifications-enable').addEventListener('click', async () => {
+            try {
+                this.uiManager.updateNotificationStatus(await requestNotificationPermission());
+            } catch (error) {
+                logger.warn('Failed to request notification permission:', error.message);
+            }
+        });
+
+        this.uiManager.updateNotificationStatus(globalThis.Notification ? Notification.permission : 'unsupported');
+        this.uiManager.updateAlertRules(this.alertRules.listRules());
+        refreshInbox();
+    }
+
+    /**
+     * Register saved custom indicators; invalid definitions are skipped
+     */
+    loadCustomIndicators() {
+        const valid = this.customIndicators.list().filter(definition => {
+            try {
+                normalizeCustomIndicator(definition);
+                return true;
+            } catch (error) {
+                logger.warn(`Ignoring custom indicator ${definition && definition.id}:`, error.message);
+                return false;
+            }
+        });
+
+        try {
+            applyCustomIndicators(valid);
+        } catch (error) {
+            logger.warn('Ignoring invalid custom indicators:', error.message);
+            this.uiManager.showError('Saved custom indicators are invalid and were not loaded.');
+        }
+    }
+
+    /**
+     * Setup the custom indicators panel: add and remove formula indicators, then refetch
+     */
+    setupCustomIndicatorsPanel() {
+        const form = document.getElementById('custom-indicator-form');
+        if (!form) {
+            logger.warn('Custom indicators panel not found');
+            return;
+        }
+
+        const update = async (message) => {
+            applyCustomIndicators(this.customIndicators.list());
+            this.uiManager.updateCustomIndicators(this.customIndicators.list(), this.latestIndicators || {});
+            this.uiManager.showCustomIndicatorMessage(message);
+            await this.refreshData();
+        };
+
+        form.addEventListener('submit', async (event) => {
+            event.preventDefault();
+            try {
+                const definition = this.customIndicators.add(this.uiManager.readCustomIndicatorForm());
+                form.reset();
+                await update(`Added ${definition.name}`);
+            } catch (error) {
+                this.uiManager.showCustomIndicatorMessage(error.message, 'error');
+            }
+        });
+
+        document.getElementById('custom-indicator-list').addEventListener('click', async (event) => {
+            const button = event.target.closest('[data-indicator-id]');
+            if (!button) return;
+
+            try {
+                this.customIndicators.remove(button.dataset.indicatorId);
+                await update(`Removed ${button.dataset.indicatorId}`);
+            } catch (error) {
+                this.uiManager.showCustomIndicatorMessage(error.message, 'error');
+            }
+        });
+
+        this.uiManager.updateCustomIndicators(this.customIndicators.list(), this.latestIndicators || {});
+    }
+
+    /**
+     * Apply saved model settings (localStorage, else the proxy); invalid settings fall back to the defaults
+     */
+    async loadModelSettings() {
+        const settings = await this.modelSettings.load(this.dataService.useBackend);
+        if (!settings) return;
+
+        try {
+            applyModelSettings(settings);
+            this.uiManager.updateModelBadge(isCustomModel(settings));
+            logger.info('Custom model settings applied');
+        } catch (error) {
+            logger.warn('Ignoring invalid model settings:', error.message);
+            this.uiManager.showError('Saved model settings are invalid; using the defaults.');
+        }
+    }
+
+    /**
+     * Re-evaluate with the current settings and redraw
+     */
+    applySettingsChange() {
+        this.uiManager.updateModelBadge(isCustomModel(this.modelSettings.getCurrent()));
+        if (this.latestIndicators) {
+            this.probabilityCalculator.recalculate();
+            this.updateAnalysis();
+            this.render();
+        }
+    }
+
+    /**
+     * Setup the model settings panel: edit, validate, save and reset
+     */
+    setupSettingsPanel() {
+        const toggle = document.getElementById('settings-toggle');
+        const form = document.getElementById('settings-form');
+        if (!toggle || !form) {
+            logger.warn('Model settings panel not found');
+            return;
+        }
+
+        const share = document.getElementById('settings-share');
+        const adminToken = document.getElementById('settings-admin-token');
+        // Writing the proxy's shared settings needs its admin token; it is never stored
+        const backendOptions = () => ({
+            shareWithBackend: share.checked && this.dataService.useBackend,
+            adminToken: adminToken.value.trim()
+        });
+        const backendError = (error) => [401, 403].includes(error.status)
+            ? 'the proxy did not accept the admin token'
+            : 'the proxy could not store them';
+
+        toggle.addEventListener('click', () => {
+            const open = toggle.getAttribute('aria-expanded') !== 'true';
+            if (open) {
+                this.uiManager.renderModelSettings(this.modelSettings.getCurrent());
+            }
+            this.uiManager.toggleSettingsPanel(open);
+        });
+
+        document.getElementById('settings-cancel').addEventListener('click', () => {
+            this.uiManager.toggleSettingsPanel(false);
+        });
+
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+
+            const settings = mergeWithDefaults(this.uiManager.readModelSettings());
+            const errors = validateModelSettings(settings);
+            if (errors.length > 0) {
+                this.uiManager.showSettingsErrors(errors);
+                return;
+            }
+
+            applyModelSettings(settings);
+            this.applySettingsChange();
+            this.uiManager.toggleSettingsPanel(false);
+
+            try {
+                await this.modelSettings.save(settings, backendOptions());
+            } catch (error) {
+                logger.warn('Failed to save model settings to backend:', error.message);
+                this.uiManager.showError(`Model settings saved locally, but ${backendError(error)}.`);
+            }
+        });
+
+        document.getElementById('settings-reset').addEventListener('click', async () => {
+            applyModelSettings({});
+            this.applySettingsChange();
+            this.uiManager.renderModelSettings(this.modelSettings.getCurrent());
+
+            try {
+                await this.modelSettings.reset(backendOptions());
+            } catch (error) {
+                logger.warn('Failed to reset model settings on backend:', error.message);
+                this.uiManager.showError(`Model settings reset locally, but ${backendError(error)}.`);
+            }
+        });
+    }
+
     /**
      * Cleanup and destroy
      */
@@ -0,0 +1,261 @@
+/**
+ * Backtesting harness for the probability model
+ *
+ * Replays FRED history month by month through ProbabilityCalculator using
+ * DataService-shaped indicators, then scores one event's probability against
+ * NBER recession dates (USREC). Run it with `npm run backtest`.
+ */
+
+import {
+    BACKTEST_CONFIG,
+    BASE_PROBABILITIES,
+    ECONOMIC_THRESHOLDS,
+    DERIVED_INDICATORS,
+    INDICATORS
+} from './config.js';
+import { DataService } from './dataService.js';
+import { compileFormula } from './formula.js';
+import { ProbabilityCalculator } from './probabilityCalculator.js';
+import { logger } from './utils.js';
+
+// Months covered by one observation at each FRED frequency
+const PERIOD_MONTHS = { d: 0, w: 0, bw: 0, m: 1, q: 3, sa: 6, a: 12 };
+
+// Probabilities are clipped before taking logs so a confident miss costs a finite amount
+const LOG_LOSS_EPSILON = 1e-6;
+
+/**
+ * Add whole calendar months to a YYYY-MM-DD date (day is set to the 1st)
+ */
+export function addMonths(date, months) {
+    const [year, month] = date.split('-').map(Number);
+    const result = new Date(Date.UTC(year, month - 1 + months, 1));
+    return result.toISOString().split('T')[0];
+}
+
+/**
+ * First day of every month from start to end, inclusive
+ */
+export function monthRange(start, end) {
+    const months = [];
+    for (let month = addMonths(start, 0); month <= end; month = addMonths(month, 1)) {
+        months.push(month);
+    }
+    return months;
+}
+
+/**
+ * Latest value that was complete by `cutoff` (exclusive)
+ * An observation only counts once its whole period has ended, so an annual
+ * value dated 2020-01-01 is not used before 2021.
+ */
+export function valueAsOf(history, cutoff) {
+    if (!history) return null;
+
+    const periodMonths = PERIOD_MONTHS[history.frequency] ?? 0;
+    let value = null;
+
+    for (const obs of history.observations) {
+        const known = periodMonths > 0
+            ? addMonths(obs.date, periodMonths) <= cutoff
+            : obs.date < cutoff;
+        if (!known) break;
+        value = obs.value;
+    }
+
+    return value;
+}
+
+/**
+ * Indicators (in DataService shape) as they stood at the end of `month`
+ */
+export function buildIndicators(histories, month, indicatorIds) {
+    const cutoff = addMonths(month, 1);
+    const indicators = {};
+
+    for (const id of indicatorIds) {
+        const mapping = BACKTEST_CONFIG.HISTORY_SERIES[id];
+        const sourceValue = valueAsOf(histories[mapping ? mapping.series : id], cutoff);
+        if (sourceValue === null) continue;
+
+        const raw = mapping ? mapping.transform(sourceValue) : sourceValue;
+        const config = INDICATORS[id];
+
+        indicators[id] = {
+            value: config ? config.format(raw) : raw.toFixed(2),
+            raw,
+            threshold: config ? config.threshold : '',
+            name: config ? config.name : mapping.name,
+            source: 'FRED History',
+            date: month
+        };
+    }
+
+    return indicators;
+}
+
+/**
+ * Whether a target month falls within the horizon starting at `month`
+ * Returns null when the target series does not cover the whole horizon.
+ */
+export function outcomeFor(targetByMonth, month, horizonMonths) {
+    let outcome = 0;
+    for (let i = 0; i < horizonMonths; i++) {
+        const value = targetByMonth.get(addMonths(month, i));
+        if (value === undefined) return null;
+        if (value >= 1) outcome = 1;
+    }
+    return outcome;
+}
+
+/**
+ * Score probability forecasts against 0/1 outcomes
+ * Forecasts without an outcome are ignored.
+ */
+export function scoreForecasts(forecasts, alertThreshold) {
+    const scored = forecasts.filter(f => f.outcome !== null);
+    const positives = scored.filter(f => f.outcome === 1);
+    const negatives = scored.filter(f => f.outcome === 0);
+
+    if (scored.length === 0) {
+        return { count: 0, positives: 0, brier: null, logLoss: null, hitRate: null, falseAlarmRate: null };
+    }
+
+    let brier = 0;
+    let logLoss = 0;
+    for (const { probability, outcome } of scored) {
+        const p = Math.min(Math.max(probability, LOG_LOSS_EPSILON), 1 - LOG_LOSS_EPSILON);
+        brier += (probability - outcome) ** 2;
+        logLoss -= outcome * Math.log(p) + (1 - outcome) * Math.log(1 - p);
+    }
+
+    const hits = positives.filter(f => f.probability >= alertThreshold).length;
+    const falseAlarms = negatives.filter(f => f.probability >= alertThreshold).length;
+
+    return {
+        count: scored.length,
+        positives: positives.length,
+        brier: brier / scored.length,
+        logLoss: logLoss / scored.length,
+        hits,
+        falseAlarms,
+        hitRate: positives.length > 0 ? hits / positives.length : null,
+        falseAlarmRate: negatives.length > 0 ? falseAlarms / negatives.length : null
+    };
+}
+
+/**
+ * Backtester class
+ */
+export class Backtester {
+    constructor(options = {}) {
+        this.settings = {
+            start: options.start || BACKTEST_CONFIG.START_DATE,
+            end: options.end || BACKTEST_CONFIG.END_DATE,
+            event: options.event || BACKTEST_CONFIG.EVENT,
+            horizonMonths: options.horizonMonths || BACKTEST_CONFIG.HORIZON_MONTHS,
+            alertThreshold: options.alertThreshold ?? BACKTEST_CONFIG.ALERT_THRESHOLD,
+            mode: options.mode || 'multiplicative',
+            useCurves: options.useCurves ?? true
+        };
+        this.dataService = options.dataService || new DataService();
+
+        // Trend analysis fetches current history, which would leak the present into the past
+        this.calculator = new ProbabilityCalculator();
+        this.calculator.setTrendAnalysis(false);
+        this.calculator.setCurves(this.settings.useCurves);
+        this.calculator.setMode(this.settings.mode);
+    }
+
+    /**
+     * Indicators read by the probability rules (directly or through derived values)
+     */
+    getIndicatorIds() {
+        const ids = new Set();
+        for (const rules of Object.values(ECONOMIC_THRESHOLDS)) {
+            for (const rule of Object.values(rules)) {
+                if (rule.indicator) {
+                    ids.add(rule.indicator);
+                } else if (DERIVED_INDICATORS[rule.derived]) {
+                    compileFormula(DERIVED_INDICATORS[rule.derived].formula).inputs.forEach(id => ids.add(id));
+                }
+            }
+        }
+        return [...ids];
+    }
+
+    /**
+     * FRED series to load: indicator sources plus the target series
+     */
+    getRequiredSeries() {
+        const series = this.getIndicatorIds().map(id => {
+            const mapping = BACKTEST_CONFIG.HISTORY_SERIES[id];
+            return mapping ? mapping.series : id;
+        });
+        return [...new Set([...series, BACKTEST_CONFIG.TARGET_SERIES])];
+    }
+
+    /**
+     * Load history for every required series, one request at a time
+     */
+    async loadHistories() {
+        const histories = {};
+        const missing = [];
+        const start = addMonths(this.settings.start, -BACKTEST_CONFIG.LOOKBACK_MONTHS);
+
+        for (const seriesId of this.getRequiredSeries()) {
+            try {
+                histories[seriesId] = await this.dataService.fetchHistory(seriesId, {
+                    start,
+                    end: this.settings.end,
+                    frequency: BACKTEST_CONFIG.HISTORY_FREQUENCY,
+                    aggregation: BACKTEST_CONFIG.HISTORY_AGGREGATION
+                });
+                logger.info(`Loaded ${histories[seriesId].observations.length} observations for ${seriesId}`);
+            } catch (error) {
+                logger.warn(`History for ${seriesId} unavailable:`, error.message);
+                missing.push(seriesId);
+            }
+        }
+
+        return { histories, missing };
+    }
+
+    /**
+     * Replay every month and score the forecasts
+     */
+    async run() {
+        const { histories, missing } = await this.loadHistories();
+        const target = histories[BACKTEST_CONFIG.TARGET_SERIES];
+        if (!target) {
+            throw new Error(`Target series ${BACKTEST_CONFIG.TARGET_SERIES} is unavailable`);
+        }
+
+        const targetByMonth = new Map(target.observations.map(obs => [addMonths(obs.date, 0), obs.value]));
+        const indicatorIds = this.getIndicatorIds();
+        const { event, horizonMonths, alertThreshold } = this.settings;
+        const forecasts = [];
+
+        for (const month of monthRange(this.settings.start, this.settings.end)) {
+            const indicators = buildIndicators(histories, month, indicatorIds);
+            const probabilities = await this.calculator.updateProbabilities(indicators);
+
+            forecasts.push({
+                month,
+                probability: probabilities[event],
+                outcome: outcomeFor(targetByMonth, month, horizonMonths),
+                triggers: this.calculator.getFactors(event).map(f => f.rule)
+            });
+        }
+
+        const baseline = forecasts.map(f => ({ ...f, probability: BASE_PROBABILITIES[event] }));
+
+        return {
+            settings: { ...this.settings },
+            missingSeries: missing,
+            forecasts,
+            metrics: scoreForecasts(forecasts, alertThreshold),
+            baseline: scoreForecasts(baseline, alertThreshold)
+        };
+    }
+}
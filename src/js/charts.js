@@ -0,0 +1,178 @@
+/**
+ * Inline SVG charts for the dashboard
+ *
+ * Charts are returned as SVG markup so they can be rendered without a
+ * charting library and tested without a DOM.
+ */
+
+import { escapeHTML } from './utils.js';
+
+const DEFAULT_WIDTH = 300;
+const DEFAULT_HEIGHT = 80;
+const PADDING = 4;
+
+/**
+ * Render a line chart
+ *
+ * Options:
+ * - points: [{ x, y }] in ascending x (e.g. timestamps in ms)
+ * - threshold: optional y value (or array of values) drawn as dashed lines
+ * - markers: optional [{ x, type, label }] annotations; type 'triggered' or 'cleared'
+ * - yMin, yMax: optional fixed y range (defaults to the data range)
+ * - formatY: formats values in tooltips
+ */
+export function renderLineChart({
+    points,
+    threshold = null,
+    markers = [],
+    yMin = null,
+    yMax = null,
+    width = DEFAULT_WIDTH,
+    height = DEFAULT_HEIGHT,
+    formatY = (y) => String(y),
+    label = 'Chart'
+}) {
+    if (!points || points.length === 0) {
+        return '';
+    }
+
+    const thresholds = threshold === null ? [] : [].concat(threshold);
+    const xs = points.map(p => p.x);
+    const ys = [...points.map(p => p.y), ...thresholds];
+
+    const minX = Math.min(...xs);
+    const maxX = Math.max(...xs);
+    let low = yMin ?? Math.min(...ys);
+    let high = yMax ?? Math.max(...ys);
+    if (high === low) {
+        // Flat data: give the line some room instead of dividing by zero
+        const pad = Math.abs(high) * 0.1 || 1;
+        low -= pad;
+        high += pad;
+    }
+
+    const scaleX = (x) => maxX === minX
+        ? width / 2
+        : PADDING + (x - minX) / (maxX - minX) * (width - 2 * PADDING);
+    const scaleY = (y) => height - PADDING - (y - low) / (high - low) * (height - 2 * PADDING);
+    const round = (n) => Math.round(n * 10) / 10;
+
+    const parts = [];
+
+    for (const value of thresholds) {
+        const y = round(scaleY(value));
+        parts.push(`<line class="chart-threshold" x1="0" x2="${width}" y1="${y}" y2="${y}"><title>Threshold: ${escapeHTML(formatY(value))}</title></line>`);
+    }
+
+    if (points.length > 1) {
+        const path = points
+            .map((p, i) => `${i === 0 ? 'M' : 'L'}${round(scaleX(p.x))},${round(scaleY(p.y))}`)
+            .join(' ');
+        parts.push(`<path class="chart-line" d="${path}"/>`);
+    }
+
+    const last = points[points.length - 1];
+    parts.push(`<circle class="chart-point" cx="${round(scaleX(last.x))}" cy="${round(scaleY(last.y))}" r="2.5"><title>${escapeHTML(formatY(last.y))}</title></circle>`);
+
+    for (const marker of markers) {
+        if (marker.x < minX || marker.x > maxX) continue;
+
+        const x = round(scaleX(marker.x));
+        const shape = marker.type === 'cleared'
+            ? `${x - 4},${PADDING} ${x + 4},${PADDING} ${x},${PADDING + 6}`
+            : `${x - 4},${PADDING + 6} ${x + 4},${PADDING + 6} ${x},${PADDING}`;
+        parts.push(`<g class="chart-marker chart-marker-${marker.type === 'cleared' ? 'cleared' : 'triggered'}">` +
+            `<line x1="${x}" x2="${x}" y1="${PADDING}" y2="${height - PADDING}"/>` +
+            `<polygon points="${shape}"/><title>${escapeHTML(marker.label)}</title></g>`);
+    }
+
+    return `<svg class="chart" viewBox="0 0 ${width} ${height}" width="100%" role="img" aria-label="${escapeHTML(label)}">${parts.join('')}</svg>`;
+}
+
+/**
+ * Render a horizontal waterfall from a starting total through signed steps to a final total
+ *
+ * Options:
+ * - base: starting value (e.g. the base rate)
+ * - steps: [{ label, contribution }] applied in order
+ * - final: ending value; defaults to base plus all contributions
+ * - formatValue: formats totals and contributions in labels and tooltips
+ */
+export function renderWaterfallChart({
+    base,
+    steps,
+    final = null,
+    width = DEFAULT_WIDTH,
+    rowHeight = 18,
+    formatValue = (v) => String(v),
+    label = 'Waterfall chart'
+}) {
+    const end = final ?? steps.reduce((acc, step) => acc + step.contribution, base);
+    const rows = [{ label: 'Base rate', from: 0, to: base, type: 'total', text: formatValue(base) }];
+
+    let running = base;
+    for (const step of steps) {
+        const next = running + step.contribution;
+        rows.push({
+            label: step.label,
+            from: running,
+            to: next,
+            type: step.contribution >= 0 ? 'up' : 'down',
+            text: `${step.contribution >= 0 ? '+' : ''}${formatValue(step.contribution)}`
+        });
+        running = next;
+    }
+    rows.push({ label: 'Final', from: 0, to: end, type: 'total', text: formatValue(end) });
+
+    const labelWidth = Math.round(width * 0.45);
+    const high = Math.max(...rows.map(r => Math.max(r.from, r.to)), 0.01);
+    const height = rows.length * rowHeight + 2 * PADDING;
+    const scaleX = (v) => labelWidth + Math.max(0, v) / high * (width - labelWidth - PADDING);
+    const round = (n) => Math.round(n * 10) / 10;
+    const shorten = (text) => text.length > 28 ? `${text.slice(0, 27)}…` : text;
+
+    const parts = rows.map((row, i) => {
+        const y = PADDING + i * rowHeight;
+        const x1 = round(scaleX(Math.min(row.from, row.to)));
+        const x2 = round(scaleX(Math.max(row.from, row.to)));
+        return `<g class="chart-waterfall chart-waterfall-${row.type}">` +
+            `<text x="0" y="${round(y + rowHeight * 0.7)}">${escapeHTML(shorten(row.label))}</text>` +
+            `<rect x="${x1}" y="${round(y + 3)}" width="${round(Math.max(x2 - x1, 1))}" height="${rowHeight - 6}"/>` +
+            `<title>${escapeHTML(row.label)}: ${escapeHTML(row.text)}</title></g>`;
+    });
+
+    return `<svg class="chart chart-waterfall-svg" viewBox="0 0 ${width} ${height}" width="100%" role="img" aria-label="${escapeHTML(label)}">${parts.join('')}</svg>`;
+}
+
+/**
+ * Render a risk gauge: low/moderate/high/critical bands with the probability marked
+ *
+ * The scale runs from 0 to 1.5× the critical threshold (or the probability, if
+ * higher), capped at 100%.
+ */
+export function renderRiskGauge({ probability, bands, level, label = 'Risk gauge' }) {
+    const max = Math.min(1, Math.max(bands.critical * 1.5, probability));
+    const position = (p) => `${(Math.min(p, max) / max * 100).toFixed(1)}%`;
+    const percent = (p) => `${(p * 100).toFixed(1)}%`;
+
+    const segments = [
+        { name: 'low', from: 0, to: bands.moderate },
+        { name: 'moderate', from: bands.moderate, to: bands.high },
+        { name: 'high', from: bands.high, to: bands.critical },
+        { name: 'critical', from: bands.critical, to: max }
+    ].filter(segment => segment.to > segment.from);
+
+    const spans = segments.map(segment =>
+        `<span class="gauge-segment gauge-${segment.name}" style="left: ${position(segment.from)}; width: ${(
+            (Math.min(segment.to, max) - segment.from) / max * 100).toFixed(1)}%" title="${segment.name}: ${percent(segment.from)}+"></span>`
+    ).join('');
+
+    return `<div class="gauge gauge-level-${escapeHTML(level)}" role="meter" aria-label="${escapeHTML(label)}" ` +
+        `aria-valuemin="0" aria-valuemax="${max}" aria-valuenow="${probability}" aria-valuetext="${percent(probability)} (${escapeHTML(level)})">` +
+        `<div class="gauge-track">${spans}<span class="gauge-marker" style="left: ${position(probability)}"></span></div>` +
+        `<div class="gauge-ticks">` +
+        `<span style="left: ${position(bands.moderate)}">${percent(bands.moderate)}</span>` +
+        `<span style="left: ${position(bands.high)}">${percent(bands.high)}</span>` +
+        `<span style="left: ${position(bands.critical)}">${percent(bands.critical)}</span>` +
+        `</div></div>`;
+}
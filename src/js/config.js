@@ -4,8 +4,11 @@
 
 export const CONFIG = {
     // API Configuration
-    FRED_API_KEY: 'f31a77511e44f9da37c9ec6632333504',
-    BACKEND_URL: 'https://dalio-e2484ddc4757.herokuapp.com',
+    // The FRED API key lives only on the proxy server; never add secrets here,
+    // this file is published as-is to GitHub Pages.
+    // Override with ?backend=http://localhost:3001 to use a local (e.g. offline) proxy
+    BACKEND_URL: (typeof window !== 'undefined' && new URLSearchParams(window.location.search).get('backend')) ||
+        'https://dalio-e2484ddc4757.herokuapp.com',
 
     // Timing Configuration
     REFRESH_INTERVAL_MS: 30 * 60 * 1000, // 30 minutes
@@ -15,6 +18,27 @@ export const CONFIG = {
     FETCH_TIMEOUT_MS: 10000, // 10 seconds
     MAX_RETRIES: 3,
     RETRY_DELAY_MS: 1000,
+
+    // Probability history (stored on the proxy, with localStorage as fallback)
+    SNAPSHOT_HISTORY_DAYS: 30,
+    MAX_LOCAL_SNAPSHOTS: 500,
+    SNAPSHOT_STORAGE_KEY: 'dalio-dashboard-snapshots',
+
+    // Saved what-if scenarios (localStorage)
+    SCENARIO_STORAGE_KEY: 'dalio-dashboard-scenarios',
+
+    // Custom model settings (localStorage; optionally shared through the proxy)
+    MODEL_SETTINGS_STORAGE_KEY: 'dalio-dashboard-model-settings',
+
+    // Alert state and log (localStorage)
+    ALERT_STORAGE_KEY: 'dalio-dashboard-alerts',
+
+    // Alert rules and the alert inbox (localStorage)
+    ALERT_RULES_STORAGE_KEY: 'dalio-dashboard-alert-rules',
+    ALERT_INBOX_STORAGE_KEY: 'dalio-dashboard-alert-inbox',
+
+    // User-defined formula indicators (localStorage)
+    CUSTOM_INDICATORS_STORAGE_KEY: 'dalio-dashboard-custom-indicators',
 };
 
 export const BASE_PROBABILITIES = {
@@ -53,115 +77,384 @@ export const RISK_THRESHOLDS = {
     }
 };
 
-export const MOCK_DATA = {
-    'DGS10': {
-        value: 4.75,
+// Indicator registry, in display order
+// - name, threshold: shown on the indicator card
+// - provider: where the live value comes from ('fred': the proxy's FRED routes,
+//   'treasury': the proxy's Treasury deficit route, 'static': a data file,
+//   'formula': computed from other series by `formula`, see formula.js)
+// - units, frequency: of the provider's values
+// - format: raw value -> display string
+// - higherIsWorse: a rising value is a worsening trend (inverts trend analysis)
+// - fallback: value used when the provider is unavailable, labelled 'Mock Data'
+//   (or `fallbackSource`, with `fallbackNote`)
+// - method: how the value is measured or derived; recorded on the indicator
+export const INDICATORS = {
+    DGS10: {
         name: '10-Year Treasury Yield',
         threshold: '> 5%',
-        transform: (v) => v.toFixed(2) + '%'
+        provider: 'fred',
+        units: 'percent',
+        frequency: 'daily',
+        format: (v) => v.toFixed(2) + '%',
+        higherIsWorse: false,
+        fallback: 4.75
     },
-    'DFF': {
-        value: 4.33,
+    DFF: {
         name: 'Fed Funds Rate',
         threshold: '< 0.5%',
-        transform: (v) => v.toFixed(2) + '%'
+        provider: 'fred',
+        units: 'percent',
+        frequency: 'daily',
+        format: (v) => v.toFixed(2) + '%',
+        higherIsWorse: false,
+        fallback: 4.33
     },
-    'GFDGDPA188S': {
-        value: 123.0,
+    T10Y2Y: {
+        name: 'Yield Curve (10Y-2Y)',
+        threshold: '< 0%',
+        provider: 'fred',
+        units: 'percentage points',
+        frequency: 'daily',
+        format: (v) => v.toFixed(2) + '%',
+        higherIsWorse: false,
+        fallback: 0.20
+    },
+    GFDGDPA188S: {
         name: 'Federal Debt/GDP',
         threshold: '> 125%',
-        transform: (v) => v.toFixed(1) + '%'
+        provider: 'fred',
+        units: '% of GDP',
+        frequency: 'annual',
+        format: (v) => v.toFixed(1) + '%',
+        higherIsWorse: true,
+        fallback: 123.0
     },
-    'BAA10Y': {
-        value: 2.15,
-        name: 'Credit Spreads (IG)',
-        threshold: '> 4%',
-        transform: (v) => (v * 100).toFixed(0) + ' bps'
+    DeficitGDP: {
+        name: 'Budget Deficit/GDP',
+        threshold: '> 3%',
+        provider: 'treasury',
+        units: '% of GDP',
+        frequency: 'monthly',
+        format: (v) => v.toFixed(1) + '%',
+        higherIsWorse: true,
+        fallback: 7.2,
+        fallbackSource: 'Estimate',
+        fallbackNote: 'Current fiscal year estimate',
+        method: 'Trailing 12-month Treasury outlays minus receipts (MTS) / annual GDP (FRED GDP)'
     },
-    'UNRATE': {
-        value: 4.2,
-        name: 'Unemployment Rate',
-        threshold: '> 7%',
-        transform: (v) => v.toFixed(1) + '%'
+    A091RC1Q027SBEA: {
+        name: 'Interest Payments/GDP',
+        threshold: '> 4%',
+        provider: 'fred',
+        units: '% of GDP',
+        frequency: 'quarterly',
+        format: (v) => v.toFixed(1) + '%',
+        higherIsWorse: true,
+        fallback: 3.8
     },
-    'T10Y2Y': {
-        value: 0.20,
-        name: 'Yield Curve (10Y-2Y)',
-        threshold: '< 0%',
-        transform: (v) => v.toFixed(2) + '%'
+    BAA10Y: {
+        name: 'Credit Spreads (IG)',
+        threshold: '> 4%',
+        provider: 'fred',
+        units: 'percentage points',
+        frequency: 'daily',
+        format: (v) => (v * 100).toFixed(0) + ' bps',
+        higherIsWorse: true,
+        fallback: 2.15
     },
-    'VIXCLS': {
-        value: 15.2,
+    VIXCLS: {
         name: 'VIX Volatility Index',
         threshold: '> 30',
-        transform: (v) => v.toFixed(1)
+        provider: 'fred',
+        units: 'index',
+        frequency: 'daily',
+        format: (v) => v.toFixed(1),
+        higherIsWorse: true,
+        fallback: 15.2
     },
-    'DEXUSEU': {
-        value: 1.03,
-        name: 'EUR/USD Exchange Rate',
-        threshold: '< 1.20',
-        transform: (v) => v.toFixed(3)
+    DTWEXBGS: {
+        name: 'Broad Dollar Index',
+        threshold: '< 110',
+        provider: 'fred',
+        units: 'index (Jan 2006 = 100)',
+        frequency: 'daily',
+        format: (v) => v.toFixed(1),
+        higherIsWorse: false,
+        fallback: 121.4,
+        // Recorded so the dollar rules' calibration can be checked against it
+        method: 'Fed nominal broad trade-weighted index (26 currencies, Jan 2006 = 100)'
     },
-    'GOLDAMGBD228NLBM': {
-        value: 2650,
+    GOLDAMGBD228NLBM: {
         name: 'Gold Price (USD/oz)',
         threshold: '50% rise = warning',
-        transform: (v) => '$' + v.toFixed(2)
+        provider: 'fred',
+        units: 'USD per troy ounce',
+        frequency: 'daily',
+        format: (v) => '$' + v.toFixed(2),
+        higherIsWorse: false,
+        fallback: 2650
     },
-    'M2SL': {
-        value: 21400,
+    UNRATE: {
+        name: 'Unemployment Rate',
+        threshold: '> 7%',
+        provider: 'fred',
+        units: 'percent',
+        frequency: 'monthly',
+        format: (v) => v.toFixed(1) + '%',
+        higherIsWorse: true,
+        fallback: 4.2
+    },
+    M2SL: {
         name: 'M2 Money Supply (Bil)',
         threshold: 'High growth = warning',
-        transform: (v) => '$' + (v/1000).toFixed(1) + 'T'
+        provider: 'fred',
+        units: 'billions of USD',
+        frequency: 'monthly',
+        format: (v) => '$' + (v / 1000).toFixed(1) + 'T',
+        higherIsWorse: false,
+        fallback: 21400
     },
-    'BOGMBASE': {
-        value: 5800,
+    BOGMBASE: {
         name: 'Monetary Base (Bil)',
         threshold: 'Rapid expansion',
-        transform: (v) => '$' + (v/1000).toFixed(1) + 'T'
-    },
-    'A091RC1Q027SBEA': {
-        value: 3.8,
-        name: 'Interest Payments/GDP',
-        threshold: '> 4%',
-        transform: (v) => v.toFixed(1) + '%'
+        provider: 'fred',
+        units: 'billions of USD',
+        frequency: 'monthly',
+        format: (v) => '$' + (v / 1000).toFixed(1) + 'T',
+        higherIsWorse: false,
+        fallback: 5800
     }
 };
 
-export const INDICATOR_DISPLAY_ORDER = [
-    'DGS10', 'DFF', 'T10Y2Y', 'GFDGDPA188S',
-    'DeficitGDP', 'A091RC1Q027SBEA', 'BAA10Y', 'VIXCLS',
-    'DXY', 'GOLDAMGBD228NLBM', 'UNRATE', 'M2SL', 'BOGMBASE'
-];
+export const INDICATOR_DISPLAY_ORDER = Object.keys(INDICATORS);
+
+// Sources of registry fallback values (`fallbackSource`, default 'Mock Data'), as
+// opposed to values read from a provider
+export const FALLBACK_SOURCES = ['Mock Data', 'Estimate'];
 
-// Economic indicator thresholds for probability calculations
+// Derived values computed from other indicators' raw values for use in rules
+// formula: see formula.js (every input must be an indicator)
+export const DERIVED_INDICATORS = {
+    mbToM2: { formula: 'BOGMBASE / M2SL', name: 'Monetary Base / M2' },
+    rateSpread: { formula: 'DGS10 - DFF', name: '10Y - Fed Funds spread' }
+};
+
+// Probability rules, evaluated by ProbabilityCalculator.evaluateRules()
+// Each rule reads either an indicator (`indicator`) or a DERIVED_INDICATORS key (`derived`),
+// compares it to `value` with `operator` ('>', '<', '>=', '<=') and, when triggered,
+// multiplies the event's probability by `factor` (multiplicative model).
+// `likelihood` holds the likelihood ratios used by the Bayesian odds model when the
+// trigger is present or absent. `trendAdjust` scales the factor and present-likelihood
+// by the indicator's trend multiplier (derived values have no history to trend).
+// Custom indicators with a rule add it here at runtime, marked `custom` (customIndicators.js).
 export const ECONOMIC_THRESHOLDS = {
     recession: {
-        deficitGDP: { value: 5, factor: 1.8, reason: 'Deficit > 5% GDP' },
-        creditSpreads: { value: 4, factor: 2.0, reason: 'Credit spreads > 400bps' },
-        yieldCurve: { value: 0, factor: 1.7, reason: 'Yield curve inverted' }
+        deficitGDP: {
+            indicator: 'DeficitGDP', operator: '>', value: 5,
+            factor: 1.8, reason: 'Deficit > 5% GDP',
+            likelihood: { present: 1.8, absent: 0.9 },
+            curve: { type: 'logistic', width: 0.5 },
+            trendAdjust: true
+        },
+        creditSpreads: {
+            indicator: 'BAA10Y', operator: '>', value: 4,
+            factor: 2.0, reason: 'Credit spreads > 400bps',
+            likelihood: { present: 2.0, absent: 0.8 },
+            curve: { type: 'logistic', width: 0.25 },
+            trendAdjust: true
+        },
+        yieldCurve: {
+            indicator: 'T10Y2Y', operator: '<', value: 0,
+            factor: 1.7, reason: 'Yield curve inverted',
+            likelihood: { present: 1.7, absent: 0.75 },
+            curve: { type: 'logistic', width: 0.15 },
+            trendAdjust: true
+        }
     },
     depression: {
-        fedFunds: { value: 0.5, factor: 3.0, reason: 'Fed Funds < 0.5%' },
-        debtGDP: { value: 150, factor: 2.0, reason: 'Debt/GDP > 150%' },
-        mbToM2: { value: 0.3, factor: 1.5, reason: 'Extreme QE conditions' }
+        fedFunds: {
+            indicator: 'DFF', operator: '<', value: 0.5,
+            factor: 3.0, reason: 'Fed Funds < 0.5%',
+            likelihood: { present: 3.0, absent: 0.95 },
+            curve: { type: 'linear', points: [[0.25, 1], [0.5, 0.5], [1, 0]] },
+            trendAdjust: true
+        },
+        debtGDP: {
+            indicator: 'GFDGDPA188S', operator: '>', value: 150,
+            factor: 2.0, reason: 'Debt/GDP > 150%',
+            likelihood: { present: 2.0, absent: 0.95 },
+            curve: { type: 'linear', points: [[140, 0], [150, 0.5], [170, 1]] },
+            trendAdjust: true
+        },
+        mbToM2: {
+            derived: 'mbToM2', operator: '>', value: 0.3,
+            factor: 1.5, reason: 'Extreme QE conditions',
+            likelihood: { present: 1.5, absent: 0.95 },
+            curve: { type: 'logistic', width: 0.01 },
+            trendAdjust: false
+        }
     },
     reserve: {
-        dxy: { value: 90, factor: 1.5, reason: 'Dollar weakness' }
+        // Dollar thresholds are on the broad trade-weighted index (DTWEXBGS), which
+        // ranged ~86-130 over 2006-2025: 110 is about the 2021 low (ICE DXY ~90),
+        // 120 is about where ICE DXY sits at 100
+        dollarIndex: {
+            indicator: 'DTWEXBGS', operator: '<', value: 110,
+            factor: 1.5, reason: 'Dollar weakness',
+            likelihood: { present: 1.5, absent: 0.9 },
+            curve: { type: 'logistic', width: 1.5 },
+            trendAdjust: true
+        }
     },
     default: {
-        deficitGDP: { value: 7, factor: 3.0, reason: 'Deficit > 7% GDP' },
-        interestPayments: { value: 4, factor: 2.5, reason: 'Interest payments > 4% GDP' },
-        rateSpread: { value: 2, factor: 1.5, reason: 'Rising long-term rates' }
+        deficitGDP: {
+            indicator: 'DeficitGDP', operator: '>', value: 7,
+            factor: 3.0, reason: 'Deficit > 7% GDP',
+            likelihood: { present: 3.0, absent: 0.8 },
+            curve: { type: 'logistic', width: 0.5 },
+            trendAdjust: true
+        },
+        interestPayments: {
+            indicator: 'A091RC1Q027SBEA', operator: '>', value: 4,
+            factor: 2.5, reason: 'Interest payments > 4% GDP',
+            likelihood: { present: 2.5, absent: 0.85 },
+            curve: { type: 'linear', points: [[3.5, 0], [4, 0.5], [5, 1]] },
+            trendAdjust: true
+        },
+        rateSpread: {
+            derived: 'rateSpread', operator: '>', value: 2,
+            factor: 1.5, reason: 'Rising long-term rates',
+            likelihood: { present: 1.5, absent: 0.9 },
+            curve: { type: 'logistic', width: 0.25 },
+            trendAdjust: false
+        }
     },
     devaluation: {
-        dxy: { value: 100, factor: 1.5, reason: 'DXY < 100' },
-        deficitGDP: { value: 7, factor: 1.8, reason: 'High deficit monetization risk' }
+        dollarIndex: {
+            indicator: 'DTWEXBGS', operator: '<', value: 120,
+            factor: 1.5, reason: 'Broad dollar index < 120',
+            likelihood: { present: 1.5, absent: 0.85 },
+            curve: { type: 'logistic', width: 1.5 },
+            trendAdjust: true
+        },
+        deficitGDP: {
+            indicator: 'DeficitGDP', operator: '>', value: 7,
+            factor: 1.8, reason: 'High deficit monetization risk',
+            likelihood: { present: 1.8, absent: 0.85 },
+            curve: { type: 'logistic', width: 0.5 },
+            trendAdjust: true
+        }
     }
 };
 
+// How triggered rules are combined into a probability
+// - multiplicative: base probability × factors × correlation discount, clamped to 100%
+// - bayesian: prior odds × likelihood ratios (present and absent) → posterior probability
+//
+// Rules with a `curve` respond gradually instead of at a hard cliff. The curve maps the
+// indicator value to a weight from 0 to 1; the factor becomes factor^weight and the
+// likelihood ratio present^weight × absent^(1 - weight)
+// - logistic: weight 0.5 at `midpoint` (default: the rule threshold), `width` sets how
+//   quickly it rises past the threshold (≈ 0.12 → 0.88 over ±2 widths)
+// - linear: piecewise-linear through [value, weight] `points`, flat beyond the ends
+// Weights below `minCurveWeight` count as not triggered
+// useCurves and useTrendAnalysis are the defaults of the model controls' toggles
+export const PROBABILITY_MODEL = {
+    modes: ['multiplicative', 'bayesian'],
+    defaultMode: 'multiplicative',
+    useCurves: true,
+    useTrendAnalysis: true,
+    minCurveWeight: 0.05
+};
+
+// Monte Carlo uncertainty bands (optional, toggled in the model controls)
+// Each run samples every indicator from a normal distribution around its value:
+// - history: standard deviation of month-over-month changes, widened by the square
+//   root of the observation's age in months (stale values are less certain)
+// - source: relative error by data source (estimates and mock data are least certain)
+// - defaultVolatility: relative monthly volatility when there is no history
+// The calculator runs once per sample and the bands are percentiles of the results
+export const MONTE_CARLO = {
+    enabled: false,
+    samples: 500,
+    percentiles: { low: 0.05, median: 0.5, high: 0.95 },
+    defaultVolatility: 0.02,
+    sourceUncertainty: {
+        'FRED API': 0,
+        'Treasury API': 0,
+        'Calculated': 0.03,
+        'Estimate': 0.15,
+        'Mock Data': 0.10,
+        'Scenario': 0
+    },
+    unknownSourceUncertainty: 0.05
+};
+
+// Alert hysteresis (alert banner and per-risk alert levels)
+// A level is entered at its threshold and cleared only once the probability falls
+// below threshold × exitRatio, so values hovering around a threshold do not flap.
+// Escalations must hold for confirmRefreshes consecutive refreshes, or for
+// confirmDays days of refreshes when set (whichever comes first); clearing is immediate.
+// bannerMultipliers: yellow/orange when the highest probability reaches this multiple
+// of the highest base probability (red: any risk confirmed critical)
+export const ALERTS = {
+    exitRatio: 0.9,
+    confirmRefreshes: 2,
+    confirmDays: 0,
+    bannerMultipliers: { yellow: 2, orange: 3 },
+    maxLogEntries: 200
+};
+
+// User-defined alert rules (alertRules.js), evaluated after every refresh
+// Rules are written as text:
+// - "<risk> > 40%": a risk's probability against a percentage ('>', '<', '>=', '<=')
+// - "<indicator> < 0": an indicator's value, in its own units
+// - "<risk or indicator> crosses [above|below] 30": the value moved across a level since the last refresh
+// - "<risk or any> risk level increases": a confirmed alert level (AlertMonitor) went up
+// Comparison rules fire when the condition becomes true, not on every refresh while it holds.
+// aliases: short names accepted for indicator series ids
+export const ALERT_RULES = {
+    defaults: ['any risk level increases'],
+    aliases: {
+        VIX: 'VIXCLS',
+        GOLD: 'GOLDAMGBD228NLBM',
+        UNEMPLOYMENT: 'UNRATE',
+        SPREADS: 'BAA10Y',
+        YIELDCURVE: 'T10Y2Y',
+        DOLLAR: 'DTWEXBGS',
+        DXY: 'DTWEXBGS'
+    },
+    snoozeMinutes: [60, 240, 1440],
+    maxInboxItems: 100
+};
+
 // Correlation discount factors
+// Multiplicative model: multiplies the combined factor
+// Bayesian model: exponent on the combined present-likelihood ratio (shrinks evidence toward 1)
+// Factors count by their curve weight; between whole counts the discount is interpolated
 export const CORRELATION_DISCOUNT = {
     2: 0.7,  // Two correlated factors
     3: 0.5   // Three or more correlated factors
 };
+
+// Backtest settings (scripts/backtest.js)
+// The model is replayed month by month over START_DATE..END_DATE and EVENT's probability
+// is scored against TARGET_SERIES (NBER recession indicator, 1 = recession month).
+// A forecast counts as correct if a recession month falls within HORIZON_MONTHS,
+// starting with the forecast month. Indicators the dashboard gets from other sources
+// are rebuilt from the FRED series in HISTORY_SERIES.
+export const BACKTEST_CONFIG = {
+    START_DATE: '1990-01-01',
+    END_DATE: '2024-12-31',
+    LOOKBACK_MONTHS: 24,    // Extra history so annual series have a value at START_DATE
+    EVENT: 'recession',
+    TARGET_SERIES: 'USREC',
+    HORIZON_MONTHS: 12,
+    ALERT_THRESHOLD: RISK_THRESHOLDS.recession.high,
+    HISTORY_FREQUENCY: 'm',
+    HISTORY_AGGREGATION: 'avg',
+    HISTORY_SERIES: {
+        // Federal surplus/deficit as % of GDP (annual); negative values are deficits
+        DeficitGDP: { series: 'FYFSGDA188S', name: 'Budget Deficit/GDP', transform: (v) => -v }
+    }
+};
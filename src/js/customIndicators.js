@@ -0,0 +1,241 @@
+/**
+ * User-defined custom indicators for the Ray Dalio Economic Risk Dashboard
+ *
+ * A custom indicator is a formula over built-in indicators and FRED series
+ * (formula.js), e.g. a real rate `DGS10 - T10YIE`. Definitions are validated,
+ * added to the indicator registry (provider 'formula') so they are computed
+ * by DataService, shown in the grid with history and usable in alert rules,
+ * and optionally add a probability rule. Definitions are kept in localStorage.
+ *
+ * Definition shape:
+ * {
+ *   id: 'REAL10Y', name: 'Real 10Y Yield', formula: 'DGS10 - T10YIE',
+ *   decimals: 2, suffix: '%', higherIsWorse: false,
+ *   rule: { event: 'recession', operator: '>', value: 2.5, factor: 1.3 } or null
+ * }
+ */
+
+import {
+    CONFIG,
+    INDICATORS,
+    INDICATOR_DISPLAY_ORDER,
+    ECONOMIC_THRESHOLDS,
+    BASE_PROBABILITIES
+} from './config.js';
+import { parseFormula } from './formula.js';
+import { ValidationError, readStoredJSON, writeStoredJSON } from './utils.js';
+
+export const RULE_OPERATORS = ['>', '<', '>=', '<='];
+
+const ID_PATTERN = /^[A-Z][A-Z0-9_]{1,29}$/;
+const INPUT_PATTERN = /^[A-Z][A-Z0-9_]*$/;
+const MAX_NAME_LENGTH = 60;
+const MAX_SUFFIX_LENGTH = 10;
+
+/**
+ * Registry ids that are not custom indicators (formulas may read these)
+ */
+function builtInIds() {
+    return Object.keys(INDICATORS).filter(id => !INDICATORS[id].custom);
+}
+
+/**
+ * Check and normalize a definition; throws ValidationError
+ */
+export function normalizeCustomIndicator(definition) {
+    if (!definition || typeof definition !== 'object') {
+        throw new ValidationError('Custom indicator must be an object');
+    }
+
+    const id = typeof definition.id === 'string' ? definition.id.trim().toUpperCase() : '';
+    if (!ID_PATTERN.test(id)) {
+        throw new ValidationError('Custom indicator id must be 2-30 letters, digits or _ and start with a letter');
+    }
+    if (builtInIds().includes(id)) {
+        throw new ValidationError(`${id} is a built-in indicator`);
+    }
+
+    const name = typeof definition.name === 'string' ? definition.name.trim() : '';
+    if (!name || name.length > MAX_NAME_LENGTH) {
+        throw new ValidationError(`Custom indicator name is required (at most ${MAX_NAME_LENGTH} characters)`);
+    }
+
+    const formula = parseFormula(definition.formula);
+    if (formula.inputs.length === 0) {
+        throw new ValidationError('Formula must read at least one indicator');
+    }
+    for (const input of formula.inputs) {
+        if (input === id) {
+            throw new ValidationError(`${id} cannot read itself`);
+        }
+        if (INDICATORS[input] && INDICATORS[input].custom) {
+            throw new ValidationError(`Formulas cannot read other custom indicators (${input})`);
+        }
+        if (!INPUT_PATTERN.test(input)) {
+            throw new ValidationError(`Unknown formula input "${input}": use indicator or FRED series ids (upper case)`);
+        }
+    }
+
+    const decimals = definition.decimals === undefined || definition.decimals === '' ? 2 : Number(definition.decimals);
+    if (!Number.isInteger(decimals) || decimals < 0 || decimals > 6) {
+        throw new ValidationError('Decimals must be a whole number from 0 to 6');
+    }
+
+    const suffix = typeof definition.suffix === 'string' ? definition.suffix.trim() : '';
+    if (suffix.length > MAX_SUFFIX_LENGTH) {
+        throw new ValidationError(`Unit suffix must be at most ${MAX_SUFFIX_LENGTH} characters`);
+    }
+
+    return {
+        id,
+        name,
+        formula: formula.text,
+        decimals,
+        suffix,
+        higherIsWorse: Boolean(definition.higherIsWorse),
+        rule: definition.rule ? normalizeRule(definition.rule, id) : null
+    };
+}
+
+function normalizeRule(rule, id) {
+    if (!Object.keys(BASE_PROBABILITIES).includes(rule.event)) {
+        throw new ValidationError(`Unknown risk for ${id} rule: ${rule.event}`);
+    }
+    if (!RULE_OPERATORS.includes(rule.operator)) {
+        throw new ValidationError(`Rule operator must be one of ${RULE_OPERATORS.join(' ')}`);
+    }
+
+    const value = Number(rule.value);
+    const factor = Number(rule.factor);
+    if (rule.value === '' || !Number.isFinite(value)) {
+        throw new ValidationError(`${id} rule threshold must be a number`);
+    }
+    if (rule.factor === '' || !Number.isFinite(factor) || factor <= 0) {
+        throw new ValidationError(`${id} rule factor must be a positive number`);
+    }
+
+    return { event: rule.event, operator: rule.operator, value, factor };
+}
+
+/**
+ * Indicator registry entry for a normalized definition
+ */
+export function customIndicatorEntry({ name, formula, decimals, suffix, higherIsWorse, rule }) {
+    return {
+        name,
+        threshold: rule ? `${rule.operator} ${rule.value}${suffix}` : 'Custom',
+        provider: 'formula',
+        formula,
+        units: suffix || null,
+        frequency: null,
+        format: (v) => v.toFixed(decimals) + suffix,
+        higherIsWorse,
+        method: `Custom formula: ${formula}`,
+        custom: true
+    };
+}
+
+/**
+ * Replace the registered custom indicators (and their rules) with `definitions`
+ * Throws ValidationError without changing anything if any definition is invalid.
+ * Returns the normalized definitions.
+ */
+export function applyCustomIndicators(definitions = []) {
+    const normalized = definitions.map(normalizeCustomIndicator);
+    const ids = normalized.map(definition => definition.id);
+    const duplicate = ids.find((id, i) => ids.indexOf(id) !== i);
+    if (duplicate) {
+        throw new ValidationError(`Duplicate custom indicator: ${duplicate}`);
+    }
+    for (const definition of normalized) {
+        const input = parseFormula(definition.formula).inputs.find(id => ids.includes(id));
+        if (input) {
+            throw new ValidationError(`Formulas cannot read other custom indicators (${input})`);
+        }
+    }
+
+    for (const id of Object.keys(INDICATORS)) {
+        if (INDICATORS[id].custom) {
+            delete INDICATORS[id];
+            INDICATOR_DISPLAY_ORDER.splice(INDICATOR_DISPLAY_ORDER.indexOf(id), 1);
+        }
+    }
+    for (const eventRules of Object.values(ECONOMIC_THRESHOLDS)) {
+        for (const [ruleId, rule] of Object.entries(eventRules)) {
+            if (rule.custom) {
+                delete eventRules[ruleId];
+            }
+        }
+    }
+
+    for (const definition of normalized) {
+        INDICATORS[definition.id] = customIndicatorEntry(definition);
+        INDICATOR_DISPLAY_ORDER.push(definition.id);
+
+        const { rule } = definition;
+        if (rule) {
+            ECONOMIC_THRESHOLDS[rule.event][definition.id] = {
+                indicator: definition.id,
+                operator: rule.operator,
+                value: rule.value,
+                factor: rule.factor,
+                reason: `${definition.name} ${rule.operator} ${rule.value}${definition.suffix}`,
+                likelihood: { present: rule.factor, absent: 1 },
+                trendAdjust: true,
+                custom: true
+            };
+        }
+    }
+
+    return normalized;
+}
+
+/**
+ * Custom indicator storage
+ */
+export class CustomIndicatorService {
+    constructor(storage = globalThis.localStorage || null) {
+        this.storage = storage;
+    }
+
+    /**
+     * Saved definitions, in the order they were added
+     */
+    list() {
+        return this.loadAll();
+    }
+
+    /**
+     * Validate and save a new definition; returns it normalized
+     */
+    add(definition) {
+        const normalized = normalizeCustomIndicator(definition);
+        const definitions = this.loadAll();
+        if (definitions.some(existing => existing.id === normalized.id)) {
+            throw new ValidationError(`A custom indicator ${normalized.id} already exists`);
+        }
+
+        definitions.push(normalized);
+        this.saveAll(definitions);
+        return normalized;
+    }
+
+    /**
+     * Delete a definition
+     */
+    remove(id) {
+        this.saveAll(this.loadAll().filter(definition => definition.id !== id));
+    }
+
+    loadAll() {
+        return readStoredJSON(this.storage, CONFIG.CUSTOM_INDICATORS_STORAGE_KEY, {
+            fallback: [],
+            isValid: Array.isArray,
+            label: 'custom indicators'
+        });
+    }
+
+    saveAll(definitions) {
+        writeStoredJSON(this.storage, CONFIG.CUSTOM_INDICATORS_STORAGE_KEY, definitions, 'custom indicators');
+    }
+}
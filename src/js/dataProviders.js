@@ -0,0 +1,451 @@
+/**
+ * Data providers for the Ray Dalio Economic Risk Dashboard
+ *
+ * DataService and TrendAnalyzer read indicators through a provider, chosen per
+ * indicator by the registry's `provider` field (INDICATORS in config.js).
+ * Every provider implements:
+ *
+ * - metadata(id): { id, provider, name, units, frequency, method, ... }
+ * - fetchLatest(ids): { [id]: { value, date, source, note? } or { error } }
+ * - fetchHistory(id, { start, end, months, frequency, aggregation }, { retries }):
+ *   { frequency, observations: [{ date, value }] } with observations oldest first
+ *
+ * Providers marked `needsBackend` only work while the proxy is reachable;
+ * DataService uses the mock provider for their indicators otherwise.
+ */
+
+import { CONFIG, INDICATORS } from './config.js';
+import { compileFormula, evaluateFormula } from './formula.js';
+import {
+    fetchWithRetry,
+    validateNumber,
+    validateIndicatorData,
+    logger,
+    sleep,
+    ValidationError
+} from './utils.js';
+
+/**
+ * YYYY-MM-DD for a Date (UTC)
+ */
+function toISODate(date) {
+    return date.toISOString().split('T')[0];
+}
+
+/**
+ * Calendar window for a history query: explicit start/end, or `months` (default 12) before end
+ */
+function historyWindow({ start, end, months = 12 } = {}) {
+    const endDate = end || toISODate(new Date());
+    if (start) {
+        return { start, end: endDate };
+    }
+
+    const date = new Date(`${endDate}T00:00:00Z`);
+    date.setUTCMonth(date.getUTCMonth() - months);
+    return { start: toISODate(date), end: endDate };
+}
+
+/**
+ * Query string for the proxy's history routes
+ */
+function historyParams({ start, end, months, frequency, aggregation } = {}) {
+    const params = new URLSearchParams();
+    if (start) params.set('start', start);
+    if (end) params.set('end', end);
+    if (months && !start) params.set('months', String(months));
+    if (frequency) params.set('frequency', frequency);
+    if (aggregation) params.set('aggregation', aggregation);
+    return params;
+}
+
+/**
+ * Numeric observations sorted oldest first
+ */
+function cleanObservations(observations) {
+    return observations
+        .map(obs => ({ date: obs.date, value: parseFloat(obs.value) }))
+        .filter(obs => obs.date && !isNaN(obs.value))
+        .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Shared behaviour: registry metadata, and per-id latest values through fetchOne()
+ */
+export class DataProvider {
+    constructor(name, { needsBackend = false } = {}) {
+        this.name = name;
+        this.needsBackend = needsBackend;
+    }
+
+    metadata(id) {
+        const config = INDICATORS[id] || {};
+        return {
+            id,
+            provider: this.name,
+            name: config.name || id,
+            units: config.units || null,
+            frequency: config.frequency || null,
+            method: config.method || null
+        };
+    }
+
+    async fetchLatest(ids) {
+        const results = {};
+        await Promise.all(ids.map(async (id) => {
+            try {
+                results[id] = await this.fetchOne(id);
+            } catch (error) {
+                results[id] = { error: error.message };
+            }
+        }));
+        return results;
+    }
+
+    async fetchOne(id) {
+        throw new ValidationError(`The ${this.name} provider has no value for ${id}`);
+    }
+
+    async fetchHistory(id) {
+        throw new ValidationError(`The ${this.name} provider has no history for ${id}`);
+    }
+}
+
+/**
+ * FRED series through the proxy: one batch request, with single-series requests as fallback
+ */
+export class FredProxyProvider extends DataProvider {
+    constructor() {
+        super('fred', { needsBackend: true });
+    }
+
+    async fetchLatest(ids) {
+        if (ids.length === 0) return {};
+
+        try {
+            const response = await fetchWithRetry(`${CONFIG.BACKEND_URL}/api/fred/batch`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ series: ids })
+            });
+
+            const batch = await response.json();
+            if (!batch || typeof batch !== 'object') {
+                throw new ValidationError('Invalid batch response format');
+            }
+
+            const results = {};
+            for (const id of ids) {
+                results[id] = this.readLatest(id, batch[id]);
+            }
+
+            logger.info(`Fetched ${ids.length} series from the FRED proxy`);
+            return results;
+        } catch (error) {
+            logger.error('Batch fetch failed:', error);
+
+            // Try individual fetches as fallback
+            return super.fetchLatest(ids);
+        }
+    }
+
+    async fetchOne(id) {
+        const response = await fetchWithRetry(`${CONFIG.BACKEND_URL}/api/fred/${id}`);
+        return this.readLatest(id, await response.json());
+    }
+
+    readLatest(id, data) {
+        try {
+            if (data && data.error) {
+                throw new ValidationError(data.error);
+            }
+
+            validateIndicatorData(data, id);
+            const [latest] = data.observations;
+
+            return {
+                value: validateNumber(latest.value, id),
+                date: latest.date,
+                source: 'FRED API'
+            };
+        } catch (error) {
+            return { error: error.message };
+        }
+    }
+
+    async fetchHistory(id, query = {}, { retries = CONFIG.MAX_RETRIES } = {}) {
+        const response = await fetchWithRetry(`${CONFIG.BACKEND_URL}/api/fred/${id}/history?${historyParams(query)}`, {}, retries);
+        const data = await response.json();
+
+        if (!data || !Array.isArray(data.observations)) {
+            throw new ValidationError(`Invalid history response for ${id}`);
+        }
+
+        return { frequency: data.frequency || null, observations: cleanObservations(data.observations) };
+    }
+}
+
+// The proxy's Treasury routes, and the response field holding each indicator's value
+const TREASURY_ROUTES = {
+    DeficitGDP: {
+        latest: '/api/treasury/deficit',
+        history: '/api/treasury/deficit/history',
+        field: 'deficit_gdp_ratio'
+    }
+};
+
+/**
+ * Indicators computed by the proxy from Treasury data
+ */
+export class TreasuryProvider extends DataProvider {
+    constructor() {
+        super('treasury', { needsBackend: true });
+    }
+
+    route(id) {
+        const route = TREASURY_ROUTES[id];
+        if (!route) {
+            throw new ValidationError(`No Treasury route for ${id}`);
+        }
+        return route;
+    }
+
+    async fetchOne(id) {
+        const route = this.route(id);
+        const response = await fetchWithRetry(`${CONFIG.BACKEND_URL}${route.latest}`);
+        const data = await response.json();
+
+        if (!data || typeof data[route.field] !== 'number') {
+            throw new ValidationError(`Invalid Treasury data format for ${id}`);
+        }
+
+        return {
+            value: validateNumber(data[route.field], id),
+            date: data.date,
+            source: data.source || 'Treasury API',
+            note: Array.isArray(data.months) ? 'Trailing 12 months' : data.note || null
+        };
+    }
+
+    async fetchHistory(id, query = {}, { retries = CONFIG.MAX_RETRIES } = {}) {
+        const route = this.route(id);
+        const response = await fetchWithRetry(`${CONFIG.BACKEND_URL}${route.history}?${historyParams(query)}`, {}, retries);
+        const data = await response.json();
+
+        if (!data || !Array.isArray(data.observations)) {
+            throw new ValidationError(`Invalid history response for ${id}`);
+        }
+
+        return { frequency: data.frequency || 'm', observations: cleanObservations(data.observations) };
+    }
+}
+
+/**
+ * Parse a CSV file with a header row; returns one object per data row
+ */
+export function parseCSV(text) {
+    const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    if (lines.length === 0) {
+        return [];
+    }
+
+    const header = lines[0].split(',').map(cell => cell.trim());
+    return lines.slice(1).map(line => {
+        const cells = line.split(',');
+        return Object.fromEntries(header.map((name, i) => [name, (cells[i] || '').trim()]));
+    });
+}
+
+/**
+ * Data files served with the dashboard (JSON or CSV), for series no API provides
+ *
+ * The registry entry names the file (`file`, relative to the page) and the
+ * column holding its values (`column`, default: the indicator id, then 'value').
+ * Files are rows with a `date` column; JSON may also be { observations: [...] }.
+ */
+export class StaticFileProvider extends DataProvider {
+    constructor({ baseUrl = globalThis.location ? globalThis.location.href : undefined } = {}) {
+        super('static');
+        this.baseUrl = baseUrl;
+        this.files = {};
+    }
+
+    metadata(id) {
+        const config = INDICATORS[id] || {};
+        return { ...super.metadata(id), file: config.file || null };
+    }
+
+    /**
+     * Load a file's rows once per provider (several indicators can share a file)
+     */
+    loadRows(file) {
+        if (!this.files[file]) {
+            const url = this.baseUrl ? new URL(file, this.baseUrl).href : file;
+            this.files[file] = fetchWithRetry(url)
+                .then(response => response.text())
+                .then(text => {
+                    if (!/\.csv$/i.test(file)) {
+                        const data = JSON.parse(text);
+                        return Array.isArray(data) ? data : data.observations || [];
+                    }
+                    return parseCSV(text);
+                })
+                .catch(error => {
+                    delete this.files[file];
+                    throw error;
+                });
+        }
+        return this.files[file];
+    }
+
+    async observations(id) {
+        const config = INDICATORS[id];
+        if (!config || !config.file) {
+            throw new ValidationError(`No data file configured for ${id}`);
+        }
+
+        const rows = await this.loadRows(config.file);
+        const column = config.column || (rows.length > 0 && id in rows[0] ? id : 'value');
+        const observations = cleanObservations(rows.map(row => ({ date: row.date, value: row[column] })));
+
+        if (observations.length === 0) {
+            throw new ValidationError(`No ${column} values in ${config.file}`);
+        }
+        return observations;
+    }
+
+    async fetchOne(id) {
+        const observations = await this.observations(id);
+        const latest = observations[observations.length - 1];
+
+        return { value: latest.value, date: latest.date, source: 'Data file' };
+    }
+
+    async fetchHistory(id, query = {}) {
+        const { start, end } = historyWindow(query);
+        const observations = (await this.observations(id))
+            .filter(obs => obs.date >= start && obs.date <= end);
+
+        return { frequency: 'native', observations };
+    }
+}
+
+/**
+ * The registry's fallback values (used offline and when a provider fails)
+ */
+export class MockProvider extends DataProvider {
+    constructor() {
+        super('mock');
+    }
+
+    async fetchOne(id) {
+        const config = INDICATORS[id];
+        if (!config) {
+            throw new ValidationError(`No fallback value for ${id}`);
+        }
+
+        // Simulate API delay
+        await sleep(CONFIG.MOCK_DATA_DELAY_MS);
+
+        return {
+            value: validateNumber(config.fallback, config.name),
+            date: toISODate(new Date()),
+            source: config.fallbackSource || 'Mock Data',
+            note: config.fallbackNote || null
+        };
+    }
+}
+
+/**
+ * Join input histories by date: each date any input has an observation, with every
+ * input's latest value on or before it (dates before an input starts are skipped)
+ */
+function combineHistories(formula, histories) {
+    const dates = [...new Set(histories.flatMap(history => history.observations.map(obs => obs.date)))].sort();
+    const positions = histories.map(() => 0);
+    const values = {};
+    const observations = [];
+
+    for (const date of dates) {
+        histories.forEach((history, i) => {
+            const input = formula.inputs[i];
+            while (positions[i] < history.observations.length && history.observations[positions[i]].date <= date) {
+                values[input] = history.observations[positions[i]].value;
+                positions[i]++;
+            }
+        });
+
+        if (formula.inputs.every(input => input in values)) {
+            try {
+                observations.push({ date, value: evaluateFormula(formula, values) });
+            } catch (error) {
+                // e.g. division by zero on this date
+            }
+        }
+    }
+
+    return observations;
+}
+
+/**
+ * Indicators computed from other series by the registry's `formula`
+ *
+ * DataService evaluates latest values from the indicators it has already
+ * fetched; this provider supplies history by combining the inputs' histories.
+ */
+export class FormulaProvider extends DataProvider {
+    constructor(providers) {
+        super('formula');
+        this.providers = providers;
+    }
+
+    metadata(id) {
+        const config = INDICATORS[id] || {};
+        return { ...super.metadata(id), formula: config.formula || null };
+    }
+
+    async fetchHistory(id, query = {}, options = {}) {
+        const config = INDICATORS[id];
+        if (!config || !config.formula) {
+            throw new ValidationError(`No formula configured for ${id}`);
+        }
+
+        const formula = compileFormula(config.formula);
+        const histories = await Promise.all(formula.inputs.map(input => {
+            const provider = this.providers[providerFor(input)];
+            if (!provider || provider === this) {
+                throw new ValidationError(`No history provider for ${input}`);
+            }
+            return provider.fetchHistory(input, query, options);
+        }));
+
+        const frequencies = new Set(histories.map(history => history.frequency));
+        return {
+            frequency: frequencies.size === 1 ? histories[0].frequency : null,
+            observations: combineHistories(formula, histories)
+        };
+    }
+}
+
+/**
+ * One instance of each provider, keyed by the registry's provider names
+ */
+export function createProviders(options = {}) {
+    const providers = {
+        fred: new FredProxyProvider(),
+        treasury: new TreasuryProvider(),
+        static: new StaticFileProvider(options),
+        mock: new MockProvider()
+    };
+    providers.formula = new FormulaProvider(providers);
+    return providers;
+}
+
+/**
+ * Name of the provider for an indicator (unregistered ids are FRED series)
+ */
+export function providerFor(id) {
+    return INDICATORS[id] ? INDICATORS[id].provider : 'fred';
+}
@@ -1,25 +1,25 @@
 /**
  * Data service for fetching economic indicators
+ *
+ * Values come from the provider each indicator names in the registry
+ * (see dataProviders.js); an indicator whose provider fails, or needs the
+ * proxy while it is unreachable, gets its fallback value from the mock provider.
+ * Formula indicators are evaluated once the indicators they read are fetched.
  */
 
-import { CONFIG, MOCK_DATA } from './config.js';
-import {
-    fetchWithRetry,
-    validateNumber,
-    validateIndicatorData,
-    logger,
-    sleep,
-    NetworkError,
-    ValidationError
-} from './utils.js';
+import { CONFIG, INDICATORS, FALLBACK_SOURCES } from './config.js';
+import { fetchWithRetry, validateNumber, logger } from './utils.js';
+import { createProviders, providerFor } from './dataProviders.js';
+import { compileFormula, evaluateFormula } from './formula.js';
 
 /**
  * Data service class
  */
 export class DataService {
-    constructor() {
+    constructor(providers = createProviders()) {
         this.useBackend = false;
         this.indicators = {};
+        this.providers = providers;
     }
 
     /**
@@ -50,248 +50,195 @@ export class DataService {
         this.indicators = {};
 
         try {
-            if (this.useBackend) {
-                await this.fetchAllDataFromBackend();
-            } else {
-                await this.fetchAllMockData();
+            const groups = {};
+            for (const id of Object.keys(INDICATORS)) {
+                const name = this.activeProvider(id);
+                (groups[name] = groups[name] || []).push(id);
             }
 
-            // Calculate derived indicators
-            this.calculateDXY();
-            await this.calculateDeficitGDP();
+            const { formula: formulaIds = [], ...fetched } = groups;
+            await Promise.all(Object.entries(fetched).map(([name, ids]) => this.fetchFromProvider(name, ids)));
+            await this.computeFormulaIndicators(formulaIds);
 
             return this.indicators;
         } catch (error) {
             logger.error('Error fetching all data:', error);
             // Fallback to mock data if everything fails
             if (Object.keys(this.indicators).length === 0) {
-                await this.fetchAllMockData();
-                this.calculateDXY();
-                await this.calculateDeficitGDP();
+                await this.fetchFromProvider('mock', Object.keys(INDICATORS));
             }
             throw error;
         }
     }
 
     /**
-     * Batch fetch from backend
+     * Provider to use for an indicator right now: its own, or mock while the proxy it needs is unavailable
      */
-    async fetchAllDataFromBackend() {
-        try {
-            const seriesToFetch = Object.keys(MOCK_DATA);
-
-            const response = await fetchWithRetry(`${CONFIG.BACKEND_URL}/api/fred/batch`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({ series: seriesToFetch })
-            });
-
-            const results = await response.json();
-
-            // Validate response
-            if (!results || typeof results !== 'object') {
-                throw new ValidationError('Invalid batch response format');
-            }
-
-            // Process each result
-            const processPromises = Object.entries(results).map(([seriesId, data]) =>
-                this.processIndicatorData(seriesId, data)
-            );
-
-            await Promise.all(processPromises);
-
-            logger.info(`Fetched ${Object.keys(this.indicators).length} indicators from backend`);
-        } catch (error) {
-            logger.error('Batch fetch failed:', error);
-
-            // Try individual fetches as fallback
-            await this.fetchIndividualIndicators();
+    activeProvider(id) {
+        const name = providerFor(id);
+        const provider = this.providers[name];
+        if (!provider) {
+            logger.warn(`Unknown data provider "${name}" for ${id}, using mock data`);
+            return 'mock';
         }
+        return provider.needsBackend && !this.useBackend ? 'mock' : name;
     }
 
     /**
-     * Fetch individual indicators from backend
+     * Fetch indicators from one provider, falling back to mock data per indicator
      */
-    async fetchIndividualIndicators() {
-        const fetchPromises = Object.entries(MOCK_DATA).map(([seriesId, config]) =>
-            this.fetchIndicatorFromBackend(seriesId, config)
-        );
-
-        const results = await Promise.allSettled(fetchPromises);
+    async fetchFromProvider(name, ids) {
+        let results = {};
+        try {
+            results = await this.providers[name].fetchLatest(ids);
+        } catch (error) {
+            logger.warn(`The ${name} provider failed:`, error.message);
+        }
+        const failed = [];
 
-        const successCount = results.filter(r => r.status === 'fulfilled').length;
-        const failCount = results.filter(r => r.status === 'rejected').length;
+        for (const id of ids) {
+            const config = INDICATORS[id];
+            const result = results[id];
 
-        logger.info(`Individual fetch: ${successCount} succeeded, ${failCount} failed`);
-    }
+            try {
+                if (!result || result.error) {
+                    throw new Error(result ? result.error : 'no result');
+                }
 
-    /**
-     * Fetch single indicator from backend
-     */
-    async fetchIndicatorFromBackend(seriesId, config) {
-        try {
-            const response = await fetchWithRetry(`${CONFIG.BACKEND_URL}/api/fred/${seriesId}`);
-            const data = await response.json();
+                const value = validateNumber(result.value, config.name);
+                this.indicators[id] = this.createIndicator(config, value, result);
+                logger.info(`${result.source}: ${config.name}: ${config.format(value)}`);
+            } catch (error) {
+                if (name === 'mock') {
+                    logger.error(`Error with ${config.name}:`, error);
+                } else {
+                    logger.warn(`Failed to fetch ${config.name} from the ${name} provider:`, error.message);
+                    failed.push(id);
+                }
+            }
+        }
 
-            await this.processIndicatorData(seriesId, data);
-        } catch (error) {
-            logger.warn(`Failed to fetch ${config.name} from backend:`, error.message);
-            // Fallback to mock data for this indicator
-            await this.fetchMockIndicator(seriesId, config);
+        if (failed.length > 0) {
+            await this.fetchFromProvider('mock', failed);
         }
     }
 
     /**
-     * Process indicator data from API response
+     * Evaluate formula indicators from the fetched indicators
+     * Inputs that are not registry indicators (e.g. T10YIE) are fetched from their
+     * provider here; formulas whose inputs are unavailable are left out.
      */
-    async processIndicatorData(seriesId, data) {
-        const config = MOCK_DATA[seriesId];
-        if (!config) {
-            logger.warn(`No config found for series ${seriesId}`);
-            return;
+    async computeFormulaIndicators(ids) {
+        if (ids.length === 0) return;
+
+        const inputs = {};
+        for (const [id, indicator] of Object.entries(this.indicators)) {
+            inputs[id] = { value: indicator.raw, date: indicator.date, source: indicator.source };
         }
 
-        try {
-            // Validate data structure
-            if (data.error) {
-                throw new ValidationError(data.error);
+        const formulas = {};
+        for (const id of ids) {
+            try {
+                formulas[id] = compileFormula(INDICATORS[id].formula);
+            } catch (error) {
+                logger.warn(`Invalid formula for ${INDICATORS[id].name}:`, error.message);
             }
+        }
 
-            validateIndicatorData(data, seriesId);
-
-            const rawValue = validateNumber(data.observations[0].value, config.name);
+        const extra = [...new Set(Object.values(formulas).flatMap(formula => formula.inputs))]
+            .filter(id => !INDICATORS[id]);
+        Object.assign(inputs, await this.fetchFormulaInputs(extra));
 
-            this.indicators[seriesId] = {
-                value: config.transform(rawValue),
-                raw: rawValue,
-                threshold: config.threshold,
-                name: config.name,
-                source: 'FRED API',
-                date: data.observations[0].date
-            };
+        for (const [id, formula] of Object.entries(formulas)) {
+            const config = INDICATORS[id];
+            try {
+                const missing = formula.inputs.filter(input => !inputs[input]);
+                if (missing.length > 0) {
+                    throw new Error(`no value for ${missing.join(', ')}`);
+                }
 
-            logger.info(`Live data: ${config.name}: ${config.transform(rawValue)}`);
-        } catch (error) {
-            if (error instanceof ValidationError) {
-                logger.warn(`Validation error for ${config.name}:`, error.message);
-                await this.fetchMockIndicator(seriesId, config);
-            } else {
-                throw error;
+                const values = Object.fromEntries(formula.inputs.map(input => [input, inputs[input].value]));
+                const value = evaluateFormula(formula, values);
+                const fallbacks = formula.inputs.filter(input => FALLBACK_SOURCES.includes(inputs[input].source));
+
+                // As current as its stalest input; input values are kept for scenarios
+                this.indicators[id] = {
+                    ...this.createIndicator(config, value, {
+                        source: 'Calculated',
+                        date: formula.inputs.map(input => inputs[input].date).sort()[0],
+                        note: fallbacks.length > 0 ? `Uses fallback values for ${fallbacks.join(', ')}` : null
+                    }),
+                    inputs: values
+                };
+                logger.info(`Calculated: ${config.name}: ${config.format(value)}`);
+            } catch (error) {
+                logger.warn(`Cannot calculate ${config.name}:`, error.message);
             }
         }
     }
 
     /**
-     * Fetch all mock data
+     * Latest values of series that only formulas read: { [id]: { value, date, source } }
      */
-    async fetchAllMockData() {
-        const fetchPromises = Object.entries(MOCK_DATA).map(([seriesId, config]) =>
-            this.fetchMockIndicator(seriesId, config)
-        );
+    async fetchFormulaInputs(ids) {
+        const groups = {};
+        for (const id of ids) {
+            const name = this.activeProvider(id);
+            if (name !== 'mock' && name !== 'formula') {
+                (groups[name] = groups[name] || []).push(id);
+            }
+        }
 
-        await Promise.all(fetchPromises);
-        logger.info(`Loaded ${Object.keys(this.indicators).length} mock indicators`);
+        const inputs = {};
+        await Promise.all(Object.entries(groups).map(async ([name, groupIds]) => {
+            try {
+                const results = await this.providers[name].fetchLatest(groupIds);
+                for (const id of groupIds) {
+                    const result = results[id];
+                    if (result && !result.error && Number.isFinite(result.value)) {
+                        inputs[id] = { value: result.value, date: result.date, source: result.source };
+                    }
+                }
+            } catch (error) {
+                logger.warn(`The ${name} provider failed for formula inputs:`, error.message);
+            }
+        }));
+        return inputs;
     }
 
     /**
-     * Fetch single mock indicator
+     * Indicator object for a registry entry
      */
-    async fetchMockIndicator(seriesId, config) {
-        try {
-            // Simulate API delay
-            await sleep(CONFIG.MOCK_DATA_DELAY_MS);
-
-            const value = validateNumber(config.value, config.name);
-
-            this.indicators[seriesId] = {
-                value: config.transform(value),
-                raw: value,
-                threshold: config.threshold,
-                name: config.name,
-                source: 'Mock Data',
-                date: new Date().toISOString().split('T')[0]
-            };
-
-            logger.info(`Mock data: ${config.name}: ${config.transform(value)}`);
-        } catch (error) {
-            logger.error(`Error with ${config.name}:`, error);
-        }
+    createIndicator(config, raw, { source, date, note }) {
+        return {
+            value: config.format(raw),
+            raw,
+            threshold: config.threshold,
+            name: config.name,
+            source,
+            date,
+            ...(note && { note }),
+            ...(config.method && { method: config.method })
+        };
     }
 
     /**
-     * Calculate Dollar Index (DXY) from EUR/USD
+     * Fetch a calendar window of history for a series from its provider
+     * Returns { frequency, observations } with observations oldest first
      */
-    calculateDXY() {
-        try {
-            if (!this.indicators['DEXUSEU']) {
-                logger.warn('Cannot calculate DXY: EUR/USD data not available');
-                return;
-            }
-
-            const eurUsd = validateNumber(this.indicators['DEXUSEU'].raw, 'EUR/USD');
-            const dxyApprox = 120 - (eurUsd * 20);
-
-            this.indicators['DXY'] = {
-                value: dxyApprox.toFixed(1),
-                raw: dxyApprox,
-                threshold: '< 80',
-                name: 'Dollar Index (DXY proxy)',
-                source: 'Calculated',
-                date: this.indicators['DEXUSEU'].date
-            };
-
-            logger.info(`Calculated DXY: ${dxyApprox.toFixed(1)}`);
-        } catch (error) {
-            logger.error('Error calculating DXY:', error);
-        }
+    async fetchHistory(seriesId, query = {}) {
+        return this.getProvider(seriesId).fetchHistory(seriesId, query);
     }
 
     /**
-     * Calculate deficit to GDP ratio
+     * Provider metadata for an indicator (units, frequency, method, ...)
      */
-    async calculateDeficitGDP() {
-        if (this.useBackend) {
-            try {
-                const response = await fetchWithRetry(`${CONFIG.BACKEND_URL}/api/treasury/deficit`);
-                const data = await response.json();
-
-                if (!data || typeof data.deficit_gdp_ratio !== 'number') {
-                    throw new ValidationError('Invalid deficit data format');
-                }
-
-                const ratio = validateNumber(data.deficit_gdp_ratio, 'Deficit/GDP ratio');
-
-                this.indicators['DeficitGDP'] = {
-                    value: ratio.toFixed(1) + '%',
-                    raw: ratio,
-                    threshold: '> 3%',
-                    name: 'Budget Deficit/GDP',
-                    source: data.source || 'Treasury API',
-                    date: data.date
-                };
-
-                logger.info(`Live deficit/GDP: ${ratio}%`);
-                return;
-            } catch (error) {
-                logger.warn('Failed to fetch deficit data from backend:', error.message);
-            }
-        }
-
-        // Fallback to estimate
-        const deficitGDP = 7.2;
-
-        this.indicators['DeficitGDP'] = {
-            value: deficitGDP.toFixed(1) + '%',
-            raw: deficitGDP,
-            threshold: '> 3%',
-            name: 'Budget Deficit/GDP',
-            source: 'Estimate',
-            note: 'Current fiscal year estimate'
-        };
+    getMetadata(seriesId) {
+        return this.getProvider(seriesId).metadata(seriesId);
+    }
 
-        logger.info(`Using estimated deficit/GDP: ${deficitGDP}%`);
+    getProvider(seriesId) {
+        return this.providers[providerFor(seriesId)] || this.providers.mock;
     }
 
     /**
@@ -305,13 +252,15 @@ export class DataService {
      * Get connection status
      */
     getConnectionStatus() {
-        const liveCount = Object.values(this.indicators).filter(
+        // Calculated indicators are not fetched, so they do not count either way
+        const fetched = Object.values(this.indicators).filter(ind => ind.source !== 'Calculated');
+        const liveCount = fetched.filter(
             ind => ind.source === 'FRED API'
         ).length;
-        const mockCount = Object.values(this.indicators).filter(
+        const mockCount = fetched.filter(
             ind => ind.source === 'Mock Data'
         ).length;
-        const totalCount = Object.keys(this.indicators).length;
+        const totalCount = fetched.length;
 
         return {
             useBackend: this.useBackend,
@@ -322,4 +271,11 @@ export class DataService {
             isPartialLive: this.useBackend && liveCount > 0 && liveCount < totalCount
         };
     }
+
+    /**
+     * Ids of indicators showing a fallback value instead of provider data
+     */
+    getFallbackIndicators() {
+        return Object.keys(this.indicators).filter(id => FALLBACK_SOURCES.includes(this.indicators[id].source));
+    }
 }
@@ -0,0 +1,278 @@
+/**
+ * Formula language for derived and custom indicators
+ *
+ * Formulas are arithmetic over indicator ids, e.g. `DGS10 - T10YIE` or
+ * `BOGMBASE / M2SL * 100`:
+ *
+ * - numbers (`2`, `0.5`, `1e3`) and ids (letters, digits and `_`, starting with a letter)
+ * - `+ - * /`, unary minus and parentheses, with the usual precedence
+ * - functions: abs(x), min(a, b, ...), max(a, b, ...)
+ *
+ * Formulas are parsed into a syntax tree and evaluated by walking it; nothing is
+ * passed to eval() or Function(), so a formula can only read the values it is given.
+ */
+
+import { ValidationError } from './utils.js';
+
+const MAX_FORMULA_LENGTH = 200;
+
+const FUNCTIONS = {
+    abs: { arity: 1, apply: (x) => Math.abs(x) },
+    min: { arity: null, apply: (...args) => Math.min(...args) },
+    max: { arity: null, apply: (...args) => Math.max(...args) }
+};
+
+const TOKEN_PATTERN = /\s*(?:(\d+(?:\.\d*)?(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)|([A-Za-z][A-Za-z0-9_]*)|([-+*/(),]))/y;
+
+/**
+ * Split a formula into tokens: { type: 'number' | 'name' | 'op', value, position }
+ */
+function tokenize(text) {
+    const tokens = [];
+    TOKEN_PATTERN.lastIndex = 0;
+
+    while (TOKEN_PATTERN.lastIndex < text.length) {
+        const position = TOKEN_PATTERN.lastIndex;
+        if (/^\s*$/.test(text.slice(position))) break;
+
+        const match = TOKEN_PATTERN.exec(text);
+        if (!match) {
+            const at = position + text.slice(position).search(/\S/);
+            throw new ValidationError(`Unexpected "${text[at]}" at position ${at + 1} in formula`);
+        }
+
+        const start = TOKEN_PATTERN.lastIndex - (match[1] || match[2] || match[3]).length;
+        if (match[1] !== undefined) {
+            tokens.push({ type: 'number', value: parseFloat(match[1]), position: start });
+        } else if (match[2] !== undefined) {
+            tokens.push({ type: 'name', value: match[2], position: start });
+        } else {
+            tokens.push({ type: 'op', value: match[3], position: start });
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * Recursive descent parser over the tokens
+ *
+ * expression := term (('+' | '-') term)*
+ * term       := unary (('*' | '/') unary)*
+ * unary      := '-' unary | primary
+ * primary    := number | id | function '(' expression (',' expression)* ')' | '(' expression ')'
+ */
+class Parser {
+    constructor(tokens) {
+        this.tokens = tokens;
+        this.index = 0;
+    }
+
+    peek() {
+        return this.tokens[this.index];
+    }
+
+    next() {
+        return this.tokens[this.index++];
+    }
+
+    accept(op) {
+        const token = this.peek();
+        if (token && token.type === 'op' && token.value === op) {
+            this.index++;
+            return true;
+        }
+        return false;
+    }
+
+    expect(op) {
+        if (!this.accept(op)) {
+            const token = this.peek();
+            throw new ValidationError(token
+                ? `Expected "${op}" but found "${token.value}" in formula`
+                : `Expected "${op}" at the end of the formula`);
+        }
+    }
+
+    parseExpression() {
+        let node = this.parseTerm();
+        for (;;) {
+            if (this.accept('+')) {
+                node = { type: 'binary', op: '+', left: node, right: this.parseTerm() };
+            } else if (this.accept('-')) {
+                node = { type: 'binary', op: '-', left: node, right: this.parseTerm() };
+            } else {
+                return node;
+            }
+        }
+    }
+
+    parseTerm() {
+        let node = this.parseUnary();
+        for (;;) {
+            if (this.accept('*')) {
+                node = { type: 'binary', op: '*', left: node, right: this.parseUnary() };
+            } else if (this.accept('/')) {
+                node = { type: 'binary', op: '/', left: node, right: this.parseUnary() };
+            } else {
+                return node;
+            }
+        }
+    }
+
+    parseUnary() {
+        if (this.accept('-')) {
+            return { type: 'negate', operand: this.parseUnary() };
+        }
+        return this.parsePrimary();
+    }
+
+    parsePrimary() {
+        const token = this.next();
+        if (!token) {
+            throw new ValidationError('Formula ends unexpectedly');
+        }
+
+        if (token.type === 'number') {
+            return { type: 'number', value: token.value };
+        }
+
+        if (token.type === 'name') {
+            if (!this.accept('(')) {
+                return { type: 'input', id: token.value };
+            }
+
+            const name = token.value.toLowerCase();
+            // Own properties only: 'constructor' or 'toString' must not reach Object.prototype
+            if (!Object.hasOwn(FUNCTIONS, name)) {
+                throw new ValidationError(`Unknown function in formula: ${token.value}`);
+            }
+            const fn = FUNCTIONS[name];
+
+            const args = [this.parseExpression()];
+            while (this.accept(',')) {
+                args.push(this.parseExpression());
+            }
+            this.expect(')');
+
+            if (fn.arity !== null && args.length !== fn.arity) {
+                throw new ValidationError(`${token.value}() takes ${fn.arity} argument${fn.arity === 1 ? '' : 's'}`);
+            }
+            return { type: 'call', fn: name, args };
+        }
+
+        if (token.value === '(') {
+            const node = this.parseExpression();
+            this.expect(')');
+            return node;
+        }
+
+        throw new ValidationError(`Unexpected "${token.value}" at position ${token.position + 1} in formula`);
+    }
+}
+
+/**
+ * Ids a syntax tree reads, in order of first use
+ */
+function collectInputs(node, inputs = []) {
+    switch (node.type) {
+        case 'input':
+            if (!inputs.includes(node.id)) inputs.push(node.id);
+            break;
+        case 'negate':
+            collectInputs(node.operand, inputs);
+            break;
+        case 'binary':
+            collectInputs(node.left, inputs);
+            collectInputs(node.right, inputs);
+            break;
+        case 'call':
+            node.args.forEach(arg => collectInputs(arg, inputs));
+            break;
+    }
+    return inputs;
+}
+
+/**
+ * Parse a formula; returns { text, ast, inputs } or throws ValidationError
+ */
+export function parseFormula(text) {
+    const trimmed = typeof text === 'string' ? text.trim() : '';
+    if (!trimmed) {
+        throw new ValidationError('Formula is required');
+    }
+    if (trimmed.length > MAX_FORMULA_LENGTH) {
+        throw new ValidationError(`Formula must be at most ${MAX_FORMULA_LENGTH} characters`);
+    }
+
+    const parser = new Parser(tokenize(trimmed));
+    const ast = parser.parseExpression();
+    const extra = parser.peek();
+    if (extra) {
+        throw new ValidationError(`Unexpected "${extra.value}" at position ${extra.position + 1} in formula`);
+    }
+
+    return { text: trimmed, ast, inputs: collectInputs(ast) };
+}
+
+const compiled = new Map();
+
+/**
+ * parseFormula() with the result kept per formula text (formulas are evaluated on every refresh)
+ */
+export function compileFormula(text) {
+    if (!compiled.has(text)) {
+        compiled.set(text, parseFormula(text));
+    }
+    return compiled.get(text);
+}
+
+function evaluateNode(node, values) {
+    switch (node.type) {
+        case 'number':
+            return node.value;
+        case 'input': {
+            const value = values[node.id];
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                throw new ValidationError(`No value for ${node.id}`);
+            }
+            return value;
+        }
+        case 'negate':
+            return -evaluateNode(node.operand, values);
+        case 'call':
+            if (!Object.hasOwn(FUNCTIONS, node.fn)) {
+                throw new ValidationError(`Unknown function in formula: ${node.fn}`);
+            }
+            return FUNCTIONS[node.fn].apply(...node.args.map(arg => evaluateNode(arg, values)));
+        case 'binary': {
+            const left = evaluateNode(node.left, values);
+            const right = evaluateNode(node.right, values);
+            switch (node.op) {
+                case '+': return left + right;
+                case '-': return left - right;
+                case '*': return left * right;
+                case '/':
+                    if (right === 0) {
+                        throw new ValidationError('Division by zero in formula');
+                    }
+                    return left / right;
+            }
+        }
+    }
+    throw new ValidationError(`Invalid formula node: ${node.type}`);
+}
+
+/**
+ * Evaluate a formula (text or parseFormula() result) with `values`: { [id]: number }
+ * Throws ValidationError when an input is missing or the result is not a finite number.
+ */
+export function evaluateFormula(formula, values) {
+    const { ast, text } = typeof formula === 'string' ? compileFormula(formula) : formula;
+    const result = evaluateNode(ast, values);
+
+    if (!Number.isFinite(result)) {
+        throw new ValidationError(`Formula "${text}" did not produce a finite number`);
+    }
+    return result;
+}
@@ -0,0 +1,291 @@
+/**
+ * User-configurable model settings for the Ray Dalio Economic Risk Dashboard
+ *
+ * Priors, risk thresholds, rule thresholds, factors, likelihood ratios and
+ * correlation discounts can be edited in the settings panel. Settings are
+ * validated, applied in place to the config objects every module reads, and
+ * stored in localStorage and (optionally) on the proxy.
+ *
+ * Settings shape:
+ * {
+ *   priors: { [event]: probability },
+ *   riskThresholds: { [event]: { critical, high, moderate } },
+ *   rules: { [event]: { [ruleId]: { value, factor, present, absent } } },
+ *   correlationDiscount: { 2, 3 }
+ * }
+ */
+
+import {
+    CONFIG,
+    BASE_PROBABILITIES,
+    RISK_THRESHOLDS,
+    ECONOMIC_THRESHOLDS,
+    CORRELATION_DISCOUNT
+} from './config.js';
+import { ValidationError, fetchWithTimeout, fetchWithRetry, logger, readStoredJSON, writeStoredJSON } from './utils.js';
+
+/**
+ * Read the editable values from the config objects
+ */
+function readCurrentSettings() {
+    const rules = {};
+    for (const [event, eventRules] of Object.entries(ECONOMIC_THRESHOLDS)) {
+        rules[event] = {};
+        for (const [ruleId, rule] of Object.entries(eventRules)) {
+            // Custom indicator rules are edited with their indicator
+            if (rule.custom) continue;
+
+            const likelihood = rule.likelihood || { present: rule.factor, absent: 1 };
+            rules[event][ruleId] = {
+                value: rule.value,
+                factor: rule.factor,
+                present: likelihood.present,
+                absent: likelihood.absent
+            };
+        }
+    }
+
+    const riskThresholds = {};
+    for (const [event, levels] of Object.entries(RISK_THRESHOLDS)) {
+        riskThresholds[event] = { ...levels };
+    }
+
+    return {
+        priors: { ...BASE_PROBABILITIES },
+        riskThresholds,
+        rules,
+        correlationDiscount: { 2: CORRELATION_DISCOUNT[2], 3: CORRELATION_DISCOUNT[3] }
+    };
+}
+
+// Defaults as shipped in config.js, captured before any settings are applied
+export const DEFAULT_MODEL_SETTINGS = readCurrentSettings();
+
+// Linear curve points are placed around the default threshold; they move with it
+const DEFAULT_CURVE_POINTS = {};
+for (const [event, eventRules] of Object.entries(ECONOMIC_THRESHOLDS)) {
+    for (const [ruleId, rule] of Object.entries(eventRules)) {
+        if (rule.curve && rule.curve.type === 'linear') {
+            DEFAULT_CURVE_POINTS[`${event}.${ruleId}`] = rule.curve.points.map(point => [...point]);
+        }
+    }
+}
+
+/**
+ * Fill missing values from the defaults and drop unknown events and rules
+ */
+export function mergeWithDefaults(settings = {}) {
+    const merged = JSON.parse(JSON.stringify(DEFAULT_MODEL_SETTINGS));
+
+    for (const event of Object.keys(merged.priors)) {
+        if (settings.priors && event in settings.priors) {
+            merged.priors[event] = settings.priors[event];
+        }
+        if (settings.riskThresholds && settings.riskThresholds[event]) {
+            Object.assign(merged.riskThresholds[event], pick(settings.riskThresholds[event], ['critical', 'high', 'moderate']));
+        }
+    }
+
+    for (const [event, eventRules] of Object.entries(merged.rules)) {
+        const custom = (settings.rules && settings.rules[event]) || {};
+        for (const ruleId of Object.keys(eventRules)) {
+            if (custom[ruleId]) {
+                Object.assign(eventRules[ruleId], pick(custom[ruleId], ['value', 'factor', 'present', 'absent']));
+            }
+        }
+    }
+
+    if (settings.correlationDiscount) {
+        Object.assign(merged.correlationDiscount, pick(settings.correlationDiscount, ['2', '3']));
+    }
+
+    return merged;
+}
+
+function pick(source, keys) {
+    const result = {};
+    for (const key of keys) {
+        if (source[key] !== undefined) {
+            result[key] = source[key];
+        }
+    }
+    return result;
+}
+
+/**
+ * Check settings values; returns a list of problems (empty when valid)
+ */
+export function validateModelSettings(settings) {
+    const errors = [];
+    const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+    for (const [event, prior] of Object.entries(settings.priors)) {
+        if (!isNumber(prior) || prior <= 0 || prior >= 1) {
+            errors.push(`${event} prior must be between 0 and 1 (exclusive)`);
+        }
+    }
+
+    for (const [event, { critical, high, moderate }] of Object.entries(settings.riskThresholds)) {
+        if (![critical, high, moderate].every(isNumber)) {
+            errors.push(`${event} risk levels must be numbers`);
+        } else if (!(moderate > 0 && moderate < high && high < critical && critical <= 1)) {
+            errors.push(`${event} risk levels must satisfy 0 < moderate < high < critical ≤ 1`);
+        }
+    }
+
+    for (const [event, eventRules] of Object.entries(settings.rules)) {
+        for (const [ruleId, rule] of Object.entries(eventRules)) {
+            if (!isNumber(rule.value)) {
+                errors.push(`${event} ${ruleId} threshold must be a number`);
+            }
+            for (const field of ['factor', 'present', 'absent']) {
+                if (!isNumber(rule[field]) || rule[field] <= 0) {
+                    errors.push(`${event} ${ruleId} ${field} must be a positive number`);
+                }
+            }
+        }
+    }
+
+    for (const [count, discount] of Object.entries(settings.correlationDiscount)) {
+        if (!isNumber(discount) || discount <= 0 || discount > 1) {
+            errors.push(`Correlation discount for ${count}${count === '3' ? '+' : ''} factors must be above 0 and at most 1`);
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Apply settings to the config objects, in place
+ * Throws ValidationError (listing every problem) without changing anything if invalid.
+ */
+export function applyModelSettings(settings) {
+    const merged = mergeWithDefaults(settings);
+    const errors = validateModelSettings(merged);
+    if (errors.length > 0) {
+        throw new ValidationError(errors.join('; '));
+    }
+
+    Object.assign(BASE_PROBABILITIES, merged.priors);
+    for (const [event, levels] of Object.entries(merged.riskThresholds)) {
+        Object.assign(RISK_THRESHOLDS[event], levels);
+    }
+
+    for (const [event, eventRules] of Object.entries(merged.rules)) {
+        for (const [ruleId, { value, factor, present, absent }] of Object.entries(eventRules)) {
+            const rule = ECONOMIC_THRESHOLDS[event][ruleId];
+            rule.value = value;
+            rule.factor = factor;
+            rule.likelihood = { present, absent };
+
+            const points = DEFAULT_CURVE_POINTS[`${event}.${ruleId}`];
+            if (points) {
+                const shift = value - DEFAULT_MODEL_SETTINGS.rules[event][ruleId].value;
+                rule.curve = { ...rule.curve, points: points.map(([x, weight]) => [x + shift, weight]) };
+            }
+        }
+    }
+
+    CORRELATION_DISCOUNT[2] = merged.correlationDiscount[2];
+    CORRELATION_DISCOUNT[3] = merged.correlationDiscount[3];
+
+    return merged;
+}
+
+/**
+ * Whether settings differ from the shipped defaults
+ */
+export function isCustomModel(settings) {
+    return JSON.stringify(mergeWithDefaults(settings)) !== JSON.stringify(DEFAULT_MODEL_SETTINGS);
+}
+
+/**
+ * Model settings persistence (localStorage, optionally the proxy)
+ */
+export class ModelSettingsService {
+    constructor(storage = globalThis.localStorage || null) {
+        this.storage = storage;
+    }
+
+    /**
+     * Settings currently applied to the config objects
+     */
+    getCurrent() {
+        return readCurrentSettings();
+    }
+
+    /**
+     * Load saved settings: localStorage first, then the proxy when available
+     * Returns the settings ({} after a reset to defaults), or null when none are saved.
+     */
+    async load(useBackend) {
+        const local = this.loadLocal();
+        if (local) {
+            return local;
+        }
+
+        if (!useBackend) {
+            return null;
+        }
+
+        try {
+            const response = await fetchWithTimeout(`${CONFIG.BACKEND_URL}/api/model-settings`);
+            const { settings } = await response.json();
+            return settings || null;
+        } catch (error) {
+            // 404: nothing shared yet
+            if (error.status !== 404) {
+                logger.warn('Failed to load model settings from backend:', error.message);
+            }
+            return null;
+        }
+    }
+
+    /**
+     * Save settings locally and, if requested, on the proxy
+     * Writing the proxy's shared settings needs its admin token.
+     */
+    async save(settings, { shareWithBackend = false, adminToken = '' } = {}) {
+        this.saveLocal(settings);
+
+        if (shareWithBackend) {
+            await fetchWithRetry(`${CONFIG.BACKEND_URL}/api/model-settings`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${adminToken}`
+                },
+                body: JSON.stringify(settings)
+            }, 1);
+        }
+    }
+
+    /**
+     * Go back to the defaults locally and, if requested, on the proxy
+     * The defaults are saved as empty settings, so this browser keeps them even
+     * when the proxy has shared settings.
+     */
+    async reset({ shareWithBackend = false, adminToken = '' } = {}) {
+        this.saveLocal({});
+
+        if (shareWithBackend) {
+            await fetchWithRetry(`${CONFIG.BACKEND_URL}/api/model-settings`, {
+                method: 'DELETE',
+                headers: {
+                    'Authorization': `Bearer ${adminToken}`
+                }
+            }, 1);
+        }
+    }
+
+    loadLocal() {
+        return readStoredJSON(this.storage, CONFIG.MODEL_SETTINGS_STORAGE_KEY, {
+            isValid: (stored) => stored && typeof stored === 'object',
+            label: 'model settings'
+        });
+    }
+
+    saveLocal(settings) {
+        writeStoredJSON(this.storage, CONFIG.MODEL_SETTINGS_STORAGE_KEY, settings, 'model settings locally');
+    }
+}
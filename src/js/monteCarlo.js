@@ -0,0 +1,156 @@
+/**
+ * Monte Carlo uncertainty bands for risk probabilities
+ *
+ * Samples every indicator around its current value, using its historical
+ * volatility, the age of the observation and the quality of its source,
+ * runs ProbabilityCalculator.simulate() on each sample and reports
+ * percentiles of the resulting probabilities.
+ */
+
+import { MONTE_CARLO } from './config.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAYS_PER_MONTH = 30.44;
+
+/**
+ * Seeded uniform random numbers in [0, 1) (mulberry32), or Math.random without a seed
+ */
+export function createRandom(seed = null) {
+    if (seed === null) {
+        return Math.random;
+    }
+
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Standard normal sample (Box-Muller)
+ */
+export function sampleNormal(random) {
+    const u = 1 - random(); // (0, 1] so the log is finite
+    const v = random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/**
+ * Percentile of an ascending array, interpolating between neighbours
+ */
+export function percentile(sorted, p) {
+    if (sorted.length === 0) {
+        return null;
+    }
+
+    const index = (sorted.length - 1) * p;
+    const lower = Math.floor(index);
+    const upper = Math.ceil(index);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+}
+
+/**
+ * Standard deviation of changes between observations, scaled to one month
+ * History is newest first, as kept by TrendAnalyzer. Returns null with fewer than 3 points.
+ */
+export function monthlyVolatility(history) {
+    if (!history || history.length < 3) {
+        return null;
+    }
+
+    const changes = [];
+    for (let i = 0; i < history.length - 1; i++) {
+        changes.push(history[i].value - history[i + 1].value);
+    }
+
+    const mean = changes.reduce((acc, c) => acc + c, 0) / changes.length;
+    const variance = changes.reduce((acc, c) => acc + (c - mean) ** 2, 0) / (changes.length - 1);
+
+    // Scale by the average spacing, so annual and monthly series are comparable
+    const spanDays = (Date.parse(history[0].date) - Date.parse(history[history.length - 1].date)) / DAY_MS;
+    const gapMonths = spanDays > 0 ? spanDays / DAYS_PER_MONTH / changes.length : 1;
+
+    return Math.sqrt(variance / Math.max(gapMonths, 1e-6));
+}
+
+/**
+ * Standard deviation used to sample an indicator
+ * Combines historical volatility (widened by the observation's age) and source error.
+ */
+export function estimateUncertainty(indicator, history, { now = new Date(), config = MONTE_CARLO } = {}) {
+    const raw = indicator.raw;
+    const scale = Math.abs(raw);
+
+    const ageMonths = indicator.date
+        ? Math.max(0, (now.getTime() - Date.parse(indicator.date)) / DAY_MS / DAYS_PER_MONTH)
+        : 0;
+    const volatility = monthlyVolatility(history) ?? config.defaultVolatility * scale;
+    const historical = volatility * Math.sqrt(Math.max(ageMonths, 1));
+
+    const sourceError = indicator.source in config.sourceUncertainty
+        ? config.sourceUncertainty[indicator.source]
+        : config.unknownSourceUncertainty;
+    const source = sourceError * scale;
+
+    return Math.sqrt(historical ** 2 + source ** 2);
+}
+
+/**
+ * Monte Carlo simulator class
+ */
+export class MonteCarloSimulator {
+    constructor(calculator, { samples = MONTE_CARLO.samples, seed = null, config = MONTE_CARLO } = {}) {
+        this.calculator = calculator;
+        this.samples = samples;
+        this.seed = seed;
+        this.config = config;
+    }
+
+    /**
+     * Sample the indicators and return percentile bands per event
+     * Returns { samples, bands: { [event]: { low, median, high } }, uncertainty: { [seriesId]: sd } }
+     */
+    run(indicators, { now = new Date() } = {}) {
+        const random = createRandom(this.seed);
+        const history = this.calculator.trendAnalyzer.historicalData;
+
+        const uncertainty = {};
+        for (const [seriesId, indicator] of Object.entries(indicators)) {
+            if (typeof indicator.raw === 'number' && isFinite(indicator.raw)) {
+                uncertainty[seriesId] = estimateUncertainty(indicator, history[seriesId], { now, config: this.config });
+            }
+        }
+
+        const results = {};
+        for (let i = 0; i < this.samples; i++) {
+            const sampled = { ...indicators };
+            for (const [seriesId, sd] of Object.entries(uncertainty)) {
+                if (sd > 0) {
+                    sampled[seriesId] = { ...indicators[seriesId], raw: indicators[seriesId].raw + sd * sampleNormal(random) };
+                }
+            }
+
+            const { probabilities } = this.calculator.simulate(sampled);
+            for (const [event, probability] of Object.entries(probabilities)) {
+                (results[event] = results[event] || []).push(probability);
+            }
+        }
+
+        const { low, median, high } = this.config.percentiles;
+        const bands = {};
+        for (const [event, values] of Object.entries(results)) {
+            values.sort((a, b) => a - b);
+            bands[event] = {
+                low: percentile(values, low),
+                median: percentile(values, median),
+                high: percentile(values, high)
+            };
+        }
+
+        return { samples: this.samples, bands, uncertainty };
+    }
+}
@@ -7,10 +7,14 @@ import {
     BASE_PROBABILITIES,
     RISK_THRESHOLDS,
     ECONOMIC_THRESHOLDS,
+    DERIVED_INDICATORS,
+    INDICATORS,
+    PROBABILITY_MODEL,
     CORRELATION_DISCOUNT
 } from './config.js';
 import { validateNumber, clamp, logger } from './utils.js';
-import { TrendAnalyzer } from './trendAnalyzer.js';
+import { TrendAnalyzer, isInvertedIndicator } from './trendAnalyzer.js';
+import { compileFormula, evaluateFormula } from './formula.js';
 
 /**
  * Probability calculator class
@@ -25,9 +29,20 @@ export class ProbabilityCalculator {
             default: [],
             devaluation: []
         };
+        this.ruleEvaluations = {
+            recession: [],
+            depression: [],
+            reserve: [],
+            default: [],
+            devaluation: []
+        };
         this.trendAnalyzer = new TrendAnalyzer();
+        this.indicators = {};
+        this.weightOverrides = {};
         this.trendMultipliers = {};
-        this.useTrendAnalysis = true; // Can be toggled
+        this.useTrendAnalysis = PROBABILITY_MODEL.useTrendAnalysis;
+        this.useCurves = PROBABILITY_MODEL.useCurves;
+        this.mode = PROBABILITY_MODEL.defaultMode;
     }
 
     /**
@@ -37,6 +52,7 @@ export class ProbabilityCalculator {
         try {
             // Reset factors
             this.resetFactors();
+            this.indicators = indicators;
 
             // Fetch and analyze trends if enabled
             if (this.useTrendAnalysis) {
@@ -50,12 +66,10 @@ export class ProbabilityCalculator {
                 }
             }
 
-            // Calculate factors for each risk type
-            this.calculateRecessionFactors(indicators);
-            this.calculateDepressionFactors(indicators);
-            this.calculateReserveFactors(indicators);
-            this.calculateDefaultFactors(indicators);
-            this.calculateDevaluationFactors(indicators);
+            // Evaluate rules for each risk type
+            for (const event in this.updateFactors) {
+                this.evaluateRules(event, indicators);
+            }
 
             // Calculate new probabilities
             this.calculateAllProbabilities();
@@ -70,6 +84,19 @@ export class ProbabilityCalculator {
         }
     }
 
+    /**
+     * Re-evaluate the last indicators without refetching trend history
+     * Used when model settings change.
+     */
+    recalculate() {
+        this.resetFactors();
+        for (const event in this.updateFactors) {
+            this.evaluateRules(event, this.indicators);
+        }
+        this.calculateAllProbabilities();
+        return this.currentProbabilities;
+    }
+
     /**
      * Reset all factors
      */
@@ -81,163 +108,91 @@ export class ProbabilityCalculator {
             default: [],
             devaluation: []
         };
+        this.ruleEvaluations = {
+            recession: [],
+            depression: [],
+            reserve: [],
+            default: [],
+            devaluation: []
+        };
     }
 
     /**
-     * Calculate recession factors
-     */
-    calculateRecessionFactors(indicators) {
-        const thresholds = ECONOMIC_THRESHOLDS.recession;
-
-        // Deficit > 5% GDP
-        if (indicators.DeficitGDP && this.checkThreshold(indicators.DeficitGDP.raw, thresholds.deficitGDP.value, '>')) {
-            const baseFactor = thresholds.deficitGDP.factor;
-            const trendFactor = this.applyTrendAdjustment(baseFactor, 'DeficitGDP');
-            this.updateFactors.recession.push({
-                factor: trendFactor,
-                baseFactor,
-                reason: thresholds.deficitGDP.reason,
-                trendAdjusted: trendFactor !== baseFactor
-            });
-        }
-
-        // Credit spreads > 400bps
-        if (indicators.BAA10Y && this.checkThreshold(indicators.BAA10Y.raw, thresholds.creditSpreads.value, '>')) {
-            const baseFactor = thresholds.creditSpreads.factor;
-            const trendFactor = this.applyTrendAdjustment(baseFactor, 'BAA10Y');
-            this.updateFactors.recession.push({
-                factor: trendFactor,
-                baseFactor,
-                reason: thresholds.creditSpreads.reason,
-                trendAdjusted: trendFactor !== baseFactor
-            });
-        }
-
-        // Inverted yield curve
-        if (indicators.T10Y2Y && this.checkThreshold(indicators.T10Y2Y.raw, thresholds.yieldCurve.value, '<')) {
-            const baseFactor = thresholds.yieldCurve.factor;
-            const trendFactor = this.applyTrendAdjustment(baseFactor, 'T10Y2Y');
-            this.updateFactors.recession.push({
-                factor: trendFactor,
-                baseFactor,
-                reason: thresholds.yieldCurve.reason,
-                trendAdjusted: trendFactor !== baseFactor
-            });
-        }
-    }
-
-    /**
-     * Calculate depression factors
+     * Evaluate all rules for an event and record triggered factors
      */
-    calculateDepressionFactors(indicators) {
-        const thresholds = ECONOMIC_THRESHOLDS.depression;
+    evaluateRules(event, indicators) {
+        const rules = ECONOMIC_THRESHOLDS[event] || {};
 
-        // Fed Funds < 0.5%
-        if (indicators.DFF && this.checkThreshold(indicators.DFF.raw, thresholds.fedFunds.value, '<')) {
-            this.updateFactors.depression.push({
-                factor: thresholds.fedFunds.factor,
-                reason: thresholds.fedFunds.reason
-            });
-        }
-
-        // Debt/GDP > 150%
-        if (indicators.GFDGDPA188S && this.checkThreshold(indicators.GFDGDPA188S.raw, thresholds.debtGDP.value, '>')) {
-            this.updateFactors.depression.push({
-                factor: thresholds.debtGDP.factor,
-                reason: thresholds.debtGDP.reason
-            });
-        }
-
-        // Extreme QE conditions (Monetary Base to M2 ratio)
-        if (indicators.BOGMBASE && indicators.M2SL) {
+        for (const [ruleId, rule] of Object.entries(rules)) {
             try {
-                const mbToM2 = validateNumber(indicators.BOGMBASE.raw) / validateNumber(indicators.M2SL.raw);
-                if (this.checkThreshold(mbToM2, thresholds.mbToM2.value, '>')) {
-                    this.updateFactors.depression.push({
-                        factor: thresholds.mbToM2.factor,
-                        reason: thresholds.mbToM2.reason
-                    });
+                const value = this.resolveRuleValue(rule, indicators);
+                if (value === null) {
+                    continue;
                 }
-            } catch (error) {
-                logger.warn('Error calculating MB to M2 ratio:', error);
-            }
-        }
-    }
-
-    /**
-     * Calculate reserve status factors
-     */
-    calculateReserveFactors(indicators) {
-        const thresholds = ECONOMIC_THRESHOLDS.reserve;
 
-        // DXY < 90
-        if (indicators.DXY && this.checkThreshold(indicators.DXY.raw, thresholds.dxy.value, '<')) {
-            this.updateFactors.reserve.push({
-                factor: thresholds.dxy.factor,
-                reason: thresholds.dxy.reason
-            });
-        }
-    }
-
-    /**
-     * Calculate default factors
-     */
-    calculateDefaultFactors(indicators) {
-        const thresholds = ECONOMIC_THRESHOLDS.default;
+                const overrides = this.weightOverrides[event] || {};
+                const weight = ruleId in overrides ? overrides[ruleId] : this.getRuleWeight(rule, value);
+                const likelihood = rule.likelihood || { present: rule.factor, absent: 1 };
 
-        // Deficit > 7% GDP
-        if (indicators.DeficitGDP && this.checkThreshold(indicators.DeficitGDP.raw, thresholds.deficitGDP.value, '>')) {
-            this.updateFactors.default.push({
-                factor: thresholds.deficitGDP.factor,
-                reason: thresholds.deficitGDP.reason
-            });
-        }
-
-        // Interest payments > 4% GDP
-        if (indicators.A091RC1Q027SBEA && this.checkThreshold(indicators.A091RC1Q027SBEA.raw, thresholds.interestPayments.value, '>')) {
-            this.updateFactors.default.push({
-                factor: thresholds.interestPayments.factor,
-                reason: thresholds.interestPayments.reason
-            });
-        }
-
-        // Rising long-term rates
-        if (indicators.DGS10 && indicators.DFF) {
-            try {
-                const spread = validateNumber(indicators.DGS10.raw) - validateNumber(indicators.DFF.raw);
-                if (this.checkThreshold(spread, thresholds.rateSpread.value, '>')) {
-                    this.updateFactors.default.push({
-                        factor: thresholds.rateSpread.factor,
-                        reason: thresholds.rateSpread.reason
-                    });
+                if (weight < PROBABILITY_MODEL.minCurveWeight) {
+                    // Absent triggers are evidence too in the Bayesian model
+                    this.ruleEvaluations[event].push({ rule: ruleId, triggered: false, likelihoodRatio: likelihood.absent });
+                    continue;
                 }
+
+                // Graded rules scale in log space: factor^weight, present^weight × absent^(1 - weight)
+                const baseFactor = Math.pow(rule.factor, weight);
+                const factor = rule.trendAdjust && rule.indicator
+                    ? this.applyTrendAdjustment(baseFactor, rule.indicator)
+                    : baseFactor;
+                const trendMultiplier = factor / baseFactor;
+                const likelihoodRatio = Math.pow(likelihood.present, weight) *
+                    Math.pow(likelihood.absent, 1 - weight) * trendMultiplier;
+
+                this.ruleEvaluations[event].push({ rule: ruleId, triggered: true, likelihoodRatio });
+
+                this.updateFactors[event].push({
+                    rule: ruleId,
+                    indicator: rule.indicator || rule.derived,
+                    value,
+                    threshold: rule.value,
+                    operator: rule.operator,
+                    factor,
+                    baseFactor,
+                    likelihoodRatio,
+                    weight,
+                    curve: this.useCurves && rule.curve ? rule.curve : null,
+                    reason: rule.reason,
+                    trendAdjusted: trendMultiplier !== 1
+                });
             } catch (error) {
-                logger.warn('Error calculating rate spread:', error);
+                logger.warn(`Error evaluating ${event} rule ${ruleId}:`, error);
             }
         }
     }
 
     /**
-     * Calculate devaluation factors
+     * Resolve the value a rule compares against its threshold
+     * Returns null when the inputs are not available
      */
-    calculateDevaluationFactors(indicators) {
-        const thresholds = ECONOMIC_THRESHOLDS.devaluation;
+    resolveRuleValue(rule, indicators) {
+        if (rule.indicator) {
+            const indicator = indicators[rule.indicator];
+            return indicator ? validateNumber(indicator.raw, rule.indicator) : null;
+        }
 
-        // DXY < 100
-        if (indicators.DXY && this.checkThreshold(indicators.DXY.raw, thresholds.dxy.value, '<')) {
-            this.updateFactors.devaluation.push({
-                factor: thresholds.dxy.factor,
-                reason: thresholds.dxy.reason
-            });
+        const derived = DERIVED_INDICATORS[rule.derived];
+        if (!derived) {
+            throw new Error(`Unknown derived indicator: ${rule.derived}`);
         }
 
-        // Deficit > 7% GDP
-        if (indicators.DeficitGDP && this.checkThreshold(indicators.DeficitGDP.raw, thresholds.deficitGDP.value, '>')) {
-            this.updateFactors.devaluation.push({
-                factor: thresholds.deficitGDP.factor,
-                reason: thresholds.deficitGDP.reason
-            });
+        const formula = compileFormula(derived.formula);
+        if (formula.inputs.some(id => !indicators[id])) {
+            return null;
         }
+
+        const values = Object.fromEntries(formula.inputs.map(id => [id, validateNumber(indicators[id].raw, id)]));
+        return evaluateFormula(formula, values);
     }
 
     /**
@@ -269,6 +224,49 @@ export class ProbabilityCalculator {
         }
     }
 
+    /**
+     * Get how strongly a rule applies to a value, from 0 (absent) to 1 (fully present)
+     * Rules without a curve (or with curves disabled) are a step at the threshold
+     */
+    getRuleWeight(rule, value) {
+        const curve = rule.curve;
+        if (!this.useCurves || !curve) {
+            return this.checkThreshold(value, rule.value, rule.operator) ? 1 : 0;
+        }
+
+        switch (curve.type) {
+            case 'logistic': {
+                const midpoint = curve.midpoint ?? rule.value;
+                const direction = rule.operator.startsWith('<') ? -1 : 1;
+                return 1 / (1 + Math.exp(-direction * (value - midpoint) / curve.width));
+            }
+            case 'linear':
+                return this.interpolatePoints(curve.points, value);
+            default:
+                logger.warn(`Unknown curve type: ${curve.type}`);
+                return this.checkThreshold(value, rule.value, rule.operator) ? 1 : 0;
+        }
+    }
+
+    /**
+     * Piecewise-linear interpolation through [x, y] points sorted by x
+     */
+    interpolatePoints(points, value) {
+        if (value <= points[0][0]) {
+            return points[0][1];
+        }
+
+        for (let i = 1; i < points.length; i++) {
+            const [x1, y1] = points[i];
+            if (value <= x1) {
+                const [x0, y0] = points[i - 1];
+                return y0 + (y1 - y0) * (value - x0) / (x1 - x0);
+            }
+        }
+
+        return points[points.length - 1][1];
+    }
+
     /**
      * Apply trend adjustment to a factor
      */
@@ -280,45 +278,142 @@ export class ProbabilityCalculator {
         const trendMultiplier = this.trendMultipliers[seriesId];
         const adjustedFactor = baseFactor * trendMultiplier;
 
-        logger.info(`Trend adjustment for ${seriesId}: ${baseFactor.toFixed(2)} × ${trendMultiplier.toFixed(2)} = ${adjustedFactor.toFixed(2)}`);
+        // Debug level: simulations evaluate the rules many times per refresh
+        logger.debug(`Trend adjustment for ${seriesId}: ${baseFactor.toFixed(2)} × ${trendMultiplier.toFixed(2)} = ${adjustedFactor.toFixed(2)}`);
 
         return adjustedFactor;
     }
 
     /**
-     * Calculate all probabilities
+     * Calculate all probabilities using the selected mode
      */
     calculateAllProbabilities() {
-        for (const event in this.currentProbabilities) {
-            const baseProbability = BASE_PROBABILITIES[event];
-            const factors = this.updateFactors[event];
+        this.currentProbabilities = this.computeProbabilities(this.mode);
 
-            if (factors.length > 0) {
-                let combinedFactor = factors.reduce((acc, f) => acc * f.factor, 1);
+        for (const event in this.updateFactors) {
+            // Log if trend adjustments were applied
+            if (this.updateFactors[event].some(f => f.trendAdjusted)) {
+                logger.debug(`${event} probability includes trend adjustments`);
+            }
+        }
+    }
 
-                // Apply correlation discount
-                if (factors.length === 2 && CORRELATION_DISCOUNT[2]) {
-                    combinedFactor *= CORRELATION_DISCOUNT[2];
-                } else if (factors.length >= 3 && CORRELATION_DISCOUNT[3]) {
-                    combinedFactor *= CORRELATION_DISCOUNT[3];
-                }
+    /**
+     * Compute probabilities for every event from the evaluated rules
+     */
+    computeProbabilities(mode = this.mode) {
+        const probabilities = {};
 
-                // Calculate new probability and clamp between 0 and 1
-                this.currentProbabilities[event] = clamp(
-                    baseProbability * combinedFactor,
-                    0,
-                    1.0
-                );
-
-                // Log if trend adjustments were applied
-                const trendAdjusted = factors.some(f => f.trendAdjusted);
-                if (trendAdjusted) {
-                    logger.info(`${event} probability includes trend adjustments`);
-                }
-            } else {
-                this.currentProbabilities[event] = baseProbability;
-            }
+        for (const event in BASE_PROBABILITIES) {
+            probabilities[event] = mode === 'bayesian'
+                ? this.calculateBayesianProbability(event)
+                : this.calculateMultiplicativeProbability(event);
+        }
+
+        return probabilities;
+    }
+
+    /**
+     * Multiplicative model: base × factors × correlation discount, clamped to 100%
+     */
+    calculateMultiplicativeProbability(event) {
+        const baseProbability = BASE_PROBABILITIES[event];
+        const factors = this.updateFactors[event];
+
+        if (factors.length === 0) {
+            return baseProbability;
         }
+
+        let combinedFactor = factors.reduce((acc, f) => acc * f.factor, 1);
+        combinedFactor *= this.getCorrelationDiscount(this.getTriggeredWeight(event));
+
+        // Calculate new probability and clamp between 0 and 1
+        return clamp(baseProbability * combinedFactor, 0, 1.0);
+    }
+
+    /**
+     * Bayesian model: prior odds × likelihood ratios → posterior probability
+     * Likelihood ratios of triggered rules are discounted for correlation by
+     * raising their product to the discount power
+     */
+    calculateBayesianProbability(event) {
+        const prior = BASE_PROBABILITIES[event];
+        const evaluations = this.ruleEvaluations[event];
+
+        const present = evaluations.filter(e => e.triggered);
+        const absent = evaluations.filter(e => !e.triggered);
+
+        const presentRatio = Math.pow(
+            present.reduce((acc, e) => acc * e.likelihoodRatio, 1),
+            this.getCorrelationDiscount(this.getTriggeredWeight(event))
+        );
+        const absentRatio = absent.reduce((acc, e) => acc * e.likelihoodRatio, 1);
+
+        const posteriorOdds = (prior / (1 - prior)) * presentRatio * absentRatio;
+        return posteriorOdds / (1 + posteriorOdds);
+    }
+
+    /**
+     * Number of triggered factors for an event, counting graded rules by their weight
+     */
+    getTriggeredWeight(event) {
+        return this.updateFactors[event].reduce((acc, f) => acc + (f.weight ?? 1), 0);
+    }
+
+    /**
+     * Correlation discount for a (weighted) number of triggered factors
+     *
+     * Whole counts get CORRELATION_DISCOUNT[2] and [3] as configured; between them
+     * the discount is interpolated geometrically, so a rule whose curve weight is
+     * just above minCurveWeight discounts the others only slightly. Each factor of
+     * at least 1.5 then outgrows the discount its weight adds.
+     */
+    getCorrelationDiscount(weight) {
+        const two = CORRELATION_DISCOUNT[2] || 1;
+        const three = CORRELATION_DISCOUNT[3] || two;
+
+        if (weight <= 1) {
+            return 1;
+        } else if (weight < 2) {
+            return Math.pow(two, weight - 1);
+        } else if (weight < 3) {
+            return two * Math.pow(three / two, weight - 2);
+        }
+        return three;
+    }
+
+    /**
+     * Label for the correlation discount step of an attribution
+     */
+    describeCorrelationDiscount(event) {
+        const weight = this.getTriggeredWeight(event);
+        const count = Number.isInteger(weight) ? weight : weight.toFixed(1);
+        return `Correlation discount (${count} ${Number.isInteger(weight) ? 'factors' : 'weighted factors'})`;
+    }
+
+    /**
+     * Set probability mode ('multiplicative' or 'bayesian') and recalculate
+     */
+    setMode(mode) {
+        if (!PROBABILITY_MODEL.modes.includes(mode)) {
+            logger.warn(`Unknown probability mode: ${mode}`);
+            return;
+        }
+
+        this.mode = mode;
+        this.calculateAllProbabilities();
+        logger.info(`Probability mode set to ${mode}`);
+    }
+
+    /**
+     * Get probabilities from every mode for side-by-side comparison
+     */
+    getModeComparison() {
+        const comparison = {};
+        for (const mode of PROBABILITY_MODEL.modes) {
+            comparison[mode] = this.computeProbabilities(mode);
+        }
+        return comparison;
     }
 
     /**
@@ -379,12 +474,21 @@ export class ProbabilityCalculator {
      * Get critical events
      */
     getCriticalEvents() {
-        return Object.entries(this.currentProbabilities)
-            .filter(([event, prob]) => {
-                const thresholds = RISK_THRESHOLDS[event];
-                return thresholds && prob >= thresholds.critical;
-            })
-            .map(([event]) => event);
+        return Object.keys(this.currentProbabilities)
+            .filter(event => this.getRiskLevel(event) === 'critical');
+    }
+
+    /**
+     * Get the moderate/high/critical probability bands per event (including custom thresholds)
+     */
+    getRiskBands() {
+        const bands = {};
+        for (const event in this.currentProbabilities) {
+            if (RISK_THRESHOLDS[event]) {
+                bands[event] = { ...RISK_THRESHOLDS[event] };
+            }
+        }
+        return bands;
     }
 
     /**
@@ -395,13 +499,224 @@ export class ProbabilityCalculator {
         logger.info(`Trend analysis ${enabled ? 'enabled' : 'disabled'}`);
     }
 
+    /**
+     * Toggle graded likelihood curves on/off (off: step thresholds)
+     */
+    setCurves(enabled) {
+        this.useCurves = enabled;
+        logger.info(`Likelihood curves ${enabled ? 'enabled' : 'disabled'}`);
+    }
+
     /**
      * Get trend analysis for an indicator
      */
-    getTrendAnalysis(seriesId, isInverted = false) {
+    getTrendAnalysis(seriesId, isInverted = isInvertedIndicator(seriesId)) {
         return this.trendAnalyzer.getTrendAnalysis(seriesId, isInverted);
     }
 
+    /**
+     * Get the rules an indicator feeds, directly or through a derived value or formula indicator
+     */
+    getRulesForIndicator(seriesId) {
+        const rules = [];
+
+        for (const [event, eventRules] of Object.entries(ECONOMIC_THRESHOLDS)) {
+            for (const [ruleId, rule] of Object.entries(eventRules)) {
+                const direct = rule.indicator === seriesId;
+                const via = rule.derived ? DERIVED_INDICATORS[rule.derived] : INDICATORS[rule.indicator];
+                const derived = !direct && via && via.formula && compileFormula(via.formula).inputs.includes(seriesId)
+                    ? via
+                    : null;
+                if (!direct && !derived) continue;
+
+                rules.push({
+                    event,
+                    rule: ruleId,
+                    reason: rule.reason,
+                    operator: rule.operator,
+                    value: rule.value,
+                    derived: derived ? derived.name : null,
+                    active: this.updateFactors[event].some(f => f.rule === ruleId)
+                });
+            }
+        }
+
+        return rules;
+    }
+
+    /**
+     * Get history (oldest first), trend analysis and rules for an indicator
+     */
+    getIndicatorDetails(seriesId) {
+        const history = this.trendAnalyzer.historicalData[seriesId];
+
+        return {
+            history: history ? [...history].reverse() : [],
+            trend: this.getTrendAnalysis(seriesId),
+            rules: this.getRulesForIndicator(seriesId)
+        };
+    }
+
+    /**
+     * Evaluate hypothetical indicators without touching the current results
+     * Uses the same mode, curves and trend multipliers as the last update.
+     * weightOverrides ({ [event]: { [ruleId]: weight } }) force how strongly rules apply.
+     */
+    simulate(indicators, { weightOverrides = {} } = {}) {
+        // One calculator is reused for every simulation (sensitivity and Monte Carlo run many)
+        if (!this.simulation) {
+            this.simulation = new ProbabilityCalculator();
+        }
+        const simulation = this.simulation;
+        simulation.resetFactors();
+        simulation.trendAnalyzer = this.trendAnalyzer;
+        simulation.trendMultipliers = { ...this.trendMultipliers };
+        simulation.useTrendAnalysis = this.useTrendAnalysis;
+        simulation.useCurves = this.useCurves;
+        simulation.mode = this.mode;
+        simulation.indicators = indicators;
+        simulation.weightOverrides = weightOverrides;
+
+        for (const event in simulation.updateFactors) {
+            simulation.evaluateRules(event, indicators);
+        }
+        simulation.calculateAllProbabilities();
+
+        return {
+            probabilities: simulation.getProbabilities(),
+            factors: simulation.getAllFactors()
+        };
+    }
+
+    /**
+     * Break an event's probability down from its base rate to the final value
+     *
+     * Each step's multiplier (factor, likelihood ratio or correlation discount)
+     * contributes its share of the log change, so contributions add up to the
+     * final probability regardless of step order. In bayesian mode the shares
+     * are taken in odds space and untriggered rules form one step. Returns
+     * { event, mode, base, final, steps: [{ label, type, rule, multiplier, contribution }] }.
+     */
+    getAttribution(event, mode = this.mode) {
+        const base = BASE_PROBABILITIES[event];
+        const bayesian = mode === 'bayesian';
+        const steps = bayesian ? this.getBayesianSteps(event) : this.getMultiplicativeSteps(event);
+        const final = bayesian
+            ? this.calculateBayesianProbability(event)
+            : this.calculateMultiplicativeProbability(event);
+
+        const unclamped = bayesian ? final : base * steps.reduce((acc, step) => acc * step.multiplier, 1);
+        const totalLog = steps.reduce((acc, step) => acc + Math.log(step.multiplier), 0);
+
+        const attributed = steps.map(step => ({
+            ...step,
+            contribution: totalLog === 0 ? 0 : (unclamped - base) * Math.log(step.multiplier) / totalLog
+        }));
+
+        if (!bayesian && unclamped > 1) {
+            attributed.push({ label: 'Capped at 100%', type: 'clamp', rule: null, multiplier: null, contribution: final - unclamped });
+        }
+
+        return { event, mode, base, final, steps: attributed };
+    }
+
+    /**
+     * Multiplicative steps: each triggered factor, then the correlation discount
+     */
+    getMultiplicativeSteps(event) {
+        const factors = this.updateFactors[event];
+        const steps = factors.map(f => ({ label: f.reason, type: 'factor', rule: f.rule, multiplier: f.factor }));
+
+        const discount = this.getCorrelationDiscount(this.getTriggeredWeight(event));
+        if (discount !== 1) {
+            steps.push({ label: this.describeCorrelationDiscount(event), type: 'discount', rule: null, multiplier: discount });
+        }
+
+        return steps;
+    }
+
+    /**
+     * Bayesian steps: each triggered likelihood ratio, the correlation discount
+     * on their product, then all untriggered rules together
+     */
+    getBayesianSteps(event) {
+        const evaluations = this.ruleEvaluations[event];
+        const reasons = new Map(this.updateFactors[event].map(f => [f.rule, f.reason]));
+        const present = evaluations.filter(e => e.triggered);
+        const absent = evaluations.filter(e => !e.triggered);
+
+        const steps = present.map(e => ({ label: reasons.get(e.rule), type: 'factor', rule: e.rule, multiplier: e.likelihoodRatio }));
+
+        const discount = this.getCorrelationDiscount(this.getTriggeredWeight(event));
+        if (discount !== 1) {
+            const presentRatio = present.reduce((acc, e) => acc * e.likelihoodRatio, 1);
+            steps.push({
+                label: this.describeCorrelationDiscount(event),
+                type: 'discount',
+                rule: null,
+                multiplier: Math.pow(presentRatio, discount - 1)
+            });
+        }
+
+        if (absent.length > 0) {
+            steps.push({
+                label: `${absent.length} rule${absent.length === 1 ? '' : 's'} not triggered`,
+                type: 'absent',
+                rule: null,
+                multiplier: absent.reduce((acc, e) => acc * e.likelihoodRatio, 1)
+            });
+        }
+
+        return steps;
+    }
+
+    /**
+     * How far each of an event's rules is from flipping, and what flipping it would do
+     *
+     * distance is threshold minus current value (in the indicator's units, or the
+     * derived value's for derived rules). triggered and weight come from the last
+     * evaluation, so a rule partway along its curve counts as triggered with its
+     * curve weight; flippedProbability recomputes the event with a triggered rule
+     * absent, or an untriggered one fully present.
+     */
+    getSensitivity(event) {
+        const current = this.currentProbabilities[event];
+        const rows = [];
+
+        for (const [ruleId, rule] of Object.entries(ECONOMIC_THRESHOLDS[event] || {})) {
+            let value;
+            try {
+                value = this.resolveRuleValue(rule, this.indicators);
+            } catch (error) {
+                logger.warn(`Error resolving ${event} rule ${ruleId}:`, error);
+                continue;
+            }
+            if (value === null) continue;
+
+            const factor = this.updateFactors[event].find(f => f.rule === ruleId);
+            const triggered = Boolean(factor);
+            const flipped = this.simulate(this.indicators, {
+                weightOverrides: { [event]: { [ruleId]: triggered ? 0 : 1 } }
+            });
+
+            rows.push({
+                rule: ruleId,
+                reason: rule.reason,
+                indicator: rule.indicator || DERIVED_INDICATORS[rule.derived].name,
+                value,
+                threshold: rule.value,
+                operator: rule.operator,
+                triggered,
+                weight: factor ? factor.weight : 0,
+                distance: rule.value - value,
+                flippedProbability: flipped.probabilities[event],
+                probabilityChange: flipped.probabilities[event] - current
+            });
+        }
+
+        return rows;
+    }
+
     /**
      * Get all trend multipliers
      */
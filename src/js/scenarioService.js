@@ -0,0 +1,182 @@
+/**
+ * What-if scenarios for the Ray Dalio Economic Risk Dashboard
+ *
+ * A scenario overrides indicator values (`set`) or shifts them (`delta`)
+ * on top of the live indicators, so ProbabilityCalculator.simulate() can show
+ * the resulting probabilities next to the baseline. Named scenarios are
+ * saved in localStorage.
+ */
+
+import { CONFIG, INDICATORS } from './config.js';
+import { ValidationError, validateNumber, readStoredJSON, writeStoredJSON } from './utils.js';
+import { compileFormula, evaluateFormula } from './formula.js';
+
+export const SCENARIO_MODES = ['set', 'delta'];
+
+/**
+ * Format a raw indicator value the way DataService displays it
+ */
+export function formatIndicatorValue(seriesId, raw) {
+    const config = INDICATORS[seriesId];
+    return config ? config.format(raw) : raw.toFixed(2);
+}
+
+/**
+ * Check and normalize scenario adjustments: { [seriesId]: { mode, value } }
+ */
+export function normalizeAdjustments(adjustments) {
+    if (!adjustments || typeof adjustments !== 'object') {
+        throw new ValidationError('Scenario adjustments must be an object');
+    }
+
+    const normalized = {};
+    for (const [seriesId, adjustment] of Object.entries(adjustments)) {
+        if (!adjustment || !SCENARIO_MODES.includes(adjustment.mode)) {
+            throw new ValidationError(`Invalid scenario mode for ${seriesId}: expected ${SCENARIO_MODES.join(' or ')}`);
+        }
+        normalized[seriesId] = {
+            mode: adjustment.mode,
+            value: validateNumber(adjustment.value, `Scenario value for ${seriesId}`)
+        };
+    }
+    return normalized;
+}
+
+/**
+ * Apply adjustments to a copy of the indicators
+ * Adjusted indicators keep their baseline raw value and are marked with source 'Scenario'.
+ * Formula indicators that read an adjusted indicator are recalculated (unless adjusted themselves).
+ */
+export function applyScenario(indicators, adjustments) {
+    const scenario = { ...indicators };
+    const normalized = normalizeAdjustments(adjustments);
+
+    for (const [seriesId, { mode, value }] of Object.entries(normalized)) {
+        const baseline = indicators[seriesId];
+        if (mode === 'delta' && !baseline) {
+            throw new ValidationError(`Cannot shift ${seriesId}: no baseline value`);
+        }
+
+        const raw = mode === 'set' ? value : baseline.raw + value;
+        scenario[seriesId] = {
+            ...(baseline || { name: INDICATORS[seriesId] ? INDICATORS[seriesId].name : seriesId, threshold: '' }),
+            raw,
+            value: formatIndicatorValue(seriesId, raw),
+            source: 'Scenario',
+            baselineRaw: baseline ? baseline.raw : null
+        };
+    }
+
+    for (const [seriesId, baseline] of Object.entries(indicators)) {
+        const config = INDICATORS[seriesId];
+        if (!config || !config.formula || normalized[seriesId]) continue;
+
+        const formula = compileFormula(config.formula);
+        if (!formula.inputs.some(input => normalized[input])) continue;
+
+        // Inputs that are not indicators (e.g. T10YIE) keep the values DataService used
+        const values = {};
+        for (const input of formula.inputs) {
+            values[input] = scenario[input] ? scenario[input].raw : (baseline.inputs || {})[input];
+        }
+        if (Object.values(values).some(value => value === undefined)) continue;
+
+        const raw = evaluateFormula(formula, values);
+        scenario[seriesId] = {
+            ...baseline,
+            raw,
+            value: formatIndicatorValue(seriesId, raw),
+            source: 'Scenario',
+            baselineRaw: baseline.raw
+        };
+    }
+
+    return scenario;
+}
+
+/**
+ * Compare baseline and scenario results per event
+ * Returns { [event]: { baseline, scenario, change, triggered, cleared } } where
+ * triggered/cleared list rule reasons that only fire in one of the two.
+ */
+export function compareScenario(baseline, scenario) {
+    const comparison = {};
+
+    for (const event of Object.keys(baseline.probabilities)) {
+        const baselineRules = new Map((baseline.factors[event] || []).map(f => [f.rule, f.reason]));
+        const scenarioRules = new Map((scenario.factors[event] || []).map(f => [f.rule, f.reason]));
+
+        comparison[event] = {
+            baseline: baseline.probabilities[event],
+            scenario: scenario.probabilities[event],
+            change: scenario.probabilities[event] - baseline.probabilities[event],
+            triggered: [...scenarioRules].filter(([rule]) => !baselineRules.has(rule)).map(([, reason]) => reason),
+            cleared: [...baselineRules].filter(([rule]) => !scenarioRules.has(rule)).map(([, reason]) => reason)
+        };
+    }
+
+    return comparison;
+}
+
+/**
+ * Named scenario storage
+ */
+export class ScenarioService {
+    constructor(storage = globalThis.localStorage || null) {
+        this.storage = storage;
+    }
+
+    /**
+     * Saved scenario names, alphabetically
+     */
+    list() {
+        return Object.keys(this.loadAll()).sort((a, b) => a.localeCompare(b));
+    }
+
+    /**
+     * Save (or replace) a named scenario
+     */
+    save(name, adjustments) {
+        const trimmed = typeof name === 'string' ? name.trim() : '';
+        if (!trimmed) {
+            throw new ValidationError('Scenario name is required');
+        }
+
+        const scenarios = this.loadAll();
+        scenarios[trimmed] = {
+            adjustments: normalizeAdjustments(adjustments),
+            savedAt: new Date().toISOString()
+        };
+        this.saveAll(scenarios);
+        return trimmed;
+    }
+
+    /**
+     * Adjustments of a saved scenario, or null if it does not exist
+     */
+    load(name) {
+        const scenario = this.loadAll()[name];
+        return scenario ? scenario.adjustments : null;
+    }
+
+    /**
+     * Delete a saved scenario
+     */
+    remove(name) {
+        const scenarios = this.loadAll();
+        delete scenarios[name];
+        this.saveAll(scenarios);
+    }
+
+    loadAll() {
+        return readStoredJSON(this.storage, CONFIG.SCENARIO_STORAGE_KEY, {
+            fallback: {},
+            isValid: (stored) => stored && typeof stored === 'object' && !Array.isArray(stored),
+            label: 'saved scenarios'
+        });
+    }
+
+    saveAll(scenarios) {
+        writeStoredJSON(this.storage, CONFIG.SCENARIO_STORAGE_KEY, scenarios, 'scenarios');
+    }
+}
@@ -0,0 +1,165 @@
+/**
+ * Probability history for the Ray Dalio Economic Risk Dashboard
+ *
+ * Every refresh is stored as a snapshot in localStorage. The proxy records its
+ * own snapshots from live data with the default model (/api/snapshots); both
+ * are merged so the risk cards can chart how each probability evolved.
+ */
+
+import { CONFIG, FALLBACK_SOURCES, PROBABILITY_MODEL } from './config.js';
+import { fetchWithRetry, logger, readStoredJSON, writeStoredJSON } from './utils.js';
+
+/**
+ * Build a snapshot from one refresh
+ */
+export function createSnapshot({ probabilities, factors, indicators, connectionStatus, mode, timestamp = new Date() }) {
+    const snapshotFactors = {};
+    for (const [event, eventFactors] of Object.entries(factors || {})) {
+        snapshotFactors[event] = eventFactors.map(f => ({
+            rule: f.rule,
+            reason: f.reason,
+            factor: f.factor
+        }));
+    }
+
+    const snapshotIndicators = {};
+    for (const [id, indicator] of Object.entries(indicators || {})) {
+        snapshotIndicators[id] = {
+            raw: indicator.raw,
+            source: indicator.source,
+            date: indicator.date || null
+        };
+    }
+
+    return {
+        timestamp: timestamp.toISOString(),
+        mode: mode || null,
+        probabilities: { ...probabilities },
+        factors: snapshotFactors,
+        indicators: snapshotIndicators,
+        sources: connectionStatus ? {
+            useBackend: connectionStatus.useBackend,
+            liveCount: connectionStatus.liveCount,
+            mockCount: connectionStatus.mockCount,
+            totalCount: connectionStatus.totalCount
+        } : {}
+    };
+}
+
+/**
+ * Whether a snapshot belongs in the history shared on the proxy: every value came
+ * from the proxy's providers (no fallbacks) and the model is the default one, in the
+ * default mode with curves and trend analysis as shipped, so one visitor's mock data
+ * or model choices do not end up in everyone's charts
+ */
+export function isShareableSnapshot(snapshot, {
+    customModel = false,
+    curves = PROBABILITY_MODEL.useCurves,
+    trends = PROBABILITY_MODEL.useTrendAnalysis
+} = {}) {
+    return Boolean(snapshot.sources && snapshot.sources.useBackend) &&
+        !customModel &&
+        snapshot.mode === PROBABILITY_MODEL.defaultMode &&
+        curves === PROBABILITY_MODEL.useCurves &&
+        trends === PROBABILITY_MODEL.useTrendAnalysis &&
+        Object.values(snapshot.indicators).every(indicator => !FALLBACK_SOURCES.includes(indicator.source));
+}
+
+/**
+ * Rules that switched on or off for an event between consecutive snapshots
+ * Returns [{ timestamp, type: 'triggered' | 'cleared', rule, reason }]
+ */
+export function findTriggerEvents(snapshots, event) {
+    const events = [];
+    let previous = null;
+
+    for (const snapshot of snapshots) {
+        const active = new Map(((snapshot.factors || {})[event] || []).map(f => [f.rule, f.reason]));
+
+        if (previous) {
+            for (const [rule, reason] of active) {
+                if (!previous.has(rule)) {
+                    events.push({ timestamp: snapshot.timestamp, type: 'triggered', rule, reason });
+                }
+            }
+            for (const [rule, reason] of previous) {
+                if (!active.has(rule)) {
+                    events.push({ timestamp: snapshot.timestamp, type: 'cleared', rule, reason });
+                }
+            }
+        }
+
+        previous = active;
+    }
+
+    return events;
+}
+
+/**
+ * Snapshot service class
+ */
+export class SnapshotService {
+    constructor(storage = globalThis.localStorage || null) {
+        this.storage = storage;
+    }
+
+    /**
+     * Store a snapshot locally (the proxy's shared history is recorded by the proxy)
+     */
+    record(snapshot) {
+        const local = this.loadLocal();
+        local.push(snapshot);
+        this.saveLocal(local.slice(-CONFIG.MAX_LOCAL_SNAPSHOTS));
+    }
+
+    /**
+     * Snapshots from the last `days` days, oldest first
+     * Proxy and local snapshots are merged so refreshes made while the
+     * backend was down still appear.
+     */
+    async getHistory(useBackend, days = CONFIG.SNAPSHOT_HISTORY_DAYS) {
+        const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+        const byTimestamp = new Map();
+
+        for (const snapshot of this.loadLocal()) {
+            if (snapshot.timestamp >= since) {
+                byTimestamp.set(snapshot.timestamp, snapshot);
+            }
+        }
+
+        if (useBackend) {
+            try {
+                const params = new URLSearchParams({ since });
+                const response = await fetchWithRetry(`${CONFIG.BACKEND_URL}/api/snapshots?${params}`, {}, 1);
+                const data = await response.json();
+
+                for (const snapshot of data.snapshots || []) {
+                    byTimestamp.set(snapshot.timestamp, snapshot);
+                }
+            } catch (error) {
+                logger.warn('Failed to load snapshots from backend, using local history:', error.message);
+            }
+        }
+
+        return [...byTimestamp.values()].sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    }
+
+    /**
+     * Read snapshots from localStorage
+     */
+    loadLocal() {
+        return readStoredJSON(this.storage, CONFIG.SNAPSHOT_STORAGE_KEY, {
+            fallback: [],
+            isValid: Array.isArray,
+            label: 'local snapshots'
+        });
+    }
+
+    /**
+     * Write snapshots to localStorage
+     */
+    saveLocal(snapshots) {
+        // Quota exceeded or storage disabled is logged; the proxy's history still loads
+        writeStoredJSON(this.storage, CONFIG.SNAPSHOT_STORAGE_KEY, snapshots, 'snapshots locally');
+    }
+}
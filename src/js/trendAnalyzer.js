@@ -7,46 +7,43 @@
  * - Acceleration: Is the rate of change increasing?
  */
 
-import { CONFIG } from './config.js';
+import { CONFIG, INDICATORS } from './config.js';
 import { validateNumber, logger } from './utils.js';
+import { createProviders, providerFor } from './dataProviders.js';
 
 /**
  * Trend Analyzer class
  */
 export class TrendAnalyzer {
-    constructor() {
+    constructor(providers = createProviders()) {
         this.historicalData = {};
+        this.providers = providers;
     }
 
     /**
-     * Fetch historical data for a series
+     * Fetch historical data for a series from its data provider
+     * Requests a calendar window aggregated to a common frequency so daily,
+     * monthly and quarterly series are compared like with like
      */
-    async fetchHistoricalData(seriesId, months = 12) {
+    async fetchHistoricalData(seriesId, months = TREND_CONFIG.ANALYSIS_WINDOW_MONTHS) {
         try {
-            if (!CONFIG.BACKEND_URL) {
+            const provider = this.providers[providerFor(seriesId)];
+            if (!provider) {
+                throw new Error(`No data provider for ${seriesId}`);
+            }
+            if (provider.needsBackend && !CONFIG.BACKEND_URL) {
                 logger.warn('No backend URL configured for historical data');
                 return null;
             }
 
-            const response = await fetch(`${CONFIG.BACKEND_URL}/api/fred/${seriesId}/history?months=${months}`, {
-                timeout: CONFIG.FETCH_TIMEOUT_MS
-            });
-
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}`);
-            }
-
-            const data = await response.json();
-
-            if (!data.observations || !Array.isArray(data.observations)) {
-                throw new Error('Invalid historical data format');
-            }
+            const { observations } = await provider.fetchHistory(seriesId, {
+                months,
+                frequency: TREND_CONFIG.HISTORY_FREQUENCY,
+                aggregation: TREND_CONFIG.HISTORY_AGGREGATION
+            }, { retries: 1 });
 
-            // Store historical data
-            this.historicalData[seriesId] = data.observations.map(obs => ({
-                date: obs.date,
-                value: parseFloat(obs.value)
-            })).filter(obs => !isNaN(obs.value));
+            // Store historical data, newest first
+            this.historicalData[seriesId] = [...observations].reverse();
 
             logger.info(`Loaded ${this.historicalData[seriesId].length} historical points for ${seriesId}`);
             return this.historicalData[seriesId];
@@ -123,7 +120,7 @@ export class TrendAnalyzer {
         try {
             const latest = data[0].value;
             const oldest = data[data.length - 1].value;
-            const months = data.length - 1;
+            const months = this._monthsSpanned(data);
 
             // Calculate average monthly change
             const totalChange = ((latest - oldest) / oldest) * 100;
@@ -178,11 +175,29 @@ export class TrendAnalyzer {
 
         const latest = data[0].value;
         const oldest = data[data.length - 1].value;
-        const months = data.length - 1;
+        const months = this._monthsSpanned(data);
 
         return ((latest - oldest) / oldest * 100) / months;
     }
 
+    /**
+     * Helper: Calendar months between the oldest and newest observation
+     * Falls back to one month per observation when dates are missing
+     */
+    _monthsSpanned(data) {
+        const newest = new Date(data[0].date);
+        const oldest = new Date(data[data.length - 1].date);
+
+        if (isNaN(newest.getTime()) || isNaN(oldest.getTime())) {
+            return data.length - 1;
+        }
+
+        const months = (newest.getUTCFullYear() - oldest.getUTCFullYear()) * 12 +
+            (newest.getUTCMonth() - oldest.getUTCMonth());
+
+        return months > 0 ? months : data.length - 1;
+    }
+
     /**
      * Get trend multiplier for probability adjustment
      * Returns multiplier between 0.7 (improving) and 1.3 (worsening)
@@ -219,26 +234,16 @@ export class TrendAnalyzer {
     async analyzeAllTrends(indicators) {
         const trendMultipliers = {};
 
-        // Define which indicators are inverted (higher = worse)
-        const invertedIndicators = new Set([
-            'UNRATE',        // Unemployment
-            'BAA10Y',        // Credit spreads
-            'VIXCLS',        // Volatility
-            'GFDGDPA188S',   // Debt/GDP
-            'DeficitGDP',    // Deficit/GDP
-            'A091RC1Q027SBEA' // Interest payments/GDP
-        ]);
-
         // Fetch historical data for all indicators
-        const seriesIds = Object.keys(indicators).filter(id => id !== 'DXY'); // DXY is calculated
+        const seriesIds = Object.keys(indicators);
 
-        const fetchPromises = seriesIds.map(id => this.fetchHistoricalData(id, 12));
+        const fetchPromises = seriesIds.map(id => this.fetchHistoricalData(id));
         await Promise.allSettled(fetchPromises);
 
         // Calculate trend multipliers
         for (const seriesId of seriesIds) {
             if (this.historicalData[seriesId]) {
-                const isInverted = invertedIndicators.has(seriesId);
+                const isInverted = isInvertedIndicator(seriesId);
                 trendMultipliers[seriesId] = this.getTrendMultiplier(seriesId, isInverted);
             }
         }
@@ -284,6 +289,14 @@ export class TrendAnalyzer {
     }
 }
 
+/**
+ * Whether a higher value is worse for an indicator (`higherIsWorse` in the registry)
+ * Read on every call, since custom indicators are registered at runtime
+ */
+export function isInvertedIndicator(seriesId) {
+    return Boolean(INDICATORS[seriesId] && INDICATORS[seriesId].higherIsWorse);
+}
+
 /**
  * Configuration for trend-based adjustments
  */
@@ -291,9 +304,13 @@ export const TREND_CONFIG = {
     // Minimum data points required for trend analysis
     MIN_DATA_POINTS: 3,
 
-    // Number of months to analyze
+    // Number of calendar months to analyze
     ANALYSIS_WINDOW_MONTHS: 12,
 
+    // History is aggregated to this frequency before analysis
+    HISTORY_FREQUENCY: 'm',
+    HISTORY_AGGREGATION: 'avg',
+
     // Velocity thresholds (% per month)
     HIGH_VELOCITY_THRESHOLD: 2.0,
 
@@ -2,8 +2,10 @@
  * UI Manager for updating the dashboard display
  */
 
-import { INDICATOR_DISPLAY_ORDER, BASE_PROBABILITIES } from './config.js';
-import { sanitizeHTML, formatDate, logger } from './utils.js';
+import { INDICATOR_DISPLAY_ORDER, ECONOMIC_THRESHOLDS, CONFIG } from './config.js';
+import { sanitizeHTML, escapeHTML, formatDate, logger } from './utils.js';
+import { renderLineChart, renderWaterfallChart, renderRiskGauge } from './charts.js';
+import { findTriggerEvents } from './snapshotService.js';
 
 /**
  * UI Manager class
@@ -11,7 +13,11 @@ import { sanitizeHTML, formatDate, logger } from './utils.js';
 export class UIManager {
     constructor() {
         this.elements = {};
+        this.indicators = {};
+        this.indicatorDetails = {};
+        this.riskBands = {};
         this.initializeElements();
+        this.initializeDrawer();
     }
 
     /**
@@ -20,11 +26,31 @@ export class UIManager {
     initializeElements() {
         this.elements = {
             alertBanner: document.getElementById('alert-banner'),
+            alertLog: document.getElementById('alert-log-entries'),
+            alertRuleList: document.getElementById('alert-rule-list'),
+            alertRuleMessage: document.getElementById('alert-rule-message'),
+            customIndicatorForm: document.getElementById('custom-indicator-form'),
+            customIndicatorList: document.getElementById('custom-indicator-list'),
+            customIndicatorMessage: document.getElementById('custom-indicator-message'),
+            alertInbox: document.getElementById('alert-inbox'),
+            alertInboxCount: document.getElementById('alert-inbox-count'),
+            notificationsButton: document.getElementById('notifications-enable'),
             indicatorsGrid: document.getElementById('indicators-grid'),
             lastUpdate: document.getElementById('last-update'),
             corsNotice: document.getElementById('cors-notice'),
             backendStatus: document.getElementById('backend-status'),
             loadingIndicator: document.getElementById('loading-indicator'),
+            indicatorDrawer: document.getElementById('indicator-drawer'),
+            indicatorDrawerContent: document.getElementById('indicator-drawer-content'),
+            scenarioInputs: document.getElementById('scenario-inputs'),
+            scenarioResults: document.getElementById('scenario-results'),
+            scenarioSelect: document.getElementById('scenario-select'),
+            scenarioMessage: document.getElementById('scenario-message'),
+            settingsPanel: document.getElementById('settings-panel'),
+            settingsFields: document.getElementById('settings-fields'),
+            settingsErrors: document.getElementById('settings-errors'),
+            settingsToggle: document.getElementById('settings-toggle'),
+            customModelBadge: document.getElementById('custom-model-badge'),
 
             // Probability displays
             recessionProb: document.getElementById('recession-prob'),
@@ -62,14 +88,52 @@ export class UIManager {
         }
     }
 
+    /**
+     * Close the indicator drawer from its close button, backdrop or Escape
+     */
+    initializeDrawer() {
+        const drawer = this.elements.indicatorDrawer;
+        if (!drawer) return;
+
+        drawer.querySelectorAll('[data-close-drawer]').forEach(element => {
+            element.addEventListener('click', () => this.closeIndicatorDrawer());
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && !drawer.hidden) {
+                this.closeIndicatorDrawer();
+            }
+        });
+    }
+
     /**
      * Update all UI elements
+     * Options: modeComparison (other probability models), indicatorDetails (history, trend, rules per indicator),
+     * attribution and sensitivity (per event, from ProbabilityCalculator), uncertainty (Monte Carlo bands)
+     * `risk` carries the calculator's risk levels and bands, so cards use the same (possibly custom)
+     * thresholds as the model; `alerts` is the confirmed alert state and log from AlertMonitor
      */
-    updateAll(probabilities, factors, indicators, connectionStatus) {
+    updateAll(probabilities, factors, indicators, connectionStatus, {
+        risk = { levels: {}, bands: {} },
+        alerts = { banner: 'none', criticalEvents: [], pending: {}, log: [] },
+        modeComparison = null,
+        indicatorDetails = {},
+        attribution = null,
+        sensitivity = null,
+        uncertainty = null
+    } = {}) {
         try {
-            this.updateProbabilityDisplays(probabilities, factors);
-            this.updateIndicatorsGrid(indicators);
-            this.updateAlertBanner(probabilities);
+            this.riskBands = risk.bands;
+            this.updateProbabilityDisplays(probabilities, factors, risk);
+            if (modeComparison) {
+                this.updateModeComparison(modeComparison);
+            }
+            this.updateUncertainty(probabilities, uncertainty);
+            if (attribution && sensitivity) {
+                this.updateAttribution(attribution, sensitivity);
+            }
+            this.updateIndicatorsGrid(indicators, indicatorDetails);
+            this.updateAlertBanner(alerts);
+            this.updateAlertLog(alerts.log);
             this.updateTimestamp();
             this.updateConnectionStatus(connectionStatus);
         } catch (error) {
@@ -80,12 +144,12 @@ export class UIManager {
     /**
      * Update probability displays
      */
-    updateProbabilityDisplays(probabilities, factors) {
+    updateProbabilityDisplays(probabilities, factors, risk) {
         const events = ['recession', 'depression', 'reserve', 'default', 'devaluation'];
 
         events.forEach(event => {
             try {
-                this.updateProbabilityDisplay(event, probabilities[event], factors[event]);
+                this.updateProbabilityDisplay(event, probabilities[event], factors[event], risk.levels[event], risk.bands[event]);
             } catch (error) {
                 logger.error(`Error updating ${event} display:`, error);
             }
@@ -95,7 +159,7 @@ export class UIManager {
     /**
      * Update single probability display
      */
-    updateProbabilityDisplay(event, probability, factors) {
+    updateProbabilityDisplay(event, probability, factors, riskLevel = 'unknown', bands = null) {
         const element = this.elements[`${event}Prob`];
         const card = this.elements[`${event}Card`];
 
@@ -109,36 +173,146 @@ export class UIManager {
         element.textContent = percentage;
 
         // Update risk level class
-        const riskLevel = this.getRiskLevel(event, probability);
-        element.classList.remove('risk-low', 'risk-moderate', 'risk-high', 'risk-critical');
+        element.classList.remove('risk-low', 'risk-moderate', 'risk-high', 'risk-critical', 'risk-unknown');
         element.classList.add(`risk-${riskLevel}`);
 
+        // Update gauge
+        const gauge = card.querySelector('.risk-gauge');
+        if (gauge) {
+            gauge.innerHTML = bands
+                ? renderRiskGauge({ probability, bands, level: riskLevel, label: `${event} risk gauge` })
+                : '';
+        }
+
         // Update factors list
         this.updateFactorsList(card, factors);
     }
 
     /**
-     * Get risk level based on probability
+     * Show the other probability model's result on each card for comparison
      */
-    getRiskLevel(event, probability) {
-        const thresholds = {
-            recession: 0.60,
-            depression: 0.20,
-            reserve: 0.30,
-            default: 0.10,
-            devaluation: 0.50
-        };
+    updateModeComparison({ mode, probabilities }) {
+        const labels = { multiplicative: 'Multiplicative', bayesian: 'Bayesian' };
+
+        for (const event in probabilities[mode]) {
+            const card = this.elements[`${event}Card`];
+            const comparison = card && card.querySelector('.mode-comparison');
+            if (!comparison) continue;
+
+            comparison.textContent = Object.keys(probabilities)
+                .filter(other => other !== mode)
+                .map(other => `${labels[other] || other}: ${(probabilities[other][event] * 100).toFixed(1)}%`)
+                .join(' · ');
+        }
+    }
 
-        const threshold = thresholds[event] || 0.5;
+    /**
+     * Chart each risk's probability over the stored snapshots, with trigger events marked
+     */
+    updateProbabilityCharts(snapshots) {
+        const events = ['recession', 'depression', 'reserve', 'default', 'devaluation'];
 
-        if (probability >= threshold) {
-            return 'critical';
-        } else if (probability >= threshold * 0.7) {
-            return 'high';
-        } else if (probability >= threshold * 0.4) {
-            return 'moderate';
-        } else {
-            return 'low';
+        events.forEach(event => {
+            const card = this.elements[`${event}Card`];
+            const container = card && card.querySelector('.probability-chart');
+            if (!container) return;
+
+            const history = snapshots.filter(s => typeof s.probabilities[event] === 'number');
+            if (history.length < 2) {
+                container.innerHTML = `<div class="chart-caption">Collecting history (${history.length} snapshot${history.length === 1 ? '' : 's'})</div>`;
+                return;
+            }
+
+            const markers = findTriggerEvents(history, event).map(e => ({
+                x: Date.parse(e.timestamp),
+                type: e.type,
+                label: `${formatDate(e.timestamp)}: ${e.reason} ${e.type}`
+            }));
+
+            const chart = renderLineChart({
+                points: history.map(s => ({ x: Date.parse(s.timestamp), y: s.probabilities[event] })),
+                threshold: this.riskBands[event] ? this.riskBands[event].critical : null,
+                markers,
+                yMin: 0,
+                formatY: (y) => `${(y * 100).toFixed(1)}%`,
+                label: `${event} probability history`
+            });
+
+            container.innerHTML = chart +
+                `<div class="chart-caption">Last ${CONFIG.SNAPSHOT_HISTORY_DAYS} days · ${history.length} snapshots` +
+                (markers.length > 0 ? ` · ${markers.length} trigger change${markers.length === 1 ? '' : 's'}` : '') +
+                '</div>';
+        });
+    }
+
+    /**
+     * Show Monte Carlo percentile bands under each probability, or clear them when off
+     */
+    updateUncertainty(probabilities, uncertainty) {
+        const events = ['recession', 'depression', 'reserve', 'default', 'devaluation'];
+        const percent = (p) => `${(p * 100).toFixed(1)}%`;
+
+        events.forEach(event => {
+            const card = this.elements[`${event}Card`];
+            const container = card && card.querySelector('.probability-range');
+            if (!container) return;
+
+            const band = uncertainty && uncertainty.bands[event];
+            if (!band) {
+                container.innerHTML = '';
+                return;
+            }
+
+            const position = (p) => `${(Math.min(Math.max(p, 0), 1) * 100).toFixed(1)}%`;
+            container.innerHTML = `
+                <div class="range-bar" role="img" aria-label="${event} probability range ${percent(band.low)} to ${percent(band.high)}">
+                    <span class="range-band" style="left: ${position(band.low)}; width: ${position(band.high - band.low)}"></span>
+                    <span class="range-point" style="left: ${position(probabilities[event])}"></span>
+                </div>
+                <div class="range-caption">${percent(band.low)} – ${percent(band.high)} · median ${percent(band.median)} (${uncertainty.samples} samples)</div>`;
+        });
+    }
+
+    /**
+     * Show the base-rate-to-final waterfall and the rule sensitivity table on each card
+     */
+    updateAttribution(attribution, sensitivity) {
+        const points = (p) => `${(p * 100).toFixed(1)}`;
+        const signed = (n, text) => `${n >= 0 ? '+' : '−'}${text}`;
+        const number = (n) => parseFloat(n.toFixed(3)).toString();
+
+        for (const event in attribution) {
+            const card = this.elements[`${event}Card`];
+            const container = card && card.querySelector('.attribution-content');
+            if (!container) continue;
+
+            const { base, final, steps } = attribution[event];
+            const waterfall = steps.length > 0
+                ? renderWaterfallChart({
+                    base,
+                    final,
+                    steps,
+                    formatValue: (v) => `${points(v)}%`,
+                    label: `${event} probability attribution`
+                })
+                : '<div class="chart-caption">No active factors: probability is the base rate</div>';
+
+            const rows = (sensitivity[event] || []).map(row => `
+                <tr class="${row.triggered ? 'rule-active' : ''}">
+                    <td>${sanitizeHTML(row.reason)}${row.weight > 0 && row.weight < 1 ? `<div class="data-source">${Math.round(row.weight * 100)}% applied</div>` : ''}</td>
+                    <td>${sanitizeHTML(number(row.value))}</td>
+                    <td>${sanitizeHTML(row.operator)} ${sanitizeHTML(number(row.threshold))}</td>
+                    <td>${sanitizeHTML(signed(row.distance, number(Math.abs(row.distance))))}</td>
+                    <td>${sanitizeHTML(signed(row.probabilityChange, points(Math.abs(row.probabilityChange))))} pts</td>
+                </tr>`).join('');
+
+            container.innerHTML = `
+                ${waterfall}
+                <div class="chart-caption">Contributions in percentage points, from ${points(base)}% to ${points(final)}%</div>
+                <table class="sensitivity-table">
+                    <thead><tr><th>Rule</th><th>Now</th><th>Trigger</th><th>To flip</th><th>If flipped</th></tr></thead>
+                    <tbody>${rows || '<tr><td colspan="5">No indicator data</td></tr>'}</tbody>
+                </table>`;
         }
     }
 
@@ -153,8 +327,9 @@ export class UIManager {
             const factorsHTML = factors
                 .map(f => {
                     const reason = sanitizeHTML(f.reason);
-                    const factor = sanitizeHTML(f.factor.toString());
-                    return `<div class="data-source">↗ ${reason} (×${factor})</div>`;
+                    const factor = sanitizeHTML(parseFloat(f.factor.toFixed(2)).toString());
+                    const curve = f.curve ? ` · ${sanitizeHTML(this.describeCurve(f.curve, f.weight))}` : '';
+                    return `<div class="data-source">↗ ${reason} (×${factor}${curve})</div>`;
                 })
                 .join('');
             factorsList.innerHTML = factorsHTML;
@@ -163,20 +338,37 @@ export class UIManager {
         }
     }
 
+    /**
+     * Describe a likelihood curve and how far along it the current value is
+     */
+    describeCurve(curve, weight) {
+        const strength = `${Math.round(weight * 100)}%`;
+        if (curve.type === 'logistic') {
+            return `logistic, width ${curve.width}: ${strength}`;
+        }
+        if (curve.type === 'linear') {
+            return `linear ${curve.points.map(([x, y]) => `${x}→${y}`).join(', ')}: ${strength}`;
+        }
+        return `${curve.type}: ${strength}`;
+    }
+
     /**
      * Update indicators grid
      */
-    updateIndicatorsGrid(indicators) {
+    updateIndicatorsGrid(indicators, indicatorDetails = {}) {
         const grid = this.elements.indicatorsGrid;
         if (!grid) return;
 
+        this.indicators = indicators;
+        this.indicatorDetails = indicatorDetails;
+
         // Clear grid
         grid.innerHTML = '';
 
         INDICATOR_DISPLAY_ORDER.forEach(key => {
             if (indicators[key]) {
                 try {
-                    const indicatorElement = this.createIndicatorElement(indicators[key]);
+                    const indicatorElement = this.createIndicatorElement(indicators[key], key, indicatorDetails[key]);
                     grid.appendChild(indicatorElement);
                 } catch (error) {
                     logger.error(`Error creating indicator element for ${key}:`, error);
@@ -188,9 +380,12 @@ export class UIManager {
     /**
      * Create indicator element
      */
-    createIndicatorElement(indicator) {
+    createIndicatorElement(indicator, key, details = null) {
         const div = document.createElement('div');
         div.className = 'indicator';
+        if (indicator.method) {
+            div.title = `Method: ${indicator.method}`;
+        }
 
         const name = sanitizeHTML(indicator.name);
         const value = sanitizeHTML(indicator.value);
@@ -198,10 +393,12 @@ export class UIManager {
         const source = sanitizeHTML(indicator.source);
         const date = indicator.date ? sanitizeHTML(formatDate(indicator.date)) : '';
         const note = indicator.note ? `<br>${sanitizeHTML(indicator.note)}` : '';
+        const sparkline = details ? this.renderIndicatorChart(indicator, details, { height: 36 }) : '';
 
         div.innerHTML = `
             <div class="indicator-name">${name}</div>
             <div class="indicator-value">${value}</div>
+            ${sparkline ? `<div class="indicator-sparkline">${sparkline}</div>` : ''}
             <div class="indicator-threshold">Threshold: ${threshold}</div>
             <div class="data-source">
                 Source: ${source}
@@ -210,60 +407,536 @@ export class UIManager {
             </div>
         `;
 
+        if (key && this.elements.indicatorDrawer) {
+            div.classList.add('indicator-clickable');
+            div.setAttribute('role', 'button');
+            div.setAttribute('tabindex', '0');
+            div.setAttribute('aria-label', `${indicator.name} details`);
+            div.addEventListener('click', () => this.openIndicatorDrawer(key));
+            div.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    this.openIndicatorDrawer(key);
+                }
+            });
+        }
+
         return div;
     }
 
     /**
-     * Update alert banner
+     * Chart an indicator's history with the thresholds of the rules it feeds directly
      */
-    updateAlertBanner(probabilities) {
-        const banner = this.elements.alertBanner;
-        if (!banner) return;
+    renderIndicatorChart(indicator, details, { width, height } = {}) {
+        if (!details.history || details.history.length < 2) {
+            return '';
+        }
 
-        const criticalEvents = this.getCriticalEvents(probabilities);
-
-        if (criticalEvents.length > 0) {
-            banner.style.display = 'block';
-            banner.className = 'alert-banner alert-red';
-            const eventNames = criticalEvents.map(sanitizeHTML).join(', ');
-            banner.textContent = `⚠️ RED ALERT: Critical risk levels for ${eventNames}`;
-        } else if (this.hasMultipleElevatedRisks(probabilities, 3)) {
-            banner.style.display = 'block';
-            banner.className = 'alert-banner alert-orange';
-            banner.textContent = '⚠️ ORANGE ALERT: Multiple elevated risk indicators';
-        } else if (this.hasMultipleElevatedRisks(probabilities, 2)) {
-            banner.style.display = 'block';
-            banner.className = 'alert-banner alert-yellow';
-            banner.textContent = '⚠️ YELLOW ALERT: Some risk indicators elevated';
-        } else {
-            banner.style.display = 'none';
+        const thresholds = [...new Set(details.rules.filter(r => !r.derived).map(r => r.value))];
+
+        return renderLineChart({
+            points: details.history.map(obs => ({ x: Date.parse(obs.date), y: obs.value })),
+            threshold: thresholds,
+            width,
+            height,
+            formatY: (y) => parseFloat(y.toFixed(3)).toString(),
+            label: `${indicator.name} history`
+        });
+    }
+
+    /**
+     * Open the detail drawer for an indicator
+     */
+    openIndicatorDrawer(key) {
+        const drawer = this.elements.indicatorDrawer;
+        const content = this.elements.indicatorDrawerContent;
+        const indicator = this.indicators[key];
+        if (!drawer || !content || !indicator) return;
+
+        const details = this.indicatorDetails[key] || { history: [], trend: null, rules: [] };
+        const chart = this.renderIndicatorChart(indicator, details, { width: 560, height: 180 });
+        const history = details.history || [];
+
+        const historyCaption = history.length >= 2
+            ? `${sanitizeHTML(formatDate(history[0].date))} – ${sanitizeHTML(formatDate(history[history.length - 1].date))} · ${history.length} observations`
+            : 'No history available for this indicator';
+
+        const trend = details.trend;
+        const trendHTML = trend ? `
+            <table class="drawer-table">
+                <tr><th>Direction</th><td>${sanitizeHTML(trend.directionLabel)}</td></tr>
+                <tr><th>Velocity</th><td>${sanitizeHTML(trend.velocity.toFixed(2))}% per month</td></tr>
+                <tr><th>Acceleration</th><td>${sanitizeHTML(trend.acceleration.toFixed(3))} (change in velocity)</td></tr>
+                <tr><th>Trend multiplier</th><td>×${sanitizeHTML(trend.multiplier.toFixed(2))}</td></tr>
+                <tr><th>Data points</th><td>${sanitizeHTML(String(trend.dataPoints))}</td></tr>
+            </table>` : '<div class="data-source">No trend analysis (history unavailable)</div>';
+
+        const rulesHTML = details.rules.length > 0
+            ? `<ul class="drawer-rules">${details.rules.map(r => `
+                <li class="${r.active ? 'rule-active' : ''}">
+                    <span class="rule-event">${sanitizeHTML(r.event)}</span>
+                    ${sanitizeHTML(r.reason)}
+                    <span class="rule-condition">(${sanitizeHTML(r.derived ? `${r.derived} ` : '')}${sanitizeHTML(r.operator)} ${sanitizeHTML(String(r.value))})</span>
+                    ${r.active ? '<span class="rule-status">active</span>' : ''}
+                </li>`).join('')}</ul>`
+            : '<div class="data-source">This indicator does not feed any risk rule</div>';
+
+        content.innerHTML = `
+            <h2 id="indicator-drawer-title">${sanitizeHTML(indicator.name)}</h2>
+            <div class="indicator-value">${sanitizeHTML(indicator.value)}</div>
+            <div class="data-source">${sanitizeHTML(this.describeIndicatorSource(indicator, details.metadata))}</div>
+            <div class="drawer-chart">${chart}</div>
+            <div class="chart-caption">${historyCaption}</div>
+            <h3>Trend Analysis</h3>
+            ${trendHTML}
+            <h3>Risk Rules</h3>
+            ${rulesHTML}
+        `;
+
+        drawer.hidden = false;
+        const closeButton = drawer.querySelector('.drawer-close');
+        if (closeButton) closeButton.focus();
+    }
+
+    /**
+     * Source, units, frequency and method line for the detail drawer
+     * `metadata` is the indicator's data provider metadata (DataService.getMetadata)
+     */
+    describeIndicatorSource(indicator, metadata = {}) {
+        return [
+            `Source: ${indicator.source}`,
+            metadata.units && `Units: ${metadata.units}`,
+            metadata.frequency && `Frequency: ${metadata.frequency}`,
+            metadata.file && `File: ${metadata.file}`,
+            indicator.method && `Method: ${indicator.method}`
+        ].filter(Boolean).join(' · ');
+    }
+
+    /**
+     * Close the indicator detail drawer
+     */
+    closeIndicatorDrawer() {
+        if (this.elements.indicatorDrawer) {
+            this.elements.indicatorDrawer.hidden = true;
+        }
+    }
+
+    /**
+     * Render one override row per indicator, prefilled from the active adjustments
+     */
+    renderScenarioInputs(indicators, adjustments = {}) {
+        const container = this.elements.scenarioInputs;
+        if (!container) return;
+
+        container.innerHTML = INDICATOR_DISPLAY_ORDER
+            .filter(key => indicators[key])
+            .map(key => {
+                const adjustment = adjustments[key];
+                const mode = adjustment ? adjustment.mode : 'set';
+                const value = adjustment ? adjustment.value : '';
+
+                return `
+                    <div class="scenario-row" data-series="${escapeHTML(key)}">
+                        <label class="scenario-name" for="scenario-value-${escapeHTML(key)}">${sanitizeHTML(indicators[key].name)}</label>
+                        <span class="scenario-baseline">${sanitizeHTML(indicators[key].value)}</span>
+                        <select class="scenario-mode" aria-label="${escapeHTML(indicators[key].name)} adjustment">
+                            <option value="set"${mode === 'set' ? ' selected' : ''}>Set to</option>
+                            <option value="delta"${mode === 'delta' ? ' selected' : ''}>Shift by</option>
+                        </select>
+                        <input class="scenario-value" id="scenario-value-${escapeHTML(key)}" type="number" step="any"
+                            placeholder="${escapeHTML(String(indicators[key].raw))}" value="${escapeHTML(String(value))}">
+                    </div>`;
+            })
+            .join('');
+    }
+
+    /**
+     * Read the adjustments entered in the scenario panel (rows left empty are ignored)
+     */
+    readScenarioInputs() {
+        const adjustments = {};
+        if (!this.elements.scenarioInputs) return adjustments;
+
+        this.elements.scenarioInputs.querySelectorAll('.scenario-row').forEach(row => {
+            const input = row.querySelector('.scenario-value');
+            if (input.value.trim() === '') return;
+
+            adjustments[row.dataset.series] = {
+                mode: row.querySelector('.scenario-mode').value,
+                value: input.value
+            };
+        });
+
+        return adjustments;
+    }
+
+    /**
+     * Show baseline and scenario probabilities side by side
+     */
+    updateScenarioResults(comparison) {
+        const container = this.elements.scenarioResults;
+        if (!container) return;
+
+        const rows = Object.entries(comparison).map(([event, result]) => {
+            const card = this.elements[`${event}Card`];
+            const title = card && card.querySelector('.risk-title') ? card.querySelector('.risk-title').textContent : event;
+            const points = result.change * 100;
+            const changeClass = points > 0.05 ? 'scenario-up' : points < -0.05 ? 'scenario-down' : '';
+            const ruleChanges = [
+                ...result.triggered.map(reason => `<li class="scenario-up">+ ${sanitizeHTML(reason)}</li>`),
+                ...result.cleared.map(reason => `<li class="scenario-down">− ${sanitizeHTML(reason)}</li>`)
+            ].join('');
+
+            return `
+                <tr>
+                    <th>${sanitizeHTML(title)}</th>
+                    <td>${(result.baseline * 100).toFixed(1)}%</td>
+                    <td>${(result.scenario * 100).toFixed(1)}%</td>
+                    <td class="${changeClass}">${points >= 0 ? '+' : ''}${points.toFixed(1)} pts</td>
+                    <td>${ruleChanges ? `<ul class="scenario-rules">${ruleChanges}</ul>` : ''}</td>
+                </tr>`;
+        }).join('');
+
+        container.innerHTML = `
+            <table class="scenario-table">
+                <thead><tr><th>Risk</th><th>Baseline</th><th>Scenario</th><th>Change</th><th>Rule changes</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>`;
+    }
+
+    /**
+     * Refresh the saved scenario dropdown
+     */
+    updateScenarioList(names, selected = '') {
+        const select = this.elements.scenarioSelect;
+        if (!select) return;
+
+        select.innerHTML = '<option value="">Saved scenarios…</option>' + names
+            .map(name => `<option value="${escapeHTML(name)}">${sanitizeHTML(name)}</option>`)
+            .join('');
+        select.value = names.includes(selected) ? selected : '';
+    }
+
+    /**
+     * Render the model settings form
+     * Inputs carry their settings path in data-setting; probabilities are shown in percent (data-scale="100").
+     */
+    renderModelSettings(settings) {
+        const container = this.elements.settingsFields;
+        if (!container) return;
+
+        const input = (path, value, scale = 1) => {
+            const shown = parseFloat((value * scale).toPrecision(10));
+            return `<input type="number" step="any" data-setting="${escapeHTML(path)}" data-scale="${scale}" value="${escapeHTML(String(shown))}" aria-label="${escapeHTML(path)}">`;
+        };
+        const title = (event) => {
+            const card = this.elements[`${event}Card`];
+            return card && card.querySelector('.risk-title') ? card.querySelector('.risk-title').textContent : event;
+        };
+
+        const priorRows = Object.keys(settings.priors).map(event => {
+            const levels = settings.riskThresholds[event];
+            return `
+                <tr>
+                    <th>${sanitizeHTML(title(event))}</th>
+                    <td>${input(`priors.${event}`, settings.priors[event], 100)}</td>
+                    <td>${input(`riskThresholds.${event}.moderate`, levels.moderate, 100)}</td>
+                    <td>${input(`riskThresholds.${event}.high`, levels.high, 100)}</td>
+                    <td>${input(`riskThresholds.${event}.critical`, levels.critical, 100)}</td>
+                </tr>`;
+        }).join('');
+
+        const ruleRows = Object.entries(settings.rules).flatMap(([event, eventRules]) =>
+            Object.entries(eventRules).map(([ruleId, rule]) => {
+                const config = ECONOMIC_THRESHOLDS[event][ruleId];
+                const path = `rules.${event}.${ruleId}`;
+                return `
+                    <tr>
+                        <th>${sanitizeHTML(title(event))}<div class="data-source">${sanitizeHTML(config.reason)}</div></th>
+                        <td>${sanitizeHTML(config.indicator || config.derived)} ${sanitizeHTML(config.operator)} ${input(`${path}.value`, rule.value)}</td>
+                        <td>${input(`${path}.factor`, rule.factor)}</td>
+                        <td>${input(`${path}.present`, rule.present)}</td>
+                        <td>${input(`${path}.absent`, rule.absent)}</td>
+                    </tr>`;
+            })
+        ).join('');
+
+        container.innerHTML = `
+            <h3>Priors and risk levels (%)</h3>
+            <table class="settings-table">
+                <thead><tr><th>Risk</th><th>Prior</th><th>Moderate</th><th>High</th><th>Critical</th></tr></thead>
+                <tbody>${priorRows}</tbody>
+            </table>
+            <h3>Rules</h3>
+            <table class="settings-table">
+                <thead><tr><th>Rule</th><th>Trigger</th><th>Factor</th><th>LR present</th><th>LR absent</th></tr></thead>
+                <tbody>${ruleRows}</tbody>
+            </table>
+            <h3>Correlation discount</h3>
+            <table class="settings-table">
+                <tbody>
+                    <tr><th>2 factors</th><td>${input('correlationDiscount.2', settings.correlationDiscount[2])}</td></tr>
+                    <tr><th>3+ factors</th><td>${input('correlationDiscount.3', settings.correlationDiscount[3])}</td></tr>
+                </tbody>
+            </table>`;
+
+        this.showSettingsErrors([]);
+    }
+
+    /**
+     * Read the settings form back into a settings object (empty inputs become NaN and fail validation)
+     */
+    readModelSettings() {
+        const settings = {};
+        if (!this.elements.settingsFields) return settings;
+
+        this.elements.settingsFields.querySelectorAll('[data-setting]').forEach(field => {
+            const keys = field.dataset.setting.split('.');
+            let target = settings;
+            for (const key of keys.slice(0, -1)) {
+                target = target[key] = target[key] || {};
+            }
+            target[keys[keys.length - 1]] = parseFloat(field.value) / parseFloat(field.dataset.scale);
+        });
+
+        return settings;
+    }
+
+    /**
+     * List settings validation errors (an empty list clears them)
+     */
+    showSettingsErrors(errors) {
+        const list = this.elements.settingsErrors;
+        if (!list) return;
+
+        list.innerHTML = errors.map(error => `<li>${sanitizeHTML(error)}</li>`).join('');
+    }
+
+    /**
+     * Show or hide the model settings panel
+     */
+    toggleSettingsPanel(open) {
+        if (!this.elements.settingsPanel) return;
+
+        this.elements.settingsPanel.hidden = !open;
+        if (this.elements.settingsToggle) {
+            this.elements.settingsToggle.setAttribute('aria-expanded', String(open));
+        }
+    }
+
+    /**
+     * Show the "Custom model" badge when settings differ from the defaults
+     */
+    updateModelBadge(isCustom) {
+        if (this.elements.customModelBadge) {
+            this.elements.customModelBadge.hidden = !isCustom;
+        }
+    }
+
+    /**
+     * Show a status or validation message in the scenario panel
+     */
+    showScenarioMessage(message, type = 'info') {
+        const element = this.elements.scenarioMessage;
+        if (!element) return;
+
+        element.textContent = message;
+        element.className = `scenario-message ${type === 'error' ? 'scenario-error' : ''}`;
+    }
+
+    /**
+     * Render the alert rules list; each rule has a remove button carrying data-rule-id
+     */
+    updateAlertRules(rules) {
+        const list = this.elements.alertRuleList;
+        if (!list) return;
+
+        list.innerHTML = rules.length > 0
+            ? rules.map(rule => `
+                <li>
+                    <span>${sanitizeHTML(rule.text)}</span>
+                    <button type="button" data-rule-id="${escapeHTML(rule.id)}" aria-label="Remove rule ${escapeHTML(rule.text)}">×</button>
+                </li>`).join('')
+            : '<li class="chart-caption">No alert rules</li>';
+    }
+
+    /**
+     * Render the alert inbox (AlertRulesService.getInbox()); buttons carry data-alert-id and data-action
+     */
+    updateAlertInbox(items, snoozeMinutes = []) {
+        const inbox = this.elements.alertInbox;
+        const count = this.elements.alertInboxCount;
+        const unread = items.filter(item => item.status === 'new').length;
+
+        if (count) {
+            count.hidden = unread === 0;
+            count.textContent = `${unread} new`;
+        }
+        if (!inbox) return;
+
+        if (items.length === 0) {
+            inbox.innerHTML = '<div class="chart-caption">No alerts yet</div>';
+            return;
         }
+
+        const duration = (minutes) => minutes % 1440 === 0 ? `${minutes / 1440}d` : minutes % 60 === 0 ? `${minutes / 60}h` : `${minutes}m`;
+        inbox.innerHTML = items.map(item => {
+            const id = escapeHTML(item.id);
+            const actions = item.status === 'acknowledged'
+                ? ''
+                : `<button type="button" data-alert-id="${id}" data-action="acknowledge">Acknowledge</button>` +
+                    snoozeMinutes.map(minutes =>
+                        `<button type="button" data-alert-id="${id}" data-action="snooze" data-minutes="${minutes}">Snooze ${duration(minutes)}</button>`
+                    ).join('');
+            const status = item.status === 'snoozed'
+                ? `snoozed until ${sanitizeHTML(new Date(item.snoozedUntil).toLocaleString())}`
+                : item.status;
+
+            return `
+                <div class="alert-inbox-item alert-inbox-${item.status}">
+                    <div class="alert-inbox-rule">${sanitizeHTML(item.rule)} <span class="alert-inbox-status">${status}</span></div>
+                    <div>${sanitizeHTML(item.message)}</div>
+                    <div class="chart-caption">${sanitizeHTML(new Date(item.timestamp).toLocaleString())}</div>
+                    <div class="alert-inbox-actions">${actions}</div>
+                </div>`;
+        }).join('');
+    }
+
+    /**
+     * Show the browser notification permission on the enable button
+     */
+    updateNotificationStatus(permission) {
+        const button = this.elements.notificationsButton;
+        if (!button) return;
+
+        const labels = {
+            granted: '🔔 Notifications on',
+            denied: '🔕 Notifications blocked',
+            unsupported: 'Notifications unavailable'
+        };
+        button.textContent = labels[permission] || 'Enable notifications';
+        button.disabled = permission in labels;
+    }
+
+    /**
+     * Definition from the custom indicator form (validated by normalizeCustomIndicator)
+     */
+    readCustomIndicatorForm() {
+        const field = (name) => document.getElementById(`custom-indicator-${name}`);
+        const event = field('event').value;
+
+        return {
+            id: field('id').value,
+            name: field('name').value,
+            formula: field('formula').value,
+            suffix: field('suffix').value,
+            decimals: field('decimals').value,
+            higherIsWorse: field('inverted').checked,
+            rule: event
+                ? { event, operator: field('operator').value, value: field('value').value, factor: field('factor').value }
+                : null
+        };
+    }
+
+    /**
+     * List custom indicators with their current value; remove buttons carry data-indicator-id
+     */
+    updateCustomIndicators(definitions, indicators = {}) {
+        const list = this.elements.customIndicatorList;
+        if (!list) return;
+
+        list.innerHTML = definitions.length > 0
+            ? definitions.map(definition => {
+                const indicator = indicators[definition.id];
+                const rule = definition.rule
+                    ? ` · ${definition.rule.event} ×${definition.rule.factor} when ${definition.rule.operator} ${definition.rule.value}`
+                    : '';
+                return `
+                <li>
+                    <span>
+                        <strong>${sanitizeHTML(definition.id)}</strong> ${sanitizeHTML(definition.name)} = ${sanitizeHTML(definition.formula)}
+                        (${sanitizeHTML(indicator ? indicator.value : 'no value')})${sanitizeHTML(rule)}
+                    </span>
+                    <button type="button" data-indicator-id="${escapeHTML(definition.id)}" aria-label="Remove ${escapeHTML(definition.name)}">×</button>
+                </li>`;
+            }).join('')
+            : '<li class="chart-caption">No custom indicators</li>';
+    }
+
+    /**
+     * Show a message under the custom indicator form
+     */
+    showCustomIndicatorMessage(message, type = 'info') {
+        const element = this.elements.customIndicatorMessage;
+        if (!element) return;
+
+        element.textContent = message;
+        element.className = `scenario-message ${type === 'error' ? 'scenario-error' : ''}`;
     }
 
     /**
-     * Get critical events
+     * Show a message under the alert rule form
      */
-    getCriticalEvents(probabilities) {
-        const thresholds = {
-            recession: 0.60,
-            depression: 0.20,
-            reserve: 0.30,
-            default: 0.10,
-            devaluation: 0.50
+    showAlertRuleMessage(message, type = 'info') {
+        const element = this.elements.alertRuleMessage;
+        if (!element) return;
+
+        element.textContent = message;
+        element.className = `scenario-message ${type === 'error' ? 'scenario-error' : ''}`;
+    }
+
+    /**
+     * Update alert banner from the confirmed alert state (AlertMonitor.getAlerts())
+     */
+    updateAlertBanner({ banner: level, criticalEvents, pending }) {
+        const banner = this.elements.alertBanner;
+        if (!banner) return;
+
+        const messages = {
+            red: () => `⚠️ RED ALERT: Critical risk levels for ${criticalEvents.map(sanitizeHTML).join(', ')}`,
+            orange: () => '⚠️ ORANGE ALERT: Multiple elevated risk indicators',
+            yellow: () => '⚠️ YELLOW ALERT: Some risk indicators elevated'
         };
 
-        return Object.entries(probabilities)
-            .filter(([event, prob]) => prob >= (thresholds[event] || 0.5))
-            .map(([event]) => event);
+        if (!messages[level]) {
+            banner.style.display = 'none';
+            return;
+        }
+
+        const awaiting = Object.entries(pending || {})
+            .map(([event, pendingLevel]) => `${event} → ${pendingLevel}`);
+        banner.style.display = 'block';
+        banner.className = `alert-banner alert-${level}`;
+        banner.textContent = messages[level]() +
+            (awaiting.length > 0 ? ` (awaiting confirmation: ${awaiting.join(', ')})` : '');
     }
 
     /**
-     * Check if multiple risks are elevated
+     * Update the alert log (newest first)
      */
-    hasMultipleElevatedRisks(probabilities, multiplier) {
-        const maxCurrent = Math.max(...Object.values(probabilities));
-        const maxBase = Math.max(...Object.values(BASE_PROBABILITIES));
-        return maxCurrent > maxBase * multiplier;
+    updateAlertLog(log = []) {
+        const container = this.elements.alertLog;
+        if (!container) return;
+
+        if (log.length === 0) {
+            container.innerHTML = '<div class="chart-caption">No alert changes recorded yet</div>';
+            return;
+        }
+
+        const rows = log.map(entry => `
+            <tr class="alert-log-${entry.type}">
+                <td>${sanitizeHTML(new Date(entry.timestamp).toLocaleString())}</td>
+                <td>${sanitizeHTML(entry.scope === 'banner' ? 'Alert banner' : entry.scope)}</td>
+                <td>${entry.type === 'entered' ? 'Entered' : 'Cleared'} ${sanitizeHTML(entry.level)}</td>
+                <td>${sanitizeHTML(entry.from)} → ${sanitizeHTML(entry.to)}</td>
+                <td>${(entry.probability * 100).toFixed(1)}%</td>
+            </tr>`).join('');
+
+        container.innerHTML = `
+            <table class="alert-log-table">
+                <thead><tr><th>Time</th><th>Risk</th><th>Change</th><th>Level</th><th>Probability</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>`;
     }
 
     /**
@@ -132,6 +132,18 @@ export function sanitizeHTML(str) {
     return div.innerHTML;
 }
 
+/**
+ * Escape text for HTML/SVG markup built as strings (works without a DOM)
+ */
+export function escapeHTML(str) {
+    return String(str)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
 /**
  * Safely set inner HTML
  */
@@ -233,6 +245,40 @@ export const logger = {
     }
 };
 
+/**
+ * Read a JSON value from localStorage (or any Storage)
+ * Returns `fallback` when there is no storage, nothing is saved, or the saved
+ * value is unreadable or fails `isValid`.
+ */
+export function readStoredJSON(storage, key, { fallback = null, isValid = () => true, label = key } = {}) {
+    if (!storage) return fallback;
+
+    try {
+        const stored = storage.getItem(key);
+        if (!stored) return fallback;
+
+        const value = JSON.parse(stored);
+        return isValid(value) ? value : fallback;
+    } catch (error) {
+        logger.warn(`Ignoring unreadable ${label}:`, error.message);
+        return fallback;
+    }
+}
+
+/**
+ * Save a value to localStorage as JSON
+ * Storage errors (quota exceeded, storage disabled) are logged, not thrown.
+ */
+export function writeStoredJSON(storage, key, value, label = key) {
+    if (!storage) return;
+
+    try {
+        storage.setItem(key, JSON.stringify(value));
+    } catch (error) {
+        logger.warn(`Failed to save ${label}:`, error.message);
+    }
+}
+
 /**
  * Global error handler
  */
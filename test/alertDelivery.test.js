@@ -0,0 +1,151 @@
+/**
+ * Tests for server/alertDelivery.js and webhook parsing in server/serverConfig.js
+ */
+
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import alertDelivery from '../server/alertDelivery.js';
+import serverConfig from '../server/serverConfig.js';
+import { createWebhookStub, listen, silenceConsole } from './helpers.js';
+
+const { AlertDispatcher, MemoryDeliveryLog, createDeliveryLog, formatAlertPayload } = alertDelivery;
+const { ConfigError, parseWebhooks } = serverConfig;
+
+const ALERT = {
+    timestamp: '2024-06-01T12:00:00.000Z',
+    scope: 'recession',
+    type: 'entered',
+    level: 'critical',
+    from: 'high',
+    to: 'critical',
+    probability: 0.62
+};
+const CONTEXT = {
+    timestamp: '2024-06-01T12:00:00.000Z',
+    probabilities: { recession: 0.62, default: 0.02 },
+    banner: 'red',
+    criticalEvents: ['recession']
+};
+
+const stub = createWebhookStub();
+let receiver;
+let restoreConsole;
+
+before(async () => {
+    restoreConsole = silenceConsole();
+    receiver = await listen(stub.app);
+});
+
+after(async () => {
+    await receiver.close();
+    restoreConsole();
+});
+
+beforeEach(() => {
+    stub.received.length = 0;
+    stub.failures = 0;
+});
+
+function dispatcher(webhooks, options = {}) {
+    return new AlertDispatcher({
+        webhooks: webhooks.map(([name, format, to = null]) => ({ name, url: `${receiver.baseUrl}/${name}`, format, to })),
+        log: new MemoryDeliveryLog(),
+        retryDelayMs: 0,
+        ...options
+    });
+}
+
+test('formatAlertPayload builds Slack, generic JSON and email relay bodies', () => {
+    const slack = formatAlertPayload(ALERT, { format: 'slack' }, CONTEXT);
+    assert.equal(slack.text, '🔴 Dalio Dashboard: recession risk entered critical (62.0%)');
+    assert.equal(slack.blocks[1].elements[0].text, 'recession: 62.0%, default: 2.0%');
+
+    const json = formatAlertPayload(ALERT, { format: 'json' }, CONTEXT);
+    assert.equal(json.type, 'dalio-dashboard.alert');
+    assert.equal(json.id, 'recession:entered:critical');
+    assert.deepEqual(json.alert, ALERT);
+    assert.equal(json.banner, 'red');
+
+    const email = formatAlertPayload({ ...ALERT, scope: 'banner', type: 'cleared', level: 'red' }, { format: 'email', to: 'risk@example.com' }, CONTEXT);
+    assert.equal(email.to, 'risk@example.com');
+    assert.equal(email.subject, 'Dalio Dashboard: Alert banner cleared red (62.0%)');
+    assert.match(email.text, /Alert banner: red/);
+});
+
+test('AlertDispatcher posts every alert to every webhook and logs deliveries', async () => {
+    const entries = await dispatcher([['slack', 'slack'], ['generic', 'json']]).dispatch([ALERT], CONTEXT);
+
+    assert.deepEqual(stub.received.map(r => r.path), ['/slack', '/generic']);
+    assert.equal(stub.received[1].body.summary, 'recession risk entered critical (62.0%)');
+    assert.deepEqual(entries.map(e => [e.webhook, e.status, e.attempts]), [['slack', 'delivered', 1], ['generic', 'delivered', 1]]);
+});
+
+test('AlertDispatcher retries failed posts and records failures', async () => {
+    stub.failures = 2;
+    const [retried] = await dispatcher([['generic', 'json']]).dispatch([ALERT], CONTEXT);
+    assert.equal(retried.status, 'delivered');
+    assert.equal(retried.attempts, 3);
+    assert.equal(stub.received.length, 1);
+
+    stub.failures = 5;
+    const [failed] = await dispatcher([['generic', 'json']], { maxAttempts: 2 }).dispatch([ALERT], CONTEXT);
+    assert.equal(failed.status, 'failed');
+    assert.equal(failed.attempts, 2);
+    assert.equal(failed.error, 'HTTP 500');
+});
+
+test('AlertDispatcher skips alerts already delivered within the dedup window', async () => {
+    const sender = dispatcher([['generic', 'json']], { dedupWindowMs: 60 * 60 * 1000 });
+    const at = (minutes) => new Date(Date.UTC(2024, 5, 1, 12, minutes));
+
+    await sender.dispatch([ALERT], CONTEXT, { now: at(0) });
+    const [duplicate] = await sender.dispatch([ALERT], CONTEXT, { now: at(30) });
+    assert.equal(duplicate.status, 'duplicate');
+    assert.equal(stub.received.length, 1);
+
+    // A different change is not a duplicate
+    const [cleared] = await sender.dispatch([{ ...ALERT, type: 'cleared' }], CONTEXT, { now: at(31) });
+    assert.equal(cleared.status, 'delivered');
+
+    assert.deepEqual(sender.log.list({ status: 'duplicate' }).map(e => e.key), ['recession:entered:critical']);
+    assert.deepEqual(sender.log.getStats(), { backend: 'memory', entries: 3, delivered: 2, failed: 0, duplicates: 1 });
+});
+
+test('the file delivery log keeps deduplication across restarts', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'alert-deliveries-'));
+    const filePath = path.join(dir, 'deliveries.json');
+    const webhooks = [{ name: 'generic', url: `${receiver.baseUrl}/generic`, format: 'json' }];
+
+    try {
+        await new AlertDispatcher({ webhooks, log: createDeliveryLog({ backend: 'file', filePath }) }).dispatch([ALERT], CONTEXT);
+
+        const restarted = new AlertDispatcher({ webhooks, log: createDeliveryLog({ backend: 'file', filePath }) });
+        const [entry] = await restarted.dispatch([ALERT], CONTEXT);
+
+        assert.equal(entry.status, 'duplicate');
+        assert.equal(stub.received.length, 1);
+        assert.equal(restarted.log.list().length, 2);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('parseWebhooks accepts JSON lists and comma-separated urls', () => {
+    assert.deepEqual(parseWebhooks(undefined), []);
+    assert.deepEqual(parseWebhooks('http://a.example/hook, https://b.example/x?token=1').map(w => [w.name, w.format]), [
+        ['json-1 (a.example)', 'json'],
+        ['json-2 (b.example)', 'json']
+    ]);
+    assert.deepEqual(parseWebhooks('[{"url": "https://hooks.slack.com/services/T/B/X", "format": "slack", "name": "ops"}]'), [
+        { name: 'ops', url: 'https://hooks.slack.com/services/T/B/X', format: 'slack', to: null }
+    ]);
+    assert.equal(parseWebhooks([{ url: 'http://relay.example/send', format: 'email', to: 'a@example.com' }])[0].to, 'a@example.com');
+
+    assert.throws(() => parseWebhooks('[not json'), ConfigError);
+    assert.throws(() => parseWebhooks([{ url: 'ftp://x.example' }]), /must use http or https/);
+    assert.throws(() => parseWebhooks([{ url: 'http://x.example', format: 'sms' }]), /Unknown format/);
+    assert.throws(() => parseWebhooks([{ url: 'http://x.example', format: 'email' }]), /needs a "to" address/);
+});
@@ -0,0 +1,131 @@
+/**
+ * Tests for src/js/alertMonitor.js
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { AlertMonitor, advanceLevel, riskAlertThresholds } from '../src/js/alertMonitor.js';
+import { ALERTS, RISK_THRESHOLDS } from '../src/js/config.js';
+import { memoryStorage, silenceConsole } from './helpers.js';
+
+let restoreConsole;
+before(() => { restoreConsole = silenceConsole(); });
+after(() => restoreConsole());
+
+// Recession: enter 24/42/60%, exit 21.6/37.8/54%
+const LEVELS = riskAlertThresholds(RISK_THRESHOLDS.recession);
+const BANDS = { recession: { ...RISK_THRESHOLDS.recession } };
+
+/**
+ * Feed values through advanceLevel, one day apart, collecting levels and transitions
+ */
+function run(values, { state = { level: 'low', pending: null }, config = ALERTS } = {}) {
+    const levels = [];
+    const transitions = [];
+    values.forEach((value, day) => {
+        const result = advanceLevel(state, value, LEVELS, {
+            timestamp: new Date(Date.UTC(2024, 0, 1 + day)).toISOString(),
+            baseline: 'low',
+            config
+        });
+        state = result.state;
+        levels.push(state.level);
+        transitions.push(...result.transitions);
+    });
+    return { levels, transitions, state };
+}
+
+test('riskAlertThresholds places exit thresholds below the enter thresholds', () => {
+    assert.deepEqual(LEVELS.map(l => l.name), ['moderate', 'high', 'critical']);
+    assert.equal(LEVELS[1].enter, 0.42);
+    assert.ok(Math.abs(LEVELS[1].exit - 0.378) < 1e-12);
+});
+
+test('advanceLevel escalates only after the confirmation window and clears below the exit threshold', () => {
+    const { levels, transitions } = run([0.25, 0.25, 0.23, 0.21]);
+
+    assert.deepEqual(levels, ['low', 'moderate', 'moderate', 'low']);
+    assert.deepEqual(transitions, [
+        { type: 'entered', level: 'moderate', from: 'low', to: 'moderate' },
+        { type: 'cleared', level: 'moderate', from: 'moderate', to: 'low' }
+    ]);
+});
+
+test('advanceLevel does not flap on values oscillating around a threshold', () => {
+    const { levels, transitions } = run([0.25, 0.23, 0.25, 0.23, 0.25]);
+
+    assert.deepEqual(levels, ['low', 'low', 'low', 'low', 'low']);
+    assert.deepEqual(transitions, []);
+
+    // Once entered, dipping just under the enter threshold keeps the level
+    const entered = run([0.25, 0.23, 0.25, 0.23], { state: { level: 'moderate', pending: null } });
+    assert.deepEqual(entered.levels, ['moderate', 'moderate', 'moderate', 'moderate']);
+});
+
+test('advanceLevel escalates to the lowest level held during the window', () => {
+    const { levels, transitions } = run([0.65, 0.45]);
+
+    assert.deepEqual(levels, ['low', 'high']);
+    assert.equal(transitions[0].level, 'high');
+});
+
+test('advanceLevel confirms after confirmDays even with fewer refreshes', () => {
+    const config = { ...ALERTS, confirmRefreshes: 10, confirmDays: 2 };
+    const { levels } = run([0.5, 0.5, 0.5], { config });
+
+    assert.deepEqual(levels, ['low', 'low', 'high']);
+});
+
+test('advanceLevel adopts the first observation without confirmation', () => {
+    const { levels, transitions } = run([0.65], { state: null });
+
+    assert.deepEqual(levels, ['critical']);
+    assert.deepEqual(transitions, [{ type: 'entered', level: 'critical', from: 'low', to: 'critical' }]);
+    assert.deepEqual(run([0.1], { state: null }).transitions, []);
+});
+
+test('AlertMonitor confirms a red alert, logs it and keeps state across instances', () => {
+    const storage = memoryStorage();
+    const monitor = new AlertMonitor(storage);
+    const at = (hour) => new Date(Date.UTC(2024, 5, 1, hour));
+
+    monitor.update({ probabilities: { recession: 0.3 }, bands: BANDS, timestamp: at(0) });
+    assert.deepEqual(monitor.getAlerts(), { banner: 'none', criticalEvents: [], levels: { recession: 'moderate' }, pending: {} });
+
+    let alerts = monitor.update({ probabilities: { recession: 0.65 }, bands: BANDS, timestamp: at(1) });
+    assert.equal(alerts.banner, 'none');
+    assert.deepEqual(alerts.pending, { recession: 'critical' });
+
+    const restored = new AlertMonitor(storage);
+    alerts = restored.update({ probabilities: { recession: 0.62 }, bands: BANDS, timestamp: at(2) });
+    assert.equal(alerts.banner, 'red');
+    assert.deepEqual(alerts.criticalEvents, ['recession']);
+
+    // 56% is below the 60% enter threshold but above the 54% exit threshold
+    alerts = restored.update({ probabilities: { recession: 0.56 }, bands: BANDS, timestamp: at(3) });
+    assert.equal(alerts.banner, 'red');
+
+    // 50% clears critical and falls below the orange exit (54%), but holds yellow (exit 36%)
+    alerts = restored.update({ probabilities: { recession: 0.5 }, bands: BANDS, timestamp: at(4) });
+    assert.equal(alerts.banner, 'yellow');
+
+    const log = restored.getLog().map(e => `${e.timestamp.slice(11, 13)} ${e.scope} ${e.type} ${e.level}`);
+    assert.deepEqual(log, [
+        '04 banner cleared red',
+        '04 recession cleared critical',
+        '02 banner entered red',
+        '02 recession entered critical',
+        '00 recession entered moderate'
+    ]);
+
+    restored.reset();
+    assert.deepEqual(monitor.getLog(), []);
+});
+
+test('AlertMonitor tracks alerts in memory without localStorage', () => {
+    const monitor = new AlertMonitor(null);
+    monitor.update({ probabilities: { recession: 0.45 }, bands: BANDS });
+
+    assert.deepEqual(monitor.getAlerts().levels, { recession: 'high' });
+    assert.equal(monitor.getLog().length, 2);
+});
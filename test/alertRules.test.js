@@ -0,0 +1,148 @@
+/**
+ * Tests for src/js/alertRules.js
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    AlertRulesService,
+    evaluateAlertRule,
+    parseAlertRule,
+    requestNotificationPermission,
+    sendBrowserNotification
+} from '../src/js/alertRules.js';
+import { ValidationError } from '../src/js/utils.js';
+import { memoryStorage, silenceConsole } from './helpers.js';
+
+let restoreConsole;
+before(() => { restoreConsole = silenceConsole(); });
+after(() => restoreConsole());
+
+function refresh(recession, vix, levels = {}) {
+    return { probabilities: { recession }, indicators: { VIXCLS: vix }, levels };
+}
+
+test('parseAlertRule understands probability, indicator, crossing and level rules', () => {
+    assert.deepEqual(parseAlertRule('Recession > 40%'), {
+        text: 'Recession > 40%', kind: 'probability', subject: 'recession', operator: '>', value: 0.4
+    });
+    assert.deepEqual(parseAlertRule('  t10y2y<=0 '), {
+        text: 't10y2y<=0', kind: 'indicator', subject: 'T10Y2Y', operator: '<=', value: 0
+    });
+    assert.deepEqual(parseAlertRule('VIX crosses 30'), {
+        text: 'VIX crosses 30', kind: 'indicator', subject: 'VIXCLS', operator: 'crosses', value: 30
+    });
+    assert.equal(parseAlertRule('default crosses above 5%').operator, 'crosses above');
+    assert.equal(parseAlertRule('default crosses above 5%').value, 0.05);
+    assert.deepEqual(parseAlertRule('any risk level increases'), {
+        text: 'any risk level increases', kind: 'level', subject: 'any', operator: 'increases', value: null
+    });
+    assert.equal(parseAlertRule('MYINDEX > 2', { indicators: ['MYINDEX'] }).subject, 'MYINDEX');
+});
+
+test('parseAlertRule rejects unknown subjects and unreadable rules', () => {
+    assert.throws(() => parseAlertRule(''), ValidationError);
+    assert.throws(() => parseAlertRule('inflation > 4'), /Unknown risk or indicator in alert rule: inflation/);
+    assert.throws(() => parseAlertRule('tariffs risk level increases'), /Unknown risk/);
+    assert.throws(() => parseAlertRule('recession is high'), /Could not understand alert rule/);
+});
+
+test('comparison rules fire when the condition becomes true, not while it holds', () => {
+    const rule = parseAlertRule('recession > 40%');
+
+    assert.equal(evaluateAlertRule(rule, refresh(0.45, 15), null), 'recession probability is 45.0%');
+    assert.equal(evaluateAlertRule(rule, refresh(0.45, 15), refresh(0.38, 15)), 'recession probability is 45.0% (was 38.0%)');
+    assert.equal(evaluateAlertRule(rule, refresh(0.5, 15), refresh(0.45, 15)), null);
+    assert.equal(evaluateAlertRule(rule, refresh(0.3, 15), refresh(0.45, 15)), null);
+});
+
+test('crossing rules need a previous refresh on the other side of the level', () => {
+    const either = parseAlertRule('VIX crosses 30');
+    const below = parseAlertRule('VIX crosses below 30');
+
+    assert.equal(evaluateAlertRule(either, refresh(0.2, 32), null), null);
+    assert.equal(evaluateAlertRule(either, refresh(0.2, 32), refresh(0.2, 28)), 'VIXCLS is 32.0 (was 28.0)');
+    assert.equal(evaluateAlertRule(either, refresh(0.2, 25), refresh(0.2, 32)), 'VIXCLS is 25.0 (was 32.0)');
+    assert.equal(evaluateAlertRule(below, refresh(0.2, 32), refresh(0.2, 28)), null);
+    assert.equal(evaluateAlertRule(either, refresh(0.2, 31), refresh(0.2, 32)), null);
+});
+
+test('level rules fire when a confirmed risk level goes up', () => {
+    const any = parseAlertRule('any risk level increases');
+    const depression = parseAlertRule('depression risk level increases');
+    const previous = refresh(0.2, 15, { recession: 'low', depression: 'moderate' });
+    const current = refresh(0.3, 15, { recession: 'moderate', depression: 'moderate' });
+
+    assert.equal(evaluateAlertRule(any, current, previous), 'recession risk level rose from low to moderate');
+    assert.equal(evaluateAlertRule(depression, current, previous), null);
+    assert.equal(evaluateAlertRule(any, current, null), null);
+});
+
+test('AlertRulesService stores rules, starting from the defaults', () => {
+    const service = new AlertRulesService(memoryStorage());
+    assert.deepEqual(service.listRules().map(r => r.text), ['any risk level increases']);
+
+    const rule = service.addRule('recession > 40%');
+    assert.deepEqual(service.listRules().map(r => r.text), ['any risk level increases', 'recession > 40%']);
+    assert.throws(() => service.addRule('nonsense'), ValidationError);
+
+    service.removeRule(rule.id);
+    service.removeRule('default-0');
+    assert.deepEqual(service.listRules(), []);
+});
+
+test('AlertRulesService fills the inbox, and acknowledge and snooze persist', () => {
+    const storage = memoryStorage();
+    const service = new AlertRulesService(storage);
+    service.removeRule('default-0');
+    service.addRule('recession > 40%');
+    service.addRule('VIX crosses 30');
+    const at = (minutes) => new Date(Date.UTC(2024, 5, 1, 12, minutes));
+
+    assert.deepEqual(service.evaluate(refresh(0.3, 25), { now: at(0) }), []);
+
+    const fired = service.evaluate(refresh(0.45, 31), { now: at(30) });
+    assert.deepEqual(fired.map(item => item.rule), ['recession > 40%', 'VIX crosses 30']);
+    assert.equal(service.getUnreadCount({ now: at(30) }), 2);
+
+    // Nothing new while the conditions hold
+    assert.deepEqual(service.evaluate(refresh(0.46, 33), { now: at(60) }), []);
+
+    const restored = new AlertRulesService(storage);
+    const [vixAlert, recessionAlert] = restored.getInbox({ now: at(60) });
+    restored.acknowledge(recessionAlert.id, { now: at(61) });
+    restored.snooze(vixAlert.id, 60, { now: at(61) });
+    assert.deepEqual(restored.getInbox({ now: at(62) }).map(item => item.status), ['snoozed', 'acknowledged']);
+    assert.equal(restored.getUnreadCount({ now: at(62) }), 0);
+
+    // The snoozed alert comes back at the first refresh after the snooze ends
+    assert.deepEqual(restored.evaluate(refresh(0.46, 33), { now: at(90) }), []);
+    const resurfaced = restored.evaluate(refresh(0.46, 33), { now: at(125) });
+    assert.deepEqual(resurfaced.map(item => item.id), [vixAlert.id]);
+    assert.equal(restored.getInbox({ now: at(125) })[0].status, 'new');
+
+    assert.throws(() => restored.snooze(vixAlert.id, 0), /positive number of minutes/);
+    assert.throws(() => restored.acknowledge('missing'), /Unknown alert/);
+});
+
+test('sendBrowserNotification only notifies with permission', async () => {
+    const shown = [];
+    class FakeNotification {
+        constructor(title, options) {
+            shown.push({ title, ...options });
+        }
+    }
+    const item = { id: 'a1', rule: 'recession > 40%', message: 'recession probability is 45.0%' };
+
+    FakeNotification.permission = 'default';
+    assert.equal(sendBrowserNotification(item, FakeNotification), false);
+    FakeNotification.requestPermission = async () => 'granted';
+    assert.equal(await requestNotificationPermission(FakeNotification), 'granted');
+
+    FakeNotification.permission = 'granted';
+    assert.equal(sendBrowserNotification(item, FakeNotification), true);
+    assert.deepEqual(shown, [{ title: 'Dalio Dashboard: recession > 40%', body: 'recession probability is 45.0%', tag: 'a1' }]);
+
+    assert.equal(sendBrowserNotification(item, undefined), false);
+    assert.equal(await requestNotificationPermission(null), 'unsupported');
+});
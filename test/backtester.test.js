@@ -0,0 +1,188 @@
+/**
+ * Tests for src/js/backtester.js
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import {
+    Backtester,
+    addMonths,
+    monthRange,
+    valueAsOf,
+    outcomeFor,
+    scoreForecasts
+} from '../src/js/backtester.js';
+import { BACKTEST_CONFIG, CONFIG } from '../src/js/config.js';
+import fixtureStore from '../server/fixtureStore.js';
+import { listen, silenceConsole } from './helpers.js';
+
+const { FixtureStore } = fixtureStore;
+
+let restoreConsole;
+before(() => { restoreConsole = silenceConsole(); });
+after(() => restoreConsole());
+
+/**
+ * Monthly observations from 2020-01 onwards, oldest first
+ */
+function monthly(values) {
+    return values.map((value, i) => ({ date: addMonths('2020-01-01', i), value }));
+}
+
+// Recession in 2020-03 and 2020-04
+const USREC = monthly([0, 0, 1, 1, 0, 0, 0, 0]);
+// Credit spreads blow out in 2020-02
+const BAA10Y = monthly([2, 5, 5, 3, 2, 2, 2, 2]);
+
+function fakeDataService(histories) {
+    const requests = [];
+    return {
+        requests,
+        async fetchHistory(seriesId, options) {
+            requests.push({ seriesId, ...options });
+            if (!histories[seriesId]) throw new Error('HTTP 500');
+            return histories[seriesId];
+        }
+    };
+}
+
+test('monthRange covers whole calendar months inclusively', () => {
+    assert.deepEqual(monthRange('2020-11-15', '2021-02-01'), ['2020-11-01', '2020-12-01', '2021-01-01', '2021-02-01']);
+    assert.equal(addMonths('2020-01-31', -2), '2019-11-01');
+});
+
+test('valueAsOf only uses observations whose period has ended', () => {
+    const annual = { frequency: 'a', observations: [{ date: '2019-01-01', value: 4 }, { date: '2020-01-01', value: 15 }] };
+    const monthlyHistory = { frequency: 'm', observations: monthly([1, 2, 3]) };
+    const daily = { frequency: 'd', observations: [{ date: '2020-01-31', value: 7 }, { date: '2020-02-01', value: 8 }] };
+
+    // The 2020 annual value is not known until 2021
+    assert.equal(valueAsOf(annual, '2020-12-01'), 4);
+    assert.equal(valueAsOf(annual, '2021-01-01'), 15);
+    // The March average is known once March is over
+    assert.equal(valueAsOf(monthlyHistory, '2020-03-01'), 2);
+    assert.equal(valueAsOf(monthlyHistory, '2020-04-01'), 3);
+    assert.equal(valueAsOf(daily, '2020-02-01'), 7);
+    assert.equal(valueAsOf(annual, '2019-06-01'), null);
+    assert.equal(valueAsOf(undefined, '2020-01-01'), null);
+});
+
+test('outcomeFor looks ahead over the horizon and needs complete target data', () => {
+    const target = new Map(USREC.map(obs => [obs.date, obs.value]));
+
+    assert.equal(outcomeFor(target, '2020-01-01', 1), 0);
+    assert.equal(outcomeFor(target, '2020-01-01', 3), 1);
+    assert.equal(outcomeFor(target, '2020-05-01', 3), 0);
+    assert.equal(outcomeFor(target, '2020-07-01', 3), null);
+});
+
+test('scoreForecasts computes Brier score, log loss and alert rates', () => {
+    const forecasts = [
+        { probability: 0.8, outcome: 1 },
+        { probability: 0.2, outcome: 1 },
+        { probability: 0.6, outcome: 0 },
+        { probability: 0.1, outcome: 0 },
+        { probability: 0.9, outcome: null }
+    ];
+
+    const metrics = scoreForecasts(forecasts, 0.5);
+
+    assert.equal(metrics.count, 4);
+    assert.equal(metrics.positives, 2);
+    assert.ok(Math.abs(metrics.brier - (0.04 + 0.64 + 0.36 + 0.01) / 4) < 1e-12);
+    const logLoss = -(Math.log(0.8) + Math.log(0.2) + Math.log(0.4) + Math.log(0.9)) / 4;
+    assert.ok(Math.abs(metrics.logLoss - logLoss) < 1e-12);
+    assert.equal(metrics.hitRate, 0.5);
+    assert.equal(metrics.falseAlarmRate, 0.5);
+});
+
+test('scoreForecasts keeps log loss finite for confident misses', () => {
+    const metrics = scoreForecasts([{ probability: 0, outcome: 1 }], 0.5);
+
+    assert.ok(Number.isFinite(metrics.logLoss));
+    assert.equal(metrics.falseAlarmRate, null);
+});
+
+test('requires the rule indicators, mapped sources and the target series', () => {
+    const series = new Backtester({ dataService: fakeDataService({}) }).getRequiredSeries();
+
+    assert.ok(series.includes('BAA10Y'));
+    assert.ok(series.includes('BOGMBASE') && series.includes('M2SL'));
+    assert.ok(series.includes(BACKTEST_CONFIG.HISTORY_SERIES.DeficitGDP.series));
+    assert.ok(series.includes('DTWEXBGS'));
+    assert.ok(series.includes('USREC'));
+    assert.equal(series.includes('DeficitGDP'), false);
+});
+
+test('run replays each month and scores the forecasts', async () => {
+    const dataService = fakeDataService({
+        USREC: { frequency: 'm', observations: USREC },
+        BAA10Y: { frequency: 'm', observations: BAA10Y }
+    });
+    const backtester = new Backtester({
+        dataService, start: '2020-01-01', end: '2020-08-31', horizonMonths: 2, useCurves: false, alertThreshold: 0.25
+    });
+
+    const result = await backtester.run();
+
+    assert.equal(dataService.requests[0].start, '2018-01-01');
+    assert.ok(result.missingSeries.includes('T10Y2Y'));
+    assert.deepEqual(result.forecasts.map(f => f.probability), [0.15, 0.30, 0.30, 0.15, 0.15, 0.15, 0.15, 0.15]);
+    assert.deepEqual(result.forecasts.map(f => f.outcome), [0, 1, 1, 1, 0, 0, 0, null]);
+    assert.deepEqual(result.forecasts[2].triggers, ['creditSpreads']);
+    assert.equal(result.metrics.count, 7);
+    assert.equal(result.metrics.hitRate, 2 / 3);
+    assert.equal(result.metrics.falseAlarmRate, 0);
+    assert.ok(result.metrics.brier < result.baseline.brier);
+});
+
+test('run fails without the target series', async () => {
+    const backtester = new Backtester({ dataService: fakeDataService({}) });
+
+    await assert.rejects(() => backtester.run(), /USREC/);
+});
+
+test('run replays recorded fixtures through an offline proxy', async () => {
+    const fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'backtest-fixtures-'));
+    const fixtures = new FixtureStore(fixturesDir);
+    const fredUrl = 'https://api.stlouisfed.org/fred';
+
+    for (const [seriesId, observations] of Object.entries({ USREC, BAA10Y })) {
+        fixtures.write(`${fredUrl}/series`, { series_id: seriesId, api_key: 'k', file_type: 'json' },
+            { seriess: [{ id: seriesId, frequency_short: 'M' }] });
+        fixtures.write(`${fredUrl}/series/observations`, {
+            series_id: seriesId,
+            api_key: 'k',
+            file_type: 'json',
+            observation_start: '2018-01-01',
+            observation_end: '2020-08-31',
+            sort_order: 'desc'
+        }, { observations: [...observations].reverse().map(obs => ({ date: obs.date, value: String(obs.value) })) });
+    }
+
+    delete process.env.FRED_API_KEY;
+    delete process.env.FRED_API_URL;
+    process.env.PROXY_MODE = 'offline';
+    process.env.CACHE_BACKEND = 'memory';
+    process.env.FIXTURES_DIR = fixturesDir;
+
+    const { default: app } = await import('../fred-proxy-server.js');
+    const proxy = await listen(app);
+    const originalConfig = { ...CONFIG };
+    Object.assign(CONFIG, { BACKEND_URL: proxy.baseUrl, MAX_RETRIES: 1, RETRY_DELAY_MS: 0 });
+
+    try {
+        const result = await new Backtester({ start: '2020-01-01', end: '2020-08-31', horizonMonths: 2, useCurves: false }).run();
+
+        assert.equal(result.forecasts[2].probability, 0.30);
+        assert.equal(result.metrics.count, 7);
+        assert.ok(result.missingSeries.includes('DGS10'));
+    } finally {
+        Object.assign(CONFIG, originalConfig);
+        await proxy.close();
+        fs.rmSync(fixturesDir, { recursive: true, force: true });
+    }
+});
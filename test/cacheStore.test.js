@@ -0,0 +1,163 @@
+/**
+ * Tests for server/cacheStore.js and server/cachedLoader.js
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import cacheStore from '../server/cacheStore.js';
+import cachedLoader from '../server/cachedLoader.js';
+import { silenceConsole } from './helpers.js';
+
+const { MemoryCacheStore, createCacheStore } = cacheStore;
+const { CachedLoader, cacheMeta } = cachedLoader;
+
+function tempCacheFile() {
+    return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'fred-cache-')), 'cache.json');
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+test('memory cache keeps expired entries available as stale values', async () => {
+    const cache = new MemoryCacheStore({ ttlMs: 10 });
+    cache.set('fred:DGS10', { value: 1 });
+
+    assert.deepEqual(cache.get('fred:DGS10'), { value: 1 });
+    await sleep(20);
+
+    assert.equal(cache.get('fred:DGS10'), null);
+    assert.deepEqual(cache.getStale('fred:DGS10').value, { value: 1 });
+    assert.deepEqual(cache.getStats(), { backend: 'memory', total: 1, fresh: 0, stale: 1 });
+});
+
+test('stale entries older than maxStaleMs are dropped', async () => {
+    const cache = new MemoryCacheStore({ ttlMs: 5, maxStaleMs: 10 });
+    cache.set('key', 'value');
+    await sleep(20);
+
+    assert.equal(cache.getStale('key'), null);
+    assert.equal(cache.getStats().total, 0);
+});
+
+test('maxEntries drops the oldest entries', () => {
+    const cache = new MemoryCacheStore({ ttlMs: 1000, maxEntries: 2 });
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.set('c', 3);
+
+    assert.equal(cache.get('a'), null);
+    assert.equal(cache.get('b'), 2);
+    assert.equal(cache.get('c'), 3);
+    assert.equal(cache.getStats().total, 2);
+});
+
+test('file cache survives a restart', () => {
+    const restoreConsole = silenceConsole();
+    const filePath = tempCacheFile();
+
+    try {
+        const first = createCacheStore({ backend: 'file', ttlMs: 60000, filePath });
+        first.set('fred:DFF', { observations: [{ value: '5.33' }] });
+
+        const second = createCacheStore({ backend: 'file', ttlMs: 60000, filePath });
+        assert.deepEqual(second.get('fred:DFF'), { observations: [{ value: '5.33' }] });
+
+        second.clear();
+        const third = createCacheStore({ backend: 'file', ttlMs: 60000, filePath });
+        assert.equal(third.getStats().total, 0);
+    } finally {
+        restoreConsole();
+    }
+});
+
+test('file cache starts empty from an unreadable file and replaces it on the next write', () => {
+    const restoreConsole = silenceConsole();
+    const filePath = tempCacheFile();
+
+    try {
+        fs.writeFileSync(filePath, '{ truncated');
+        const cache = createCacheStore({ backend: 'file', ttlMs: 60000, filePath });
+        assert.equal(cache.getStats().total, 0);
+        assert.equal(cache.getStats().file, filePath);
+
+        cache.set('fred:DFF', 5.33);
+        assert.deepEqual(JSON.parse(fs.readFileSync(filePath, 'utf8'))['fred:DFF'].value, 5.33);
+        assert.equal(fs.existsSync(`${filePath}.tmp`), false);
+    } finally {
+        restoreConsole();
+    }
+});
+
+test('createCacheStore rejects unknown backends', () => {
+    assert.throws(() => createCacheStore({ backend: 'redis', ttlMs: 1 }), /Unknown cache backend/);
+});
+
+test('loader coalesces concurrent misses into one fetch', async () => {
+    const loader = new CachedLoader(new MemoryCacheStore({ ttlMs: 60000 }));
+    let calls = 0;
+    const fetcher = async () => {
+        calls++;
+        await sleep(10);
+        return { n: calls };
+    };
+
+    const [a, b] = await Promise.all([loader.load('k', fetcher), loader.load('k', fetcher)]);
+
+    assert.equal(calls, 1);
+    assert.deepEqual(a, { value: { n: 1 }, cached: false, stale: false });
+    assert.deepEqual(b.value, { n: 1 });
+    assert.equal(loader.getPendingCount(), 0);
+});
+
+test('loader serves stale values immediately and refreshes in the background', async () => {
+    const loader = new CachedLoader(new MemoryCacheStore({ ttlMs: 10 }));
+    let version = 1;
+    const fetcher = async () => ({ version: version++ });
+
+    await loader.load('k', fetcher);
+    await sleep(20);
+
+    const stale = await loader.load('k', fetcher);
+    assert.equal(stale.stale, true);
+    assert.deepEqual(stale.value, { version: 1 });
+    assert.deepEqual(cacheMeta(stale), { cached: true, stale: true, cachedAt: stale.cachedAt });
+
+    await sleep(5);
+    const fresh = await loader.load('k', fetcher);
+    assert.equal(fresh.stale, false);
+    assert.deepEqual(fresh.value, { version: 2 });
+});
+
+test('loader keeps serving stale values when the refresh fails', async () => {
+    const restoreConsole = silenceConsole();
+    const loader = new CachedLoader(new MemoryCacheStore({ ttlMs: 10 }));
+
+    try {
+        await loader.load('k', async () => 'good');
+        await sleep(20);
+
+        const failing = async () => { throw new Error('upstream down'); };
+        const first = await loader.load('k', failing);
+        await sleep(5);
+        const second = await loader.load('k', failing);
+
+        assert.equal(first.value, 'good');
+        assert.equal(second.value, 'good');
+        assert.equal(second.stale, true);
+    } finally {
+        restoreConsole();
+    }
+});
+
+test('loader propagates errors when nothing is cached', async () => {
+    const loader = new CachedLoader(new MemoryCacheStore({ ttlMs: 10 }));
+
+    await assert.rejects(
+        loader.load('k', async () => { throw new Error('upstream down'); }),
+        /upstream down/
+    );
+});
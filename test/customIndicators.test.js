@@ -0,0 +1,228 @@
+/**
+ * Tests for src/js/customIndicators.js and formula indicators in the data, probability and scenario modules
+ */
+
+import { test, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    CustomIndicatorService,
+    applyCustomIndicators,
+    normalizeCustomIndicator
+} from '../src/js/customIndicators.js';
+import { DataService } from '../src/js/dataService.js';
+import { ProbabilityCalculator } from '../src/js/probabilityCalculator.js';
+import { ModelSettingsService } from '../src/js/modelSettings.js';
+import { applyScenario } from '../src/js/scenarioService.js';
+import { isInvertedIndicator } from '../src/js/trendAnalyzer.js';
+import { CONFIG, INDICATORS, INDICATOR_DISPLAY_ORDER, ECONOMIC_THRESHOLDS } from '../src/js/config.js';
+import { memoryStorage, silenceConsole } from './helpers.js';
+
+const REAL_RATE = {
+    id: 'real10y',
+    name: 'Real 10Y Yield',
+    formula: 'DGS10 - T10YIE',
+    suffix: '%',
+    rule: { event: 'recession', operator: '>', value: '2', factor: '1.5' }
+};
+const BASE_SHARE = { id: 'MB_SHARE', name: 'Monetary Base / M2', formula: 'BOGMBASE / M2SL * 100', decimals: 1, higherIsWorse: true };
+
+const originalFetch = globalThis.fetch;
+const originalConfig = { ...CONFIG };
+const builtInOrder = [...INDICATOR_DISPLAY_ORDER];
+let restoreConsole;
+
+before(() => {
+    restoreConsole = silenceConsole();
+    CONFIG.RETRY_DELAY_MS = 0;
+    CONFIG.MOCK_DATA_DELAY_MS = 0;
+    CONFIG.MAX_RETRIES = 1;
+});
+
+after(() => {
+    Object.assign(CONFIG, originalConfig);
+    restoreConsole();
+});
+
+afterEach(() => {
+    globalThis.fetch = originalFetch;
+    applyCustomIndicators([]);
+});
+
+function jsonResponse(body, status = 200) {
+    return { ok: status === 200, status, statusText: status === 200 ? 'OK' : 'Error', json: async () => body };
+}
+
+/**
+ * Stub the proxy's FRED routes from { [seriesId]: [[date, value], ...] } (oldest first)
+ */
+function stubFred(series) {
+    const observations = (id) => series[id].map(([date, value]) => ({ date, value: String(value) })).reverse();
+    globalThis.fetch = async (url, options = {}) => {
+        const { pathname } = new URL(url);
+        if (pathname === '/api/fred/batch') {
+            const ids = JSON.parse(options.body).series.filter(id => series[id]);
+            return jsonResponse(Object.fromEntries(ids.map(id => [id, { observations: observations(id) }])));
+        }
+
+        const [, , , id, history] = pathname.split('/');
+        if (!series[id]) return jsonResponse({ error: 'not found' }, 500);
+        return jsonResponse(history ? { frequency: 'm', observations: observations(id) } : { observations: observations(id) });
+    };
+}
+
+test('normalizeCustomIndicator fills defaults and rejects invalid definitions', () => {
+    assert.deepEqual(normalizeCustomIndicator(REAL_RATE), {
+        id: 'REAL10Y',
+        name: 'Real 10Y Yield',
+        formula: 'DGS10 - T10YIE',
+        decimals: 2,
+        suffix: '%',
+        higherIsWorse: false,
+        rule: { event: 'recession', operator: '>', value: 2, factor: 1.5 }
+    });
+
+    const invalid = {
+        'must be 2-30 letters': { ...REAL_RATE, id: '1X' },
+        'is a built-in indicator': { ...REAL_RATE, id: 'DGS10' },
+        'name is required': { ...REAL_RATE, name: ' ' },
+        'at least one indicator': { ...REAL_RATE, formula: '2 * 3' },
+        'cannot read itself': { ...REAL_RATE, formula: 'REAL10Y + 1' },
+        'Unknown formula input "dgs10"': { ...REAL_RATE, formula: 'dgs10 - 1' },
+        'Decimals must be': { ...REAL_RATE, decimals: 9 },
+        'Unknown risk': { ...REAL_RATE, rule: { ...REAL_RATE.rule, event: 'inflation' } },
+        'factor must be a positive number': { ...REAL_RATE, rule: { ...REAL_RATE.rule, factor: '0' } },
+        'Unexpected': { ...REAL_RATE, formula: 'DGS10 = 1' }
+    };
+    for (const [message, definition] of Object.entries(invalid)) {
+        assert.throws(() => normalizeCustomIndicator(definition), new RegExp(message), message);
+    }
+});
+
+test('applyCustomIndicators registers indicators and rules, and replaces earlier ones', () => {
+    applyCustomIndicators([REAL_RATE, BASE_SHARE]);
+
+    assert.equal(INDICATORS.REAL10Y.provider, 'formula');
+    assert.equal(INDICATORS.REAL10Y.format(1.234), '1.23%');
+    assert.equal(INDICATORS.MB_SHARE.format(27.1), '27.1');
+    assert.deepEqual(INDICATOR_DISPLAY_ORDER, [...builtInOrder, 'REAL10Y', 'MB_SHARE']);
+    assert.equal(isInvertedIndicator('MB_SHARE'), true);
+    assert.equal(ECONOMIC_THRESHOLDS.recession.REAL10Y.indicator, 'REAL10Y');
+    assert.equal(ECONOMIC_THRESHOLDS.recession.REAL10Y.reason, 'Real 10Y Yield > 2%');
+
+    // Other custom indicators cannot be formula inputs
+    assert.throws(() => applyCustomIndicators([BASE_SHARE, { ...REAL_RATE, formula: 'MB_SHARE * 2' }]), /other custom indicators/);
+    assert.ok(INDICATORS.REAL10Y, 'a failed apply leaves the registry unchanged');
+
+    applyCustomIndicators([BASE_SHARE]);
+    assert.equal('REAL10Y' in INDICATORS, false);
+    assert.equal('REAL10Y' in ECONOMIC_THRESHOLDS.recession, false);
+    assert.deepEqual(INDICATOR_DISPLAY_ORDER, [...builtInOrder, 'MB_SHARE']);
+
+    assert.throws(() => applyCustomIndicators([BASE_SHARE, BASE_SHARE]), /Duplicate custom indicator: MB_SHARE/);
+
+    applyCustomIndicators([]);
+    assert.throws(() => applyCustomIndicators([{ ...REAL_RATE, formula: 'MB_SHARE * 2' }, BASE_SHARE]), /other custom indicators/);
+});
+
+test('CustomIndicatorService stores definitions and rejects duplicates', () => {
+    const storage = memoryStorage();
+    const service = new CustomIndicatorService(storage);
+
+    service.add(REAL_RATE);
+    service.add(BASE_SHARE);
+    assert.throws(() => service.add({ ...REAL_RATE, name: 'Again' }), /already exists/);
+    assert.deepEqual(new CustomIndicatorService(storage).list().map(d => d.id), ['REAL10Y', 'MB_SHARE']);
+
+    service.remove('REAL10Y');
+    assert.deepEqual(service.list().map(d => d.id), ['MB_SHARE']);
+
+    storage.setItem(CONFIG.CUSTOM_INDICATORS_STORAGE_KEY, '{not json');
+    assert.deepEqual(service.list(), []);
+});
+
+test('DataService calculates formula indicators, fetching inputs that are not indicators', async () => {
+    applyCustomIndicators([REAL_RATE]);
+    stubFred({
+        DGS10: [['2024-06-03', 4.5]],
+        T10YIE: [['2024-05-31', 2.25]]
+    });
+
+    const service = new DataService();
+    service.useBackend = true;
+    const indicators = await service.fetchAllData();
+
+    assert.equal(indicators.REAL10Y.raw, 2.25);
+    assert.equal(indicators.REAL10Y.value, '2.25%');
+    assert.equal(indicators.REAL10Y.source, 'Calculated');
+    assert.equal(indicators.REAL10Y.date, '2024-05-31');
+    assert.deepEqual(indicators.REAL10Y.inputs, { DGS10: 4.5, T10YIE: 2.25 });
+    assert.equal('T10YIE' in indicators, false);
+    assert.equal(service.getMetadata('REAL10Y').formula, 'DGS10 - T10YIE');
+
+    // Calculated indicators do not count against the live total
+    assert.equal(service.getConnectionStatus().totalCount, Object.keys(indicators).length - 1);
+});
+
+test('offline, formulas use fallback inputs and skip series that have no fallback', async () => {
+    applyCustomIndicators([REAL_RATE, BASE_SHARE]);
+    stubFred({});
+
+    const indicators = await new DataService().fetchAllData();
+
+    assert.equal('REAL10Y' in indicators, false);
+    assert.equal(indicators.MB_SHARE.raw, INDICATORS.BOGMBASE.fallback / INDICATORS.M2SL.fallback * 100);
+    assert.equal(indicators.MB_SHARE.note, 'Uses fallback values for BOGMBASE, M2SL');
+});
+
+test('formula history combines the inputs by date', async () => {
+    applyCustomIndicators([REAL_RATE]);
+    stubFred({
+        DGS10: [['2024-01-01', 4.0], ['2024-02-01', 4.2], ['2024-03-01', 4.4]],
+        T10YIE: [['2024-02-01', 2.2], ['2024-03-01', 2.3]]
+    });
+
+    const history = await new DataService().fetchHistory('REAL10Y', { start: '2024-01-01', end: '2024-03-31' });
+
+    assert.equal(history.frequency, 'm');
+    assert.deepEqual(history.observations.map(obs => [obs.date, Number(obs.value.toFixed(2))]), [
+        ['2024-02-01', 2.0],
+        ['2024-03-01', 2.1]
+    ]);
+});
+
+test('custom rules feed the probability model and show on their inputs', async () => {
+    applyCustomIndicators([REAL_RATE]);
+
+    const calculator = new ProbabilityCalculator();
+    calculator.setTrendAnalysis(false);
+    calculator.setCurves(false);
+    await calculator.updateProbabilities({ REAL10Y: { raw: 2.5 } });
+
+    const factor = calculator.getFactors('recession').find(f => f.rule === 'REAL10Y');
+    assert.equal(factor.factor, 1.5);
+    assert.equal(factor.reason, 'Real 10Y Yield > 2%');
+
+    const viaInput = calculator.getRulesForIndicator('DGS10').find(r => r.rule === 'REAL10Y');
+    assert.equal(viaInput.derived, 'Real 10Y Yield');
+    assert.equal(calculator.getRulesForIndicator('REAL10Y')[0].derived, null);
+
+    // Custom rules are edited with their indicator, not in the model settings panel
+    assert.equal('REAL10Y' in new ModelSettingsService(null).getCurrent().rules.recession, false);
+});
+
+test('scenarios recalculate formula indicators from adjusted inputs', () => {
+    applyCustomIndicators([REAL_RATE]);
+    const indicators = {
+        DGS10: { raw: 4.5, value: '4.50%', name: '10-Year Treasury Yield', source: 'FRED API' },
+        REAL10Y: { raw: 2.25, value: '2.25%', name: 'Real 10Y Yield', source: 'Calculated', inputs: { DGS10: 4.5, T10YIE: 2.25 } }
+    };
+
+    const shifted = applyScenario(indicators, { DGS10: { mode: 'delta', value: 1 } });
+    assert.equal(shifted.REAL10Y.raw, 3.25);
+    assert.equal(shifted.REAL10Y.value, '3.25%');
+    assert.equal(shifted.REAL10Y.source, 'Scenario');
+
+    // A direct override wins over the formula
+    const set = applyScenario(indicators, { DGS10: { mode: 'delta', value: 1 }, REAL10Y: { mode: 'set', value: 0 } });
+    assert.equal(set.REAL10Y.raw, 0);
+});
@@ -0,0 +1,171 @@
+/**
+ * Tests for src/js/dataProviders.js
+ */
+
+import { test, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    parseCSV,
+    StaticFileProvider,
+    MockProvider,
+    FredProxyProvider,
+    createProviders,
+    providerFor
+} from '../src/js/dataProviders.js';
+import { DataService } from '../src/js/dataService.js';
+import { CONFIG, INDICATORS } from '../src/js/config.js';
+import { silenceConsole } from './helpers.js';
+
+const BASE_URL = 'http://dashboard.test/index.html';
+const HOLDINGS_CSV = [
+    'date,FOREIGN_HOLDINGS,other',
+    '2023-12-31,7.9,1',
+    '2024-03-31,8.0,2',
+    '2024-06-30,8.1,3'
+].join('\n');
+
+const originalFetch = globalThis.fetch;
+const originalConfig = { ...CONFIG };
+let restoreConsole;
+
+before(() => {
+    restoreConsole = silenceConsole();
+    CONFIG.RETRY_DELAY_MS = 0;
+    CONFIG.MOCK_DATA_DELAY_MS = 0;
+    CONFIG.MAX_RETRIES = 1;
+
+    INDICATORS.FOREIGN_HOLDINGS = {
+        name: 'Foreign Treasury Holdings',
+        threshold: '< 7',
+        provider: 'static',
+        file: 'src/data/foreign-holdings.csv',
+        units: 'Trillions of Dollars',
+        frequency: 'Quarterly',
+        format: (value) => `$${value.toFixed(1)}T`,
+        higherIsWorse: false,
+        fallback: 7.5
+    };
+});
+
+after(() => {
+    delete INDICATORS.FOREIGN_HOLDINGS;
+    Object.assign(CONFIG, originalConfig);
+    restoreConsole();
+});
+
+afterEach(() => {
+    globalThis.fetch = originalFetch;
+});
+
+/**
+ * Stub fetch with a map of pathname to response body (text or JSON); other paths fail with HTTP 500
+ */
+function stubFetch(files) {
+    const calls = [];
+    globalThis.fetch = async (url) => {
+        const { pathname } = new URL(url);
+        calls.push(pathname);
+
+        const body = files[pathname];
+        return {
+            ok: body !== undefined,
+            status: body !== undefined ? 200 : 500,
+            statusText: body !== undefined ? 'OK' : 'Error',
+            json: async () => body,
+            text: async () => typeof body === 'string' ? body : JSON.stringify(body)
+        };
+    };
+    return calls;
+}
+
+test('parseCSV reads a header row and skips blank lines', () => {
+    assert.deepEqual(parseCSV('date, value\r\n2024-01-01, 4.2\n\n2024-02-01,\n'), [
+        { date: '2024-01-01', value: '4.2' },
+        { date: '2024-02-01', value: '' }
+    ]);
+    assert.deepEqual(parseCSV(''), []);
+});
+
+test('StaticFileProvider reads the latest value and a history window from a CSV file', async () => {
+    const calls = stubFetch({ '/src/data/foreign-holdings.csv': HOLDINGS_CSV });
+    const provider = new StaticFileProvider({ baseUrl: BASE_URL });
+
+    const latest = await provider.fetchLatest(['FOREIGN_HOLDINGS']);
+    assert.deepEqual(latest.FOREIGN_HOLDINGS, { value: 8.1, date: '2024-06-30', source: 'Data file' });
+
+    const history = await provider.fetchHistory('FOREIGN_HOLDINGS', { start: '2024-01-01', end: '2024-12-31' });
+    assert.deepEqual(history.observations, [
+        { date: '2024-03-31', value: 8.0 },
+        { date: '2024-06-30', value: 8.1 }
+    ]);
+
+    // The file is loaded once per provider
+    assert.deepEqual(calls, ['/src/data/foreign-holdings.csv']);
+
+    assert.equal(provider.metadata('FOREIGN_HOLDINGS').file, 'src/data/foreign-holdings.csv');
+    assert.equal(provider.metadata('FOREIGN_HOLDINGS').units, 'Trillions of Dollars');
+});
+
+test('StaticFileProvider reads JSON observations and reports missing files per indicator', async () => {
+    INDICATORS.FOREIGN_HOLDINGS.file = 'src/data/foreign-holdings.json';
+    try {
+        stubFetch({
+            '/src/data/foreign-holdings.json': {
+                observations: [{ date: '2024-06-30', value: '8.2' }, { date: '2024-03-31', value: '8.0' }]
+            }
+        });
+
+        const provider = new StaticFileProvider({ baseUrl: BASE_URL });
+        const latest = await provider.fetchLatest(['FOREIGN_HOLDINGS', 'DGS10']);
+
+        assert.equal(latest.FOREIGN_HOLDINGS.value, 8.2);
+        assert.match(latest.DGS10.error, /No data file configured for DGS10/);
+    } finally {
+        INDICATORS.FOREIGN_HOLDINGS.file = 'src/data/foreign-holdings.csv';
+    }
+});
+
+test('MockProvider serves registry fallbacks', async () => {
+    const results = await new MockProvider().fetchLatest(['DeficitGDP', 'UNKNOWN']);
+
+    assert.equal(results.DeficitGDP.value, INDICATORS.DeficitGDP.fallback);
+    assert.equal(results.DeficitGDP.source, INDICATORS.DeficitGDP.fallbackSource);
+    assert.equal(results.DeficitGDP.note, INDICATORS.DeficitGDP.fallbackNote);
+    assert.match(results.UNKNOWN.error, /No fallback value/);
+});
+
+test('FredProxyProvider falls back to single-series requests when the batch fails', async () => {
+    const calls = stubFetch({
+        '/api/fred/DGS10': { observations: [{ date: '2024-06-03', value: '4.4' }] }
+    });
+
+    const results = await new FredProxyProvider().fetchLatest(['DGS10', 'DFF']);
+
+    assert.deepEqual(results.DGS10, { value: 4.4, date: '2024-06-03', source: 'FRED API' });
+    assert.ok(results.DFF.error);
+    assert.deepEqual(calls.sort(), ['/api/fred/DFF', '/api/fred/DGS10', '/api/fred/batch']);
+});
+
+test('providerFor uses the registry and treats unregistered ids as FRED series', () => {
+    assert.equal(providerFor('DeficitGDP'), 'treasury');
+    assert.equal(providerFor('FOREIGN_HOLDINGS'), 'static');
+    assert.equal(providerFor('T10YIE'), 'fred');
+});
+
+test('DataService reads static indicators offline and uses the fallback when the file is missing', async () => {
+    stubFetch({ '/src/data/foreign-holdings.csv': HOLDINGS_CSV });
+
+    const service = new DataService(createProviders({ baseUrl: BASE_URL }));
+    const indicators = await service.fetchAllData();
+
+    assert.equal(indicators.FOREIGN_HOLDINGS.raw, 8.1);
+    assert.equal(indicators.FOREIGN_HOLDINGS.value, '$8.1T');
+    assert.equal(indicators.FOREIGN_HOLDINGS.source, 'Data file');
+    assert.equal(indicators.DGS10.source, 'Mock Data');
+    assert.equal(service.getMetadata('FOREIGN_HOLDINGS').provider, 'static');
+
+    stubFetch({});
+    const offline = await new DataService(createProviders({ baseUrl: BASE_URL })).fetchAllData();
+    assert.equal(offline.FOREIGN_HOLDINGS.raw, 7.5);
+    assert.equal(offline.FOREIGN_HOLDINGS.source, 'Mock Data');
+});
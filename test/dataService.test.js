@@ -0,0 +1,249 @@
+/**
+ * Tests for src/js/dataService.js fallback paths
+ */
+
+import { test, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { DataService } from '../src/js/dataService.js';
+import { CONFIG, INDICATORS, MONTE_CARLO } from '../src/js/config.js';
+import { estimateUncertainty } from '../src/js/monteCarlo.js';
+import { silenceConsole } from './helpers.js';
+
+const SERIES = Object.keys(INDICATORS).filter(id => INDICATORS[id].provider === 'fred');
+const originalFetch = globalThis.fetch;
+const originalConfig = { ...CONFIG };
+let restoreConsole;
+
+before(() => {
+    restoreConsole = silenceConsole();
+    CONFIG.RETRY_DELAY_MS = 0;
+    CONFIG.MOCK_DATA_DELAY_MS = 0;
+});
+
+after(() => {
+    Object.assign(CONFIG, originalConfig);
+    restoreConsole();
+});
+
+afterEach(() => {
+    globalThis.fetch = originalFetch;
+});
+
+function jsonResponse(body, status = 200) {
+    return {
+        ok: status >= 200 && status < 300,
+        status,
+        statusText: status === 200 ? 'OK' : 'Error',
+        json: async () => body
+    };
+}
+
+function observation(value) {
+    return { observations: [{ date: '2024-06-03', value: String(value) }] };
+}
+
+/**
+ * Stub the backend: routes maps a path (e.g. '/api/fred/batch') to a handler
+ * returning a response; unknown paths fail with HTTP 500
+ */
+function stubBackend(routes) {
+    const calls = [];
+    globalThis.fetch = async (url, options = {}) => {
+        const { pathname } = new URL(url);
+        calls.push({ pathname, method: options.method || 'GET' });
+
+        const handler = routes[pathname] ||
+            Object.entries(routes).find(([pattern]) => pattern.endsWith('*') && pathname.startsWith(pattern.slice(0, -1)))?.[1];
+        return handler ? handler(pathname, options) : jsonResponse({ error: 'not found' }, 500);
+    };
+    return calls;
+}
+
+function liveService() {
+    const service = new DataService();
+    service.useBackend = true;
+    return service;
+}
+
+test('uses the batch endpoint when the backend is available', async () => {
+    const batch = Object.fromEntries(SERIES.map(id => [id, observation(INDICATORS[id].fallback + 1)]));
+    const calls = stubBackend({
+        '/api/fred/batch': () => jsonResponse({ ...batch, _metadata: {} }),
+        '/api/treasury/deficit': () => jsonResponse({ deficit_gdp_ratio: 6.1, source: 'Treasury', date: '2024-05-31' })
+    });
+
+    const indicators = await liveService().fetchAllData();
+
+    assert.equal(calls.filter(c => c.pathname === '/api/fred/batch').length, 1);
+    assert.equal(indicators.DGS10.source, 'FRED API');
+    assert.equal(indicators.DGS10.raw, 5.75);
+    assert.equal(indicators.DGS10.value, '5.75%');
+    assert.equal(indicators.DeficitGDP.raw, 6.1);
+    assert.equal(indicators.DeficitGDP.source, 'Treasury');
+});
+
+test('falls back to individual requests when the batch request fails', async () => {
+    stubBackend({
+        '/api/fred/batch': () => jsonResponse({ error: 'down' }, 500),
+        '/api/fred/*': (pathname) => jsonResponse(observation(INDICATORS[pathname.split('/').pop()].fallback)),
+        '/api/treasury/deficit': () => jsonResponse({ deficit_gdp_ratio: 6.1 })
+    });
+
+    const service = liveService();
+    const indicators = await service.fetchAllData();
+
+    for (const id of SERIES) {
+        assert.equal(indicators[id].source, 'FRED API', id);
+    }
+    assert.equal(service.getConnectionStatus().liveCount, SERIES.length);
+});
+
+test('falls back to mock data per indicator when individual requests fail', async () => {
+    CONFIG.MAX_RETRIES = 1;
+    try {
+        stubBackend({
+            '/api/fred/batch': () => jsonResponse({ error: 'down' }, 500),
+            '/api/fred/DGS10': () => jsonResponse(observation(4.1))
+        });
+
+        const service = liveService();
+        const indicators = await service.fetchAllData();
+
+        assert.equal(indicators.DGS10.source, 'FRED API');
+        assert.equal(indicators.DFF.source, 'Mock Data');
+        assert.equal(indicators.DFF.raw, INDICATORS.DFF.fallback);
+
+        const status = service.getConnectionStatus();
+        assert.equal(status.isPartialLive, true);
+        assert.equal(status.liveCount, 1);
+        assert.ok(service.getFallbackIndicators().includes('DFF'));
+        assert.equal(service.getFallbackIndicators().includes('DGS10'), false);
+    } finally {
+        CONFIG.MAX_RETRIES = originalConfig.MAX_RETRIES;
+    }
+});
+
+test('uses mock data for batch entries that carry an error', async () => {
+    stubBackend({
+        '/api/fred/batch': () => jsonResponse({
+            DGS10: observation(4.1),
+            DFF: { error: 'upstream failure' },
+            UNRATE: { observations: [{ date: '2024-06-01', value: '' }] }
+        })
+    });
+
+    const indicators = await liveService().fetchAllData();
+
+    assert.equal(indicators.DGS10.source, 'FRED API');
+    assert.equal(indicators.DFF.source, 'Mock Data');
+    assert.equal(indicators.UNRATE.source, 'Mock Data');
+});
+
+test('without a backend every indicator comes from mock data', async () => {
+    const calls = stubBackend({});
+
+    const service = new DataService();
+    const indicators = await service.fetchAllData();
+
+    assert.equal(calls.length, 0);
+    for (const id of SERIES) {
+        assert.equal(indicators[id].source, 'Mock Data', id);
+    }
+    assert.equal(service.getConnectionStatus().isFullyLive, false);
+});
+
+test('records the dollar index method and estimates the deficit when Treasury is unavailable', async () => {
+    stubBackend({});
+
+    const indicators = await new DataService().fetchAllData();
+
+    assert.equal(indicators.DTWEXBGS.raw, INDICATORS.DTWEXBGS.fallback);
+    assert.equal(indicators.DTWEXBGS.method, INDICATORS.DTWEXBGS.method);
+    assert.equal('DXY' in indicators, false);
+    assert.equal('method' in indicators.DGS10, false);
+    assert.equal(indicators.DeficitGDP.raw, 7.2);
+    assert.equal(indicators.DeficitGDP.source, 'Estimate');
+});
+
+test('fetches only FRED-provided registry entries and falls back per provider', async () => {
+    CONFIG.MAX_RETRIES = 1;
+    try {
+        let requested = null;
+        stubBackend({
+            '/api/fred/batch': (pathname, options) => {
+                requested = JSON.parse(options.body).series;
+                return jsonResponse(Object.fromEntries(requested.map(id => [id, observation(INDICATORS[id].fallback)])));
+            }
+        });
+
+        const indicators = await liveService().fetchAllData();
+
+        assert.deepEqual(requested, SERIES);
+        assert.equal(requested.includes('DeficitGDP'), false);
+        assert.equal(indicators.DeficitGDP.source, 'Estimate');
+        assert.equal(indicators.DeficitGDP.note, INDICATORS.DeficitGDP.fallbackNote);
+        assert.equal(indicators.DeficitGDP.value, INDICATORS.DeficitGDP.format(INDICATORS.DeficitGDP.fallback));
+    } finally {
+        CONFIG.MAX_RETRIES = originalConfig.MAX_RETRIES;
+    }
+});
+
+test("treats the proxy's deficit estimate as a fallback while Treasury is down", async () => {
+    const batch = Object.fromEntries(SERIES.map(id => [id, observation(INDICATORS[id].fallback)]));
+    stubBackend({
+        '/api/fred/batch': () => jsonResponse(batch),
+        // What the proxy answers when the Treasury API fails
+        '/api/treasury/deficit': () => jsonResponse({
+            deficit_gdp_ratio: 7.2,
+            source: 'Estimate',
+            note: 'Treasury API unavailable: HTTP 500',
+            cached: false
+        })
+    });
+
+    const service = liveService();
+    const indicators = await service.fetchAllData();
+
+    assert.equal(indicators.DeficitGDP.source, 'Estimate');
+    assert.equal(indicators.DeficitGDP.note, 'Treasury API unavailable: HTTP 500');
+    assert.deepEqual(service.getFallbackIndicators(), ['DeficitGDP']);
+
+    const uncertainty = estimateUncertainty(indicators.DeficitGDP, null);
+    assert.equal(uncertainty, Math.hypot(MONTE_CARLO.defaultVolatility * 7.2, MONTE_CARLO.sourceUncertainty.Estimate * 7.2));
+});
+
+test('checkBackendConnection reflects the health endpoint', async () => {
+    stubBackend({ '/health': () => jsonResponse({ status: 'ok' }) });
+    const service = new DataService();
+    assert.equal(await service.checkBackendConnection(), true);
+    assert.equal(service.useBackend, true);
+
+    stubBackend({});
+    assert.equal(await service.checkBackendConnection(), false);
+    assert.equal(service.useBackend, false);
+});
+
+test('fetchHistory returns numeric observations oldest first', async () => {
+    const calls = [];
+    globalThis.fetch = async (url) => {
+        calls.push(new URL(url));
+        return jsonResponse({
+            frequency: 'm',
+            observations: [
+                { date: '2024-03-01', value: '4.2' },
+                { date: '2024-02-01', value: '.' },
+                { date: '2024-01-01', value: '4.0' }
+            ]
+        });
+    };
+
+    const history = await liveService().fetchHistory('DGS10', { start: '2024-01-01', end: '2024-03-31', frequency: 'm' });
+
+    assert.equal(calls[0].pathname, '/api/fred/DGS10/history');
+    assert.equal(calls[0].searchParams.get('start'), '2024-01-01');
+    assert.equal(calls[0].searchParams.get('aggregation'), null);
+    assert.deepEqual(history, {
+        frequency: 'm',
+        observations: [{ date: '2024-01-01', value: 4.0 }, { date: '2024-03-01', value: 4.2 }]
+    });
+});
@@ -0,0 +1,61 @@
+/**
+ * Tests for src/js/formula.js
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseFormula, evaluateFormula } from '../src/js/formula.js';
+import { ValidationError } from '../src/js/utils.js';
+
+const VALUES = { DGS10: 4.5, T10YIE: 2.25, BOGMBASE: 5800, M2SL: 21400 };
+
+test('evaluates arithmetic with precedence, unary minus and parentheses', () => {
+    assert.equal(evaluateFormula('DGS10 - T10YIE', VALUES), 2.25);
+    assert.equal(evaluateFormula('BOGMBASE / M2SL * 100', VALUES), 5800 / 21400 * 100);
+    assert.equal(evaluateFormula('1 + 2 * 3 - 4 / 2', {}), 5);
+    assert.equal(evaluateFormula('-(DGS10 - 0.5) * 2', VALUES), -8);
+    assert.equal(evaluateFormula('2 - -1', {}), 3);
+    assert.equal(evaluateFormula('1.5e2 + .5', {}), 150.5);
+});
+
+test('supports abs, min and max', () => {
+    assert.equal(evaluateFormula('abs(T10YIE - DGS10)', VALUES), 2.25);
+    assert.equal(evaluateFormula('min(DGS10, T10YIE, 3)', VALUES), 2.25);
+    assert.equal(evaluateFormula('MAX(DGS10, 5)', VALUES), 5);
+});
+
+test('parseFormula lists inputs once, in order of use', () => {
+    const formula = parseFormula('  (DGS10 - T10YIE) / DGS10 ');
+    assert.equal(formula.text, '(DGS10 - T10YIE) / DGS10');
+    assert.deepEqual(formula.inputs, ['DGS10', 'T10YIE']);
+});
+
+test('rejects malformed formulas with a ValidationError', () => {
+    const cases = {
+        '': /Formula is required/,
+        'DGS10 -': /ends unexpectedly/,
+        'DGS10 T10YIE': /Unexpected "T10YIE" at position 7/,
+        '(DGS10 - 1': /Expected "\)"/,
+        'DGS10 ^ 2': /Unexpected "\^" at position 7/,
+        'pow(DGS10, 2)': /Unknown function in formula: pow/,
+        'constructor(1)': /Unknown function in formula: constructor/,
+        'tostring(DGS10)': /Unknown function in formula: tostring/,
+        'abs(1, 2)': /abs\(\) takes 1 argument/,
+        'DGS10; fetch("x")': /Unexpected ";"/,
+        [`DGS10${' + 1'.repeat(60)}`]: /at most 200 characters/
+    };
+
+    for (const [text, message] of Object.entries(cases)) {
+        assert.throws(() => parseFormula(text), (error) => error instanceof ValidationError && message.test(error.message), text);
+    }
+});
+
+test('evaluation needs every input and a finite result', () => {
+    assert.throws(() => evaluateFormula('DGS10 - T5YIE', VALUES), /No value for T5YIE/);
+    assert.throws(() => evaluateFormula('DGS10 / (T10YIE - 2.25)', VALUES), /Division by zero/);
+    assert.throws(() => evaluateFormula('constructor + 1', {}), /No value for constructor/);
+
+    // A hand-built tree cannot call through to Object.prototype either
+    const forged = { text: 'constructor(1)', inputs: [], ast: { type: 'call', fn: 'constructor', args: [{ type: 'number', value: 1 }] } };
+    assert.throws(() => evaluateFormula(forged, {}), /Unknown function in formula: constructor/);
+});
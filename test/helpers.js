@@ -0,0 +1,143 @@
+/**
+ * Shared helpers for the test suite
+ */
+
+import express from 'express';
+
+/**
+ * Silence console output from the code under test
+ * Returns a function that restores the original methods
+ */
+export function silenceConsole() {
+    const original = { log: console.log, warn: console.warn, error: console.error, info: console.info };
+    console.log = console.warn = console.error = console.info = () => {};
+    return () => Object.assign(console, original);
+}
+
+/**
+ * Minimal localStorage stand-in
+ */
+export function memoryStorage() {
+    const items = new Map();
+    return {
+        getItem: (key) => items.has(key) ? items.get(key) : null,
+        setItem: (key, value) => items.set(key, String(value))
+    };
+}
+
+/**
+ * Listen on an ephemeral port and resolve to { baseUrl, close }
+ */
+export function listen(app) {
+    return new Promise(resolve => {
+        const server = app.listen(0, '127.0.0.1', () => {
+            resolve({
+                baseUrl: `http://127.0.0.1:${server.address().port}`,
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+    });
+}
+
+/**
+ * Local stand-in for the FRED and Treasury APIs
+ *
+ * - observations[seriesId]: array of { date, value }, newest first
+ * - frequencies[seriesId]: FRED frequency_short (defaults to 'M')
+ * - mts: Monthly Treasury Statement Table 1 rows
+ * - failing: set of series ids (or 'treasury') that respond with HTTP 500
+ * - calls: every request received, as { path, query }
+ */
+export function createUpstreamStub({ observations = {}, frequencies = {}, mts = [] } = {}) {
+    const stub = {
+        observations,
+        frequencies,
+        mts,
+        failing: new Set(),
+        calls: [],
+        delayMs: 0
+    };
+
+    const app = express();
+
+    app.use((req, res, next) => {
+        stub.calls.push({ path: req.path, query: req.query });
+        setTimeout(next, stub.delayMs);
+    });
+
+    app.get('/fred/series/observations', (req, res) => {
+        const seriesId = req.query.series_id;
+        if (stub.failing.has(seriesId) || !stub.observations[seriesId]) {
+            return res.status(500).json({ error_message: 'upstream failure' });
+        }
+
+        const limit = req.query.limit ? parseInt(req.query.limit, 10) : undefined;
+        res.json({ observations: stub.observations[seriesId].slice(0, limit) });
+    });
+
+    app.get('/fred/series', (req, res) => {
+        const seriesId = req.query.series_id;
+        res.json({ seriess: [{ id: seriesId, frequency_short: stub.frequencies[seriesId] || 'M' }] });
+    });
+
+    app.get('/treasury/v1/accounting/mts/mts_table_1', (req, res) => {
+        if (stub.failing.has('treasury')) {
+            return res.status(500).json({ error: 'upstream failure' });
+        }
+        res.json({ data: stub.mts });
+    });
+
+    stub.app = app;
+    stub.callsFor = (path, seriesId) => stub.calls.filter(c =>
+        c.path === path && (!seriesId || c.query.series_id === seriesId)
+    );
+
+    return stub;
+}
+
+/**
+ * Local stand-in for alert webhook receivers (Slack, generic JSON, email relay)
+ *
+ * - received: every request body, as { path, body }
+ * - failures: number of upcoming requests to answer with HTTP 500
+ */
+export function createWebhookStub() {
+    const stub = { received: [], failures: 0 };
+
+    const app = express();
+    app.use(express.json());
+    app.post('/:hook', (req, res) => {
+        if (stub.failures > 0) {
+            stub.failures--;
+            return res.status(500).json({ error: 'receiver failure' });
+        }
+        stub.received.push({ path: req.path, body: req.body });
+        res.json({ ok: true });
+    });
+
+    stub.app = app;
+    return stub;
+}
+
+/**
+ * MTS Table 1 rows for one publication: `fiscalYears` maps "FY 2024" to that
+ * year's monthly [receipts, outlays] in millions, October first
+ */
+export function mtsPublication(recordDate, fiscalYears) {
+    const months = ['October', 'November', 'December', 'January', 'February', 'March',
+        'April', 'May', 'June', 'July', 'August', 'September'];
+    const rows = [];
+
+    for (const [label, values] of Object.entries(fiscalYears)) {
+        rows.push({ record_date: recordDate, src_line_nbr: String(rows.length + 1), classification_desc: label });
+        values.forEach(([receipts, outlays], i) => rows.push({
+            record_date: recordDate,
+            src_line_nbr: String(rows.length + 1),
+            classification_desc: months[i],
+            current_month_gross_rcpt_amt: String(receipts),
+            current_month_gross_outly_amt: String(outlays)
+        }));
+    }
+
+    return rows;
+}
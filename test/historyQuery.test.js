@@ -0,0 +1,95 @@
+/**
+ * Tests for server/historyQuery.js
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import historyQuery from '../server/historyQuery.js';
+
+const {
+    parseHistoryQuery,
+    buildFREDHistoryParams,
+    canAggregate,
+    subtractMonths,
+    HistoryQueryError
+} = historyQuery;
+
+const TODAY = new Date('2024-06-15T12:00:00Z');
+
+test('months is converted to a calendar window ending today', () => {
+    assert.deepEqual(parseHistoryQuery({ months: '12' }, TODAY), {
+        start: '2023-06-15',
+        end: '2024-06-15',
+        frequency: null,
+        aggregation: null
+    });
+});
+
+test('defaults to a 12 month window', () => {
+    assert.equal(parseHistoryQuery({}, TODAY).start, '2023-06-15');
+});
+
+test('explicit start and end take precedence over months', () => {
+    const request = parseHistoryQuery({ start: '2020-01-01', end: '2020-12-31', months: '3' }, TODAY);
+    assert.equal(request.start, '2020-01-01');
+    assert.equal(request.end, '2020-12-31');
+});
+
+test('an end after today is clamped to today', () => {
+    const request = parseHistoryQuery({ start: '2024-01-01', end: '2030-12-31' }, TODAY);
+    assert.equal(request.end, '2024-06-15');
+    assert.equal(parseHistoryQuery({ months: '3', end: '2099-01-01' }, TODAY).start, '2024-03-15');
+});
+
+test('frequency and aggregation accept names and FRED codes', () => {
+    assert.deepEqual(
+        parseHistoryQuery({ frequency: 'Monthly', aggregation: 'end-of-period' }, TODAY),
+        { start: '2023-06-15', end: '2024-06-15', frequency: 'm', aggregation: 'eop' }
+    );
+    assert.equal(parseHistoryQuery({ frequency: 'q' }, TODAY).aggregation, 'avg');
+});
+
+test('invalid parameters throw HistoryQueryError', () => {
+    assert.throws(() => parseHistoryQuery({ start: '06/01/2024' }, TODAY), HistoryQueryError);
+    assert.throws(() => parseHistoryQuery({ months: '0' }, TODAY), HistoryQueryError);
+    assert.throws(() => parseHistoryQuery({ frequency: 'hourly' }, TODAY), HistoryQueryError);
+    assert.throws(() => parseHistoryQuery({ aggregation: 'median' }, TODAY), HistoryQueryError);
+    assert.throws(() => parseHistoryQuery({ start: '2024-02-01', end: '2024-01-01' }, TODAY), HistoryQueryError);
+});
+
+test('subtractMonths clamps to the end of shorter months', () => {
+    assert.equal(subtractMonths('2024-03-31', 1), '2024-02-29');
+    assert.equal(subtractMonths('2023-03-31', 1), '2023-02-28');
+    assert.equal(subtractMonths('2024-01-15', 12), '2023-01-15');
+});
+
+test('only same or lower frequencies can be aggregated', () => {
+    assert.equal(canAggregate('D', 'm'), true);
+    assert.equal(canAggregate('M', 'q'), true);
+    assert.equal(canAggregate('A', 'm'), false);
+    assert.equal(canAggregate(null, 'm'), false);
+});
+
+test('FRED params include aggregation only when it applies', () => {
+    const request = { start: '2023-06-15', end: '2024-06-15', frequency: 'm', aggregation: 'avg' };
+
+    assert.deepEqual(buildFREDHistoryParams(request, 'D'), {
+        params: {
+            observation_start: '2023-06-15',
+            observation_end: '2024-06-15',
+            sort_order: 'desc',
+            frequency: 'm',
+            aggregation_method: 'avg'
+        },
+        frequency: 'm',
+        aggregation: 'avg'
+    });
+
+    const annual = buildFREDHistoryParams(request, 'A');
+    assert.equal(annual.params.frequency, undefined);
+    assert.equal(annual.frequency, 'a');
+
+    const monthly = buildFREDHistoryParams(request, 'M');
+    assert.equal(monthly.params.frequency, undefined);
+    assert.equal(monthly.frequency, 'm');
+});
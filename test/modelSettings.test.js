@@ -0,0 +1,200 @@
+/**
+ * Tests for src/js/modelSettings.js
+ */
+
+import { test, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    DEFAULT_MODEL_SETTINGS,
+    ModelSettingsService,
+    applyModelSettings,
+    isCustomModel,
+    mergeWithDefaults,
+    validateModelSettings
+} from '../src/js/modelSettings.js';
+import {
+    BASE_PROBABILITIES,
+    CONFIG,
+    CORRELATION_DISCOUNT,
+    ECONOMIC_THRESHOLDS,
+    RISK_THRESHOLDS
+} from '../src/js/config.js';
+import { ProbabilityCalculator } from '../src/js/probabilityCalculator.js';
+import { memoryStorage, silenceConsole } from './helpers.js';
+
+const originalFetch = globalThis.fetch;
+let restoreConsole;
+
+before(() => { restoreConsole = silenceConsole(); });
+after(() => restoreConsole());
+afterEach(() => {
+    globalThis.fetch = originalFetch;
+    applyModelSettings({});
+});
+
+function jsonResponse(body, status = 200) {
+    return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+test('defaults mirror config.js', () => {
+    assert.equal(DEFAULT_MODEL_SETTINGS.priors.recession, 0.15);
+    assert.deepEqual(DEFAULT_MODEL_SETTINGS.rules.recession.creditSpreads, { value: 4, factor: 2.0, present: 2.0, absent: 0.8 });
+    assert.deepEqual(DEFAULT_MODEL_SETTINGS.correlationDiscount, { 2: 0.7, 3: 0.5 });
+    assert.equal(isCustomModel({}), false);
+    assert.equal(isCustomModel(DEFAULT_MODEL_SETTINGS), false);
+});
+
+test('mergeWithDefaults fills gaps and drops unknown events and rules', () => {
+    const merged = mergeWithDefaults({
+        priors: { recession: 0.2, meteor: 0.5 },
+        rules: { recession: { creditSpreads: { value: 3.5 }, made_up: { value: 1 } } }
+    });
+
+    assert.equal(merged.priors.recession, 0.2);
+    assert.equal(merged.priors.depression, 0.03);
+    assert.equal('meteor' in merged.priors, false);
+    assert.equal(merged.rules.recession.creditSpreads.value, 3.5);
+    assert.equal(merged.rules.recession.creditSpreads.factor, 2.0);
+    assert.equal('made_up' in merged.rules.recession, false);
+});
+
+test('validateModelSettings reports every problem', () => {
+    const errors = validateModelSettings(mergeWithDefaults({
+        priors: { recession: 1.2 },
+        riskThresholds: { default: { critical: 0.1, high: 0.2, moderate: 0.04 } },
+        rules: { reserve: { dollarIndex: { value: NaN, factor: 0 } } },
+        correlationDiscount: { 3: 1.5 }
+    }));
+
+    assert.deepEqual(errors, [
+        'recession prior must be between 0 and 1 (exclusive)',
+        'default risk levels must satisfy 0 < moderate < high < critical ≤ 1',
+        'reserve dollarIndex threshold must be a number',
+        'reserve dollarIndex factor must be a positive number',
+        'Correlation discount for 3+ factors must be above 0 and at most 1'
+    ]);
+    assert.deepEqual(validateModelSettings(DEFAULT_MODEL_SETTINGS), []);
+});
+
+test('applyModelSettings updates the config objects in place', () => {
+    applyModelSettings({
+        priors: { recession: 0.2 },
+        riskThresholds: { recession: { critical: 0.5, high: 0.35, moderate: 0.2 } },
+        rules: { recession: { creditSpreads: { value: 3.5, factor: 2.5, present: 2.2, absent: 0.7 } } },
+        correlationDiscount: { 2: 0.8 }
+    });
+
+    assert.equal(BASE_PROBABILITIES.recession, 0.2);
+    assert.equal(RISK_THRESHOLDS.recession.critical, 0.5);
+    assert.equal(ECONOMIC_THRESHOLDS.recession.creditSpreads.value, 3.5);
+    assert.equal(ECONOMIC_THRESHOLDS.recession.creditSpreads.factor, 2.5);
+    assert.deepEqual(ECONOMIC_THRESHOLDS.recession.creditSpreads.likelihood, { present: 2.2, absent: 0.7 });
+    assert.equal(CORRELATION_DISCOUNT[2], 0.8);
+    assert.equal(CORRELATION_DISCOUNT[3], 0.5);
+});
+
+test('invalid settings are rejected without changing anything', () => {
+    assert.throws(() => applyModelSettings({ priors: { recession: 0.3, depression: -1 } }), { name: 'ValidationError' });
+
+    assert.equal(BASE_PROBABILITIES.recession, 0.15);
+});
+
+test('linear curves move with their threshold', () => {
+    applyModelSettings({ rules: { depression: { debtGDP: { value: 130 } } } });
+
+    assert.deepEqual(ECONOMIC_THRESHOLDS.depression.debtGDP.curve.points, [[120, 0], [130, 0.5], [150, 1]]);
+
+    applyModelSettings({});
+    assert.deepEqual(ECONOMIC_THRESHOLDS.depression.debtGDP.curve.points, [[140, 0], [150, 0.5], [170, 1]]);
+});
+
+test('the calculator picks up new settings on recalculate', async () => {
+    const calculator = new ProbabilityCalculator();
+    calculator.setTrendAnalysis(false);
+    calculator.setCurves(false);
+    await calculator.updateProbabilities({ BAA10Y: { raw: 3.8 } });
+    assert.equal(calculator.getProbabilities().recession, 0.15);
+
+    applyModelSettings({ priors: { recession: 0.1 }, rules: { recession: { creditSpreads: { value: 3.5, factor: 3 } } } });
+    const probabilities = calculator.recalculate();
+
+    assert.ok(Math.abs(probabilities.recession - 0.3) < 1e-12);
+    assert.equal(calculator.getRiskLevel('recession'), 'moderate');
+});
+
+test('risk levels, bands and critical events follow custom risk thresholds', async () => {
+    const calculator = new ProbabilityCalculator();
+    calculator.setTrendAnalysis(false);
+    calculator.setCurves(false);
+    await calculator.updateProbabilities({});
+    assert.deepEqual(calculator.getCriticalEvents(), []);
+
+    applyModelSettings({ riskThresholds: { recession: { critical: 0.15, high: 0.1, moderate: 0.05 } } });
+
+    assert.deepEqual(calculator.getRiskBands().recession, { critical: 0.15, high: 0.1, moderate: 0.05 });
+    assert.equal(calculator.getRiskLevel('recession'), 'critical');
+    assert.deepEqual(calculator.getCriticalEvents(), ['recession']);
+});
+
+test('ModelSettingsService prefers local settings over the proxy', async () => {
+    const storage = memoryStorage();
+    const service = new ModelSettingsService(storage);
+    let requests = 0;
+    globalThis.fetch = async () => {
+        requests++;
+        return jsonResponse({ settings: { priors: { recession: 0.25 } }, updatedAt: '2024-06-01T00:00:00Z' });
+    };
+
+    assert.deepEqual(await service.load(true), { priors: { recession: 0.25 } });
+    assert.equal(await service.load(false), null);
+
+    await service.save({ priors: { recession: 0.2 } });
+    assert.deepEqual(await service.load(true), { priors: { recession: 0.2 } });
+    assert.equal(requests, 1);
+
+    await service.reset();
+    assert.deepEqual(service.loadLocal(), {});
+});
+
+test('a reset to defaults wins over the proxy\'s shared settings after a reload', async () => {
+    const storage = memoryStorage();
+    globalThis.fetch = async () => jsonResponse({ settings: { priors: { recession: 0.25 } }, updatedAt: '2024-06-01T00:00:00Z' });
+
+    await new ModelSettingsService(storage).reset();
+    const settings = await new ModelSettingsService(storage).load(true);
+
+    assert.deepEqual(settings, {});
+    assert.equal(isCustomModel(settings), false);
+    assert.equal(applyModelSettings(settings).priors.recession, DEFAULT_MODEL_SETTINGS.priors.recession);
+});
+
+test('ModelSettingsService treats a 404 from the proxy as no settings', async () => {
+    globalThis.fetch = async () => jsonResponse({ error: 'No model settings stored' }, 404);
+
+    assert.equal(await new ModelSettingsService(memoryStorage()).load(true), null);
+});
+
+test('ModelSettingsService shares settings with the proxy on request', async () => {
+    const originalConfig = { ...CONFIG };
+    Object.assign(CONFIG, { BACKEND_URL: 'http://proxy.test', RETRY_DELAY_MS: 0 });
+    const requests = [];
+    globalThis.fetch = async (url, options = {}) => {
+        requests.push({ url, method: options.method, body: options.body, headers: options.headers });
+        return options.method === 'DELETE' ? new Response(null, { status: 204 }) : jsonResponse({});
+    };
+
+    try {
+        const service = new ModelSettingsService(memoryStorage());
+        await service.save({ priors: { recession: 0.2 } }, { shareWithBackend: true, adminToken: 'secret' });
+        await service.reset({ shareWithBackend: true, adminToken: 'secret' });
+
+        assert.deepEqual(requests.map(r => `${r.method} ${r.url}`), [
+            'PUT http://proxy.test/api/model-settings',
+            'DELETE http://proxy.test/api/model-settings'
+        ]);
+        assert.deepEqual(JSON.parse(requests[0].body), { priors: { recession: 0.2 } });
+        assert.ok(requests.every(r => r.headers.Authorization === 'Bearer secret'));
+    } finally {
+        Object.assign(CONFIG, originalConfig);
+    }
+});
@@ -0,0 +1,70 @@
+/**
+ * Tests for server/modelSettingsStore.js
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import modelSettingsStore from '../server/modelSettingsStore.js';
+import { silenceConsole } from './helpers.js';
+
+const { MemoryModelSettingsStore, ModelSettingsError, createModelSettingsStore } = modelSettingsStore;
+
+const SETTINGS = {
+    priors: { recession: 0.2 },
+    riskThresholds: { recession: { critical: 0.5, high: 0.35, moderate: 0.2 } },
+    rules: { recession: { creditSpreads: { value: 3.5, factor: 2.2, present: 2.2, absent: 0.8 } } },
+    correlationDiscount: { 2: 0.8, 3: 0.6 }
+};
+
+test('settings are replaced as a whole and stamped', () => {
+    const store = new MemoryModelSettingsStore();
+    assert.equal(store.get(), null);
+
+    store.set(SETTINGS);
+    const record = store.set({ priors: { recession: 0.25 } });
+
+    assert.deepEqual(store.get().settings, { priors: { recession: 0.25 } });
+    assert.ok(Date.parse(record.updatedAt));
+    assert.equal(store.getStats().stored, true);
+
+    store.clear();
+    assert.equal(store.get(), null);
+});
+
+test('invalid settings are rejected', () => {
+    const store = new MemoryModelSettingsStore();
+
+    assert.throws(() => store.set(null), ModelSettingsError);
+    assert.throws(() => store.set({ priors: [0.1] }), /priors/);
+    assert.throws(() => store.set({ rules: { recession: { creditSpreads: { value: '4' } } } }), /rules.recession.creditSpreads.value/);
+    assert.throws(() => store.set({ priors: { recession: 0.1 }, extra: {} }), /Unknown model settings: extra/);
+    assert.equal(store.get(), null);
+});
+
+test('file store survives a restart and removes the file on clear', () => {
+    const restoreConsole = silenceConsole();
+    const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'model-settings-')), 'model-settings.json');
+
+    try {
+        const first = createModelSettingsStore({ backend: 'file', filePath });
+        first.set(SETTINGS);
+
+        const second = createModelSettingsStore({ backend: 'file', filePath });
+        assert.deepEqual(second.get().settings, SETTINGS);
+        assert.equal(second.getStats().file, filePath);
+
+        second.clear();
+        assert.equal(fs.existsSync(filePath), false);
+        assert.equal(createModelSettingsStore({ backend: 'file', filePath }).get(), null);
+    } finally {
+        fs.rmSync(path.dirname(filePath), { recursive: true, force: true });
+        restoreConsole();
+    }
+});
+
+test('unknown backends are rejected', () => {
+    assert.throws(() => createModelSettingsStore({ backend: 'redis' }), /Unknown model settings backend/);
+});
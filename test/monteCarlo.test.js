@@ -0,0 +1,136 @@
+/**
+ * Tests for src/js/monteCarlo.js
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    MonteCarloSimulator,
+    createRandom,
+    estimateUncertainty,
+    monthlyVolatility,
+    percentile,
+    sampleNormal
+} from '../src/js/monteCarlo.js';
+import { ProbabilityCalculator } from '../src/js/probabilityCalculator.js';
+import { MONTE_CARLO } from '../src/js/config.js';
+import { silenceConsole } from './helpers.js';
+
+let restoreConsole;
+before(() => { restoreConsole = silenceConsole(); });
+after(() => restoreConsole());
+
+const NOW = new Date('2024-07-15T00:00:00Z');
+
+/**
+ * Monthly history, newest first like TrendAnalyzer keeps it
+ */
+function monthlyHistory(values) {
+    return values.map((value, i) => ({ date: new Date(Date.UTC(2024, 5 - i, 1)).toISOString().slice(0, 10), value }));
+}
+
+test('createRandom is reproducible with a seed', () => {
+    const a = createRandom(42);
+    const b = createRandom(42);
+    const first = [a(), a(), a()];
+
+    assert.deepEqual(first, [b(), b(), b()]);
+    assert.ok(first.every(x => x >= 0 && x < 1));
+    assert.notDeepEqual(first, [createRandom(7)(), createRandom(7)(), createRandom(7)()]);
+});
+
+test('sampleNormal has mean 0 and standard deviation 1', () => {
+    const random = createRandom(1);
+    const samples = Array.from({ length: 20000 }, () => sampleNormal(random));
+    const mean = samples.reduce((acc, x) => acc + x, 0) / samples.length;
+    const sd = Math.sqrt(samples.reduce((acc, x) => acc + (x - mean) ** 2, 0) / samples.length);
+
+    assert.ok(Math.abs(mean) < 0.03);
+    assert.ok(Math.abs(sd - 1) < 0.03);
+});
+
+test('percentile interpolates between sorted values', () => {
+    assert.equal(percentile([1, 2, 3, 4, 5], 0.5), 3);
+    assert.equal(percentile([0, 10], 0.05), 0.5);
+    assert.equal(percentile([7], 0.95), 7);
+    assert.equal(percentile([], 0.5), null);
+});
+
+test('monthlyVolatility scales changes to one month', () => {
+    // Alternating +1/-1 monthly changes: sample standard deviation of [1, -1, 1, -1]
+    const monthly = monthlyHistory([1, 0, 1, 0, 1]);
+    const expected = Math.sqrt(4 / 3);
+    assert.ok(Math.abs(monthlyVolatility(monthly) - expected) < 0.02);
+
+    // The same changes a year apart are much less volatile per month
+    const annual = [2023, 2022, 2021, 2020, 2019].map((year, i) => ({ date: `${year}-01-01`, value: i % 2 }));
+    assert.ok(monthlyVolatility(annual) < monthlyVolatility(monthly) / 3);
+
+    assert.equal(monthlyVolatility(monthlyHistory([1, 2])), null);
+    assert.equal(monthlyVolatility(undefined), null);
+});
+
+test('estimateUncertainty widens for stale values and weak sources', () => {
+    const history = monthlyHistory([4.5, 4.4, 4.6, 4.5, 4.7, 4.6]);
+    const fresh = { raw: 4.5, source: 'FRED API', date: '2024-07-01' };
+
+    const base = estimateUncertainty(fresh, history, { now: NOW });
+    assert.ok(Math.abs(base - monthlyVolatility(history)) < 1e-12);
+
+    const stale = estimateUncertainty({ ...fresh, date: '2023-07-01' }, history, { now: NOW });
+    assert.ok(Math.abs(stale - base * Math.sqrt(12.5)) < base * 0.1);
+
+    const estimate = estimateUncertainty({ raw: 7.2, source: 'Estimate' }, null, { now: NOW });
+    const expected = Math.hypot(MONTE_CARLO.defaultVolatility * 7.2, MONTE_CARLO.sourceUncertainty.Estimate * 7.2);
+    assert.ok(Math.abs(estimate - expected) < 1e-12);
+
+    const unknown = estimateUncertainty({ raw: 10, source: 'Elsewhere' }, null, { now: NOW });
+    assert.ok(unknown > estimateUncertainty({ raw: 10, source: 'FRED API' }, null, { now: NOW }));
+});
+
+async function calculatorFor(indicators) {
+    const calculator = new ProbabilityCalculator();
+    calculator.setTrendAnalysis(false);
+    calculator.setCurves(false);
+    await calculator.updateProbabilities(indicators);
+    return calculator;
+}
+
+test('indicators far from any threshold give a tight band at the point estimate', async () => {
+    const indicators = { BAA10Y: { raw: 1.5, source: 'FRED API', date: '2024-07-01' } };
+    const calculator = await calculatorFor(indicators);
+
+    const { bands, samples } = new MonteCarloSimulator(calculator, { samples: 200, seed: 3 }).run(indicators, { now: NOW });
+
+    assert.equal(samples, 200);
+    assert.deepEqual(bands.recession, { low: 0.15, median: 0.15, high: 0.15 });
+});
+
+test('indicators near a threshold spread the band around the point estimate', async () => {
+    // An estimated deficit right at the 5% recession threshold
+    const indicators = { DeficitGDP: { raw: 5, source: 'Estimate', date: '2024-07-01' } };
+    const calculator = await calculatorFor(indicators);
+
+    const result = new MonteCarloSimulator(calculator, { samples: 400, seed: 11 }).run(indicators, { now: NOW });
+    const band = result.bands.recession;
+
+    assert.equal(band.low, 0.15);
+    assert.ok(Math.abs(band.high - 0.15 * 1.8) < 1e-12);
+    assert.ok(band.low <= band.median && band.median <= band.high);
+    assert.ok(result.uncertainty.DeficitGDP > 0.7);
+    // Sampling does not change the calculator's own results
+    assert.equal(calculator.getProbabilities().recession, 0.15);
+});
+
+test('runs with the same seed give the same bands', async () => {
+    const indicators = {
+        DeficitGDP: { raw: 5.2, source: 'Treasury API', date: '2024-06-01' },
+        BAA10Y: { raw: 3.9, source: 'Mock Data' }
+    };
+    const calculator = await calculatorFor(indicators);
+
+    const first = new MonteCarloSimulator(calculator, { samples: 100, seed: 5 }).run(indicators, { now: NOW });
+    const second = new MonteCarloSimulator(calculator, { samples: 100, seed: 5 }).run(indicators, { now: NOW });
+
+    assert.deepEqual(first.bands, second.bands);
+});
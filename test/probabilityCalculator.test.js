@@ -0,0 +1,496 @@
+/**
+ * Tests for src/js/probabilityCalculator.js
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { ProbabilityCalculator } from '../src/js/probabilityCalculator.js';
+import { BASE_PROBABILITIES, ECONOMIC_THRESHOLDS } from '../src/js/config.js';
+import { silenceConsole } from './helpers.js';
+
+let restoreConsole;
+before(() => { restoreConsole = silenceConsole(); });
+after(() => restoreConsole());
+
+// Indicators that trigger no rule at all
+const CALM = {
+    DeficitGDP: { raw: 2 },
+    BAA10Y: { raw: 2 },
+    T10Y2Y: { raw: 0.5 },
+    DFF: { raw: 4 },
+    GFDGDPA188S: { raw: 100 },
+    BOGMBASE: { raw: 5000 },
+    M2SL: { raw: 20000 },
+    DTWEXBGS: { raw: 125 },
+    A091RC1Q027SBEA: { raw: 3 },
+    DGS10: { raw: 4.5 }
+};
+
+function withIndicators(overrides) {
+    const indicators = { ...CALM };
+    for (const [id, raw] of Object.entries(overrides)) {
+        indicators[id] = { raw };
+    }
+    return indicators;
+}
+
+// Rules are evaluated as step thresholds unless curves are requested, so expected values stay exact
+async function calculate(overrides = {}, trendMultipliers = null, { curves = false } = {}) {
+    const calculator = new ProbabilityCalculator();
+    calculator.setCurves(curves);
+    if (trendMultipliers) {
+        calculator.trendAnalyzer.analyzeAllTrends = async () => trendMultipliers;
+    } else {
+        calculator.setTrendAnalysis(false);
+    }
+    const probabilities = await calculator.updateProbabilities(withIndicators(overrides));
+    return { calculator, probabilities };
+}
+
+function reasons(calculator, event) {
+    return calculator.getFactors(event).map(f => f.reason);
+}
+
+test('calm indicators leave every probability at its base rate', async () => {
+    const { calculator, probabilities } = await calculate();
+
+    assert.deepEqual(probabilities, BASE_PROBABILITIES);
+    for (const event of Object.keys(BASE_PROBABILITIES)) {
+        assert.deepEqual(calculator.getFactors(event), []);
+    }
+});
+
+// Each rule: indicator overrides just past and just short of the threshold
+const RULES = [
+    { event: 'recession', reason: 'Deficit > 5% GDP', trigger: { DeficitGDP: 5.1 }, miss: { DeficitGDP: 5 }, factor: 1.8 },
+    { event: 'recession', reason: 'Credit spreads > 400bps', trigger: { BAA10Y: 4.01 }, miss: { BAA10Y: 4 }, factor: 2.0 },
+    { event: 'recession', reason: 'Yield curve inverted', trigger: { T10Y2Y: -0.01 }, miss: { T10Y2Y: 0 }, factor: 1.7 },
+    { event: 'depression', reason: 'Fed Funds < 0.5%', trigger: { DFF: 0.25 }, miss: { DFF: 0.5 }, factor: 3.0 },
+    { event: 'depression', reason: 'Debt/GDP > 150%', trigger: { GFDGDPA188S: 151 }, miss: { GFDGDPA188S: 150 }, factor: 2.0 },
+    { event: 'depression', reason: 'Extreme QE conditions', trigger: { BOGMBASE: 6100 }, miss: { BOGMBASE: 6000 }, factor: 1.5 },
+    { event: 'reserve', reason: 'Dollar weakness', trigger: { DTWEXBGS: 109.9 }, miss: { DTWEXBGS: 110 }, factor: 1.5 },
+    { event: 'default', reason: 'Deficit > 7% GDP', trigger: { DeficitGDP: 7.1 }, miss: { DeficitGDP: 7 }, factor: 3.0 },
+    { event: 'default', reason: 'Interest payments > 4% GDP', trigger: { A091RC1Q027SBEA: 4.1 }, miss: { A091RC1Q027SBEA: 4 }, factor: 2.5 },
+    { event: 'default', reason: 'Rising long-term rates', trigger: { DGS10: 6.1, DFF: 4 }, miss: { DGS10: 6, DFF: 4 }, factor: 1.5 },
+    { event: 'devaluation', reason: 'Broad dollar index < 120', trigger: { DTWEXBGS: 119.9 }, miss: { DTWEXBGS: 120 }, factor: 1.5 },
+    { event: 'devaluation', reason: 'High deficit monetization risk', trigger: { DeficitGDP: 7.1 }, miss: { DeficitGDP: 7 }, factor: 1.8 }
+];
+
+for (const rule of RULES) {
+    test(`${rule.event}: "${rule.reason}" triggers past its threshold`, async () => {
+        const { calculator, probabilities } = await calculate(rule.trigger);
+
+        assert.ok(reasons(calculator, rule.event).includes(rule.reason));
+        if (calculator.getFactors(rule.event).length === 1) {
+            assert.equal(probabilities[rule.event], BASE_PROBABILITIES[rule.event] * rule.factor);
+        }
+    });
+
+    test(`${rule.event}: "${rule.reason}" does not trigger at its threshold`, async () => {
+        const { calculator } = await calculate(rule.miss);
+
+        assert.equal(reasons(calculator, rule.event).includes(rule.reason), false);
+    });
+}
+
+test('missing indicators are skipped without errors', async () => {
+    const calculator = new ProbabilityCalculator();
+    calculator.setTrendAnalysis(false);
+    calculator.setCurves(false);
+
+    const probabilities = await calculator.updateProbabilities({ DeficitGDP: { raw: 8 } });
+
+    assert.equal(calculator.getFactors('recession').length, 1);
+    assert.equal(calculator.getFactors('depression').length, 0);
+    assert.equal(probabilities.default, 0.01 * 3.0);
+});
+
+test('two factors are discounted by 0.7', async () => {
+    const { calculator, probabilities } = await calculate({ DeficitGDP: 7.1, DTWEXBGS: 115 });
+
+    assert.equal(calculator.getFactors('devaluation').length, 2);
+    assert.ok(Math.abs(probabilities.devaluation - 0.20 * 1.5 * 1.8 * 0.7) < 1e-12);
+});
+
+test('three or more factors are discounted by 0.5', async () => {
+    const { calculator, probabilities } = await calculate({ DeficitGDP: 6, BAA10Y: 4.5, T10Y2Y: -0.3 });
+
+    assert.equal(calculator.getFactors('recession').length, 3);
+    assert.ok(Math.abs(probabilities.recession - 0.15 * 1.8 * 2.0 * 1.7 * 0.5) < 1e-12);
+});
+
+test('probabilities are clamped at 100%', async () => {
+    const { probabilities } = await calculate(
+        { DeficitGDP: 8, BAA10Y: 6, T10Y2Y: -1 },
+        { DeficitGDP: 5, BAA10Y: 5, T10Y2Y: 5 }
+    );
+
+    assert.equal(probabilities.recession, 1);
+});
+
+test('trend multipliers scale recession factors', async () => {
+    const { calculator, probabilities } = await calculate({ BAA10Y: 4.5 }, { BAA10Y: 1.3 });
+    const [factor] = calculator.getFactors('recession');
+
+    assert.equal(factor.baseFactor, 2.0);
+    assert.ok(Math.abs(factor.factor - 2.6) < 1e-12);
+    assert.equal(factor.trendAdjusted, true);
+    assert.ok(Math.abs(probabilities.recession - 0.15 * 2.6) < 1e-12);
+});
+
+test('trend adjustment applies to every risk, but not to derived values', async () => {
+    const { calculator } = await calculate(
+        { A091RC1Q027SBEA: 4.5, DGS10: 7, DFF: 4 },
+        { A091RC1Q027SBEA: 1.3, DGS10: 1.3, DFF: 1.3 }
+    );
+    const factors = Object.fromEntries(calculator.getFactors('default').map(f => [f.rule, f]));
+
+    assert.ok(Math.abs(factors.interestPayments.factor - 2.5 * 1.3) < 1e-12);
+    assert.equal(factors.interestPayments.trendAdjusted, true);
+    assert.equal(factors.rateSpread.factor, 1.5);
+    assert.equal(factors.rateSpread.trendAdjusted, false);
+});
+
+test('triggered factors describe the rule that produced them', async () => {
+    const { calculator } = await calculate({ DGS10: 6.5, DFF: 4 });
+    const [factor] = calculator.getFactors('default');
+
+    assert.equal(factor.rule, 'rateSpread');
+    assert.equal(factor.indicator, 'rateSpread');
+    assert.equal(factor.value, 2.5);
+    assert.equal(factor.threshold, 2);
+    assert.equal(factor.operator, '>');
+});
+
+test('rules added to config are evaluated without code changes', async () => {
+    ECONOMIC_THRESHOLDS.recession.unemployment = {
+        indicator: 'UNRATE', operator: '>=', value: 7, factor: 1.4, reason: 'Unemployment >= 7%', trendAdjust: true
+    };
+
+    try {
+        const { calculator, probabilities } = await calculate({ UNRATE: 7 });
+
+        assert.deepEqual(reasons(calculator, 'recession'), ['Unemployment >= 7%']);
+        assert.ok(Math.abs(probabilities.recession - 0.15 * 1.4) < 1e-12);
+    } finally {
+        delete ECONOMIC_THRESHOLDS.recession.unemployment;
+    }
+});
+
+test('failed trend analysis falls back to unadjusted factors', async () => {
+    const calculator = new ProbabilityCalculator();
+    calculator.trendAnalyzer.analyzeAllTrends = async () => { throw new Error('offline'); };
+    calculator.setCurves(false);
+
+    const probabilities = await calculator.updateProbabilities(withIndicators({ BAA10Y: 4.5 }));
+
+    assert.equal(probabilities.recession, 0.15 * 2.0);
+});
+
+test('risk levels follow RISK_THRESHOLDS', async () => {
+    const calculator = new ProbabilityCalculator();
+    calculator.currentProbabilities = {
+        recession: 0.60,
+        depression: 0.15,
+        reserve: 0.12,
+        default: 0.01,
+        devaluation: 0.20
+    };
+
+    assert.deepEqual(calculator.getAllRiskLevels(), {
+        recession: 'critical',
+        depression: 'high',
+        reserve: 'moderate',
+        default: 'low',
+        devaluation: 'moderate'
+    });
+    assert.deepEqual(calculator.getCriticalEvents(), ['recession']);
+});
+
+test('bayesian mode multiplies prior odds by present and absent likelihood ratios', async () => {
+    const { calculator } = await calculate({ BAA10Y: 4.5 });
+    calculator.setMode('bayesian');
+
+    // Credit spreads present (2.0); deficit (0.9) and yield curve (0.75) absent
+    const odds = (0.15 / 0.85) * 2.0 * 0.9 * 0.75;
+    assert.ok(Math.abs(calculator.getProbabilities().recession - odds / (1 + odds)) < 1e-12);
+});
+
+test('bayesian mode lowers the prior when every trigger is absent', async () => {
+    const { calculator } = await calculate();
+    calculator.setMode('bayesian');
+
+    const probabilities = calculator.getProbabilities();
+    for (const event of Object.keys(BASE_PROBABILITIES)) {
+        assert.ok(probabilities[event] < BASE_PROBABILITIES[event], event);
+    }
+});
+
+test('bayesian mode discounts correlated likelihood ratios and never reaches 100%', async () => {
+    const { calculator } = await calculate(
+        { DeficitGDP: 8, BAA10Y: 6, T10Y2Y: -1 },
+        { DeficitGDP: 5, BAA10Y: 5, T10Y2Y: 5 }
+    );
+    calculator.setMode('bayesian');
+
+    // Trend multipliers are capped by the mock at 5: (1.8·5 × 2.0·5 × 1.7·5)^0.5
+    const odds = (0.15 / 0.85) * Math.pow(1.8 * 5 * 2.0 * 5 * 1.7 * 5, 0.5);
+    const { recession } = calculator.getProbabilities();
+    assert.ok(Math.abs(recession - odds / (1 + odds)) < 1e-12);
+    assert.ok(recession < 1);
+});
+
+test('getModeComparison returns both modes from one evaluation', async () => {
+    const { calculator, probabilities } = await calculate({ DTWEXBGS: 115 });
+    const comparison = calculator.getModeComparison();
+
+    assert.deepEqual(Object.keys(comparison), ['multiplicative', 'bayesian']);
+    assert.deepEqual(comparison.multiplicative, probabilities);
+    assert.equal(calculator.mode, 'multiplicative');
+    assert.ok(comparison.bayesian.devaluation > BASE_PROBABILITIES.devaluation);
+});
+
+test('setMode ignores unknown modes', async () => {
+    const { calculator } = await calculate();
+    calculator.setMode('frequentist');
+
+    assert.equal(calculator.mode, 'multiplicative');
+});
+
+test('logistic curves scale a factor smoothly around the threshold', async () => {
+    // Credit spreads: threshold 4, width 0.25
+    const below = await calculate({ BAA10Y: 3.9 }, null, { curves: true });
+    const at = await calculate({ BAA10Y: 4 }, null, { curves: true });
+    const past = await calculate({ BAA10Y: 4.5 }, null, { curves: true });
+
+    const weight = (value) => 1 / (1 + Math.exp(-(value - 4) / 0.25));
+    const [belowFactor] = below.calculator.getFactors('recession');
+    const [atFactor] = at.calculator.getFactors('recession');
+    const [pastFactor] = past.calculator.getFactors('recession');
+
+    assert.ok(Math.abs(belowFactor.weight - weight(3.9)) < 1e-12);
+    assert.equal(atFactor.weight, 0.5);
+    assert.ok(Math.abs(atFactor.factor - Math.sqrt(2.0)) < 1e-12);
+    assert.ok(Math.abs(pastFactor.factor - Math.pow(2.0, weight(4.5))) < 1e-12);
+    assert.ok(below.probabilities.recession < at.probabilities.recession);
+    assert.ok(at.probabilities.recession < past.probabilities.recession);
+});
+
+test('logistic curves follow the rule direction for "<" operators', async () => {
+    // Broad dollar index < 120 (devaluation), width 1.5
+    const { calculator } = await calculate({ DTWEXBGS: 118 }, null, { curves: true });
+    const [factor] = calculator.getFactors('devaluation');
+
+    assert.ok(Math.abs(factor.weight - 1 / (1 + Math.exp(-2 / 1.5))) < 1e-12);
+});
+
+test('linear curves interpolate between points and stay flat beyond them', async () => {
+    // Interest payments: [[3.5, 0], [4, 0.5], [5, 1]]
+    const cases = [[3.4, null], [3.75, 0.25], [4.5, 0.75], [6, 1]];
+
+    for (const [value, expected] of cases) {
+        const { calculator } = await calculate({ A091RC1Q027SBEA: value }, null, { curves: true });
+        const factor = calculator.getFactors('default').find(f => f.rule === 'interestPayments');
+
+        if (expected === null) {
+            assert.equal(factor, undefined, `${value}`);
+        } else {
+            assert.ok(Math.abs(factor.weight - expected) < 1e-12, `${value}`);
+            assert.deepEqual(factor.curve, ECONOMIC_THRESHOLDS.default.interestPayments.curve);
+        }
+    }
+});
+
+test('weights below minCurveWeight count as absent evidence', async () => {
+    const { calculator, probabilities } = await calculate({}, null, { curves: true });
+
+    assert.deepEqual(probabilities, BASE_PROBABILITIES);
+    assert.ok(calculator.ruleEvaluations.recession.every(e => !e.triggered));
+});
+
+test('graded likelihood ratios blend present and absent in bayesian mode', async () => {
+    const { calculator } = await calculate({ BAA10Y: 4 }, null, { curves: true });
+    calculator.setMode('bayesian');
+
+    const [factor] = calculator.getFactors('recession');
+    assert.ok(Math.abs(factor.likelihoodRatio - Math.sqrt(2.0 * 0.8)) < 1e-12);
+});
+
+test('probabilities never fall as an indicator moves along its curve', async () => {
+    // The yield curve sweeps from steep to inverted while the other recession rules sit partway along theirs
+    for (const mode of ['multiplicative', 'bayesian']) {
+        let previous = 0;
+        for (let spread = 1; spread >= -1; spread -= 0.02) {
+            const { calculator } = await calculate({ DeficitGDP: 6.5, BAA10Y: 2.15, T10Y2Y: spread }, null, { curves: true });
+            calculator.setMode(mode);
+            const probability = calculator.getProbabilities().recession;
+
+            assert.ok(probability >= previous - 1e-12, `${mode} at T10Y2Y ${spread.toFixed(2)}`);
+            previous = probability;
+        }
+    }
+});
+
+test('the correlation discount counts graded factors by their weight', async () => {
+    const { calculator } = await calculate({ DeficitGDP: 6.5, BAA10Y: 2.15, T10Y2Y: 0.3 }, null, { curves: true });
+    const weight = calculator.getTriggeredWeight('recession');
+
+    assert.ok(weight > 1 && weight < 2);
+    assert.ok(Math.abs(calculator.getCorrelationDiscount(weight) - Math.pow(0.7, weight - 1)) < 1e-12);
+    assert.equal(calculator.getCorrelationDiscount(1), 1);
+    assert.equal(calculator.getCorrelationDiscount(2), 0.7);
+    assert.ok(Math.abs(calculator.getCorrelationDiscount(2.5) - 0.7 * Math.sqrt(0.5 / 0.7)) < 1e-12);
+    assert.equal(calculator.getCorrelationDiscount(4), 0.5);
+
+    const discount = calculator.getAttribution('recession').steps.find(s => s.type === 'discount');
+    assert.equal(discount.multiplier, calculator.getCorrelationDiscount(weight));
+    assert.equal(discount.label, `Correlation discount (${weight.toFixed(1)} weighted factors)`);
+});
+
+test('curves can be turned off to restore step thresholds', async () => {
+    const { calculator } = await calculate({ BAA10Y: 4.01 });
+    const [factor] = calculator.getFactors('recession');
+
+    assert.equal(factor.weight, 1);
+    assert.equal(factor.factor, 2.0);
+    assert.equal(factor.curve, null);
+});
+
+test('getRulesForIndicator lists direct and derived rules with their active state', async () => {
+    const { calculator } = await calculate({ DeficitGDP: 8 });
+
+    const deficitRules = calculator.getRulesForIndicator('DeficitGDP');
+    assert.deepEqual(deficitRules.map(r => r.event), ['recession', 'default', 'devaluation']);
+    assert.ok(deficitRules.every(r => r.active && r.derived === null));
+
+    const yieldRules = calculator.getRulesForIndicator('DGS10');
+    assert.equal(yieldRules.length, 1);
+    assert.equal(yieldRules[0].event, 'default');
+    assert.ok(yieldRules[0].derived);
+    assert.equal(yieldRules[0].active, false);
+
+    assert.deepEqual(calculator.getRulesForIndicator('UNKNOWN'), []);
+});
+
+test('getIndicatorDetails returns history oldest first and inverted trend analysis', async () => {
+    const { calculator } = await calculate();
+    // Trend analyzer history is newest first; spreads widening is a worsening trend
+    calculator.trendAnalyzer.historicalData.BAA10Y = [3.0, 2.8, 2.6, 2.4, 2.2, 2.0, 1.9, 1.8]
+        .map((value, i) => ({ date: `2024-${String(8 - i).padStart(2, '0')}-01`, value }));
+
+    const details = calculator.getIndicatorDetails('BAA10Y');
+
+    assert.equal(details.history[0].date, '2024-01-01');
+    assert.equal(details.history[details.history.length - 1].value, 3.0);
+    assert.equal(details.trend.direction, -1);
+    assert.equal(details.trend.dataPoints, 8);
+    assert.equal(details.rules[0].rule, 'creditSpreads');
+
+    const missing = calculator.getIndicatorDetails('T10Y2Y');
+    assert.deepEqual(missing.history, []);
+    assert.equal(missing.trend, null);
+});
+
+function sumContributions(attribution) {
+    return attribution.steps.reduce((acc, step) => acc + step.contribution, 0);
+}
+
+test('attribution splits the multiplicative change by each factor\'s log share', async () => {
+    const { calculator, probabilities } = await calculate({ DeficitGDP: 5.1, BAA10Y: 4.01 });
+
+    const attribution = calculator.getAttribution('recession');
+
+    assert.equal(attribution.base, BASE_PROBABILITIES.recession);
+    assert.equal(attribution.final, probabilities.recession);
+    assert.deepEqual(attribution.steps.map(s => s.type), ['factor', 'factor', 'discount']);
+    assert.ok(Math.abs(attribution.base + sumContributions(attribution) - attribution.final) < 1e-12);
+
+    const [deficit, spreads, discount] = attribution.steps;
+    assert.ok(spreads.contribution > deficit.contribution);
+    assert.ok(discount.contribution < 0);
+    assert.ok(Math.abs(deficit.contribution / spreads.contribution - Math.log(1.8) / Math.log(2.0)) < 1e-9);
+});
+
+test('attribution shows the 100% cap as its own step', async () => {
+    const { calculator } = await calculate();
+    calculator.updateFactors.recession = [{ rule: 'shock', reason: 'Shock', factor: 10 }];
+
+    const attribution = calculator.getAttribution('recession');
+    const clampStep = attribution.steps[attribution.steps.length - 1];
+
+    assert.equal(attribution.final, 1);
+    assert.equal(clampStep.type, 'clamp');
+    assert.ok(Math.abs(clampStep.contribution + 0.5) < 1e-12);
+    assert.ok(Math.abs(attribution.base + sumContributions(attribution) - 1) < 1e-12);
+});
+
+test('bayesian attribution includes absent evidence and adds up in probability', async () => {
+    const { calculator } = await calculate({ BAA10Y: 4.01 });
+
+    const attribution = calculator.getAttribution('recession', 'bayesian');
+
+    assert.deepEqual(attribution.steps.map(s => s.type), ['factor', 'absent']);
+    assert.equal(attribution.steps[0].label, 'Credit spreads > 400bps');
+    assert.ok(attribution.steps[1].contribution < 0);
+    assert.equal(attribution.final, calculator.getModeComparison().bayesian.recession);
+    assert.ok(Math.abs(attribution.base + sumContributions(attribution) - attribution.final) < 1e-12);
+});
+
+test('calm indicators have an empty attribution', async () => {
+    const { calculator } = await calculate();
+
+    const attribution = calculator.getAttribution('depression');
+
+    assert.deepEqual(attribution.steps, []);
+    assert.equal(attribution.final, attribution.base);
+});
+
+test('sensitivity reports distance to each threshold and the effect of flipping it', async () => {
+    const { calculator, probabilities } = await calculate({ BAA10Y: 4.5 });
+
+    const rows = calculator.getSensitivity('recession');
+    const spreads = rows.find(r => r.rule === 'creditSpreads');
+    const curve = rows.find(r => r.rule === 'yieldCurve');
+
+    assert.equal(rows.length, Object.keys(ECONOMIC_THRESHOLDS.recession).length);
+    assert.equal(spreads.triggered, true);
+    assert.ok(Math.abs(spreads.distance + 0.5) < 1e-12);
+    assert.equal(spreads.flippedProbability, BASE_PROBABILITIES.recession);
+    assert.ok(Math.abs(spreads.probabilityChange - (BASE_PROBABILITIES.recession - probabilities.recession)) < 1e-12);
+
+    assert.equal(curve.triggered, false);
+    assert.equal(curve.distance, -0.5);
+    // Yield curve (×1.7) joins spreads (×2.0) with the two-factor discount
+    assert.ok(Math.abs(curve.flippedProbability - 0.15 * 2.0 * 1.7 * 0.7) < 1e-12);
+    // Flipping is hypothetical
+    assert.deepEqual(calculator.getProbabilities(), probabilities);
+});
+
+test('sensitivity treats a rule partway along its curve as triggered with its curve weight', async () => {
+    // Credit spreads at 3.9: short of the 4 threshold, but the logistic curve already applies part of the factor
+    const { calculator, probabilities } = await calculate({ BAA10Y: 3.9 }, null, { curves: true });
+    const [factor] = calculator.getFactors('recession');
+
+    const row = calculator.getSensitivity('recession').find(r => r.rule === 'creditSpreads');
+    const removed = calculator.simulate(withIndicators({ BAA10Y: 3.9 }), {
+        weightOverrides: { recession: { creditSpreads: 0 } }
+    });
+
+    assert.ok(factor.weight > 0.05 && factor.weight < 0.5);
+    assert.equal(row.triggered, true);
+    assert.equal(row.weight, factor.weight);
+    assert.ok(row.distance > 0);
+    assert.equal(row.flippedProbability, removed.probabilities.recession);
+    assert.ok(Math.abs(row.flippedProbability - BASE_PROBABILITIES.recession) < 1e-12);
+    assert.ok(Math.abs(row.probabilityChange - (BASE_PROBABILITIES.recession - probabilities.recession)) < 1e-12);
+});
+
+test('sensitivity uses derived values for derived rules', async () => {
+    const { calculator } = await calculate();
+
+    const spread = calculator.getSensitivity('default').find(r => r.rule === 'rateSpread');
+
+    assert.equal(spread.indicator, '10Y - Fed Funds spread');
+    assert.ok(Math.abs(spread.value - 0.5) < 1e-12);
+    assert.ok(spread.probabilityChange > 0);
+});
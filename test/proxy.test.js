@@ -0,0 +1,476 @@
+/**
+ * Route tests for fred-proxy-server.js against a stubbed FRED/Treasury upstream
+ */
+
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import adminAuth from '../server/adminAuth.js';
+import { createUpstreamStub, createWebhookStub, listen, mtsPublication, silenceConsole } from './helpers.js';
+
+const stub = createUpstreamStub({
+    observations: {
+        DGS10: [{ date: '2024-06-03', value: '4.40' }, { date: '2024-05-31', value: '4.50' }],
+        DFF: [{ date: '2024-06-03', value: '5.33' }],
+        GFDGDPA188S: [{ date: '2023-01-01', value: '122.3' }],
+        GDP: [
+            { date: '2024-01-01', value: '28000' },
+            { date: '2023-10-01', value: '27600' },
+            { date: '2023-07-01', value: '27400' },
+            { date: '2023-04-01', value: '27000' },
+            { date: '2023-01-01', value: '26500' }
+        ],
+        T10Y2Y: [{ date: '2024-06-03', value: '-0.35' }],
+        A091RC1Q027SBEA: [{ date: '2024-01-01', value: '3.9' }],
+        BAA10Y: [{ date: '2024-06-03', value: '1.65' }],
+        VIXCLS: [{ date: '2024-06-03', value: '12.9' }],
+        DTWEXBGS: [{ date: '2024-05-31', value: '121.8' }],
+        GOLDAMGBD228NLBM: [{ date: '2024-06-03', value: '2350' }],
+        UNRATE: [{ date: '2024-05-01', value: '4.0' }],
+        M2SL: [{ date: '2024-04-01', value: '20900' }],
+        BOGMBASE: [{ date: '2024-04-01', value: '5600' }],
+        BADVALUE: [{ date: '2024-06-03', value: '.' }]
+    },
+    frequencies: { DGS10: 'D', GFDGDPA188S: 'A' },
+    // A $100B monthly deficit in FY 2023 and $120B so far in FY 2024 (amounts in millions)
+    mts: mtsPublication('2024-05-31', {
+        'FY 2023': Array(12).fill([400000, 500000]),
+        'FY 2024': Array(8).fill([400000, 520000])
+    })
+});
+
+const webhooks = createWebhookStub();
+
+let upstream;
+let receiver;
+let proxy;
+let restoreConsole;
+
+before(async () => {
+    restoreConsole = silenceConsole();
+    upstream = await listen(stub.app);
+    receiver = await listen(webhooks.app);
+
+    process.env.FRED_API_KEY = 'test-key';
+    process.env.PROXY_MODE = 'live';
+    process.env.CACHE_BACKEND = 'memory';
+    process.env.SNAPSHOT_BACKEND = 'memory';
+    process.env.MODEL_SETTINGS_BACKEND = 'memory';
+    process.env.ALERT_DELIVERY_BACKEND = 'memory';
+    process.env.ADMIN_TOKEN = 'test-admin-token';
+    process.env.ALERT_WEBHOOKS = JSON.stringify([
+        { name: 'slack', url: `${receiver.baseUrl}/slack`, format: 'slack' },
+        { name: 'generic', url: `${receiver.baseUrl}/generic` }
+    ]);
+    process.env.MAX_RETRIES = '1';
+    process.env.FRED_API_URL = `${upstream.baseUrl}/fred`;
+    process.env.TREASURY_API_URL = `${upstream.baseUrl}/treasury`;
+
+    const { default: app } = await import('../fred-proxy-server.js');
+    proxy = await listen(app);
+});
+
+after(async () => {
+    await proxy.close();
+    await upstream.close();
+    await receiver.close();
+    restoreConsole();
+});
+
+beforeEach(async () => {
+    await fetch(`${proxy.baseUrl}/api/cache/clear`, { method: 'POST' });
+    stub.calls.length = 0;
+    stub.failing.clear();
+    stub.delayMs = 0;
+});
+
+const ADMIN = { Authorization: 'Bearer test-admin-token' };
+
+async function getJSON(path, options) {
+    const response = await fetch(`${proxy.baseUrl}${path}`, options);
+    return { status: response.status, body: await response.json() };
+}
+
+test('GET /health reports mode and cache stats', async () => {
+    const { status, body } = await getJSON('/health');
+
+    assert.equal(status, 200);
+    assert.equal(body.status, 'ok');
+    assert.equal(body.mode, 'live');
+    assert.equal(body.cache.backend, 'memory');
+});
+
+test('GET /api/fred/:seriesId fetches the latest observation then serves it from cache', async () => {
+    const first = await getJSON('/api/fred/DGS10');
+    assert.equal(first.status, 200);
+    assert.equal(first.body.cached, false);
+    assert.deepEqual(first.body.observations, [{ date: '2024-06-03', value: '4.40' }]);
+
+    const [call] = stub.callsFor('/fred/series/observations', 'DGS10');
+    assert.equal(call.query.api_key, 'test-key');
+    assert.equal(call.query.limit, '1');
+    assert.equal(call.query.sort_order, 'desc');
+
+    const second = await getJSON('/api/fred/DGS10');
+    assert.equal(second.body.cached, true);
+    assert.equal(stub.callsFor('/fred/series/observations', 'DGS10').length, 1);
+});
+
+test('GET /api/fred/:seriesId returns 500 for invalid upstream values', async () => {
+    const { status, body } = await getJSON('/api/fred/BADVALUE');
+
+    assert.equal(status, 500);
+    assert.equal(body.seriesId, 'BADVALUE');
+    assert.match(body.error, /Invalid numeric value/);
+});
+
+test('concurrent requests for the same series share one upstream call', async () => {
+    stub.delayMs = 50;
+
+    const results = await Promise.all([
+        getJSON('/api/fred/DFF'),
+        getJSON('/api/fred/DFF'),
+        getJSON('/api/fred/batch', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ series: ['DFF'] })
+        })
+    ]);
+
+    assert.equal(stub.callsFor('/fred/series/observations', 'DFF').length, 1);
+    assert.equal(results[0].body.observations[0].value, '5.33');
+    assert.equal(results[2].body.DFF.observations[0].value, '5.33');
+});
+
+test('POST /api/fred/batch returns per-series results and metadata', async () => {
+    stub.failing.add('DFF');
+
+    const { status, body } = await getJSON('/api/fred/batch', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ series: ['DGS10', 'DFF'] })
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.DGS10.observations[0].value, '4.40');
+    assert.ok(body.DFF.error);
+    assert.equal(body._metadata.total, 2);
+    assert.equal(body._metadata.successful, 1);
+    assert.equal(body._metadata.failed, 1);
+});
+
+test('POST /api/fred/batch rejects a missing series array', async () => {
+    const { status } = await getJSON('/api/fred/batch', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({})
+    });
+
+    assert.equal(status, 400);
+});
+
+test('history aggregates daily series to the requested frequency over a calendar window', async () => {
+    const { status, body } = await getJSON('/api/fred/DGS10/history?start=2024-01-01&end=2024-06-30&frequency=monthly&aggregation=eop');
+
+    assert.equal(status, 200);
+    assert.equal(body.frequency, 'm');
+    assert.equal(body.aggregation, 'eop');
+
+    const [call] = stub.callsFor('/fred/series/observations', 'DGS10');
+    assert.equal(call.query.observation_start, '2024-01-01');
+    assert.equal(call.query.observation_end, '2024-06-30');
+    assert.equal(call.query.frequency, 'm');
+    assert.equal(call.query.aggregation_method, 'eop');
+    assert.equal(call.query.limit, undefined);
+});
+
+test('history keeps native frequency when the series is lower frequency than requested', async () => {
+    const { body } = await getJSON('/api/fred/GFDGDPA188S/history?months=24&frequency=m');
+
+    assert.equal(body.frequency, 'a');
+    assert.equal(body.aggregation, null);
+
+    const [call] = stub.callsFor('/fred/series/observations', 'GFDGDPA188S');
+    assert.equal(call.query.frequency, undefined);
+});
+
+test('history for explicit ranges stays out of the persistent cache', async () => {
+    await getJSON('/api/fred/DGS10/history?start=2024-01-01&end=2024-03-31');
+    await getJSON('/api/fred/DGS10/history?start=2024-01-02&end=2024-03-31');
+    const ranged = stub.callsFor('/fred/series/observations', 'DGS10').length;
+    const afterRanges = (await getJSON('/api/cache/stats')).body.total;
+
+    // Repeating a range is still served from memory
+    await getJSON('/api/fred/DGS10/history?start=2024-01-01&end=2024-03-31');
+    assert.equal(stub.callsFor('/fred/series/observations', 'DGS10').length, ranged);
+
+    await getJSON('/api/fred/DGS10/history?months=6');
+    assert.equal(afterRanges, 0);
+    assert.equal((await getJSON('/api/cache/stats')).body.total, 1);
+});
+
+test('history rejects invalid query parameters with 400', async () => {
+    const badDate = await getJSON('/api/fred/DGS10/history?start=2024-13-45');
+    const badFrequency = await getJSON('/api/fred/DGS10/history?frequency=hourly');
+    const reversed = await getJSON('/api/fred/DGS10/history?start=2024-06-01&end=2024-01-01');
+
+    assert.equal(badDate.status, 400);
+    assert.equal(badFrequency.status, 400);
+    assert.equal(reversed.status, 400);
+    assert.equal(stub.calls.length, 0);
+});
+
+test('GET /api/treasury/deficit computes a trailing 12-month ratio from monthly Treasury data', async () => {
+    const { body } = await getJSON('/api/treasury/deficit');
+
+    assert.equal(body.source, 'US Treasury MTS & FRED GDP');
+    assert.equal(body.date, '2024-05-31');
+    // Jun-Sep 2023 at $100B plus Oct 2023-May 2024 at $120B
+    assert.equal(body.annual_deficit_billions, 1360);
+    assert.equal(body.receipts_billions, 4800);
+    assert.equal(body.outlays_billions, 6160);
+    // Mean of the four latest quarters of annualized GDP
+    assert.equal(body.gdp_billions, 27500);
+    assert.equal(body.gdp_date, '2024-01-01');
+    assert.equal(body.deficit_gdp_ratio, 4.95);
+    assert.equal(body.months.length, 12);
+    assert.deepEqual(body.months[0], { date: '2023-06-30', receipts_billions: 400, outlays_billions: 500, deficit_billions: 100 });
+    assert.equal(body.months[11].date, '2024-05-31');
+    assert.equal(body.cached, false);
+});
+
+test('GET /api/treasury/deficit/history returns the rolling ratio newest first', async () => {
+    const { status, body } = await getJSON('/api/treasury/deficit/history?start=2024-03-01&end=2024-05-31');
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.observations.map(obs => [obs.date, obs.value]), [
+        ['2024-05-31', 4.95],
+        ['2024-04-30', 4.87],
+        ['2024-03-31', 4.8]
+    ]);
+    assert.deepEqual(body.months.map(month => month.date), ['2024-05-31', '2024-04-30', '2024-03-31']);
+
+    // Both routes share one upstream fetch
+    await getJSON('/api/treasury/deficit');
+    assert.equal(stub.callsFor('/treasury/v1/accounting/mts/mts_table_1').length, 1);
+
+    const invalid = await getJSON('/api/treasury/deficit/history?months=abc');
+    assert.equal(invalid.status, 400);
+});
+
+test('GET /api/treasury/deficit falls back to an estimate when Treasury fails', async () => {
+    stub.failing.add('treasury');
+
+    const { status, body } = await getJSON('/api/treasury/deficit');
+
+    assert.equal(status, 200);
+    assert.equal(body.deficit_gdp_ratio, 7.2);
+    assert.equal(body.source, 'Estimate');
+    assert.match(body.note, /^Treasury API unavailable: /);
+});
+
+test('POST /api/snapshots stores a snapshot and GET lists it', async () => {
+    const posted = await getJSON('/api/snapshots', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...ADMIN },
+        body: JSON.stringify({
+            timestamp: '2024-06-03T12:00:00Z',
+            mode: 'bayesian',
+            probabilities: { recession: 0.21 },
+            factors: { recession: [{ rule: 'creditSpreads', reason: 'Credit spreads > 400bps', factor: 2 }] }
+        })
+    });
+    assert.equal(posted.status, 201);
+    assert.ok(posted.body.id);
+
+    const { status, body } = await getJSON('/api/snapshots?since=2024-06-01');
+    assert.equal(status, 200);
+    assert.equal(body.count, 1);
+    assert.equal(body.snapshots[0].mode, 'bayesian');
+    assert.equal(body.snapshots[0].factors.recession[0].rule, 'creditSpreads');
+});
+
+test('POST /api/snapshots needs the admin token', async () => {
+    const { status } = await getJSON('/api/snapshots', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ mode: 'multiplicative', probabilities: { recession: 0.99 } })
+    });
+
+    assert.equal(status, 401);
+});
+
+test('snapshot routes reject invalid input with 400', async () => {
+    const badBody = await getJSON('/api/snapshots', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...ADMIN },
+        body: JSON.stringify({ probabilities: { recession: 2 } })
+    });
+    const badQuery = await getJSON('/api/snapshots?since=last-week');
+
+    assert.equal(badBody.status, 400);
+    assert.equal(badQuery.status, 400);
+});
+
+test('model settings can be saved, read back and reset', async () => {
+    const missing = await getJSON('/api/model-settings');
+    assert.equal(missing.status, 404);
+
+    const saved = await getJSON('/api/model-settings', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', ...ADMIN },
+        body: JSON.stringify({ priors: { recession: 0.2 }, rules: { recession: { creditSpreads: { value: 3.5 } } } })
+    });
+    assert.equal(saved.status, 200);
+    assert.ok(saved.body.updatedAt);
+
+    const { status, body } = await getJSON('/api/model-settings');
+    assert.equal(status, 200);
+    assert.equal(body.settings.priors.recession, 0.2);
+    assert.equal(body.settings.rules.recession.creditSpreads.value, 3.5);
+
+    const reset = await fetch(`${proxy.baseUrl}/api/model-settings`, { method: 'DELETE', headers: ADMIN });
+    assert.equal(reset.status, 204);
+    assert.equal((await getJSON('/api/model-settings')).status, 404);
+});
+
+test('model settings can only be changed with the admin token', async () => {
+    const put = (headers) => getJSON('/api/model-settings', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify({ priors: { recession: 0.9 } })
+    });
+
+    assert.equal((await put({})).status, 401);
+    assert.equal((await put({ Authorization: 'Bearer wrong' })).status, 401);
+    assert.equal((await fetch(`${proxy.baseUrl}/api/model-settings`, { method: 'DELETE' })).status, 401);
+    assert.equal((await getJSON('/api/model-settings')).status, 404);
+});
+
+test('admin routes are disabled when no admin token is configured', () => {
+    const response = { statusCode: null, status(code) { this.statusCode = code; return this; }, json() { return this; } };
+    let passed = false;
+
+    adminAuth.requireAdminToken(null)({ get: () => 'Bearer anything' }, response, () => { passed = true; });
+
+    assert.equal(response.statusCode, 403);
+    assert.equal(passed, false);
+});
+
+test('model settings reject unknown sections and non-numeric values with 400', async () => {
+    const put = (body) => getJSON('/api/model-settings', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', ...ADMIN },
+        body: JSON.stringify(body)
+    });
+
+    assert.equal((await put({ apiKey: 'x' })).status, 400);
+    assert.equal((await put({ priors: { recession: 'high' } })).status, 400);
+    assert.equal((await put([1, 2])).status, 400);
+});
+
+test('POST /api/alerts/check computes alerts with the shared settings and delivers them once', async () => {
+    // Low recession levels so the check has something to report
+    await getJSON('/api/model-settings', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', ...ADMIN },
+        body: JSON.stringify({ riskThresholds: { recession: { critical: 0.05, high: 0.04, moderate: 0.03 } } })
+    });
+
+    try {
+        const first = await getJSON('/api/alerts/check', { method: 'POST', headers: ADMIN });
+        assert.equal(first.status, 200);
+        assert.equal(first.body.banner, 'red');
+        assert.ok(first.body.criticalEvents.includes('recession'));
+        assert.ok(first.body.probabilities.recession > 0.05);
+        assert.ok(first.body.changes.some(c => c.scope === 'recession' && c.type === 'entered' && c.level === 'critical'));
+        assert.ok(first.body.deliveries.every(d => d.status === 'delivered'));
+
+        const slack = webhooks.received.filter(r => r.path === '/slack');
+        const generic = webhooks.received.filter(r => r.path === '/generic');
+        assert.equal(slack.length, first.body.changes.length);
+        assert.ok(slack.some(r => r.body.text.includes('recession risk entered critical')));
+        assert.ok(generic.some(r => r.body.id === 'banner:entered:red'));
+
+        // Nothing changed, so nothing new is sent
+        const second = await getJSON('/api/alerts/check', { method: 'POST', headers: ADMIN });
+        assert.deepEqual(second.body.changes, []);
+        assert.equal(webhooks.received.length, slack.length + generic.length);
+
+        const log = await getJSON('/api/alerts/deliveries?limit=2');
+        assert.equal(log.status, 200);
+        assert.equal(log.body.count, 2);
+        assert.equal(log.body.checks.runs, 2);
+        assert.deepEqual(log.body.checks.webhooks, [{ name: 'slack', format: 'slack' }, { name: 'generic', format: 'json' }]);
+        assert.equal((await getJSON('/api/alerts/deliveries?limit=0')).status, 400);
+
+        const health = await getJSON('/health');
+        assert.equal(health.body.alerts.deliveries.delivered, first.body.deliveries.length);
+    } finally {
+        await fetch(`${proxy.baseUrl}/api/model-settings`, { method: 'DELETE', headers: ADMIN });
+    }
+});
+
+test('POST /api/alerts/check needs the admin token', async () => {
+    assert.equal((await getJSON('/api/alerts/check', { method: 'POST' })).status, 401);
+    assert.equal((await getJSON('/api/alerts/check', {
+        method: 'POST',
+        headers: { Authorization: 'Bearer wrong' }
+    })).status, 401);
+});
+
+test('POST /api/alerts/check skips the check and delivers nothing while a provider is down', async () => {
+    await getJSON('/api/model-settings', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', ...ADMIN },
+        body: JSON.stringify({ riskThresholds: { recession: { critical: 0.05, high: 0.04, moderate: 0.03 } } })
+    });
+    stub.failing.add('UNRATE');
+    const received = webhooks.received.length;
+
+    try {
+        const { status, body } = await getJSON('/api/alerts/check', { method: 'POST', headers: ADMIN });
+
+        assert.equal(status, 200);
+        assert.equal(body.skipped, true);
+        assert.deepEqual(body.fallbackIndicators, ['UNRATE']);
+        assert.deepEqual(body.changes, []);
+        assert.deepEqual(body.deliveries, []);
+        assert.equal(body.probabilities, undefined);
+        assert.equal(webhooks.received.length, received);
+
+        const log = await getJSON('/api/alerts/deliveries');
+        assert.deepEqual(log.body.checks.lastSkipped.fallbackIndicators, ['UNRATE']);
+    } finally {
+        await fetch(`${proxy.baseUrl}/api/model-settings`, { method: 'DELETE', headers: ADMIN });
+    }
+});
+
+test('alert checks add live default-model results to the shared snapshot history', async () => {
+    const since = new Date().toISOString();
+    const snapshots = async () => (await getJSON(`/api/snapshots?since=${encodeURIComponent(since)}`)).body.snapshots;
+
+    const { body } = await getJSON('/api/alerts/check', { method: 'POST', headers: ADMIN });
+    const [recorded] = await snapshots();
+
+    assert.equal(body.skipped, undefined);
+    assert.equal(recorded.mode, 'multiplicative');
+    assert.deepEqual(recorded.probabilities, body.probabilities);
+    assert.equal(recorded.indicators.DGS10.source, 'FRED API');
+
+    // Custom shared settings or fallback data stay out of the shared history
+    await getJSON('/api/model-settings', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', ...ADMIN },
+        body: JSON.stringify({ priors: { recession: 0.5 } })
+    });
+    try {
+        await getJSON('/api/alerts/check', { method: 'POST', headers: ADMIN });
+    } finally {
+        await fetch(`${proxy.baseUrl}/api/model-settings`, { method: 'DELETE', headers: ADMIN });
+    }
+    await fetch(`${proxy.baseUrl}/api/cache/clear`, { method: 'POST' });
+    stub.failing.add('UNRATE');
+    await getJSON('/api/alerts/check', { method: 'POST', headers: ADMIN });
+
+    assert.equal((await snapshots()).length, 1);
+});
@@ -0,0 +1,152 @@
+/**
+ * Offline (fixture replay) tests for fred-proxy-server.js
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import fixtureStore from '../server/fixtureStore.js';
+import historyQuery from '../server/historyQuery.js';
+import { listen, mtsPublication, silenceConsole } from './helpers.js';
+
+const { FixtureStore } = fixtureStore;
+const { subtractMonths, toISODate } = historyQuery;
+
+const FRED_API_URL = 'https://api.stlouisfed.org/fred';
+const TREASURY_API_URL = 'https://api.fiscaldata.treasury.gov/services/api/fiscal_service';
+
+const fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fred-fixtures-'));
+const fixtures = new FixtureStore(fixturesDir);
+
+let proxy;
+let restoreConsole;
+
+function recordFixtures() {
+    const latest = (seriesId, observations) => fixtures.write(
+        `${FRED_API_URL}/series/observations`,
+        { series_id: seriesId, api_key: 'recording-key', file_type: 'json', sort_order: 'desc', limit: 1 },
+        { observations }
+    );
+
+    latest('DGS10', [{ date: '2024-06-03', value: '4.40' }]);
+
+    fixtures.write(
+        `${FRED_API_URL}/series`,
+        { series_id: 'DGS10', api_key: 'recording-key', file_type: 'json' },
+        { seriess: [{ id: 'DGS10', frequency_short: 'D' }] }
+    );
+
+    const end = toISODate(new Date());
+    fixtures.write(
+        `${FRED_API_URL}/series/observations`,
+        {
+            series_id: 'DGS10',
+            api_key: 'recording-key',
+            file_type: 'json',
+            observation_start: subtractMonths(end, 12),
+            observation_end: end,
+            sort_order: 'desc',
+            frequency: 'm',
+            aggregation_method: 'avg'
+        },
+        { observations: [{ date: '2024-06-01', value: '4.41' }, { date: '2024-05-01', value: '4.48' }] }
+    );
+
+    fixtures.write(
+        `${FRED_API_URL}/series/observations`,
+        { series_id: 'GDP', api_key: 'recording-key', file_type: 'json', sort_order: 'desc', limit: 8 },
+        { observations: [{ date: '2024-01-01', value: '28000' }] }
+    );
+
+    fixtures.write(
+        `${TREASURY_API_URL}/v1/accounting/mts/mts_table_1`,
+        { sort: '-record_date,src_line_nbr', page: { number: 1, size: 500 } },
+        {
+            data: mtsPublication('2024-05-31', {
+                'FY 2023': Array(12).fill([400000, 516667]),
+                'FY 2024': Array(8).fill([400000, 516667])
+            })
+        }
+    );
+}
+
+before(async () => {
+    restoreConsole = silenceConsole();
+    recordFixtures();
+
+    delete process.env.FRED_API_KEY;
+    delete process.env.FRED_API_URL;
+    delete process.env.TREASURY_API_URL;
+    delete process.env.CACHE_BACKEND;
+    process.env.PROXY_MODE = 'offline';
+    process.env.FIXTURES_DIR = fixturesDir;
+
+    const { default: app } = await import('../fred-proxy-server.js');
+    proxy = await listen(app);
+});
+
+after(async () => {
+    await proxy.close();
+    fs.rmSync(fixturesDir, { recursive: true, force: true });
+    restoreConsole();
+});
+
+async function getJSON(urlPath, options) {
+    const response = await fetch(`${proxy.baseUrl}${urlPath}`, options);
+    return { status: response.status, body: await response.json() };
+}
+
+test('fixtures never contain the API key', () => {
+    const contents = fixtures.getManifest().files
+        .map(file => fs.readFileSync(path.join(fixturesDir, file), 'utf8'))
+        .join('\n');
+
+    assert.equal(contents.includes('recording-key'), false);
+});
+
+test('offline mode starts without an API key and uses the memory cache', async () => {
+    const { body } = await getJSON('/health');
+
+    assert.equal(body.mode, 'offline');
+    assert.equal(body.cache.backend, 'memory');
+});
+
+test('latest values are replayed with the live response shape', async () => {
+    const single = await getJSON('/api/fred/DGS10');
+    assert.equal(single.status, 200);
+    assert.deepEqual(single.body.observations, [{ date: '2024-06-03', value: '4.40' }]);
+
+    const batch = await getJSON('/api/fred/batch', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ series: ['DGS10', 'DFF'] })
+    });
+    assert.equal(batch.body.DGS10.observations[0].value, '4.40');
+    assert.match(batch.body.DFF.error, /No recorded fixture/);
+    assert.equal(batch.body._metadata.failed, 1);
+});
+
+test('relative history windows replay against the recording date', async () => {
+    const { status, body } = await getJSON('/api/fred/DGS10/history?months=12&frequency=m&aggregation=avg');
+
+    assert.equal(status, 200);
+    assert.equal(body.frequency, 'm');
+    assert.equal(body.count, 2);
+    assert.equal(body.observations[0].value, '4.41');
+});
+
+test('treasury deficit is computed from recorded responses', async () => {
+    const { body } = await getJSON('/api/treasury/deficit');
+
+    assert.equal(body.source, 'US Treasury MTS & FRED GDP');
+    assert.equal(body.deficit_gdp_ratio, 5);
+});
+
+test('missing fixtures fail like an unreachable upstream', async () => {
+    const { status, body } = await getJSON('/api/fred/UNRATE');
+
+    assert.equal(status, 500);
+    assert.match(body.error, /No recorded fixture/);
+});
@@ -0,0 +1,144 @@
+/**
+ * Tests for src/js/scenarioService.js
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    ScenarioService,
+    applyScenario,
+    compareScenario,
+    formatIndicatorValue,
+    normalizeAdjustments
+} from '../src/js/scenarioService.js';
+import { ProbabilityCalculator } from '../src/js/probabilityCalculator.js';
+import { CONFIG } from '../src/js/config.js';
+import { memoryStorage, silenceConsole } from './helpers.js';
+
+let restoreConsole;
+before(() => { restoreConsole = silenceConsole(); });
+after(() => restoreConsole());
+
+const INDICATORS = {
+    DGS10: { raw: 4.5, value: '4.50%', name: '10-Year Treasury Yield', source: 'FRED' },
+    DFF: { raw: 4.33, value: '4.33%', name: 'Fed Funds Rate', source: 'FRED' },
+    DeficitGDP: { raw: 6.2, value: '6.2%', name: 'Budget Deficit/GDP', source: 'Treasury' },
+    BAA10Y: { raw: 1.8, value: '180 bps', name: 'Credit Spreads', source: 'FRED' }
+};
+
+test('applyScenario sets and shifts values without touching the baseline', () => {
+    const scenario = applyScenario(INDICATORS, {
+        DGS10: { mode: 'set', value: 6 },
+        DeficitGDP: { mode: 'delta', value: '2.8' }
+    });
+
+    assert.equal(scenario.DGS10.raw, 6);
+    assert.equal(scenario.DGS10.value, '6.00%');
+    assert.equal(scenario.DGS10.source, 'Scenario');
+    assert.equal(scenario.DGS10.baselineRaw, 4.5);
+    assert.equal(scenario.DeficitGDP.raw, 9);
+    assert.equal(scenario.DeficitGDP.value, '9.0%');
+    assert.equal(scenario.DFF, INDICATORS.DFF);
+    assert.equal(INDICATORS.DGS10.raw, 4.5);
+});
+
+test('applyScenario can set indicators missing from the baseline, but not shift them', () => {
+    const scenario = applyScenario(INDICATORS, { T10Y2Y: { mode: 'set', value: -0.5 } });
+
+    assert.equal(scenario.T10Y2Y.raw, -0.5);
+    assert.equal(scenario.T10Y2Y.name, 'Yield Curve (10Y-2Y)');
+    assert.equal(scenario.T10Y2Y.baselineRaw, null);
+    assert.throws(() => applyScenario(INDICATORS, { T10Y2Y: { mode: 'delta', value: 1 } }), /no baseline/);
+});
+
+test('normalizeAdjustments rejects unknown modes and non-numeric values', () => {
+    assert.throws(() => normalizeAdjustments({ DGS10: { mode: 'scale', value: 2 } }), { name: 'ValidationError' });
+    assert.throws(() => normalizeAdjustments({ DGS10: { mode: 'set', value: 'abc' } }), { name: 'ValidationError' });
+    assert.deepEqual(normalizeAdjustments({ DGS10: { mode: 'set', value: '5' } }), { DGS10: { mode: 'set', value: 5 } });
+});
+
+test('formatIndicatorValue uses the DataService formats', () => {
+    assert.equal(formatIndicatorValue('BAA10Y', 4.5), '450 bps');
+    assert.equal(formatIndicatorValue('DTWEXBGS', 121.234), '121.2');
+    assert.equal(formatIndicatorValue('UNKNOWN', 1), '1.00');
+});
+
+test('simulate recomputes probabilities side by side with the unchanged baseline', async () => {
+    const calculator = new ProbabilityCalculator();
+    calculator.setTrendAnalysis(false);
+    calculator.setCurves(false);
+    const baselineProbabilities = await calculator.updateProbabilities(INDICATORS);
+    const baseline = { probabilities: baselineProbabilities, factors: calculator.getAllFactors() };
+
+    const scenario = calculator.simulate(applyScenario(INDICATORS, {
+        DGS10: { mode: 'set', value: 7 },
+        DeficitGDP: { mode: 'set', value: 9 }
+    }));
+    const comparison = compareScenario(baseline, scenario);
+
+    assert.ok(comparison.default.scenario > comparison.default.baseline);
+    assert.ok(comparison.default.triggered.length >= 2);
+    assert.deepEqual(comparison.recession.triggered, []);
+    assert.ok(Math.abs(comparison.default.change - (comparison.default.scenario - comparison.default.baseline)) < 1e-12);
+    // The calculator's own results are untouched
+    assert.deepEqual(calculator.getProbabilities(), baselineProbabilities);
+    assert.equal(calculator.getFactors('default').length, baseline.factors.default.length);
+});
+
+test('simulate reuses one calculator without carrying results between runs', async () => {
+    const calculator = new ProbabilityCalculator();
+    calculator.setTrendAnalysis(false);
+    calculator.setCurves(false);
+    await calculator.updateProbabilities(INDICATORS);
+
+    const stressed = calculator.simulate(applyScenario(INDICATORS, { DGS10: { mode: 'set', value: 7 } }));
+    const simulation = calculator.simulation;
+    const unchanged = calculator.simulate(INDICATORS);
+
+    assert.equal(calculator.simulation, simulation);
+    assert.deepEqual(unchanged.probabilities, calculator.getProbabilities());
+    assert.equal(unchanged.factors.default.length, calculator.getFactors('default').length);
+    // Earlier results are not overwritten by later runs
+    assert.ok(stressed.factors.default.length > unchanged.factors.default.length);
+});
+
+test('compareScenario lists rules cleared by the scenario', () => {
+    const baseline = {
+        probabilities: { recession: 0.3 },
+        factors: { recession: [{ rule: 'creditSpreads', reason: 'Credit spreads > 400bps' }] }
+    };
+    const scenario = { probabilities: { recession: 0.15 }, factors: { recession: [] } };
+
+    const { recession } = compareScenario(baseline, scenario);
+
+    assert.deepEqual(recession.cleared, ['Credit spreads > 400bps']);
+    assert.ok(Math.abs(recession.change + 0.15) < 1e-12);
+});
+
+test('ScenarioService saves, lists, loads and removes named scenarios', () => {
+    const storage = memoryStorage();
+    const service = new ScenarioService(storage);
+
+    assert.equal(service.save('  Rates shock ', { DGS10: { mode: 'set', value: '6' } }), 'Rates shock');
+    service.save('Austerity', { DeficitGDP: { mode: 'delta', value: -3 } });
+
+    assert.deepEqual(service.list(), ['Austerity', 'Rates shock']);
+    assert.deepEqual(service.load('Rates shock'), { DGS10: { mode: 'set', value: 6 } });
+    assert.equal(service.load('Missing'), null);
+
+    // Scenarios survive a new service instance on the same storage
+    new ScenarioService(storage).remove('Austerity');
+    assert.deepEqual(service.list(), ['Rates shock']);
+});
+
+test('ScenarioService validates names and tolerates bad storage', () => {
+    const storage = memoryStorage();
+    const service = new ScenarioService(storage);
+
+    assert.throws(() => service.save('   ', {}), /name is required/);
+    assert.throws(() => service.save('Bad', { DGS10: { mode: 'set', value: 'x' } }), { name: 'ValidationError' });
+
+    storage.setItem(CONFIG.SCENARIO_STORAGE_KEY, 'not json');
+    assert.deepEqual(service.list(), []);
+    assert.deepEqual(new ScenarioService(null).list(), []);
+});
@@ -0,0 +1,230 @@
+/**
+ * Tests for src/js/snapshotService.js and src/js/charts.js
+ */
+
+import { test, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { SnapshotService, createSnapshot, findTriggerEvents, isShareableSnapshot } from '../src/js/snapshotService.js';
+import { renderLineChart, renderWaterfallChart, renderRiskGauge } from '../src/js/charts.js';
+import { CONFIG } from '../src/js/config.js';
+import { memoryStorage, silenceConsole } from './helpers.js';
+
+const originalFetch = globalThis.fetch;
+let restoreConsole;
+
+before(() => { restoreConsole = silenceConsole(); });
+after(() => restoreConsole());
+afterEach(() => { globalThis.fetch = originalFetch; });
+
+function hoursAgo(hours) {
+    return new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+}
+
+function snapshotAt(timestamp, recessionRules = []) {
+    return {
+        timestamp,
+        probabilities: { recession: 0.15 * (recessionRules.length + 1) },
+        factors: { recession: recessionRules.map(rule => ({ rule, reason: `${rule} reason`, factor: 2 })) }
+    };
+}
+
+test('createSnapshot keeps probabilities, factor summaries, indicator values and sources', () => {
+    const snapshot = createSnapshot({
+        probabilities: { recession: 0.3 },
+        factors: { recession: [{ rule: 'creditSpreads', reason: 'Credit spreads > 400bps', factor: 2, baseFactor: 2, value: 4.5 }] },
+        indicators: { BAA10Y: { raw: 4.5, value: '4.50%', name: 'Credit Spreads', source: 'FRED API', date: '2024-06-03' } },
+        connectionStatus: { useBackend: true, liveCount: 1, mockCount: 0, totalCount: 1, isFullyLive: true },
+        mode: 'bayesian',
+        timestamp: new Date('2024-06-03T12:00:00Z')
+    });
+
+    assert.deepEqual(snapshot, {
+        timestamp: '2024-06-03T12:00:00.000Z',
+        mode: 'bayesian',
+        probabilities: { recession: 0.3 },
+        factors: { recession: [{ rule: 'creditSpreads', reason: 'Credit spreads > 400bps', factor: 2 }] },
+        indicators: { BAA10Y: { raw: 4.5, source: 'FRED API', date: '2024-06-03' } },
+        sources: { useBackend: true, liveCount: 1, mockCount: 0, totalCount: 1 }
+    });
+});
+
+test('isShareableSnapshot accepts only live data from the default model', () => {
+    const build = (sources, useBackend = true, mode = 'multiplicative') => createSnapshot({
+        probabilities: { recession: 0.3 },
+        indicators: Object.fromEntries(sources.map((source, i) => [`S${i}`, { raw: 1, source }])),
+        connectionStatus: { useBackend, liveCount: 1, mockCount: 0, totalCount: 1 },
+        mode
+    });
+
+    assert.equal(isShareableSnapshot(build(['FRED API', 'US Treasury MTS & FRED GDP', 'Calculated'])), true);
+    assert.equal(isShareableSnapshot(build(['FRED API', 'Mock Data'])), false);
+    assert.equal(isShareableSnapshot(build(['FRED API', 'Estimate'])), false);
+    assert.equal(isShareableSnapshot(build(['FRED API'], false)), false);
+    assert.equal(isShareableSnapshot(build(['FRED API']), { customModel: true }), false);
+});
+
+test('isShareableSnapshot keeps other modes and toggled-off curves or trends out of the shared history', () => {
+    const build = (mode) => createSnapshot({
+        probabilities: { recession: 0.3 },
+        indicators: { DGS10: { raw: 4.5, source: 'FRED API' } },
+        connectionStatus: { useBackend: true, liveCount: 1, mockCount: 0, totalCount: 1 },
+        mode
+    });
+
+    assert.equal(isShareableSnapshot(build('multiplicative'), { curves: true, trends: true }), true);
+    assert.equal(isShareableSnapshot(build('bayesian')), false);
+    assert.equal(isShareableSnapshot(build(null)), false);
+    assert.equal(isShareableSnapshot(build('multiplicative'), { curves: false }), false);
+    assert.equal(isShareableSnapshot(build('multiplicative'), { trends: false }), false);
+});
+
+test('findTriggerEvents reports rules switching on and off', () => {
+    const events = findTriggerEvents([
+        snapshotAt('2024-06-01T00:00:00Z', ['yieldCurve']),
+        snapshotAt('2024-06-02T00:00:00Z', ['yieldCurve', 'creditSpreads']),
+        snapshotAt('2024-06-03T00:00:00Z', ['creditSpreads']),
+        snapshotAt('2024-06-04T00:00:00Z', ['creditSpreads'])
+    ], 'recession');
+
+    assert.deepEqual(events.map(e => [e.timestamp, e.type, e.rule]), [
+        ['2024-06-02T00:00:00Z', 'triggered', 'creditSpreads'],
+        ['2024-06-03T00:00:00Z', 'cleared', 'yieldCurve']
+    ]);
+    assert.equal(events[0].reason, 'creditSpreads reason');
+});
+
+test('record stores locally, caps local history and never posts to the backend', async () => {
+    const originalMax = CONFIG.MAX_LOCAL_SNAPSHOTS;
+    CONFIG.MAX_LOCAL_SNAPSHOTS = 2;
+    const posted = [];
+    globalThis.fetch = async (url, options) => {
+        posted.push({ url, options });
+        return { ok: true, status: 201, json: async () => ({}) };
+    };
+
+    try {
+        const service = new SnapshotService(memoryStorage());
+        service.record(snapshotAt(hoursAgo(3)));
+        service.record(snapshotAt(hoursAgo(2)));
+        service.record(snapshotAt(hoursAgo(1)));
+
+        assert.equal(service.loadLocal().length, 2);
+        assert.deepEqual(posted, []);
+    } finally {
+        CONFIG.MAX_LOCAL_SNAPSHOTS = originalMax;
+    }
+});
+
+test('getHistory merges backend and local snapshots within the window', async () => {
+    const service = new SnapshotService(memoryStorage());
+    const shared = snapshotAt(hoursAgo(5));
+    service.saveLocal([snapshotAt(hoursAgo(24 * 60)), shared, snapshotAt(hoursAgo(1))]);
+
+    let requested;
+    globalThis.fetch = async (url) => {
+        requested = new URL(url);
+        return { ok: true, status: 200, json: async () => ({ snapshots: [snapshotAt(hoursAgo(10)), shared] }) };
+    };
+
+    const history = await service.getHistory(true, 30);
+
+    assert.ok(requested.searchParams.get('since'));
+    assert.equal(history.length, 3);
+    assert.deepEqual(history.map(s => s.timestamp), [...history.map(s => s.timestamp)].sort());
+});
+
+test('getHistory falls back to local snapshots when the backend fails', async () => {
+    const service = new SnapshotService(memoryStorage());
+    service.saveLocal([snapshotAt(hoursAgo(1))]);
+    globalThis.fetch = async () => ({ ok: false, status: 500, statusText: 'Error' });
+
+    assert.equal((await service.getHistory(true)).length, 1);
+});
+
+test('works without localStorage', async () => {
+    const service = new SnapshotService(null);
+    service.record(snapshotAt(hoursAgo(1)));
+
+    assert.deepEqual(await service.getHistory(false), []);
+});
+
+test('renderLineChart draws the line, threshold and escaped markers', () => {
+    const svg = renderLineChart({
+        points: [{ x: 0, y: 0.1 }, { x: 50, y: 0.3 }, { x: 100, y: 0.2 }],
+        threshold: 0.6,
+        yMin: 0,
+        markers: [{ x: 50, type: 'triggered', label: 'Spreads <b>wide</b>' }, { x: 500, type: 'cleared', label: 'outside' }],
+        width: 104,
+        height: 68
+    });
+
+    // x: 4 + x/100 * 96, y: 64 - y/0.6 * 60
+    assert.match(svg, /d="M4,54 L52,34 L100,44"/);
+    assert.match(svg, /class="chart-threshold"[^>]*y1="4"/);
+    assert.equal((svg.match(/chart-marker-triggered/g) || []).length, 1);
+    assert.equal(svg.includes('outside'), false);
+    assert.match(svg, /Spreads &lt;b&gt;wide&lt;\/b&gt;/);
+});
+
+test('renderLineChart handles empty and flat data', () => {
+    assert.equal(renderLineChart({ points: [] }), '');
+
+    const flat = renderLineChart({ points: [{ x: 0, y: 0.2 }, { x: 1, y: 0.2 }] });
+    assert.equal(flat.includes('NaN'), false);
+});
+
+test('renderLineChart draws one line per threshold and scales to include them', () => {
+    const svg = renderLineChart({
+        points: [{ x: 0, y: 1 }, { x: 1, y: 2 }],
+        threshold: [0, 3],
+        width: 104,
+        height: 68
+    });
+
+    assert.equal((svg.match(/class="chart-threshold"/g) || []).length, 2);
+    assert.match(svg, /y1="64"/);
+    assert.match(svg, /y1="4"/);
+});
+
+test('renderWaterfallChart floats each step from the running total', () => {
+    const svg = renderWaterfallChart({
+        base: 0.2,
+        steps: [{ label: 'Spreads <wide>', contribution: 0.2 }, { label: 'Discount', contribution: -0.1 }],
+        width: 200,
+        rowHeight: 20,
+        formatValue: (v) => v.toFixed(2)
+    });
+
+    // Bars start at x = 90 and span 0-0.4 over 106 units
+    assert.equal((svg.match(/<rect /g) || []).length, 4);
+    assert.match(svg, /chart-waterfall-up"><text[^>]*>Spreads &lt;wide&gt;<\/text><rect x="143" y="27" width="53"/);
+    assert.match(svg, /chart-waterfall-down"><text[^>]*>Discount<\/text><rect x="169.5"/);
+    assert.match(svg, /<title>Spreads &lt;wide&gt;: \+0.20<\/title>/);
+    assert.match(svg, /<title>Final: 0.30<\/title>/);
+});
+
+test('renderRiskGauge places bands and the marker on a scale of 1.5x the critical threshold', () => {
+    const html = renderRiskGauge({
+        probability: 0.3,
+        bands: { critical: 0.4, high: 0.2, moderate: 0.1 },
+        level: 'high'
+    });
+
+    // Scale runs 0-0.6
+    assert.match(html, /class="gauge gauge-level-high"/);
+    assert.match(html, /gauge-low" style="left: 0.0%; width: 16.7%"/);
+    assert.match(html, /gauge-critical" style="left: 66.7%; width: 33.3%"/);
+    assert.match(html, /gauge-marker" style="left: 50.0%"/);
+    assert.match(html, /aria-valuetext="30.0% \(high\)"/);
+});
+
+test('renderRiskGauge stretches the scale for probabilities above it', () => {
+    const html = renderRiskGauge({
+        probability: 0.9,
+        bands: { critical: 0.5, high: 0.35, moderate: 0.2 },
+        level: 'critical'
+    });
+
+    assert.match(html, /gauge-marker" style="left: 100.0%"/);
+    assert.match(html, /gauge-critical" style="left: 55.6%; width: 44.4%"/);
+});
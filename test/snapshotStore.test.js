@@ -0,0 +1,97 @@
+/**
+ * Tests for server/snapshotStore.js
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import snapshotStore from '../server/snapshotStore.js';
+import { silenceConsole } from './helpers.js';
+
+const { MemorySnapshotStore, SnapshotError, createSnapshotStore } = snapshotStore;
+
+function snapshot(timestamp, recession = 0.15) {
+    return { timestamp, mode: 'multiplicative', probabilities: { recession }, factors: { recession: [] } };
+}
+
+test('snapshots are kept in chronological order with an id', () => {
+    const store = new MemorySnapshotStore();
+    store.add(snapshot('2024-06-02T00:00:00Z'));
+    store.add(snapshot('2024-06-03T00:00:00Z'));
+    const late = store.add(snapshot('2024-06-01T00:00:00Z'));
+
+    assert.ok(late.id);
+    assert.deepEqual(store.list().map(s => s.timestamp), [
+        '2024-06-01T00:00:00.000Z',
+        '2024-06-02T00:00:00.000Z',
+        '2024-06-03T00:00:00.000Z'
+    ]);
+});
+
+test('list filters by time window and returns the newest `limit`', () => {
+    const store = new MemorySnapshotStore();
+    for (let day = 1; day <= 5; day++) {
+        store.add(snapshot(`2024-06-0${day}T00:00:00Z`, day / 100));
+    }
+
+    assert.deepEqual(store.list({ since: '2024-06-02', until: '2024-06-04T00:00:00Z' }).map(s => s.probabilities.recession), [0.02, 0.03, 0.04]);
+    assert.deepEqual(store.list({ limit: '2' }).map(s => s.probabilities.recession), [0.04, 0.05]);
+    assert.throws(() => store.list({ since: 'yesterday' }), SnapshotError);
+    assert.throws(() => store.list({ limit: '0' }), SnapshotError);
+});
+
+test('invalid snapshots are rejected', () => {
+    const store = new MemorySnapshotStore();
+
+    assert.throws(() => store.add(null), SnapshotError);
+    assert.throws(() => store.add({}), /probabilities/);
+    assert.throws(() => store.add({ probabilities: { recession: 1.5 } }), /recession/);
+    assert.throws(() => store.add({ probabilities: { recession: '0.2' } }), /recession/);
+    assert.throws(() => store.add({ probabilities: { recession: 0.2 }, timestamp: 'soon' }), /timestamp/);
+});
+
+test('unknown fields are dropped and missing timestamps default to now', () => {
+    const store = new MemorySnapshotStore();
+    const stored = store.add({ probabilities: { recession: 0.2 }, extra: 'x' });
+
+    assert.equal(stored.extra, undefined);
+    assert.ok(Math.abs(Date.parse(stored.timestamp) - Date.now()) < 5000);
+    assert.deepEqual(stored.indicators, {});
+});
+
+test('the oldest snapshots are dropped beyond maxSnapshots', () => {
+    const store = new MemorySnapshotStore({ maxSnapshots: 2 });
+    store.add(snapshot('2024-06-01T00:00:00Z'));
+    store.add(snapshot('2024-06-02T00:00:00Z'));
+    store.add(snapshot('2024-06-03T00:00:00Z'));
+
+    assert.deepEqual(store.getStats(), {
+        backend: 'memory',
+        total: 2,
+        oldest: '2024-06-02T00:00:00.000Z',
+        newest: '2024-06-03T00:00:00.000Z'
+    });
+});
+
+test('file store survives a restart', () => {
+    const restoreConsole = silenceConsole();
+    const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'snapshots-')), 'snapshots.json');
+
+    try {
+        const first = createSnapshotStore({ backend: 'file', filePath });
+        first.add(snapshot('2024-06-01T00:00:00Z', 0.3));
+
+        const second = createSnapshotStore({ backend: 'file', filePath });
+        assert.equal(second.list()[0].probabilities.recession, 0.3);
+        assert.equal(second.getStats().file, filePath);
+    } finally {
+        fs.rmSync(path.dirname(filePath), { recursive: true, force: true });
+        restoreConsole();
+    }
+});
+
+test('unknown backends are rejected', () => {
+    assert.throws(() => createSnapshotStore({ backend: 'redis' }), /Unknown snapshot backend/);
+});
@@ -0,0 +1,69 @@
+/**
+ * Tests for server/treasuryDeficit.js
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import treasuryDeficit from '../server/treasuryDeficit.js';
+import { mtsPublication } from './helpers.js';
+
+const { parseMTSMonths, annualGDP, rollingDeficitGDP } = treasuryDeficit;
+
+const GDP = [
+    { date: '2024-01-01', value: '28000' },
+    { date: '2023-10-01', value: '27600' },
+    { date: '2023-07-01', value: '27400' },
+    { date: '2023-04-01', value: '27000' }
+];
+
+test('parseMTSMonths dates months by fiscal year and skips non-month rows', () => {
+    const rows = [
+        ...mtsPublication('2024-01-31', { 'FY 2024': [[300000, 350000], [310000, 400000], [320000, 450000], [330000, 300000]] }),
+        { record_date: '2024-01-31', src_line_nbr: '99', classification_desc: 'Year-to-Date', current_month_gross_rcpt_amt: '1260000', current_month_gross_outly_amt: '1500000' }
+    ];
+
+    assert.deepEqual(parseMTSMonths(rows), [
+        { date: '2023-10-31', receipts_billions: 300, outlays_billions: 350, deficit_billions: 50 },
+        { date: '2023-11-30', receipts_billions: 310, outlays_billions: 400, deficit_billions: 90 },
+        { date: '2023-12-31', receipts_billions: 320, outlays_billions: 450, deficit_billions: 130 },
+        { date: '2024-01-31', receipts_billions: 330, outlays_billions: 300, deficit_billions: -30 }
+    ]);
+});
+
+test('parseMTSMonths takes revised months from the newest publication', () => {
+    const rows = [
+        ...mtsPublication('2024-02-29', { 'FY 2024': [[300000, 360000], [310000, 400000]] }),
+        ...mtsPublication('2024-01-31', { 'FY 2024': [[300000, 350000]] })
+    ];
+
+    assert.deepEqual(parseMTSMonths(rows).map(month => month.deficit_billions), [60, 90]);
+});
+
+test('annualGDP averages the latest four quarters available for the period', () => {
+    assert.deepEqual(annualGDP(GDP, '2024-05-31'), { value: 27500, date: '2024-01-01' });
+    assert.deepEqual(annualGDP(GDP, '2023-12-31'), { value: (27600 + 27400 + 27000) / 3, date: '2023-10-01' });
+    assert.equal(annualGDP(GDP, '2023-01-31'), null);
+});
+
+test('rollingDeficitGDP needs 12 consecutive months', () => {
+    const months = parseMTSMonths(mtsPublication('2024-05-31', {
+        'FY 2023': Array(12).fill([400000, 500000]),
+        'FY 2024': Array(8).fill([400000, 520000])
+    }));
+
+    const history = rollingDeficitGDP(months, GDP);
+    assert.equal(history[0].date, '2023-09-30');
+    assert.deepEqual(history[history.length - 1], {
+        date: '2024-05-31',
+        deficit_gdp_ratio: 4.95,
+        deficit_12m_billions: 1360,
+        receipts_12m_billions: 4800,
+        outlays_12m_billions: 6160,
+        gdp_billions: 27500,
+        gdp_date: '2024-01-01'
+    });
+
+    // A missing month breaks every window that spans it
+    const gap = months.filter(month => month.date !== '2023-12-31');
+    assert.deepEqual(rollingDeficitGDP(gap, GDP).map(item => item.date), ['2023-09-30', '2023-10-31', '2023-11-30']);
+});
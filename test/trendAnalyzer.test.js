@@ -0,0 +1,177 @@
+/**
+ * Tests for src/js/trendAnalyzer.js
+ *
+ * Expected values are computed by hand from the fixtures below.
+ */
+
+import { test, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { TrendAnalyzer } from '../src/js/trendAnalyzer.js';
+import { silenceConsole } from './helpers.js';
+
+let restoreConsole;
+const originalFetch = globalThis.fetch;
+
+before(() => { restoreConsole = silenceConsole(); });
+after(() => restoreConsole());
+afterEach(() => { globalThis.fetch = originalFetch; });
+
+/**
+ * Build newest-first monthly observations from oldest-first values
+ */
+function monthly(values, startYear = 2024) {
+    return values
+        .map((value, i) => ({
+            date: new Date(Date.UTC(startYear, i, 1)).toISOString().split('T')[0],
+            value
+        }))
+        .reverse();
+}
+
+function analyzerWith(data) {
+    const analyzer = new TrendAnalyzer();
+    analyzer.historicalData = data;
+    return analyzer;
+}
+
+// 100 → 106 over 3 months: regression slope 2/month, mean 103 (+1.94%/month)
+const STEADY_RISE = monthly([100, 102, 104, 106]);
+
+// 4.0 flat for 3 months then +0.4/month: slope 26.4/105 ≈ 0.2514, mean 4.4 (+5.71%/month)
+const ACCELERATING = monthly([4.0, 4.0, 4.0, 4.4, 4.8, 5.2]);
+
+test('direction follows the regression slope and respects inverted indicators', () => {
+    const analyzer = analyzerWith({ RISE: STEADY_RISE, FLAT: monthly([100, 100.1, 100, 100.1]) });
+
+    assert.equal(analyzer.calculateTrendDirection('RISE'), 1);
+    assert.equal(analyzer.calculateTrendDirection('RISE', true), -1);
+    assert.equal(analyzer.calculateTrendDirection('FLAT'), 0);
+});
+
+test('direction needs at least three points', () => {
+    const analyzer = analyzerWith({ SHORT: monthly([100, 120]) });
+
+    assert.equal(analyzer.calculateTrendDirection('SHORT'), 0);
+    assert.equal(analyzer.calculateTrendDirection('MISSING'), 0);
+});
+
+test('velocity is percentage change per calendar month', () => {
+    const analyzer = analyzerWith({
+        RISE: STEADY_RISE,
+        ACCEL: ACCELERATING,
+        // Quarterly observations: +10% over 3 months
+        QUARTERLY: [{ date: '2024-04-01', value: 110 }, { date: '2024-01-01', value: 100 }]
+    });
+
+    // (106 - 100) / 100 = 6% over 3 months
+    assert.equal(analyzer.calculateVelocity('RISE'), 2);
+    // (5.2 - 4.0) / 4.0 = 30% over 5 months
+    assert.ok(Math.abs(analyzer.calculateVelocity('ACCEL') - 6) < 1e-12);
+    assert.ok(Math.abs(analyzer.calculateVelocity('QUARTERLY') - 10 / 3) < 1e-12);
+});
+
+test('acceleration compares the recent half with the older half', () => {
+    const analyzer = analyzerWith({ ACCEL: ACCELERATING, RISE: STEADY_RISE });
+
+    // Recent half 4.4 → 5.2 over 2 months: 18.18%/2 = 9.0909; older half flat: 0
+    assert.ok(Math.abs(analyzer.calculateAcceleration('ACCEL') - (0.8 / 4.4 * 100) / 2) < 1e-12);
+    // Fewer than six points
+    assert.equal(analyzer.calculateAcceleration('RISE'), 0);
+});
+
+test('trend multiplier maps direction and velocity to 0.5-1.5', () => {
+    const analyzer = analyzerWith({
+        RISE: STEADY_RISE,
+        ACCEL: ACCELERATING,
+        FAST_FALL: monthly([5.2, 4.8, 4.4, 4.0, 4.0, 4.0])
+    });
+
+    // Improving at exactly 2%/month is not "high velocity"
+    assert.equal(analyzer.getTrendMultiplier('RISE'), 0.7);
+    assert.equal(analyzer.getTrendMultiplier('RISE', true), 1.3);
+    // Worsening at 6%/month: 1.3 × 1.2 = 1.56, capped at 1.5
+    assert.equal(analyzer.getTrendMultiplier('ACCEL', true), 1.5);
+    // Improving fast: 0.7 × 0.8 = 0.56
+    assert.ok(Math.abs(analyzer.getTrendMultiplier('FAST_FALL', true) - 0.56) < 1e-12);
+});
+
+test('getTrendAnalysis summarizes all measures', () => {
+    const analyzer = analyzerWith({ ACCEL: ACCELERATING });
+
+    assert.deepEqual(analyzer.getTrendAnalysis('ACCEL', true), {
+        direction: -1,
+        directionLabel: '↓ Worsening',
+        velocity: 6,
+        acceleration: 9.091,
+        multiplier: 1.5,
+        dataPoints: 6
+    });
+    assert.equal(analyzer.getTrendAnalysis('MISSING'), null);
+});
+
+test('fetchHistoricalData requests a monthly-aggregated calendar window', async () => {
+    const requested = [];
+    globalThis.fetch = async (url) => {
+        requested.push(new URL(url));
+        return {
+            ok: true,
+            json: async () => ({
+                observations: [
+                    { date: '2024-03-01', value: '4.2' },
+                    { date: '2024-02-01', value: '.' },
+                    { date: '2024-01-01', value: '4.0' }
+                ]
+            })
+        };
+    };
+
+    const analyzer = new TrendAnalyzer();
+    const data = await analyzer.fetchHistoricalData('DGS10');
+
+    assert.equal(requested[0].pathname, '/api/fred/DGS10/history');
+    assert.equal(requested[0].searchParams.get('months'), '12');
+    assert.equal(requested[0].searchParams.get('frequency'), 'm');
+    assert.equal(requested[0].searchParams.get('aggregation'), 'avg');
+    assert.deepEqual(data, [
+        { date: '2024-03-01', value: 4.2 },
+        { date: '2024-01-01', value: 4.0 }
+    ]);
+});
+
+test('fetchHistoricalData reads the deficit/GDP history from the Treasury route', async () => {
+    const requested = [];
+    globalThis.fetch = async (url) => {
+        requested.push(new URL(url));
+        return { ok: true, json: async () => ({ observations: [{ date: '2024-05-31', value: 6.2 }] }) };
+    };
+
+    const data = await new TrendAnalyzer().fetchHistoricalData('DeficitGDP');
+
+    assert.equal(requested[0].pathname, '/api/treasury/deficit/history');
+    assert.deepEqual(data, [{ date: '2024-05-31', value: 6.2 }]);
+});
+
+test('fetchHistoricalData returns null on HTTP errors', async () => {
+    globalThis.fetch = async () => ({ ok: false, status: 500 });
+
+    const analyzer = new TrendAnalyzer();
+    assert.equal(await analyzer.fetchHistoricalData('DGS10'), null);
+});
+
+test('analyzeAllTrends fetches every indicator and inverts higher-is-worse indicators', async () => {
+    const requested = [];
+    globalThis.fetch = async (url) => {
+        const seriesId = new URL(url).pathname.split('/')[3];
+        requested.push(seriesId);
+        return {
+            ok: true,
+            json: async () => ({ observations: monthly(['100', '102', '104', '106']) })
+        };
+    };
+
+    const analyzer = new TrendAnalyzer();
+    const multipliers = await analyzer.analyzeAllTrends({ DGS10: {}, UNRATE: {}, DTWEXBGS: {} });
+
+    assert.deepEqual(requested.sort(), ['DGS10', 'DTWEXBGS', 'UNRATE']);
+    assert.deepEqual(multipliers, { DGS10: 0.7, UNRATE: 1.3, DTWEXBGS: 0.7 });
+});